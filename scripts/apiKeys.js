@@ -0,0 +1,202 @@
+/**
+ * API Key - kelola key kiosk/integrasi (/api-keys, api_keys:manage)
+ * Buat, ubah batas/kedaluwarsa, cabut dan lihat pemakaian via
+ * /api/admin/api-keys
+ */
+
+let apiKeyScopes = []; // scope yang didukung server
+
+function showApiKeyMessage(text, isError = false) {
+  const el = document.getElementById("apiKeyMessage");
+  if (!el) return;
+  el.textContent = text;
+  el.className = `text-sm ${isError ? "text-red-600" : "text-emerald-600"}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (ch) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[ch]
+  );
+}
+
+function formatDate(value) {
+  if (!value) return "-";
+  return new Date(value).toLocaleString("id-ID", {
+    timeZone: "Asia/Jakarta",
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+async function apiKeyRequest(path, options = {}) {
+  const response = await Auth.authenticatedFetch(
+    `/api/admin/api-keys${path}`,
+    {
+      ...options,
+      headers: { "Content-Type": "application/json" },
+    }
+  );
+  if (!response) return null;
+  const json = await response.json();
+  if (!response.ok || !json.success) {
+    throw new Error(json.message || `HTTP ${response.status}`);
+  }
+  return json;
+}
+
+function renderScopeOptions() {
+  const container = document.getElementById("apiKeyScopes");
+  if (!container || container.childElementCount) return;
+  container.innerHTML = apiKeyScopes
+    .map(
+      (scope) => `
+        <label class="inline-flex items-center gap-1">
+          <input type="checkbox" value="${scope}" />
+          <span>${scope}</span>
+        </label>`
+    )
+    .join("");
+}
+
+/** Status key: aktif, kedaluwarsa atau dicabut */
+function keyStatus(key) {
+  if (key.revoked_at) return "dicabut";
+  if (key.expires_at && Date.parse(key.expires_at) <= Date.now()) {
+    return "kedaluwarsa";
+  }
+  return null;
+}
+
+function renderApiKeys(keys) {
+  const table = document.getElementById("apiKeyTable");
+  if (!table) return;
+  if (!keys.length) {
+    table.innerHTML = `<tr><td colspan="8" class="py-3 text-slate-500">
+      Belum ada API key</td></tr>`;
+    return;
+  }
+
+  table.innerHTML = keys
+    .map((key) => {
+      const status = keyStatus(key);
+      const lastDay = Object.keys(key.usage_by_day).sort().pop();
+      return `
+        <tr class="border-t border-slate-100 ${status ? "text-slate-400" : ""}">
+          <td class="py-2 pr-3 font-semibold">${escapeHtml(key.name)}
+            ${status ? `<span class="text-xs">(${status})</span>` : ""}</td>
+          <td class="py-2 pr-3"><code>${escapeHtml(key.prefix)}…</code></td>
+          <td class="py-2 pr-3">${key.scopes.join(", ")}</td>
+          <td class="py-2 pr-3">${key.rate_limit}/menit</td>
+          <td class="py-2 pr-3">${formatDate(key.expires_at)}</td>
+          <td class="py-2 pr-3">${key.usage_count.toLocaleString("id-ID")}
+            ${lastDay ? `<span class="text-xs text-slate-500">
+              (${lastDay}: ${key.usage_by_day[lastDay]})</span>` : ""}</td>
+          <td class="py-2 pr-3">${formatDate(key.last_used_at)}
+            ${key.last_used_ip ? `<div class="text-xs text-slate-500">
+              ${escapeHtml(key.last_used_ip)}</div>` : ""}</td>
+          <td class="py-2 whitespace-nowrap">
+            ${
+              key.revoked_at
+                ? ""
+                : `<button class="btn btn-outline text-xs px-2 py-1"
+                    data-action="limit" data-id="${key.id}">Batas</button>
+                  <button class="btn btn-secondary text-xs px-2 py-1"
+                    data-action="revoke" data-id="${key.id}">Cabut</button>`
+            }
+          </td>
+        </tr>`;
+    })
+    .join("");
+}
+
+async function loadApiKeys() {
+  try {
+    const json = await apiKeyRequest("", { cache: "no-store" });
+    if (!json) return;
+    apiKeyScopes = json.scopes || [];
+    renderScopeOptions();
+    renderApiKeys(json.data || []);
+  } catch (error) {
+    console.error("❌ Failed to load API keys:", error);
+    showApiKeyMessage("Gagal memuat API key", true);
+  }
+}
+
+async function createApiKeyFromForm(event) {
+  event.preventDefault();
+  const scopes = [
+    ...document.querySelectorAll("#apiKeyScopes input:checked"),
+  ].map((input) => input.value);
+  const rateLimit = document.getElementById("apiKeyRateLimit").value;
+  const expires = document.getElementById("apiKeyExpires").value;
+
+  const body = {
+    name: document.getElementById("apiKeyName").value,
+    scopes,
+  };
+  if (rateLimit) body.rate_limit = Number(rateLimit);
+  // Tanggal kedaluwarsa = akhir hari WIB
+  if (expires) body.expires_at = `${expires}T23:59:59.999+07:00`;
+
+  try {
+    const json = await apiKeyRequest("", {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+    if (!json) return;
+    document.getElementById("apiKeyCreatedValue").textContent = json.key;
+    document.getElementById("apiKeyCreated").classList.remove("hidden");
+    event.target.reset();
+    showApiKeyMessage(`✅ Key "${json.data.name}" dibuat`);
+    await loadApiKeys();
+  } catch (error) {
+    showApiKeyMessage(`Gagal membuat key: ${error.message}`, true);
+  }
+}
+
+async function onTableAction(event) {
+  const button = event.target.closest("button[data-action]");
+  if (!button) return;
+  const id = button.dataset.id;
+
+  try {
+    if (button.dataset.action === "revoke") {
+      if (!confirm("Cabut key ini? Perangkat yang memakainya akan ditolak."))
+        return;
+      await apiKeyRequest(`/${id}`, { method: "DELETE" });
+      showApiKeyMessage("✅ Key dicabut");
+    } else {
+      const value = prompt("Batas request per menit:");
+      if (!value) return;
+      await apiKeyRequest(`/${id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ rate_limit: Number(value) }),
+      });
+      showApiKeyMessage("✅ Batas diperbarui");
+    }
+    await loadApiKeys();
+  } catch (error) {
+    showApiKeyMessage(`Gagal: ${error.message}`, true);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  // Redirect/akses ditolak ditangani Auth.requireAdmin() di halaman
+  if (!Auth.hasPermission("api_keys:manage")) return;
+
+  document
+    .getElementById("apiKeyForm")
+    ?.addEventListener("submit", createApiKeyFromForm);
+  document
+    .getElementById("apiKeyTable")
+    ?.addEventListener("click", onTableAction);
+  await loadApiKeys();
+});
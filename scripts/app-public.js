@@ -38,6 +38,69 @@ const API_BASE = onFile
   ? ""
   : "http://localhost:3000";
 
+// Outlet yang ditampilkan layar ini (multi-outlet): /monitor?outlet=<id>.
+// Tanpa param = outlet default server.
+const OUTLET_PARAM = new URLSearchParams(window.location.search).get("outlet");
+
+function withOutlet(url) {
+  if (!OUTLET_PARAM) return url;
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}outlet=${encodeURIComponent(OUTLET_PARAM)}`;
+}
+
+// API key kiosk/TV (scope machines:read): /?api_key=lmk_... disimpan di
+// localStorage lalu dihapus dari URL agar tidak ikut terbagi/terekam
+const KIOSK_KEY_STORAGE = "kiosk_api_key";
+(function captureKioskKey() {
+  const url = new URL(window.location.href);
+  const key = url.searchParams.get("api_key");
+  if (!key) return;
+  localStorage.setItem(KIOSK_KEY_STORAGE, key);
+  url.searchParams.delete("api_key");
+  window.history.replaceState(null, "", url.toString());
+})();
+
+function kioskKeyHeaders() {
+  const key = localStorage.getItem(KIOSK_KEY_STORAGE);
+  return key ? { "X-API-Key": key } : {};
+}
+
+// QR "beritahu saya" per mesin → /notify?machine=<id>
+const NOTIFY_BASE = API_BASE || window.location.origin;
+const notifyQrCache = new Map();
+
+function getNotifyUrl(machine) {
+  return `${NOTIFY_BASE}/notify?machine=${encodeURIComponent(machine.id)}`;
+}
+
+/**
+ * Tambah QR (TV/desktop) atau tautan lonceng (HP) ke sel mesin
+ */
+function appendNotifyLink(machineElement, machine, compact = false) {
+  const link = document.createElement("a");
+  link.className = "machine-qr";
+  link.href = getNotifyUrl(machine);
+  link.title = `Beritahu saya saat ${machine.label} selesai`;
+
+  if (compact || typeof qrcode !== "function") {
+    link.className = "machine-notify";
+    link.textContent = "🔔";
+  } else {
+    if (!notifyQrCache.has(machine.id)) {
+      const qr = qrcode(0, "L");
+      qr.addData(link.href);
+      qr.make();
+      notifyQrCache.set(
+        machine.id,
+        qr.createSvgTag({ cellSize: 2, margin: 1, scalable: true })
+      );
+    }
+    link.innerHTML = notifyQrCache.get(machine.id);
+  }
+
+  machineElement.appendChild(link);
+}
+
 // Hysteresis untuk mencegah "kedip" status
 const hysteresisCache = new Map();
 const HYSTERESIS_THRESHOLD = 3000; // 3 detik
@@ -61,8 +124,8 @@ async function init() {
     console.error("Initial fetch failed", e);
   }
 
-  // Mulai polling dari API
-  startPolling();
+  // Mulai live update (SSE, fallback ke polling)
+  startLiveUpdates();
 
   console.log("Public application initialized successfully");
 }
@@ -168,6 +231,7 @@ function renderSingleGrid() {
 
     machineContent.appendChild(statusInfo);
     machineElement.appendChild(machineContent);
+    appendNotifyLink(machineElement, machine);
 
     // Apply status class dengan hysteresis
     applyStatusWithHysteresis(machineElement, machine);
@@ -231,6 +295,7 @@ function renderMobileGrids() {
 
     machineContent.appendChild(statusInfo);
     machineElement.appendChild(machineContent);
+    appendNotifyLink(machineElement, machine, true);
 
     applyStatusWithHysteresis(machineElement, machine);
 
@@ -263,6 +328,7 @@ function renderMobileGrids() {
 
     machineContent.appendChild(statusInfo);
     machineElement.appendChild(machineContent);
+    appendNotifyLink(machineElement, machine, true);
 
     applyStatusWithHysteresis(machineElement, machine);
 
@@ -377,6 +443,18 @@ function formatElapsedTime(elapsedMs) {
   return "—";
 }
 
+/**
+ * Jam selesai (WIB) dari eta_at; "±" jika hanya dari riwayat siklus
+ */
+function formatEtaClock(machine) {
+  const clock = new Intl.DateTimeFormat("id-ID", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "Asia/Jakarta",
+  }).format(new Date(machine.eta_at));
+  return machine.eta_confidence === "high" ? clock : `± ${clock}`;
+}
+
 /**
  * Render panel ETA (simplified - no usage statistics)
  */
@@ -384,10 +462,14 @@ function renderEta() {
   const etaBody = document.getElementById("etaBody");
   if (!etaBody) return;
 
-  // Get all running machines and sort by elapsed time (longest first)
+  // Mesin berjalan: ETA terdekat dulu, tanpa ETA diurutkan elapsed terlama
   const runningMachines = machines
     .filter((m) => m.status === STATUS.RUNNING)
-    .sort((a, b) => toMinutes(b.elapsed_ms) - toMinutes(a.elapsed_ms));
+    .sort((a, b) => {
+      if (a.eta_at && b.eta_at) return a.eta_at.localeCompare(b.eta_at);
+      if (a.eta_at || b.eta_at) return a.eta_at ? -1 : 1;
+      return toMinutes(b.elapsed_ms) - toMinutes(a.elapsed_ms);
+    });
 
   etaBody.innerHTML = "";
 
@@ -412,10 +494,17 @@ function renderEta() {
     const timeCell = document.createElement("div");
     timeCell.className = "eta-time";
     const formattedElapsed = formatElapsedTime(machine.elapsed_ms);
-    timeCell.innerHTML = `
-      <span class="eta-duration">${formattedElapsed}</span>
-      <span class="eta-subtitle">sudah berjalan</span>
-    `;
+    if (machine.eta_at) {
+      timeCell.innerHTML = `
+        <span class="eta-duration">${formatEtaClock(machine)}</span>
+        <span class="eta-subtitle">perkiraan selesai</span>
+      `;
+    } else {
+      timeCell.innerHTML = `
+        <span class="eta-duration">${formattedElapsed}</span>
+        <span class="eta-subtitle">sudah berjalan</span>
+      `;
+    }
 
     row.appendChild(machineCell);
     row.appendChild(timeCell);
@@ -504,6 +593,9 @@ function renderUpdatedAt() {
 const MIN_REFRESH_INTERVAL_MS = 30000; // 30 detik
 const MAX_REFRESH_INTERVAL_MS = 60000; // 60 detik
 
+let refreshTimer = null;
+let isPolling = false;
+
 /**
  * Get random refresh interval between 30-60 seconds
  */
@@ -521,28 +613,51 @@ function getRandomRefreshInterval() {
 function scheduleNextRefresh(fn) {
   const delay = getRandomRefreshInterval();
   console.log(`Next refresh in ${Math.round(delay / 1000)} seconds`);
-  setTimeout(async () => {
+  refreshTimer = setTimeout(async () => {
     await fn();
-    scheduleNextRefresh(fn);
+    if (isPolling) scheduleNextRefresh(fn);
   }, delay);
 }
 
+/**
+ * Map mesin dari response API ke format FE
+ */
+function mapMachine(m) {
+  return {
+    id: m.id,
+    type: m.type === "dryer" ? "D" : "W",
+    label: m.label,
+    slot: m.slot,
+    status: m.status, // Keep original status (READY, RUNNING, OFFLINE)
+    elapsed_ms: m.elapsed_ms || null,
+    eta_at: m.eta_at || null,
+    eta_confidence: m.eta_confidence || null,
+    updated_at: m.updated_at,
+  };
+}
+
 /**
  * Start polling untuk update data dengan jitter
  */
 async function fetchFromBackend() {
   try {
-    const headers = { "cache-control": "no-cache" };
+    const headers = { "cache-control": "no-cache", ...kioskKeyHeaders() };
     if (lastETag) {
       headers["If-None-Match"] = lastETag;
     }
 
-    const res = await fetch(`${API_BASE}/api/machines`, {
+    const res = await fetch(withOutlet(`${API_BASE}/api/machines`), {
       cache: "no-store",
       headers,
     });
     console.log("fetchFromBackend", res);
 
+    // Key dicabut/kedaluwarsa: lanjut tanpa key (endpoint publik)
+    if (res.status === 401 && headers["X-API-Key"]) {
+      console.warn("Kiosk API key rejected, continuing without it");
+      localStorage.removeItem(KIOSK_KEY_STORAGE);
+    }
+
     // Handle 304 Not Modified response
     if (res.status === 304) {
       console.log("Data unchanged (304), updating stale status only");
@@ -571,15 +686,7 @@ async function fetchFromBackend() {
     meta = data?.meta || { ts: null, stale: true };
 
     // Map status dan type
-    machines = items.map((m) => ({
-      id: m.id,
-      type: m.type === "dryer" ? "D" : "W",
-      label: m.label,
-      slot: m.slot,
-      status: m.status, // Keep original status (READY, RUNNING, OFFLINE)
-      elapsed_ms: m.elapsed_ms || null,
-      updated_at: m.updated_at,
-    }));
+    machines = items.map(mapMachine);
 
     // Update lastETag from response
     const newETag = res.headers.get("ETag");
@@ -603,6 +710,8 @@ async function fetchFromBackend() {
 }
 
 function startPolling() {
+  if (isPolling) return;
+  isPolling = true;
   console.log("Starting refresh scheduling with random 30-60 second intervals");
 
   // Schedule first refresh
@@ -615,6 +724,167 @@ function startPolling() {
   });
 }
 
+/**
+ * Hentikan polling (dipakai saat SSE tersambung kembali)
+ */
+function stopPolling() {
+  isPolling = false;
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+function renderAll() {
+  renderGrid();
+  renderEta();
+  renderStatusLegend();
+  renderUpdatedAt();
+}
+
+// Live update via Server-Sent Events, fallback ke polling ETag
+const STREAM_MAX_FAILURES = 3;
+const STREAM_WATCHDOG_MS = 60000; // server kirim heartbeat tiap ~25 detik
+const STREAM_RETRY_MS = 5 * 60 * 1000; // coba SSE lagi setelah fallback
+
+let machineStream = null;
+let streamFailures = 0;
+let streamWatchdog = null;
+let streamRetryTimer = null;
+let streamDirty = false;
+
+/**
+ * Mulai live update: SSE jika didukung browser, selain itu polling
+ */
+function startLiveUpdates() {
+  if (typeof window.EventSource === "undefined") {
+    startPolling();
+    return;
+  }
+  connectMachineStream();
+}
+
+function resetStreamWatchdog() {
+  if (streamWatchdog) clearTimeout(streamWatchdog);
+  streamWatchdog = setTimeout(() => {
+    console.warn("Machine stream silent too long, falling back to polling");
+    fallbackToPolling();
+  }, STREAM_WATCHDOG_MS);
+}
+
+function closeMachineStream() {
+  if (streamWatchdog) {
+    clearTimeout(streamWatchdog);
+    streamWatchdog = null;
+  }
+  if (machineStream) {
+    machineStream.close();
+    machineStream = null;
+  }
+}
+
+/**
+ * Tutup SSE, kembali ke polling ETag, dan jadwalkan percobaan SSE berikutnya
+ */
+function fallbackToPolling() {
+  closeMachineStream();
+  fetchFromBackend();
+  startPolling();
+
+  if (!streamRetryTimer) {
+    streamRetryTimer = setTimeout(() => {
+      streamRetryTimer = null;
+      streamFailures = 0;
+      connectMachineStream();
+    }, STREAM_RETRY_MS);
+  }
+}
+
+/**
+ * Connect ke /api/machines/stream (snapshot + delta per mesin)
+ */
+function connectMachineStream() {
+  if (machineStream) return;
+
+  console.log("Connecting to machine stream");
+  const source = new EventSource(
+    withOutlet(`${API_BASE}/api/machines/stream`)
+  );
+  machineStream = source;
+  resetStreamWatchdog();
+
+  source.addEventListener("open", () => {
+    console.log("Machine stream connected");
+    streamFailures = 0;
+    stopPolling();
+  });
+
+  source.addEventListener("snapshot", (e) => {
+    resetStreamWatchdog();
+    const data = JSON.parse(e.data);
+    machines = (Array.isArray(data?.machines) ? data.machines : []).map(
+      mapMachine
+    );
+    meta = data?.meta || { ts: null, stale: true };
+    lastUpdateTime = new Date();
+    isDataStale = !!meta.stale;
+    streamDirty = false;
+    renderAll();
+  });
+
+  source.addEventListener("machine", (e) => {
+    resetStreamWatchdog();
+    const { machine } = JSON.parse(e.data);
+    const updated = mapMachine(machine);
+    const idx = machines.findIndex((m) => m.id === updated.id);
+    if (idx >= 0) machines[idx] = updated;
+    else machines.push(updated);
+    streamDirty = true;
+  });
+
+  source.addEventListener("removed", (e) => {
+    resetStreamWatchdog();
+    const { id } = JSON.parse(e.data);
+    machines = machines.filter((m) => m.id !== id);
+    streamDirty = true;
+  });
+
+  // Server selalu kirim `meta` setelah delta satu refresh → render sekali
+  source.addEventListener("meta", (e) => {
+    resetStreamWatchdog();
+    const data = JSON.parse(e.data);
+    meta = { ...meta, ...(data?.meta || {}) };
+    lastUpdateTime = new Date();
+    isDataStale = !!meta.stale;
+    if (streamDirty) {
+      streamDirty = false;
+      renderAll();
+    } else {
+      renderUpdatedAt();
+    }
+  });
+
+  source.addEventListener("heartbeat", () => {
+    resetStreamWatchdog();
+  });
+
+  source.addEventListener("error", () => {
+    streamFailures += 1;
+    console.warn(`Machine stream error (${streamFailures}x)`);
+    isDataStale = true;
+    renderUpdatedAt();
+
+    // EventSource reconnect sendiri (dengan Last-Event-ID); fallback jika
+    // koneksi ditutup permanen atau gagal berulang kali
+    if (
+      source.readyState === EventSource.CLOSED ||
+      streamFailures >= STREAM_MAX_FAILURES
+    ) {
+      fallbackToPolling();
+    }
+  });
+}
+
 // Event listeners
 document.addEventListener("DOMContentLoaded", () => {
   // Initialize the app (no machine config needed for public view)
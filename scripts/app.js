@@ -24,136 +24,111 @@ let isDataStale = false;
 let meta = { ts: null, stale: true };
 
 // Machine brand mapping
-// Machine Configuration - will be loaded from external file
+// Machine Configuration - loaded from machine registry (/api/machines/registry)
 let MACHINE_CONFIG = null;
 let machineBrands = {};
 
-// Hardcoded machine ID mapping (from controllers.json)
-const MACHINE_ID_MAPPING = {
-  D48AFC354603: "D05",
-  D48AFC325A64: "D07",
-  "2CF4321072A5": "D01_OLD",
-  "40F5203F7801": "D01",
-  "68C63AFC13FA": "D02",
-  "483FDA643B85": "D03",
-  "48E7296DE4BF": "D04",
-  D48AFC35465C: "D06",
-  D48AFC31F4C0: "D08",
-  D48AFC354357: "D09",
-  BCDDC248DF58: "D10",
-  C82B961E9BF3: "D11",
-  "8CCE4EF44A99": "D12",
-  "9C9C1F410120": "W01",
-  "98F4ABD8506A": "W02",
-  "8CAAB5D53E39": "W03",
-  "84F3EB6ED32F": "W04",
-  "483FDA69F7C5": "W05",
-  "483FDA077794": "W06",
-  "807D3A4E5A46": "W07",
-  "5CCF3FDBB498": "W08",
-  "483FDA6AFDC7": "W10_OLD",
-  "8CAAB556EF34": "W09",
-  "500291EB8F36": "W10",
-  A4CF12F307D1: "W11",
-  "68C63AFC1863": "W12",
-};
-
 // Helper function to get machine max weight
 const getMachineMaxWeight = (machineLabel) => {
   if (!MACHINE_CONFIG) return 10;
   return MACHINE_CONFIG.machineMaxWeight[machineLabel] || 10;
 };
 
-// Load machine configuration from external file
+// Helper function to get machine label from controller id
+const getMachineLabelById = (machineId, fallback) => {
+  if (!MACHINE_CONFIG) return fallback;
+  return MACHINE_CONFIG.machineLabels[machineId] || fallback;
+};
+
+/**
+ * Bentuk MACHINE_CONFIG dari daftar mesin registry
+ */
+function buildMachineConfig(records) {
+  const config = {
+    machineLabels: {},
+    machineBrands: {},
+    machineMaxWeight: {},
+  };
+  records.forEach((record) => {
+    config.machineLabels[record.id] = record.label;
+    config.machineBrands[record.label] = record.brand;
+    config.machineMaxWeight[record.label] = record.max_weight;
+  });
+  return config;
+}
+
+// Load machine configuration from machine registry API
 async function loadMachineConfig() {
   try {
-    const response = await fetch("/src/constants.js");
+    const response = await fetch(
+      withOutlet(`${API_BASE}/api/machines/registry`),
+      { cache: "no-store" }
+    );
     if (!response.ok) {
-      throw new Error("Failed to load constants");
+      throw new Error(`HTTP ${response.status}`);
     }
-    const text = await response.text();
+    const json = await response.json();
+    MACHINE_CONFIG = buildMachineConfig(json.data || []);
+    machineBrands = MACHINE_CONFIG.machineBrands;
+    console.log("✅ Machine config loaded from registry");
+  } catch (error) {
+    console.warn("⚠️ Failed to load machine registry:", error);
+    MACHINE_CONFIG = buildMachineConfig([]);
+    machineBrands = {};
+  }
+}
 
-    // Extract MACHINE_CONFIG from the module
-    const moduleMatch = text.match(
-      /export const MACHINE_CONFIG = ({[\s\S]*?});/
-    );
-    if (moduleMatch) {
-      // Simple JSON parsing for the config object
-      const configStr = moduleMatch[1]
-        .replace(/(\w+):/g, '"$1":') // Add quotes to keys
-        .replace(/'/g, '"'); // Replace single quotes with double quotes
-
-      MACHINE_CONFIG = JSON.parse(configStr);
-      machineBrands = MACHINE_CONFIG.machineBrands;
-      console.log("✅ Machine config loaded from constants.js");
-    } else {
-      throw new Error("Could not parse MACHINE_CONFIG");
+// Layout grid TV dari /api/layout (diatur admin di /layout)
+let gridLayout = null;
+
+async function loadGridLayout() {
+  try {
+    const response = await fetch(withOutlet(`${API_BASE}/api/layout`), {
+      cache: "no-store",
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
+    const json = await response.json();
+    gridLayout = json.data || null;
+    console.log("✅ Grid layout loaded");
   } catch (error) {
-    console.warn("⚠️ Failed to load machine config, using fallback:", error);
-    // Fallback configuration
-    MACHINE_CONFIG = {
-      machineBrands: {
-        D01_OLD: "SQ",
-        D01: "SQ",
-        D02: "SQ",
-        D03: "FGD",
-        D04: "FGD",
-        D05: "MDG",
-        D06: "MDG",
-        D07: "MDG",
-        D08: "MDG",
-        D09: "MDG",
-        D10: "NTG",
-        D11: "NTG",
-        D12: "NTG",
-        W01: "Titan",
-        W02: "Titan",
-        W03: "LG24",
-        W04: "LG24",
-        W05: "FGD",
-        W06: "FGD",
-        W07: "LG20",
-        W08: "LG20",
-        W09: "LG20",
-        W10: "LG24",
-        W10_OLD: "NTG",
-        W11: "BEKO",
-        W12: "BEKO",
-      },
-      machineMaxWeight: {
-        D01_OLD: 10,
-        D01: 10,
-        D02: 10,
-        D03: 10,
-        D04: 10,
-        D05: 10,
-        D06: 10,
-        D07: 10,
-        D08: 10,
-        D09: 10,
-        D10: 10,
-        D11: 10,
-        D12: 10,
-        W01: 10,
-        W02: 10,
-        W03: 10,
-        W04: 10,
-        W05: 10,
-        W06: 10,
-        W07: 10,
-        W08: 10,
-        W09: 10,
-        W10: 10,
-        W10_OLD: 10,
-        W11: 10,
-        W12: 10,
-      },
-    };
-    machineBrands = MACHINE_CONFIG.machineBrands;
+    console.warn("⚠️ Failed to load grid layout, using CSS slots:", error);
+    gridLayout = null;
   }
 }
 
+/**
+ * Terapkan layout ke grid TV: ukuran grid + posisi tiap label.
+ * Tablet/desktop pakai aturan CSS (inline style dibersihkan).
+ */
+function applyGridLayout(grid, isTv) {
+  const props = [
+    "gridTemplateColumns",
+    "gridTemplateRows",
+    "columnGap",
+    "rowGap",
+    "width",
+  ];
+  props.forEach((prop) => (grid.style[prop] = ""));
+  if (!isTv || !gridLayout) return null;
+
+  const { rows, columns, column_gap, row_gap } = gridLayout;
+  grid.style.gridTemplateColumns = `repeat(${columns}, var(--tile))`;
+  grid.style.gridTemplateRows = `repeat(${rows}, var(--tile))`;
+  grid.style.columnGap = `${column_gap}px`;
+  grid.style.rowGap = `${row_gap}px`;
+  grid.style.width = `calc(${columns} * var(--tile) + ${
+    columns - 1
+  } * ${column_gap}px)`;
+
+  const positions = {};
+  (gridLayout.cells || []).forEach((cell) => {
+    positions[cell.label] = cell;
+  });
+  return positions;
+}
+
 let lastETag = null;
 
 // Tentukan base URL API:
@@ -171,6 +146,16 @@ const API_BASE = onFile
   ? ""
   : "http://localhost:3000";
 
+// Outlet yang ditampilkan layar ini (multi-outlet): /monitor?outlet=<id>.
+// Tanpa param = outlet default server.
+const OUTLET_PARAM = new URLSearchParams(window.location.search).get("outlet");
+
+function withOutlet(url) {
+  if (!OUTLET_PARAM) return url;
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}outlet=${encodeURIComponent(OUTLET_PARAM)}`;
+}
+
 // Hysteresis untuk mencegah "kedip" status
 const hysteresisCache = new Map();
 const HYSTERESIS_THRESHOLD = 3000; // 3 detik
@@ -195,8 +180,23 @@ async function init() {
     console.error("Initial fetch failed", e);
   }
 
-  // Mulai polling dari API
-  startPolling();
+  // Mulai live update (SSE, fallback ke polling)
+  startLiveUpdates();
+
+  fetchAnomalies();
+  setInterval(fetchAnomalies, ANOMALY_REFRESH_MS);
+
+  // Antrean start hanya untuk staff yang boleh mengontrol mesin
+  if (Auth.hasPermission("machines:control")) {
+    document.getElementById("queueCard").style.display = "";
+    fetchQueue();
+    setInterval(fetchQueue, QUEUE_REFRESH_MS);
+  }
+  if (Auth.hasPermission("orders:manage")) {
+    document.getElementById("ordersCard").style.display = "";
+    fetchOrders();
+    setInterval(fetchOrders, ORDERS_REFRESH_MS);
+  }
 
   console.log("Application initialized successfully");
 }
@@ -218,6 +218,61 @@ function renderGrid() {
     // Desktop/Tablet/TV: Render single grid
     renderSingleGrid();
   }
+
+  renderAnomalyBadges();
+}
+
+// Anomali mesin dari /api/anomalies (mesin macet, offline lama, dll)
+const ANOMALY_REFRESH_MS = 60000;
+const QUEUE_REFRESH_MS = 30000;
+const ORDERS_REFRESH_MS = 30000;
+const CUSTOMER_SUGGEST_DELAY_MS = 250;
+let anomaliesByMachine = {};
+
+/**
+ * Ambil anomali aktif lalu perbarui badge peringatan di kartu mesin
+ */
+async function fetchAnomalies() {
+  try {
+    const res = await fetch(withOutlet(`${API_BASE}/api/anomalies`), {
+      cache: "no-store",
+      headers: Auth.getAuthHeaders(),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const result = await res.json();
+    anomaliesByMachine = {};
+    (result?.data || []).forEach((anomaly) => {
+      const list = anomaliesByMachine[anomaly.machine_id] || [];
+      list.push(anomaly);
+      anomaliesByMachine[anomaly.machine_id] = list;
+    });
+    renderAnomalyBadges();
+  } catch (err) {
+    console.error("Fetch anomalies gagal:", err);
+  }
+}
+
+/**
+ * Badge ⚠️ di pojok kiri atas kartu mesin yang punya anomali aktif;
+ * detail anomali di tooltip
+ */
+function renderAnomalyBadges() {
+  document.querySelectorAll(".machine[data-machine-id]").forEach((el) => {
+    el.querySelector(".machine-anomaly")?.remove();
+
+    const list = anomaliesByMachine[el.dataset.machineId];
+    if (!list || list.length === 0) return;
+
+    const badge = document.createElement("div");
+    const critical = list.some((a) => a.severity === "critical");
+    badge.className = `machine-anomaly ${
+      critical ? "anomaly-critical" : "anomaly-warning"
+    }`;
+    badge.textContent = list.length > 1 ? `⚠️${list.length}` : "⚠️";
+    badge.title = list.map((a) => a.message).join("\n");
+    el.appendChild(badge);
+  });
 }
 
 /**
@@ -263,6 +318,7 @@ function renderSingleGrid() {
     });
   }
   // TV: Keep original order (no sorting)
+  const layoutPositions = applyGridLayout(grid, !isTablet && !isDesktop);
 
   sortedMachines.forEach((machine, index) => {
     let divClass = machine.slot; // Default slot from API
@@ -277,6 +333,13 @@ function renderSingleGrid() {
     const machineWrapper = document.createElement("div");
     machineWrapper.className = "machine-wrapper";
 
+    // Posisi dari layout admin; label yang belum ditempatkan auto-flow
+    const cell = layoutPositions && layoutPositions[machine.label];
+    if (cell) {
+      machineWrapper.style.gridRow = String(cell.row);
+      machineWrapper.style.gridColumn = String(cell.column);
+    }
+
     // Create machine box
     const machineElement = document.createElement("div");
     machineElement.className = `machine ${divClass}`;
@@ -402,6 +465,13 @@ function renderMobileGrids() {
     const machineWrapper = document.createElement("div");
     machineWrapper.className = "machine-wrapper";
 
+    // Posisi dari layout admin; label yang belum ditempatkan auto-flow
+    const cell = layoutPositions && layoutPositions[machine.label];
+    if (cell) {
+      machineWrapper.style.gridRow = String(cell.row);
+      machineWrapper.style.gridColumn = String(cell.column);
+    }
+
     // Create machine box
     const machineElement = document.createElement("div");
     machineElement.className = `machine responsive-${index}`;
@@ -497,6 +567,13 @@ function renderMobileGrids() {
     const machineWrapper = document.createElement("div");
     machineWrapper.className = "machine-wrapper";
 
+    // Posisi dari layout admin; label yang belum ditempatkan auto-flow
+    const cell = layoutPositions && layoutPositions[machine.label];
+    if (cell) {
+      machineWrapper.style.gridRow = String(cell.row);
+      machineWrapper.style.gridColumn = String(cell.column);
+    }
+
     // Create machine box
     const machineElement = document.createElement("div");
     machineElement.className = `machine responsive-${index}`;
@@ -742,17 +819,18 @@ async function getMachineEvent(machineId) {
 /**
  * Get event detail from gateway (via frontend API proxy)
  */
+// Map cache event type to API event type
+const EVENT_API_TYPES = {
+  do: "drop-off",
+  qe: "employee-quota",
+  mt: "maintenance",
+  ep: "error-payment",
+  cp: "claim-promo",
+};
+
 async function getEventDetail(eventType, eventId) {
   try {
-    // Map cache event type to API event type
-    const apiEventType =
-      {
-        do: "drop-off",
-        qe: "employee-quota",
-        mt: "maintenance",
-        ep: "error-payment",
-        cp: "claim-promo",
-      }[eventType] || eventType;
+    const apiEventType = EVENT_API_TYPES[eventType] || eventType;
 
     const response = await fetch(
       `${API_BASE}/api/events/${apiEventType}/${eventId}`,
@@ -1131,6 +1209,13 @@ async function showEventTooltip(badgeElement, eventType, eventId) {
         ${content}
       </div>
     `;
+    await appendEventCorrection(
+      tooltip,
+      badgeElement,
+      eventType,
+      eventId,
+      detail
+    );
 
     // Reposition after content update
     const updatedTooltipRect = tooltip.getBoundingClientRect();
@@ -1158,6 +1243,265 @@ async function showEventTooltip(badgeElement, eventType, eventId) {
   }
 }
 
+// Field event yang bisa dikoreksi staff dari tooltip (lihat PATCH
+// /api/events/:type/:id); klaim promo tidak bisa dikoreksi
+const EVENT_EDIT_FIELDS = {
+  do: ["customer_name", "customer_phone", "employee_id", "other_employee_name"],
+  ep: ["description", "employee_id", "other_employee_name"],
+  qe: ["employee_name"],
+  mt: ["mtype", "note", "employee_id", "other_employee_name"],
+};
+
+const EVENT_EDIT_LABELS = {
+  customer_name: "Pelanggan",
+  customer_phone: "Telepon",
+  employee_id: "Karyawan",
+  other_employee_name: "Nama Karyawan Lain",
+  description: "Deskripsi",
+  employee_name: "Karyawan",
+  mtype: "Jenis",
+  note: "Catatan",
+};
+
+const MAINTENANCE_TYPE_OPTIONS = [
+  ["cuci_kosong", "Cuci Kosong"],
+  ["tube_clean", "Tube Clean"],
+  ["other", "Lainnya"],
+];
+
+function eventApiUrl(eventType, eventId, suffix = "") {
+  const type = EVENT_API_TYPES[eventType] || eventType;
+  const id = encodeURIComponent(eventId);
+  return `${API_BASE}/api/events/${type}/${id}${suffix}`;
+}
+
+function tooltipItem(label, value) {
+  const item = document.createElement("div");
+  item.className = "tooltip-item";
+  const labelEl = document.createElement("span");
+  labelEl.className = "tooltip-label";
+  labelEl.textContent = label;
+  const valueEl = document.createElement("span");
+  valueEl.className = "tooltip-value";
+  valueEl.textContent = value;
+  item.append(labelEl, valueEl);
+  return item;
+}
+
+/**
+ * Bagian koreksi di tooltip event: status batal, revisi terakhir dan
+ * tombol Ubah/Batalkan (staff dengan machines:control)
+ */
+async function appendEventCorrection(
+  tooltip,
+  badgeElement,
+  eventType,
+  eventId,
+  detail
+) {
+  const container = tooltip.querySelector(".tooltip-content");
+  if (detail.canceled_at) {
+    container.appendChild(
+      tooltipItem("Dibatalkan:", detail.cancel_reason || "-")
+    );
+  }
+  if (!EVENT_EDIT_FIELDS[eventType]) return;
+  if (!Auth.hasPermission("machines:control")) return;
+
+  try {
+    const res = await fetch(eventApiUrl(eventType, eventId, "/revisions"), {
+      cache: "no-store",
+      headers: Auth.getAuthHeaders(),
+    });
+    const revisions = res.ok ? (await res.json())?.data || [] : [];
+    const last = revisions[revisions.length - 1];
+    if (last) {
+      container.appendChild(
+        tooltipItem(
+          `Dikoreksi ${revisions.length}x:`,
+          `${last.reason} (${last.by || "-"}, ${new Date(
+            last.at
+          ).toLocaleString("id-ID")})`
+        )
+      );
+    }
+  } catch (err) {
+    console.error("Fetch revisi event gagal:", err);
+  }
+  if (detail.canceled_at) return;
+
+  const actions = document.createElement("div");
+  actions.className = "tooltip-actions";
+  const editBtn = document.createElement("button");
+  editBtn.className = "btn btn-secondary";
+  editBtn.textContent = "Ubah";
+  editBtn.addEventListener("click", (e) => {
+    // Konten tooltip diganti: jangan sampai dianggap klik di luar tooltip
+    e.stopPropagation();
+    renderEventEditForm(tooltip, badgeElement, eventType, eventId, detail);
+  });
+  const cancelBtn = document.createElement("button");
+  cancelBtn.className = "btn btn-secondary";
+  cancelBtn.textContent = "Batalkan";
+  cancelBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    cancelEventFromTooltip(badgeElement, eventType, eventId);
+  });
+  actions.append(editBtn, cancelBtn);
+  container.appendChild(actions);
+}
+
+function eventEditInput(field, value) {
+  let input;
+  if (field === "employee_id") {
+    input = document.createElement("select");
+    input.appendChild(new Option("Pilih karyawan...", ""));
+    employeesList.forEach((emp) =>
+      input.appendChild(
+        new Option(emp.employee_nickname || emp.employee_name, String(emp.id))
+      )
+    );
+  } else if (field === "mtype") {
+    input = document.createElement("select");
+    MAINTENANCE_TYPE_OPTIONS.forEach(([v, label]) =>
+      input.appendChild(new Option(label, v))
+    );
+  } else {
+    input = document.createElement("input");
+    input.type = "text";
+  }
+  input.className = "event-input-field";
+  input.name = field;
+  input.value = value === undefined || value === null ? "" : String(value);
+  return input;
+}
+
+/** Form koreksi event di dalam tooltip; alasan wajib diisi */
+function renderEventEditForm(
+  tooltip,
+  badgeElement,
+  eventType,
+  eventId,
+  detail
+) {
+  const container = tooltip.querySelector(".tooltip-content");
+  container.innerHTML = '<div class="tooltip-header">Koreksi Event</div>';
+  const form = document.createElement("form");
+  const errors = {};
+
+  const addField = (field, label, input) => {
+    const item = document.createElement("div");
+    item.className = "tooltip-item";
+    const labelEl = document.createElement("label");
+    labelEl.className = "tooltip-label";
+    labelEl.textContent = label;
+    const error = document.createElement("div");
+    error.className = "tooltip-error";
+    errors[field] = error;
+    item.append(labelEl, input, error);
+    form.appendChild(item);
+  };
+
+  EVENT_EDIT_FIELDS[eventType].forEach((field) =>
+    addField(
+      `data.${field}`,
+      EVENT_EDIT_LABELS[field],
+      eventEditInput(field, detail[field])
+    )
+  );
+  const reasonInput = eventEditInput("reason", "");
+  reasonInput.placeholder = "Alasan koreksi";
+  addField("reason", "Alasan", reasonInput);
+  // Error tanpa input sendiri, mis. "Tidak ada perubahan"
+  errors.data = document.createElement("div");
+  errors.data.className = "tooltip-error";
+  form.appendChild(errors.data);
+
+  const actions = document.createElement("div");
+  actions.className = "tooltip-actions";
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "submit";
+  saveBtn.className = "btn btn-primary";
+  saveBtn.textContent = "Simpan";
+  const backBtn = document.createElement("button");
+  backBtn.type = "button";
+  backBtn.className = "btn btn-secondary";
+  backBtn.textContent = "Batal";
+  backBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    showEventTooltip(badgeElement, eventType, eventId);
+  });
+  actions.append(saveBtn, backBtn);
+  form.appendChild(actions);
+  container.appendChild(form);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    Object.values(errors).forEach((el) => (el.textContent = ""));
+    const data = {};
+    EVENT_EDIT_FIELDS[eventType].forEach((field) => {
+      data[field] = form.elements[field].value;
+    });
+    if (data.employee_id === "") delete data.employee_id;
+
+    saveBtn.disabled = true;
+    try {
+      const response = await fetch(eventApiUrl(eventType, eventId), {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          ...Auth.getAuthHeaders(),
+        },
+        body: JSON.stringify({ reason: form.elements.reason.value, data }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        if (result.fields) {
+          Object.entries(result.fields).forEach(([field, message]) => {
+            if (errors[field]) errors[field].textContent = message;
+          });
+          return;
+        }
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+      if (result.warning) console.warn("Event updated:", result.warning);
+      await showEventTooltip(badgeElement, eventType, eventId);
+    } catch (error) {
+      console.error("Error updating event:", error);
+      alert(`Gagal mengoreksi event: ${error.message}`);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+}
+
+async function cancelEventFromTooltip(badgeElement, eventType, eventId) {
+  const reason = prompt("Alasan membatalkan event:");
+  if (reason === null) return;
+
+  try {
+    const response = await fetch(eventApiUrl(eventType, eventId), {
+      method: "DELETE",
+      headers: {
+        "Content-Type": "application/json",
+        ...Auth.getAuthHeaders(),
+      },
+      body: JSON.stringify({ reason }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        result.fields?.reason || result.message || `HTTP ${response.status}`
+      );
+    }
+    if (result.warning) console.warn("Event canceled:", result.warning);
+    await showEventTooltip(badgeElement, eventType, eventId);
+  } catch (error) {
+    console.error("Error canceling event:", error);
+    alert(`Gagal membatalkan event: ${error.message}`);
+  }
+}
+
 /**
  * Show transaction tooltip when QR badge is clicked
  */
@@ -1379,6 +1723,18 @@ function formatElapsedTime(elapsedMs) {
   return "—";
 }
 
+/**
+ * Jam selesai (WIB) dari eta_at; "±" jika hanya dari riwayat siklus
+ */
+function formatEtaClock(machine) {
+  const clock = new Intl.DateTimeFormat("id-ID", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: "Asia/Jakarta",
+  }).format(new Date(machine.eta_at));
+  return machine.eta_confidence === "high" ? clock : `± ${clock}`;
+}
+
 /**
  * Render panel ETA
  */
@@ -1386,10 +1742,14 @@ function renderEta() {
   const etaBody = document.getElementById("etaBody");
   if (!etaBody) return;
 
-  // Get all running machines and sort by elapsed time (longest first)
+  // Mesin berjalan: ETA terdekat dulu, tanpa ETA diurutkan elapsed terlama
   const runningMachines = machines
     .filter((m) => m.status === STATUS.RUNNING)
-    .sort((a, b) => toMinutes(b.elapsed_ms) - toMinutes(a.elapsed_ms));
+    .sort((a, b) => {
+      if (a.eta_at && b.eta_at) return a.eta_at.localeCompare(b.eta_at);
+      if (a.eta_at || b.eta_at) return a.eta_at ? -1 : 1;
+      return toMinutes(b.elapsed_ms) - toMinutes(a.elapsed_ms);
+    });
   // Remove slice(0, 3) to show all items
 
   etaBody.innerHTML = "";
@@ -1425,10 +1785,17 @@ function renderEta() {
     const timeCell = document.createElement("div");
     timeCell.className = "eta-time";
     const formattedElapsed = formatElapsedTime(machine.elapsed_ms);
-    timeCell.innerHTML = `
-      <span class="eta-duration">${formattedElapsed}</span>
-      <span class="eta-subtitle">sudah berjalan</span>
-    `;
+    if (machine.eta_at) {
+      timeCell.innerHTML = `
+        <span class="eta-duration">${formatEtaClock(machine)}</span>
+        <span class="eta-subtitle">perkiraan selesai</span>
+      `;
+    } else {
+      timeCell.innerHTML = `
+        <span class="eta-duration">${formattedElapsed}</span>
+        <span class="eta-subtitle">sudah berjalan</span>
+      `;
+    }
 
     row.appendChild(machineCell);
     row.appendChild(timeCell);
@@ -1620,6 +1987,9 @@ function renderUpdatedAt() {
 const MIN_REFRESH_INTERVAL_MS = 30000; // 30 detik
 const MAX_REFRESH_INTERVAL_MS = 60000; // 60 detik
 
+let refreshTimer = null;
+let isPolling = false;
+
 /**
  * Get random refresh interval between 30-60 seconds
  */
@@ -1637,12 +2007,30 @@ function getRandomRefreshInterval() {
 function scheduleNextRefresh(fn) {
   const delay = getRandomRefreshInterval();
   console.log(`Next refresh in ${Math.round(delay / 1000)} seconds`);
-  setTimeout(async () => {
+  refreshTimer = setTimeout(async () => {
     await fn();
-    scheduleNextRefresh(fn);
+    if (isPolling) scheduleNextRefresh(fn);
   }, delay);
 }
 
+/**
+ * Map mesin dari response API ke format FE
+ */
+function mapMachine(m) {
+  return {
+    id: m.id,
+    type: m.type === "dryer" ? "D" : "W",
+    label: m.label,
+    slot: m.slot,
+    status: m.status, // Keep original status (READY, RUNNING, OFFLINE)
+    elapsed_ms: m.elapsed_ms || null,
+    eta_at: m.eta_at || null,
+    eta_confidence: m.eta_confidence || null,
+    updated_at: m.updated_at,
+    aid: m.aid || null, // Include aid field for badge logic
+  };
+}
+
 /**
  * Start polling untuk update data dengan jitter
  */
@@ -1653,7 +2041,7 @@ async function fetchFromBackend() {
       headers["If-None-Match"] = lastETag;
     }
 
-    const res = await fetch(`${API_BASE}/api/machines`, {
+    const res = await fetch(withOutlet(`${API_BASE}/api/machines`), {
       cache: "no-store",
       headers,
     });
@@ -1687,16 +2075,7 @@ async function fetchFromBackend() {
     meta = data?.meta || { ts: null, stale: true };
 
     // Map status dan type
-    machines = items.map((m) => ({
-      id: m.id,
-      type: m.type === "dryer" ? "D" : "W",
-      label: m.label,
-      slot: m.slot,
-      status: m.status, // Keep original status (READY, RUNNING, OFFLINE)
-      elapsed_ms: m.elapsed_ms || null,
-      updated_at: m.updated_at,
-      aid: m.aid || null, // Include aid field for badge logic
-    }));
+    machines = items.map(mapMachine);
 
     // Update lastETag from response
     const newETag = res.headers.get("ETag");
@@ -1721,6 +2100,8 @@ async function fetchFromBackend() {
 }
 
 function startPolling() {
+  if (isPolling) return;
+  isPolling = true;
   console.log("Starting refresh scheduling with random 30-60 second intervals");
 
   // Schedule first refresh
@@ -1734,10 +2115,180 @@ function startPolling() {
   });
 }
 
+/**
+ * Hentikan polling (dipakai saat SSE tersambung kembali)
+ */
+function stopPolling() {
+  isPolling = false;
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+function renderAll() {
+  renderGrid();
+  renderEta();
+  renderSummary();
+  renderStatusLegend();
+  renderUpdatedAt();
+}
+
+// Live update via Server-Sent Events, fallback ke polling ETag
+const STREAM_MAX_FAILURES = 3;
+const STREAM_WATCHDOG_MS = 60000; // server kirim heartbeat tiap ~25 detik
+const STREAM_RETRY_MS = 5 * 60 * 1000; // coba SSE lagi setelah fallback
+
+let machineStream = null;
+let streamFailures = 0;
+let streamWatchdog = null;
+let streamRetryTimer = null;
+let streamDirty = false;
+
+/**
+ * Mulai live update: SSE jika didukung browser, selain itu polling
+ */
+function startLiveUpdates() {
+  if (typeof window.EventSource === "undefined") {
+    startPolling();
+    return;
+  }
+  connectMachineStream();
+}
+
+function resetStreamWatchdog() {
+  if (streamWatchdog) clearTimeout(streamWatchdog);
+  streamWatchdog = setTimeout(() => {
+    console.warn("Machine stream silent too long, falling back to polling");
+    fallbackToPolling();
+  }, STREAM_WATCHDOG_MS);
+}
+
+function closeMachineStream() {
+  if (streamWatchdog) {
+    clearTimeout(streamWatchdog);
+    streamWatchdog = null;
+  }
+  if (machineStream) {
+    machineStream.close();
+    machineStream = null;
+  }
+}
+
+/**
+ * Tutup SSE, kembali ke polling ETag, dan jadwalkan percobaan SSE berikutnya
+ */
+function fallbackToPolling() {
+  closeMachineStream();
+  fetchFromBackend();
+  startPolling();
+
+  if (!streamRetryTimer) {
+    streamRetryTimer = setTimeout(() => {
+      streamRetryTimer = null;
+      streamFailures = 0;
+      connectMachineStream();
+    }, STREAM_RETRY_MS);
+  }
+}
+
+/**
+ * Connect ke /api/machines/stream (snapshot + delta per mesin)
+ */
+function connectMachineStream() {
+  if (machineStream) return;
+
+  console.log("Connecting to machine stream");
+  const source = new EventSource(
+    withOutlet(`${API_BASE}/api/machines/stream`)
+  );
+  machineStream = source;
+  resetStreamWatchdog();
+
+  source.addEventListener("open", () => {
+    console.log("Machine stream connected");
+    streamFailures = 0;
+    stopPolling();
+  });
+
+  source.addEventListener("snapshot", (e) => {
+    resetStreamWatchdog();
+    const data = JSON.parse(e.data);
+    machines = (Array.isArray(data?.machines) ? data.machines : []).map(
+      mapMachine
+    );
+    meta = data?.meta || { ts: null, stale: true };
+    lastUpdateTime = new Date();
+    isDataStale = !!meta.stale;
+    streamDirty = false;
+    renderAll();
+  });
+
+  source.addEventListener("machine", (e) => {
+    resetStreamWatchdog();
+    const { machine } = JSON.parse(e.data);
+    const updated = mapMachine(machine);
+    const idx = machines.findIndex((m) => m.id === updated.id);
+    if (idx >= 0) machines[idx] = updated;
+    else machines.push(updated);
+    streamDirty = true;
+  });
+
+  source.addEventListener("removed", (e) => {
+    resetStreamWatchdog();
+    const { id } = JSON.parse(e.data);
+    machines = machines.filter((m) => m.id !== id);
+    streamDirty = true;
+  });
+
+  // Server selalu kirim `meta` setelah delta satu refresh → render sekali
+  source.addEventListener("meta", (e) => {
+    resetStreamWatchdog();
+    const data = JSON.parse(e.data);
+    meta = { ...meta, ...(data?.meta || {}) };
+    lastUpdateTime = new Date();
+    isDataStale = !!meta.stale;
+    if (streamDirty) {
+      streamDirty = false;
+      renderAll();
+    } else {
+      renderUpdatedAt();
+    }
+  });
+
+  // Admin menyimpan layout baru → susun ulang grid tanpa reload
+  source.addEventListener("layout", (e) => {
+    resetStreamWatchdog();
+    const { layout } = JSON.parse(e.data);
+    gridLayout = layout || null;
+    renderGrid();
+  });
+
+  source.addEventListener("heartbeat", () => {
+    resetStreamWatchdog();
+  });
+
+  source.addEventListener("error", () => {
+    streamFailures += 1;
+    console.warn(`Machine stream error (${streamFailures}x)`);
+    isDataStale = true;
+    renderUpdatedAt();
+
+    // EventSource reconnect sendiri (dengan Last-Event-ID); fallback jika
+    // koneksi ditutup permanen atau gagal berulang kali
+    if (
+      source.readyState === EventSource.CLOSED ||
+      streamFailures >= STREAM_MAX_FAILURES
+    ) {
+      fallbackToPolling();
+    }
+  });
+}
+
 // Event listeners
 document.addEventListener("DOMContentLoaded", async () => {
-  // Load machine configuration first
-  await loadMachineConfig();
+  // Load machine configuration + grid layout first
+  await Promise.all([loadMachineConfig(), loadGridLayout()]);
   // Then initialize the app
   init();
 });
@@ -1764,20 +2315,107 @@ window.addEventListener("error", (event) => {
 // Modal functions
 let currentMachine = null;
 let currentStopMachine = null;
+// Idempotency-Key per pembukaan modal start: tap ganda / kirim ulang
+// tidak menyalakan mesin dua kali
+let startIdempotencyKey = null;
+// Modal start dibuka untuk antrean (mesin boleh sedang berjalan)
+let queueMode = false;
+
+// Path field dari validasi server (`fields`) → input modal per event
+const START_FIELD_INPUTS = {
+  "drop-off": {
+    customer_name: "customerName",
+    customer_phone: "customerPhone",
+    employee_id: "employeeSelectDropOff",
+    other_employee_name: "otherEmployeeNameDropOff",
+  },
+  "error-payment": {
+    description: "errorDescription",
+    employee_id: "employeeSelectErrorPayment",
+    other_employee_name: "otherEmployeeNameErrorPayment",
+  },
+  "employee-quota": { employee_name: "employeeName" },
+  maintenance: {
+    employee_id: "employeeSelectMaintenance",
+    other_employee_name: "otherEmployeeNameMaintenance",
+  },
+  "claim-promo": {
+    customer_name: "customerNameClaimPromo",
+    customer_phone: "customerPhoneClaimPromo",
+    employee_id: "employeeSelectClaimPromo",
+    other_employee_name: "otherEmployeeNameClaimPromo",
+  },
+};
+
+function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Path field dari validasi server (`fields`) → input modal stop
+const STOP_FIELD_INPUTS = {
+  reason: "stopReasonSelect",
+  transaction_id: "stopTransactionId",
+  note: "stopNote",
+};
+
+function clearModalFieldErrors() {
+  document.querySelectorAll(".modal-field-error").forEach((el) => el.remove());
+}
+
+/**
+ * Tampilkan error validasi server di bawah input terkait (`inputFor`:
+ * path field → id input). Return pesan yang tidak punya input (mis.
+ * status mesin) untuk ditampilkan di alert.
+ */
+function showModalFieldErrors(fields, inputFor) {
+  clearModalFieldErrors();
+  const unmapped = [];
+  Object.entries(fields).forEach(([field, message]) => {
+    const inputId = inputFor(field);
+    const input = inputId && document.getElementById(inputId);
+    if (!input) {
+      unmapped.push(message);
+      return;
+    }
+    const error = document.createElement("p");
+    error.className = "modal-field-error";
+    error.style.cssText = "color:#dc2626;font-size:0.75rem;margin-top:0.25rem";
+    error.textContent = message;
+    input.insertAdjacentElement("afterend", error);
+  });
+  return unmapped;
+}
+
+function startFieldInput(field, eventType) {
+  if (field === "duration") return "durationInput";
+  if (field === "start_at") return "startAtInput";
+  if (field === "order_id") return "orderSelectDropOff";
+  if (field === "event.type") return "eventTypeSelect";
+  return START_FIELD_INPUTS[eventType]?.[field.replace("event.data.", "")];
+}
 
 /**
- * Open machine control modal
+ * Open machine control modal. `options.queue`: hanya antrekan start
+ * (dikirim saat mesin READY), dipakai untuk mesin yang sedang berjalan
  */
-async function openMachineModal(machine) {
-  if (machine.status !== "READY") {
+async function openMachineModal(machine, options = {}) {
+  if (machine.status !== "READY" && !options.queue) {
     console.log("Machine is not ready:", machine.label);
     return;
   }
 
   currentMachine = machine;
+  queueMode = !!options.queue;
+  document.getElementById("modalTitle").textContent = queueMode
+    ? "Antrekan Start"
+    : "Menyalakan Mesin";
+  document.getElementById("modalStartBtn").style.display = queueMode
+    ? "none"
+    : "";
 
   // Get machine label from mapping
-  const machineLabel = MACHINE_ID_MAPPING[machine.id] || machine.label;
+  const machineLabel = getMachineLabelById(machine.id, machine.label);
 
   console.log(`Opening modal for machine ${machine.id} -> ${machineLabel}`);
 
@@ -1800,6 +2438,10 @@ async function openMachineModal(machine) {
 
   // Reset duration input
   document.getElementById("durationInput").value = "1";
+  document.getElementById("startAtInput").value = "";
+  populateOrderSelect();
+  startIdempotencyKey = newIdempotencyKey();
+  clearModalFieldErrors();
 
   // Reset event form
   resetEventForm();
@@ -1954,6 +2596,8 @@ function updateStartButtonState() {
 
   const isValid = isFormValid(false);
   startBtn.disabled = !isValid;
+  const queueBtn = document.getElementById("modalQueueBtn");
+  if (queueBtn) queueBtn.disabled = !isValid;
 
   // CSS already handles disabled state styling via :disabled pseudo-class
   // No need to manually set opacity/cursor
@@ -2118,11 +2762,14 @@ let employeesList = [];
  */
 async function fetchEmployees() {
   try {
-    const response = await fetch(`${API_BASE}/api/employees?is_active=true`, {
-      headers: {
-        ...Auth.getAuthHeaders(),
-      },
-    });
+    const response = await fetch(
+      withOutlet(`${API_BASE}/api/employees?is_active=true`),
+      {
+        headers: {
+          ...Auth.getAuthHeaders(),
+        },
+      }
+    );
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
@@ -2628,7 +3275,7 @@ function openStopModal(machine) {
   currentStopMachine = machine;
 
   // Get machine label from mapping
-  const machineLabel = MACHINE_ID_MAPPING[machine.id] || machine.label;
+  const machineLabel = getMachineLabelById(machine.id, machine.label);
 
   console.log(
     `Opening stop modal for machine ${machine.id} -> ${machineLabel}`
@@ -2651,6 +3298,13 @@ function openStopModal(machine) {
       '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>';
   }
 
+  // Reset alasan stop; tombol aktif setelah alasan dipilih
+  document.getElementById("stopReasonSelect").value = "";
+  document.getElementById("stopTransactionId").value = "";
+  document.getElementById("stopNote").value = "";
+  document.getElementById("stopModalStopBtn").disabled = true;
+  clearModalFieldErrors();
+
   // Show modal
   document.getElementById("stopMachineModal").style.display = "flex";
 }
@@ -2701,7 +3355,7 @@ async function startMachine() {
 
   // Get machine label from mapping
   const machineLabel =
-    MACHINE_ID_MAPPING[currentMachine.id] || currentMachine.label;
+    getMachineLabelById(currentMachine.id, currentMachine.label);
   console.log(
     `Starting machine ${currentMachine.id} (${machineLabel}) for ${duration} minutes`,
     eventData ? `with event: ${eventData.type}` : "without event"
@@ -2728,28 +3382,41 @@ async function startMachine() {
     // Add event data if available (backend will handle event creation)
     if (eventData) {
       requestBody.event = eventData;
+      requestBody.order_id = selectedOrderId(eventData.type);
     }
 
     // Make API call to start machine (via frontend API proxy)
-    // Backend will handle both machine start and event creation
+    // Backend validates, then handles both machine start and event creation
+    clearModalFieldErrors();
     const response = await fetch(
       `${API_BASE}/api/machines/${currentMachine.id}/start`,
       {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          "Idempotency-Key": startIdempotencyKey || newIdempotencyKey(),
           ...Auth.getAuthHeaders(),
         },
         body: JSON.stringify(requestBody),
       }
     );
 
+    const result = await response.json().catch(() => ({}));
+
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      if (result.fields) {
+        const unmapped = showModalFieldErrors(result.fields, (field) =>
+          startFieldInput(field, eventData.type)
+        );
+        throw new Error(
+          unmapped.length
+            ? unmapped.join("\n")
+            : "Periksa kembali isian yang ditandai"
+        );
+      }
+      throw new Error(result.message || `HTTP ${response.status}`);
     }
 
-    const result = await response.json();
-
     if (result.success) {
       // Machine started successfully
       // Backend has already handled event creation (or saved to retry queue if failed)
@@ -2788,6 +3455,7 @@ async function startMachine() {
 
       // Refresh data to show updated status
       await fetchFromBackend();
+      if (requestBody.order_id) fetchOrders();
     } else {
       throw new Error(result.message || "Gagal menyalakan mesin");
     }
@@ -2819,10 +3487,19 @@ async function stopMachine() {
     return;
   }
 
+  const reason = document.getElementById("stopReasonSelect").value;
+  if (!reason) {
+    alert("⚠️ Alasan Wajib Dipilih\n\nPilih alasan mematikan mesin.");
+    document.getElementById("stopReasonSelect").focus();
+    return;
+  }
+
   // Get machine label from mapping
   const machineLabel =
-    MACHINE_ID_MAPPING[currentStopMachine.id] || currentStopMachine.label;
-  console.log(`Stopping machine ${currentStopMachine.id} (${machineLabel})`);
+    getMachineLabelById(currentStopMachine.id, currentStopMachine.label);
+  console.log(
+    `Stopping machine ${currentStopMachine.id} (${machineLabel}): ${reason}`
+  );
 
   try {
     // Show loading state
@@ -2837,6 +3514,7 @@ async function stopMachine() {
     stopBtn.disabled = true;
 
     // Make API call to stop machine (via frontend API proxy)
+    clearModalFieldErrors();
     const response = await fetch(
       `${API_BASE}/api/machines/${currentStopMachine.id}/stop`,
       {
@@ -2844,16 +3522,35 @@ async function stopMachine() {
         headers: {
           "Content-Type": "application/json",
           Accept: "application/json",
+          ...Auth.getAuthHeaders(),
         },
+        body: JSON.stringify({
+          reason,
+          transaction_id:
+            document.getElementById("stopTransactionId").value.trim() ||
+            undefined,
+          note: document.getElementById("stopNote").value.trim() || undefined,
+        }),
       }
     );
 
+    const result = await response.json().catch(() => ({}));
+
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      if (result.fields) {
+        const unmapped = showModalFieldErrors(
+          result.fields,
+          (field) => STOP_FIELD_INPUTS[field]
+        );
+        throw new Error(
+          unmapped.length
+            ? unmapped.join("\n")
+            : "Periksa kembali isian yang ditandai"
+        );
+      }
+      throw new Error(result.message || `HTTP ${response.status}`);
     }
 
-    const result = await response.json();
-
     if (result.success) {
       // Success - close modal and show message
       closeStopModal();
@@ -2876,10 +3573,443 @@ async function stopMachine() {
       </svg>
       Matikan Mesin
     `;
-    stopBtn.disabled = false;
+    stopBtn.disabled = !document.getElementById("stopReasonSelect").value;
   }
 }
 
+let queueEntries = [];
+
+/**
+ * Ambil antrean start (menunggu + gagal terakhir) untuk kartu antrean
+ */
+async function fetchQueue() {
+  try {
+    const res = await fetch(withOutlet(`${API_BASE}/api/machines/queue`), {
+      cache: "no-store",
+      headers: Auth.getAuthHeaders(),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const result = await res.json();
+    queueEntries = result?.data || [];
+    renderQueue();
+  } catch (err) {
+    console.error("Fetch antrean gagal:", err);
+  }
+}
+
+function describeQueueEntry(entry) {
+  if (entry.status === "failed") return `Gagal: ${entry.error || "-"}`;
+  if (entry.status === "starting") return "Sedang dikirim...";
+  const when = entry.start_at
+    ? new Date(entry.start_at).toLocaleString("id-ID", {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "setelah mesin siap";
+  return `${entry.request.duration} menit, ${when}`;
+}
+
+/**
+ * Render kartu antrean: entry menunggu dengan tombol batal, lalu entry
+ * yang gagal dikirim
+ */
+function renderQueue() {
+  const queueBody = document.getElementById("queueBody");
+  if (!queueBody) return;
+
+  const visible = queueEntries.filter((e) =>
+    ["queued", "starting", "failed"].includes(e.status)
+  );
+  queueBody.innerHTML = "";
+
+  if (visible.length === 0) {
+    const placeholder = document.createElement("div");
+    placeholder.className = "eta-placeholder";
+    placeholder.textContent = "Belum ada antrean";
+    queueBody.appendChild(placeholder);
+    return;
+  }
+
+  visible.forEach((entry) => {
+    const row = document.createElement("div");
+    row.className = "eta-row";
+
+    const machineCell = document.createElement("div");
+    machineCell.className = "eta-machine";
+    const label = document.createElement("span");
+    label.className = "eta-label";
+    label.textContent = getMachineLabelById(
+      entry.machine_id,
+      entry.machine_label
+    );
+    machineCell.appendChild(label);
+
+    const infoCell = document.createElement("div");
+    infoCell.className = "eta-time";
+    const info = document.createElement("span");
+    info.className = "eta-subtitle";
+    info.textContent = describeQueueEntry(entry);
+    infoCell.appendChild(info);
+
+    if (entry.status === "queued") {
+      const cancelBtn = document.createElement("button");
+      cancelBtn.className = "btn btn-secondary";
+      cancelBtn.textContent = "Batal";
+      cancelBtn.addEventListener("click", () => cancelQueuedStart(entry));
+      infoCell.appendChild(cancelBtn);
+    }
+
+    row.appendChild(machineCell);
+    row.appendChild(infoCell);
+    queueBody.appendChild(row);
+  });
+}
+
+/**
+ * Batalkan start yang masih menunggu di antrean
+ */
+async function cancelQueuedStart(entry) {
+  const label = getMachineLabelById(entry.machine_id, entry.machine_label);
+  if (!confirm(`Batalkan antrean start ${label}?`)) return;
+
+  try {
+    const response = await fetch(
+      `${API_BASE}/api/machines/${entry.machine_id}/queue/${entry.id}`,
+      { method: "DELETE", headers: Auth.getAuthHeaders() }
+    );
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.error("Error canceling queued start:", error);
+    alert(`Gagal membatalkan antrean: ${error.message}`);
+  }
+  await fetchQueue();
+}
+
+/**
+ * Antrekan start mesin saat ini: dikirim server saat mesin READY, atau
+ * mulai waktu di "Jadwalkan"
+ */
+async function queueStart() {
+  if (!currentMachine) return;
+
+  const queueBtn = document.getElementById("modalQueueBtn");
+  if (queueBtn.disabled) return;
+
+  const duration = parseInt(document.getElementById("durationInput").value);
+  const eventData = collectEventData(currentMachine.id, duration);
+  if (eventData === null) {
+    updateStartButtonState();
+    return;
+  }
+
+  const startAtValue = document.getElementById("startAtInput").value;
+  const machineLabel =
+    getMachineLabelById(currentMachine.id, currentMachine.label);
+
+  try {
+    queueBtn.disabled = true;
+    clearModalFieldErrors();
+    const response = await fetch(
+      `${API_BASE}/api/machines/${currentMachine.id}/queue`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...Auth.getAuthHeaders(),
+        },
+        body: JSON.stringify({
+          duration,
+          program: "normal",
+          event: eventData,
+          start_at: startAtValue
+            ? new Date(startAtValue).toISOString()
+            : undefined,
+          order_id: selectedOrderId(eventData.type),
+        }),
+      }
+    );
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      if (result.fields) {
+        const unmapped = showModalFieldErrors(result.fields, (field) =>
+          startFieldInput(field, eventData.type)
+        );
+        throw new Error(
+          unmapped.length
+            ? unmapped.join("\n")
+            : "Periksa kembali isian yang ditandai"
+        );
+      }
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+
+    closeMachineModal();
+    alert(
+      startAtValue
+        ? `✅ Start ${machineLabel} dijadwalkan.`
+        : `✅ Start ${machineLabel} diantrekan, dikirim saat mesin siap.`
+    );
+    await fetchQueue();
+  } catch (error) {
+    console.error("Error queueing machine start:", error);
+    alert(`Gagal mengantrekan start: ${error.message}`);
+  } finally {
+    updateStartButtonState();
+  }
+}
+
+let openOrders = [];
+
+const ORDER_STATUS_LABELS = {
+  received: "Diterima",
+  washing: "Dicuci",
+  drying: "Dikeringkan",
+  ready: "Siap diambil",
+  picked_up: "Diambil",
+};
+
+/**
+ * Ambil order drop-off yang belum diambil untuk board dan pilihan order
+ * di modal start
+ */
+async function fetchOrders() {
+  try {
+    const res = await fetch(withOutlet(`${API_BASE}/api/orders?open=1`), {
+      cache: "no-store",
+      headers: Auth.getAuthHeaders(),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const result = await res.json();
+    openOrders = result?.data || [];
+    renderOrders();
+  } catch (err) {
+    console.error("Fetch order gagal:", err);
+  }
+}
+
+/**
+ * Board order: kode, pelanggan, status, mesin yang sedang berjalan dan
+ * tombol tahap berikutnya (siap diambil / diambil)
+ */
+function renderOrders() {
+  const ordersBody = document.getElementById("ordersBody");
+  if (!ordersBody) return;
+  ordersBody.innerHTML = "";
+
+  if (openOrders.length === 0) {
+    const placeholder = document.createElement("div");
+    placeholder.className = "eta-placeholder";
+    placeholder.textContent = "Belum ada order terbuka";
+    ordersBody.appendChild(placeholder);
+    return;
+  }
+
+  openOrders.forEach((order) => {
+    const row = document.createElement("div");
+    row.className = `eta-row ${order.status === "ready" ? "eta-priority" : ""}`;
+
+    const orderCell = document.createElement("div");
+    orderCell.className = "eta-machine";
+    // Pelanggan terdaftar: tautan ke riwayat kunjungannya
+    const linkCustomer =
+      order.customer_id && Auth.hasPermission("customers:manage");
+    const label = document.createElement(linkCustomer ? "a" : "span");
+    label.className = "eta-label";
+    label.textContent = `${order.code} · ${order.customer_name}`;
+    if (linkCustomer) {
+      label.href = `/customers?id=${encodeURIComponent(order.customer_id)}`;
+    }
+    orderCell.appendChild(label);
+
+    const statusCell = document.createElement("div");
+    statusCell.className = "eta-time";
+    const status = document.createElement("span");
+    status.className = "eta-subtitle";
+    const machine = order.current_machine
+      ? ` di ${getMachineLabelById(
+          order.current_machine.machine_id,
+          order.current_machine.machine_label
+        )}`
+      : "";
+    status.textContent = `${ORDER_STATUS_LABELS[order.status]}${machine}`;
+    statusCell.appendChild(status);
+
+    const next = order.status === "ready" ? "picked_up" : "ready";
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "btn btn-secondary";
+    nextBtn.textContent = next === "ready" ? "Siap Ambil" : "Diambil";
+    nextBtn.addEventListener("click", () => advanceOrder(order, next));
+    statusCell.appendChild(nextBtn);
+
+    row.appendChild(orderCell);
+    row.appendChild(statusCell);
+    ordersBody.appendChild(row);
+  });
+}
+
+/** Isi ulang pilihan order di form drop-off (kosong = tanpa order) */
+function populateOrderSelect() {
+  const select = document.getElementById("orderSelectDropOff");
+  if (!select) return;
+  select.innerHTML = '<option value="">Tanpa order</option>';
+  openOrders.forEach((order) => {
+    const option = document.createElement("option");
+    option.value = order.id;
+    option.textContent = `${order.code} · ${order.customer_name}`;
+    select.appendChild(option);
+  });
+}
+
+function fillCustomerFromOrder() {
+  const orderId = document.getElementById("orderSelectDropOff").value;
+  const order = openOrders.find((o) => o.id === orderId);
+  if (!order) return;
+  document.getElementById("customerName").value = order.customer_name;
+  document.getElementById("customerPhone").value = order.customer_phone || "";
+  updateStartButtonState();
+}
+
+let customerSuggestions = [];
+let customerSuggestTimer = null;
+
+/**
+ * Autocomplete pelanggan di form drop-off: isi datalist nama/HP dari
+ * /api/customers. Memilih nama mengisi HP (dan sebaliknya) bila kosong.
+ */
+function onCustomerInput(event) {
+  fillCustomerFromSuggestion(event.target.id);
+  clearTimeout(customerSuggestTimer);
+  const q = event.target.value.trim();
+  if (q.length < 2) return;
+  customerSuggestTimer = setTimeout(
+    () => fetchCustomerSuggestions(q),
+    CUSTOMER_SUGGEST_DELAY_MS
+  );
+}
+
+async function fetchCustomerSuggestions(q) {
+  try {
+    const params = new URLSearchParams({ q, limit: "8" });
+    const res = await fetch(`${API_BASE}/api/customers?${params}`, {
+      cache: "no-store",
+      headers: Auth.getAuthHeaders(),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    customerSuggestions = (await res.json())?.data || [];
+  } catch (err) {
+    console.error("Fetch pelanggan gagal:", err);
+    return;
+  }
+
+  const fill = (id, value, label) => {
+    const list = document.getElementById(id);
+    list.innerHTML = "";
+    customerSuggestions.forEach((customer) => {
+      const option = document.createElement("option");
+      option.value = value(customer);
+      option.label = label(customer);
+      list.appendChild(option);
+    });
+  };
+  fill("customerNameOptions", (c) => c.name, (c) => c.phone);
+  fill("customerPhoneOptions", (c) => c.phone, (c) => c.name);
+}
+
+function fillCustomerFromSuggestion(sourceId) {
+  const nameInput = document.getElementById("customerName");
+  const phoneInput = document.getElementById("customerPhone");
+  const value = document.getElementById(sourceId).value.trim();
+  if (!value) return;
+
+  if (sourceId === "customerName" && !phoneInput.value.trim()) {
+    const match = customerSuggestions.find((c) => c.name === value);
+    if (match) phoneInput.value = match.phone;
+  } else if (sourceId === "customerPhone" && !nameInput.value.trim()) {
+    const match = customerSuggestions.find((c) => c.phone === value);
+    if (match) nameInput.value = match.name;
+  }
+  updateStartButtonState();
+}
+
+/** order_id untuk body start/antrean; hanya untuk event drop-off */
+function selectedOrderId(eventType) {
+  if (eventType !== "drop-off") return undefined;
+  return document.getElementById("orderSelectDropOff")?.value || undefined;
+}
+
+async function createOrderFromForm() {
+  const input = (id) => document.getElementById(id);
+  const customerName = input("orderCustomerName").value.trim();
+  if (!customerName) {
+    alert("Nama pelanggan wajib diisi");
+    input("orderCustomerName").focus();
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/orders`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...Auth.getAuthHeaders(),
+      },
+      body: JSON.stringify({
+        customer_name: customerName,
+        customer_phone: input("orderCustomerPhone").value.trim() || undefined,
+        weight_kg: input("orderWeight").value || undefined,
+        price: input("orderPrice").value || undefined,
+        outlet_id:
+          OUTLET_PARAM && OUTLET_PARAM !== "all" ? OUTLET_PARAM : undefined,
+      }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+
+    ["orderCustomerName", "orderCustomerPhone", "orderWeight", "orderPrice"]
+      .forEach((id) => (input(id).value = ""));
+    alert(`✅ Order ${result.data.code} diterima`);
+  } catch (error) {
+    console.error("Error creating order:", error);
+    alert(`Gagal menerima order: ${error.message}`);
+  }
+  await fetchOrders();
+}
+
+async function advanceOrder(order, status) {
+  if (!confirm(`${order.code}: tandai ${ORDER_STATUS_LABELS[status]}?`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/api/orders/${order.id}`, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        ...Auth.getAuthHeaders(),
+      },
+      body: JSON.stringify({ status }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.error("Error updating order:", error);
+    alert(`Gagal memperbarui order: ${error.message}`);
+  }
+  await fetchOrders();
+}
+
 // Modal event listeners
 document.addEventListener("DOMContentLoaded", () => {
   // Close start modal buttons
@@ -2894,6 +4024,22 @@ document.addEventListener("DOMContentLoaded", () => {
   document
     .getElementById("modalStartBtn")
     .addEventListener("click", startMachine);
+  document
+    .getElementById("modalQueueBtn")
+    .addEventListener("click", queueStart);
+
+  // Order drop-off: pilih order mengisi data pelanggan
+  document
+    .getElementById("orderSelectDropOff")
+    .addEventListener("change", fillCustomerFromOrder);
+  document
+    .getElementById("orderCreateBtn")
+    .addEventListener("click", createOrderFromForm);
+  if (Auth.hasPermission("customers:manage")) {
+    ["customerName", "customerPhone"].forEach((id) =>
+      document.getElementById(id).addEventListener("input", onCustomerInput)
+    );
+  }
 
   // Close start modal when clicking overlay
   document.getElementById("machineModal").addEventListener("click", (e) => {
@@ -2902,6 +4048,13 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  // Tombol stop aktif setelah alasan dipilih
+  document
+    .getElementById("stopReasonSelect")
+    .addEventListener("change", (e) => {
+      document.getElementById("stopModalStopBtn").disabled = !e.target.value;
+    });
+
   // Enter key to start machine
   document.getElementById("durationInput").addEventListener("keydown", (e) => {
     if (e.key === "Enter") {
@@ -3032,6 +4185,13 @@ document.addEventListener("DOMContentLoaded", () => {
     .getElementById("stopModalStopBtn")
     .addEventListener("click", stopMachine);
 
+  // Antrekan start berikutnya untuk mesin yang sedang berjalan
+  document.getElementById("stopModalQueueBtn").addEventListener("click", () => {
+    const machine = currentStopMachine;
+    closeStopModal();
+    if (machine) openMachineModal(machine, { queue: true });
+  });
+
   // Close stop modal when clicking overlay
   document.getElementById("stopMachineModal").addEventListener("click", (e) => {
     if (e.target.id === "stopMachineModal") {
@@ -3078,5 +4238,8 @@ if (typeof module !== "undefined" && module.exports) {
     openStopModal,
     closeStopModal,
     stopMachine,
+    queueStart,
+    fetchQueue,
+    fetchOrders,
   };
 }
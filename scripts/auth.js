@@ -26,8 +26,86 @@ const API_CONFIG = {
   },
 };
 
+// Outlet selection (multi-outlet). Pilihan disimpan di localStorage agar
+// dashboard dan leaderboard memakai outlet yang sama; ?outlet= di URL menang.
+const OUTLET_CONFIG = {
+  storageKey: "selected_outlet",
+
+  get() {
+    const fromUrl = new URLSearchParams(window.location.search).get("outlet");
+    return fromUrl || localStorage.getItem(this.storageKey) || "";
+  },
+
+  set(outlet) {
+    if (outlet) {
+      localStorage.setItem(this.storageKey, outlet);
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
+
+    // Pilihan baru menggantikan ?outlet= dari URL
+    const url = new URL(window.location.href);
+    if (url.searchParams.has("outlet")) {
+      url.searchParams.delete("outlet");
+      window.history.replaceState(null, "", url);
+    }
+  },
+
+  // Tambahkan param `outlet` ke URLSearchParams jika ada pilihan
+  applyTo(params) {
+    const outlet = this.get();
+    if (outlet) params.set("outlet", outlet);
+    return params;
+  },
+
+  // Isi <select> dari /api/outlets. Disembunyikan jika hanya satu outlet.
+  async mountSelector(select, container, onChange, options = {}) {
+    const { includeAll = true } = options;
+    if (!select) return;
+
+    try {
+      const response = await fetch(API_CONFIG.getApiUrl("/api/outlets"), {
+        cache: "no-store",
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const json = await response.json();
+      const outlets = json.data || [];
+
+      if (outlets.length < 2) {
+        this.set("");
+        return;
+      }
+
+      const defaultOutlet = outlets.find((o) => o.default) || outlets[0];
+      const choices = outlets.map((o) => ({ value: o.id, label: o.name }));
+      if (includeAll) choices.push({ value: "all", label: "Semua Outlet" });
+      select.innerHTML = choices
+        .map((o) => `<option value="${o.value}">${o.label}</option>`)
+        .join("");
+
+      const current = this.get();
+      select.value = choices.some((o) => o.value === current)
+        ? current
+        : defaultOutlet.id;
+      this.set(select.value);
+
+      select.addEventListener("change", () => {
+        this.set(select.value);
+        if (onChange) onChange(select.value);
+      });
+
+      if (container) container.style.display = "";
+    } catch (error) {
+      console.warn("⚠️ Failed to load outlets:", error);
+    }
+  },
+};
+
 // Authentication utilities for protected pages
 const Auth = {
+  refreshing: null, // promise refresh yang sedang berjalan
+  refreshTimer: null,
+
   // Get token from localStorage
   getToken() {
     return localStorage.getItem("auth_token");
@@ -38,26 +116,98 @@ const Auth = {
     localStorage.setItem("auth_token", token);
   },
 
+  // Token CSRF dari cookie (dipasang server saat login). Refresh token
+  // sendiri ada di cookie HttpOnly, tidak bisa dibaca script.
+  getCsrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)csrf_token=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  },
+
+  // Masih ada sesi cookie yang bisa diperpanjang
+  hasSession() {
+    return !!this.getCsrfToken();
+  },
+
+  // Simpan response login/refresh ({ token, ... })
+  setSession(data) {
+    this.setToken(data.token);
+    this.scheduleRefresh();
+  },
+
   // Remove token from localStorage
   removeToken() {
     localStorage.removeItem("auth_token");
+    localStorage.removeItem("refresh_token"); // versi lama
+    clearTimeout(this.refreshTimer);
   },
 
-  // Check if user is authenticated
-  isAuthenticated() {
+  // Detik tersisa sebelum access token kedaluwarsa (negatif = lewat)
+  getTokenTtl() {
     const token = this.getToken();
-    if (!token) return false;
+    if (!token) return -1;
 
     try {
-      // Decode JWT token to check expiration
       const payload = JSON.parse(atob(token.split(".")[1]));
-      const now = Math.floor(Date.now() / 1000);
-      return payload.exp > now;
+      return payload.exp - Math.floor(Date.now() / 1000);
     } catch (error) {
-      return false;
+      return -1;
     }
   },
 
+  // Check if user is authenticated (access token valid, atau masih bisa
+  // diperpanjang dengan sesi cookie)
+  isAuthenticated() {
+    if (!this.getToken()) return false;
+    return this.getTokenTtl() > 0 || this.hasSession();
+  },
+
+  // Minta access token baru (refresh token di cookie ikut berganti). Satu
+  // request untuk semua pemanggil yang bersamaan.
+  refreshSession() {
+    if (this.refreshing) return this.refreshing;
+    if (!this.hasSession()) return Promise.resolve(false);
+
+    const previousToken = this.getToken();
+    this.refreshing = fetch(API_CONFIG.getApiUrl("/api/auth/refresh"), {
+      method: "POST",
+      headers: { "X-CSRF-Token": this.getCsrfToken() },
+    })
+      .then(async (response) => {
+        if (response.status === 401) {
+          // Tab lain sudah memperpanjang sesi lebih dulu
+          if (this.getToken() !== previousToken) return true;
+          this.removeToken();
+          return false;
+        }
+        if (!response.ok) return false;
+        this.setSession(await response.json());
+        return true;
+      })
+      .catch((error) => {
+        console.warn("⚠️ Token refresh failed:", error);
+        return false;
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+    return this.refreshing;
+  },
+
+  // Perpanjang access token 1 menit sebelum kedaluwarsa, agar fetch yang
+  // memakai getAuthHeaders() langsung tetap valid
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    if (!this.hasSession()) return;
+
+    const delay = Math.max(this.getTokenTtl() - 60, 0) * 1000;
+    this.refreshTimer = setTimeout(async () => {
+      // Sudah diperpanjang tab lain
+      if (this.getTokenTtl() > 60) return this.scheduleRefresh();
+      if (await this.refreshSession()) return;
+      if (!this.getToken()) this.logout();
+    }, delay);
+  },
+
   // Get user info from token
   getUserInfo() {
     const token = this.getToken();
@@ -69,6 +219,7 @@ const Auth = {
         userId: payload.userId,
         username: payload.username,
         role: payload.role,
+        permissions: payload.permissions || [],
       };
     } catch (error) {
       return null;
@@ -85,16 +236,24 @@ const Auth = {
     return true;
   },
 
-  // Require admin role - redirect to monitor if not admin
-  requireAdmin() {
+  // Cek permission dari token (owner, manager, ...). Token lama tanpa
+  // `permissions`: hanya role admin yang dianggap punya akses penuh
+  hasPermission(permission) {
+    const userInfo = this.getUserInfo();
+    if (!userInfo) return false;
+    if (userInfo.permissions.length === 0) return userInfo.role === "admin";
+    return userInfo.permissions.includes(permission);
+  },
+
+  // Require permission (default: dashboard) - redirect to monitor if not
+  requireAdmin(permission = "dashboard:view") {
     if (!this.isAuthenticated()) {
       const currentPath = window.location.pathname;
       window.location.href = `/login?return=${encodeURIComponent(currentPath)}`;
       return false;
     }
 
-    const userInfo = this.getUserInfo();
-    if (!userInfo || userInfo.role !== 'admin') {
+    if (!this.hasPermission(permission)) {
       // Redirect non-admin users to monitor page
       window.location.href = '/monitor';
       return false;
@@ -102,8 +261,20 @@ const Auth = {
     return true;
   },
 
-  // Logout user
-  logout() {
+  // Logout user; sesi di server ikut dicabut (`all` = semua perangkat)
+  async logout(all = false) {
+    const headers = { "Content-Type": "application/json" };
+    const csrfToken = this.getCsrfToken();
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+    if (this.getTokenTtl() > 0) Object.assign(headers, this.getAuthHeaders());
+
+    await fetch(API_CONFIG.getApiUrl("/api/auth/logout"), {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ all }),
+      keepalive: true,
+    }).catch(() => {});
+
     this.removeToken();
     window.location.href = "/login";
   },
@@ -114,22 +285,30 @@ const Auth = {
     return token ? { Authorization: `Bearer ${token}` } : {};
   },
 
-  // Make authenticated fetch request with proper API URL
+  // Make authenticated fetch request with proper API URL. Access token
+  // kedaluwarsa/401 → refresh sekali lalu ulangi request.
   async authenticatedFetch(endpoint, options = {}) {
-    const authHeaders = this.getAuthHeaders();
     const url = API_CONFIG.getApiUrl(endpoint);
 
     console.log(`🔗 Making API request to: ${url}`);
 
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        ...authHeaders,
-        ...options.headers,
-      },
-    });
+    if (this.getTokenTtl() <= 0) await this.refreshSession();
+
+    const send = () =>
+      fetch(url, {
+        ...options,
+        headers: {
+          ...this.getAuthHeaders(),
+          ...options.headers,
+        },
+      });
+
+    let response = await send();
+    if (response.status === 401 && (await this.refreshSession())) {
+      response = await send();
+    }
 
-    // If unauthorized, redirect to login
+    // If still unauthorized, redirect to login
     if (response.status === 401) {
       this.logout();
       return null;
@@ -172,7 +351,7 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // For other pages, require authentication
-  Auth.requireAuth();
+  if (Auth.requireAuth()) Auth.scheduleRefresh();
 });
 
 // Add logout functionality to any element with class 'logout-btn'
@@ -186,3 +365,4 @@ document.addEventListener("click", (e) => {
 // Export for use in other scripts
 window.Auth = Auth;
 window.API_CONFIG = API_CONFIG;
+window.OUTLET_CONFIG = OUTLET_CONFIG;
@@ -0,0 +1,223 @@
+/**
+ * Pelanggan - direktori pelanggan (/customers, customers:manage)
+ * Cari nama/nomor HP, lihat kunjungan, order drop-off dan total belanja
+ * via /api/customers. `?id=` langsung membuka detail pelanggan.
+ */
+
+const VISIT_KIND_LABELS = {
+  "drop-off": "Drop-off",
+  "claim-promo": "Klaim promo",
+};
+
+const ORDER_STATUS_LABELS = {
+  received: "Diterima",
+  washing: "Dicuci",
+  drying: "Dikeringkan",
+  ready: "Siap diambil",
+  picked_up: "Sudah diambil",
+};
+
+let selectedCustomer = null;
+
+function showCustomerMessage(text, isError = false) {
+  const el = document.getElementById("customerMessage");
+  if (!el) return;
+  el.textContent = text;
+  el.className = `text-sm ${isError ? "text-red-600" : "text-emerald-600"}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (ch) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[ch]
+  );
+}
+
+function formatDate(value) {
+  if (!value) return "-";
+  return new Date(value).toLocaleString("id-ID", {
+    timeZone: "Asia/Jakarta",
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+function formatRupiah(value) {
+  if (value === null || value === undefined) return "-";
+  return `Rp ${Number(value).toLocaleString("id-ID")}`;
+}
+
+async function customerRequest(path, options = {}) {
+  const response = await Auth.authenticatedFetch(`/api/customers${path}`, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  if (!response) return null;
+  const json = await response.json();
+  if (!response.ok || !json.success) {
+    throw new Error(json.message || `HTTP ${response.status}`);
+  }
+  return json;
+}
+
+function renderCustomers(customers) {
+  const table = document.getElementById("customerTable");
+  if (!table) return;
+  if (!customers.length) {
+    table.innerHTML = `<tr><td colspan="5" class="py-3 text-slate-500">
+      Tidak ada pelanggan</td></tr>`;
+    return;
+  }
+
+  table.innerHTML = customers
+    .map(
+      (customer) => `
+        <tr class="border-t border-slate-100">
+          <td class="py-2 pr-3 font-semibold">${escapeHtml(customer.name)}
+            ${
+              customer.names.length
+                ? `<div class="text-xs text-slate-500">
+                    ${escapeHtml(customer.names.join(", "))}</div>`
+                : ""
+            }</td>
+          <td class="py-2 pr-3">${escapeHtml(customer.phone)}</td>
+          <td class="py-2 pr-3">${customer.visit_count}</td>
+          <td class="py-2 pr-3">${formatDate(customer.last_visit_at)}</td>
+          <td class="py-2">
+            <button class="btn btn-outline text-xs px-2 py-1"
+              data-id="${customer.id}">Detail</button>
+          </td>
+        </tr>`
+    )
+    .join("");
+}
+
+async function searchCustomers(q = "") {
+  try {
+    const params = new URLSearchParams({ q, limit: "100" });
+    const json = await customerRequest(`?${params}`, { cache: "no-store" });
+    if (json) renderCustomers(json.data || []);
+  } catch (error) {
+    console.error("❌ Failed to load customers:", error);
+    showCustomerMessage("Gagal memuat pelanggan", true);
+  }
+}
+
+function renderCustomerDetail({ customer, visits, orders, summary }) {
+  selectedCustomer = customer;
+  document.getElementById("customerDetail").classList.remove("hidden");
+  document.getElementById("customerDetailName").textContent = customer.name;
+  document.getElementById("customerDetailInfo").textContent = [
+    customer.phone,
+    customer.note,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+
+  document.getElementById("customerSummary").innerHTML = `
+    <div><div class="text-slate-500">Kunjungan</div>
+      <div class="text-lg font-bold">${summary.visit_count}</div></div>
+    <div><div class="text-slate-500">Order</div>
+      <div class="text-lg font-bold">${summary.order_count}</div></div>
+    <div><div class="text-slate-500">Total Belanja</div>
+      <div class="text-lg font-bold">
+        ${formatRupiah(summary.total_spend)}</div></div>`;
+
+  document.getElementById("customerVisits").innerHTML = visits.length
+    ? visits
+        .map(
+          (visit) => `
+            <tr class="border-t border-slate-100">
+              <td class="py-2 pr-3">${formatDate(visit.at)}</td>
+              <td class="py-2 pr-3">${VISIT_KIND_LABELS[visit.kind] || ""}</td>
+              <td class="py-2 pr-3">
+                ${escapeHtml(visit.machine_label || visit.machine_id)}</td>
+              <td class="py-2">${visit.duration_minutes} menit</td>
+            </tr>`
+        )
+        .join("")
+    : `<tr><td colspan="4" class="py-3 text-slate-500">
+        Belum ada kunjungan</td></tr>`;
+
+  document.getElementById("customerOrders").innerHTML = orders.length
+    ? orders
+        .map(
+          (order) => `
+            <tr class="border-t border-slate-100">
+              <td class="py-2 pr-3 font-semibold">${escapeHtml(order.code)}</td>
+              <td class="py-2 pr-3">${formatDate(order.created_at)}</td>
+              <td class="py-2 pr-3">${ORDER_STATUS_LABELS[order.status]}</td>
+              <td class="py-2">${formatRupiah(order.price)}</td>
+            </tr>`
+        )
+        .join("")
+    : `<tr><td colspan="4" class="py-3 text-slate-500">
+        Belum ada order</td></tr>`;
+}
+
+async function openCustomer(id) {
+  try {
+    const json = await customerRequest(`/${encodeURIComponent(id)}`, {
+      cache: "no-store",
+    });
+    if (!json) return;
+    renderCustomerDetail(json.data);
+    const url = new URL(window.location.href);
+    url.searchParams.set("id", id);
+    history.replaceState(null, "", url);
+  } catch (error) {
+    showCustomerMessage(`Gagal memuat pelanggan: ${error.message}`, true);
+  }
+}
+
+async function editSelectedCustomer() {
+  if (!selectedCustomer) return;
+  const name = prompt("Nama pelanggan:", selectedCustomer.name);
+  if (name === null) return;
+  const phone = prompt("Nomor HP:", selectedCustomer.phone);
+  if (phone === null) return;
+  const note = prompt("Catatan:", selectedCustomer.note || "");
+  if (note === null) return;
+
+  try {
+    await customerRequest(`/${selectedCustomer.id}`, {
+      method: "PATCH",
+      body: JSON.stringify({ name, phone, note }),
+    });
+    showCustomerMessage("✅ Pelanggan diperbarui");
+    await openCustomer(selectedCustomer.id);
+    await searchCustomers(document.getElementById("customerSearch").value);
+  } catch (error) {
+    showCustomerMessage(`Gagal: ${error.message}`, true);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  // Redirect/akses ditolak ditangani Auth.requireAdmin() di halaman
+  if (!Auth.hasPermission("customers:manage")) return;
+
+  document
+    .getElementById("customerSearchForm")
+    ?.addEventListener("submit", (event) => {
+      event.preventDefault();
+      searchCustomers(document.getElementById("customerSearch").value);
+    });
+  document.getElementById("customerTable")?.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-id]");
+    if (button) openCustomer(button.dataset.id);
+  });
+  document
+    .getElementById("customerEditBtn")
+    ?.addEventListener("click", editSelectedCustomer);
+
+  const id = new URLSearchParams(window.location.search).get("id");
+  await searchCustomers();
+  if (id) await openCustomer(id);
+});
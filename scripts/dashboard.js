@@ -38,7 +38,7 @@ class DashboardAPI {
   }
 
   async getTransactionSummary(params = {}) {
-    const queryParams = new URLSearchParams(params);
+    const queryParams = OUTLET_CONFIG.applyTo(new URLSearchParams(params));
     const url = `${this.apiBase}/api/transactions/summary?${queryParams}`;
 
     console.log("📊 Fetching transaction summary:", url);
@@ -89,7 +89,7 @@ class DashboardAPI {
   }
 
   async getTransactions(params = {}) {
-    const queryParams = new URLSearchParams(params);
+    const queryParams = OUTLET_CONFIG.applyTo(new URLSearchParams(params));
     const url = `${this.apiBase}/api/transactions?${queryParams}`;
 
     console.log("📊 Fetching transactions:", url);
@@ -2817,6 +2817,7 @@ class ShiftTransactionManager {
         limit: "999999",
         offset: "0",
       });
+      OUTLET_CONFIG.applyTo(params);
 
       const url = `${this.apiBase}/api/transactions?${params}`;
       console.log("📊 Fetching shift transactions:", url);
@@ -3105,4 +3106,18 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Initial load of shift transactions
   shiftManager.renderShiftTransactions(false);
+
+  // Pilihan outlet (hanya tampil jika ada lebih dari satu outlet)
+  OUTLET_CONFIG.mountSelector(
+    document.getElementById("outletSelect"),
+    document.getElementById("outletGroup"),
+    () => {
+      dashboard.dataManager.api.lastETag = null;
+      shiftManager.cachedShiftTransactions = null;
+      shiftManager.cachedShiftDate = null;
+      shiftManager.shiftETag = null;
+      dashboard.refreshData();
+      shiftManager.renderShiftTransactions(false);
+    }
+  );
 });
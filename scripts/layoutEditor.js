@@ -0,0 +1,264 @@
+/**
+ * Layout Editor - atur posisi mesin di grid TV (/layout, admin only)
+ * Drag-and-drop label mesin ke sel grid, simpan via PUT /api/layout
+ */
+
+let editorOutlet = "";
+let editorLabels = []; // label mesin outlet dari registry
+let savedLayout = null; // layout terakhir dari server
+let editorLayout = null; // layout yang sedang diedit
+
+const LIMITS = {
+  rows: [1, 10],
+  columns: [1, 30],
+  column_gap: [0, 200],
+  row_gap: [0, 200],
+};
+
+const INPUTS = {
+  rows: "layoutRows",
+  columns: "layoutColumns",
+  column_gap: "layoutColumnGap",
+  row_gap: "layoutRowGap",
+};
+
+function outletQuery() {
+  return editorOutlet ? `?outlet=${encodeURIComponent(editorOutlet)}` : "";
+}
+
+function showLayoutMessage(text, isError = false) {
+  const el = document.getElementById("layoutMessage");
+  if (!el) return;
+  el.textContent = text;
+  el.className = `text-sm ${isError ? "text-red-600" : "text-emerald-600"}`;
+}
+
+function cloneLayout(layout) {
+  return {
+    rows: layout.rows,
+    columns: layout.columns,
+    column_gap: layout.column_gap,
+    row_gap: layout.row_gap,
+    cells: layout.cells.map((cell) => ({ ...cell })),
+  };
+}
+
+/**
+ * Muat label mesin (registry) dan layout tersimpan untuk outlet aktif
+ */
+async function loadEditorData() {
+  showLayoutMessage("");
+  try {
+    const [registryRes, layoutRes] = await Promise.all([
+      fetch(API_CONFIG.getApiUrl(`/api/machines/registry${outletQuery()}`), {
+        cache: "no-store",
+      }),
+      fetch(API_CONFIG.getApiUrl(`/api/layout${outletQuery()}`), {
+        cache: "no-store",
+      }),
+    ]);
+    if (!registryRes.ok) throw new Error(`HTTP ${registryRes.status}`);
+    if (!layoutRes.ok) throw new Error(`HTTP ${layoutRes.status}`);
+
+    const registry = await registryRes.json();
+    const layout = await layoutRes.json();
+    editorLabels = (registry.data || [])
+      .map((record) => record.label)
+      .sort((a, b) => a.localeCompare(b));
+    savedLayout = layout.data;
+    editorLayout = cloneLayout(savedLayout);
+    syncInputs();
+    renderEditor();
+  } catch (error) {
+    console.error("❌ Failed to load layout:", error);
+    showLayoutMessage("Gagal memuat layout", true);
+  }
+}
+
+function syncInputs() {
+  Object.entries(INPUTS).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (input) input.value = editorLayout[key];
+  });
+}
+
+/**
+ * Ubah ukuran/jarak grid; sel di luar grid baru kembali ke palette
+ */
+function onDimensionChange(key, value) {
+  const [min, max] = LIMITS[key];
+  const parsed = parseInt(value, 10);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    showLayoutMessage(`Nilai harus antara ${min} dan ${max}`, true);
+    syncInputs();
+    return;
+  }
+  showLayoutMessage("");
+  editorLayout[key] = parsed;
+  editorLayout.cells = editorLayout.cells.filter(
+    (cell) =>
+      cell.row <= editorLayout.rows && cell.column <= editorLayout.columns
+  );
+  renderEditor();
+}
+
+function createTile(label) {
+  const tile = document.createElement("div");
+  tile.className = `layout-tile ${label.startsWith("D") ? "dryer" : "washer"}`;
+  tile.textContent = label;
+  tile.draggable = true;
+  tile.addEventListener("dragstart", (e) => {
+    e.dataTransfer.setData("text/plain", label);
+    e.dataTransfer.effectAllowed = "move";
+  });
+  return tile;
+}
+
+function makeDropTarget(el, onDrop) {
+  el.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    el.classList.add("drag-over");
+  });
+  el.addEventListener("dragleave", () => el.classList.remove("drag-over"));
+  el.addEventListener("drop", (e) => {
+    e.preventDefault();
+    el.classList.remove("drag-over");
+    const label = e.dataTransfer.getData("text/plain");
+    if (label) onDrop(label);
+  });
+}
+
+/**
+ * Taruh label di sel; sel terisi → mesin lama tukar ke posisi asal label
+ */
+function placeLabel(label, row, column) {
+  const cells = editorLayout.cells;
+  const from = cells.find((cell) => cell.label === label);
+  const target = cells.find(
+    (cell) => cell.row === row && cell.column === column
+  );
+  if (from && from === target) return;
+
+  if (target && from) {
+    from.label = target.label;
+    target.label = label;
+  } else if (target) {
+    target.label = label; // mesin lama kembali ke palette
+  } else if (from) {
+    from.row = row;
+    from.column = column;
+  } else {
+    cells.push({ row, column, label });
+  }
+  renderEditor();
+}
+
+function renderEditor() {
+  const grid = document.getElementById("layoutGrid");
+  const palette = document.getElementById("layoutPalette");
+  if (!grid || !palette || !editorLayout) return;
+
+  const { rows, columns, column_gap, row_gap, cells } = editorLayout;
+  // Jarak di editor diperkecil (tile editor 4rem vs TV 7rem)
+  grid.style.gridTemplateColumns = `repeat(${columns}, 4rem)`;
+  grid.style.gridTemplateRows = `repeat(${rows}, 4rem)`;
+  grid.style.columnGap = `${Math.round(column_gap / 2)}px`;
+  grid.style.rowGap = `${Math.round(row_gap / 2)}px`;
+  grid.innerHTML = "";
+
+  for (let row = 1; row <= rows; row++) {
+    for (let column = 1; column <= columns; column++) {
+      const cellEl = document.createElement("div");
+      cellEl.className = "layout-cell";
+      cellEl.title = `Baris ${row}, Kolom ${column}`;
+      const cell = cells.find((c) => c.row === row && c.column === column);
+      if (cell) cellEl.appendChild(createTile(cell.label));
+      makeDropTarget(cellEl, (label) => placeLabel(label, row, column));
+      grid.appendChild(cellEl);
+    }
+  }
+
+  const placed = new Set(cells.map((cell) => cell.label));
+  palette.innerHTML = "";
+  editorLabels
+    .filter((label) => !placed.has(label))
+    .forEach((label) => palette.appendChild(createTile(label)));
+}
+
+async function saveEditorLayout() {
+  if (!editorLayout) return;
+  const button = document.getElementById("saveLayoutBtn");
+  if (button) button.disabled = true;
+
+  try {
+    const response = await Auth.authenticatedFetch(
+      `/api/layout${outletQuery()}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(editorLayout),
+      }
+    );
+    if (!response) return;
+    const json = await response.json();
+    if (!response.ok || !json.success) {
+      throw new Error(json.message || `HTTP ${response.status}`);
+    }
+    savedLayout = json.data;
+    editorLayout = cloneLayout(savedLayout);
+    renderEditor();
+    showLayoutMessage("✅ Layout disimpan, TV akan diperbarui otomatis");
+  } catch (error) {
+    console.error("❌ Failed to save layout:", error);
+    showLayoutMessage(`Gagal menyimpan: ${error.message}`, true);
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  // Redirect/akses ditolak ditangani Auth.requireAdmin() di halaman
+  if (!Auth.hasPermission("layout:edit")) return;
+
+  Object.entries(INPUTS).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener("change", () =>
+        onDimensionChange(key, input.value)
+      );
+    }
+  });
+
+  const palette = document.getElementById("layoutPalette");
+  if (palette) {
+    makeDropTarget(palette, (label) => {
+      editorLayout.cells = editorLayout.cells.filter(
+        (cell) => cell.label !== label
+      );
+      renderEditor();
+    });
+  }
+
+  document
+    .getElementById("saveLayoutBtn")
+    ?.addEventListener("click", saveEditorLayout);
+  document.getElementById("resetLayoutBtn")?.addEventListener("click", () => {
+    if (!savedLayout) return;
+    editorLayout = cloneLayout(savedLayout);
+    syncInputs();
+    renderEditor();
+    showLayoutMessage("");
+  });
+
+  await OUTLET_CONFIG.mountSelector(
+    document.getElementById("outletSelect"),
+    document.getElementById("outletGroup"),
+    (outlet) => {
+      editorOutlet = outlet;
+      loadEditorData();
+    },
+    { includeAll: false }
+  );
+  editorOutlet = OUTLET_CONFIG.get();
+  await loadEditorData();
+});
@@ -1,4 +1,4 @@
-// Machine Configuration - will be loaded from external file
+// Machine Configuration - loaded from machine registry (/api/machines/registry)
 let MACHINE_CONFIG = null;
 
 // Helper functions
@@ -12,91 +12,47 @@ const getMachineMaxWeight = (machineLabel) => {
   return MACHINE_CONFIG.machineMaxWeight[machineLabel] || 10;
 };
 
-// Load machine configuration from external file
+/**
+ * Bentuk MACHINE_CONFIG dari daftar mesin registry
+ */
+function buildMachineConfig(records) {
+  const config = {
+    machineLabels: {},
+    machineBrands: {},
+    machineMaxWeight: {},
+  };
+  records.forEach((record) => {
+    config.machineLabels[record.id] = record.label;
+    config.machineBrands[record.label] = record.brand;
+    config.machineMaxWeight[record.label] = record.max_weight;
+  });
+  return config;
+}
+
+function getMachineRegistryBase() {
+  return window.API_CONFIG ? window.API_CONFIG.getBaseUrl() : "";
+}
+
+// Load machine configuration from machine registry API
 async function loadMachineConfig() {
   try {
-    const response = await fetch("/src/constants.js");
-    if (!response.ok) {
-      throw new Error("Failed to load constants");
-    }
-    const text = await response.text();
-
-    // Extract MACHINE_CONFIG from the module
-    const moduleMatch = text.match(
-      /export const MACHINE_CONFIG = ({[\s\S]*?});/
+    // Registry per outlet; "all" = semua mesin
+    const outlet = OUTLET_CONFIG.get();
+    const query =
+      outlet && outlet !== "all" ? `?outlet=${encodeURIComponent(outlet)}` : "";
+    const response = await fetch(
+      `${getMachineRegistryBase()}/api/machines/registry${query}`,
+      { cache: "no-store" }
     );
-    if (moduleMatch) {
-      // Simple JSON parsing for the config object
-      const configStr = moduleMatch[1]
-        .replace(/(\w+):/g, '"$1":') // Add quotes to keys
-        .replace(/'/g, '"'); // Replace single quotes with double quotes
-
-      MACHINE_CONFIG = JSON.parse(configStr);
-      console.log("✅ Machine config loaded from constants.js");
-    } else {
-      throw new Error("Could not parse MACHINE_CONFIG");
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
+    const json = await response.json();
+    MACHINE_CONFIG = buildMachineConfig(json.data || []);
+    console.log("✅ Machine config loaded from registry");
   } catch (error) {
-    console.warn("⚠️ Failed to load machine config, using fallback:", error);
-    // Fallback configuration
-    MACHINE_CONFIG = {
-      machineBrands: {
-        D01_OLD: "SQ",
-        D01: "SQ",
-        D02: "SQ",
-        D03: "FGD",
-        D04: "FGD",
-        D05: "MDG",
-        D06: "MDG",
-        D07: "MDG",
-        D08: "MDG",
-        D09: "MDG",
-        D10: "NTG",
-        D11: "NTG",
-        D12: "NTG",
-        W01: "Titan",
-        W02: "Titan",
-        W03: "LG24",
-        W04: "LG24",
-        W05: "FGD",
-        W06: "FGD",
-        W07: "LG20",
-        W08: "LG20",
-        W09: "LG20",
-        W10: "LG24",
-        W10_OLD: "NTG",
-        W11: "BEKO",
-        W12: "BEKO",
-      },
-      machineMaxWeight: {
-        D01_OLD: 14,
-        D01: 14,
-        D02: 14,
-        D03: 6,
-        D04: 6,
-        D05: 7,
-        D06: 7,
-        D07: 7,
-        D08: 7,
-        D09: 7,
-        D10: 5,
-        D11: 5,
-        D12: 5,
-        W01: 14,
-        W02: 14,
-        W03: 8,
-        W04: 8,
-        W05: 7,
-        W06: 7,
-        W07: 6,
-        W08: 6,
-        W09: 6,
-        W10: 8,
-        W10_OLD: 5,
-        W11: 4,
-        W12: 4,
-      },
-    };
+    console.warn("⚠️ Failed to load machine registry:", error);
+    MACHINE_CONFIG = buildMachineConfig([]);
   }
 }
 
@@ -139,6 +95,7 @@ class LeaderboardEventsAPI {
     if (endDate) {
       params.append("end_date", endDate);
     }
+    OUTLET_CONFIG.applyTo(params);
 
     const url = `${this.apiBase}/api/leaderboard-events?${params}`;
 
@@ -631,12 +588,24 @@ class LeaderboardEventsController {
   }
 
   async initializeApp() {
+    // Pilihan outlet dulu agar data pertama sesuai outlet tersimpan
+    await OUTLET_CONFIG.mountSelector(
+      document.getElementById("outletSelect"),
+      document.getElementById("outletGroup"),
+      () => this.changeOutlet()
+    );
     // Load machine configuration first
     await loadMachineConfig();
     // Then load initial data
     this.loadInitialData();
   }
 
+  async changeOutlet() {
+    this.dataManager.api.lastETag = null;
+    await loadMachineConfig();
+    this.refreshData();
+  }
+
   initializeEventListeners() {
     // Refresh button
     document.getElementById("refreshEvents")?.addEventListener("click", () => {
@@ -0,0 +1,28 @@
+/**
+ * Service worker notifikasi "cucian selesai" (/notify)
+ */
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data ? event.data.text() : "" };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Cucian selesai", {
+      body: data.body || "Mesin Anda sudah selesai.",
+      tag: data.machine_id || "laundry-notify",
+      renotify: true,
+      requireInteraction: true,
+      data: { url: "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || "/";
+  event.waitUntil(self.clients.openWindow(url));
+});
@@ -0,0 +1,165 @@
+/**
+ * Halaman subscribe "beritahu saya saat cucian selesai" (/notify?machine=<id>)
+ * Dibuka dari QR di layar publik. Web Push via service worker.
+ */
+
+const NOTIFY_MACHINE_ID = new URLSearchParams(window.location.search).get(
+  "machine"
+);
+const NOTIFY_STORAGE_KEY = `notify_subscription_${NOTIFY_MACHINE_ID}`;
+
+const STATUS_TEXT = {
+  READY: "Tersedia",
+  RUNNING: "Sedang digunakan",
+  OFFLINE: "Offline",
+};
+
+let notifyInfo = null;
+
+function setNotifyMessage(text, isError = false) {
+  const el = document.getElementById("notifyMessage");
+  if (!el) return;
+  el.textContent = text;
+  el.className = `text-sm text-center ${
+    isError ? "text-red-600" : "text-emerald-600"
+  }`;
+}
+
+function subscribeUrl(suffix = "") {
+  return `/api/machines/${encodeURIComponent(
+    NOTIFY_MACHINE_ID
+  )}/subscribe${suffix}`;
+}
+
+// VAPID public key (base64url) → Uint8Array untuk pushManager.subscribe
+function urlBase64ToUint8Array(base64String) {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  const raw = atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+function isPushSupported() {
+  return (
+    "serviceWorker" in navigator &&
+    "PushManager" in window &&
+    "Notification" in window
+  );
+}
+
+function renderNotifyState() {
+  const subscribeBtn = document.getElementById("subscribeBtn");
+  const unsubscribeBtn = document.getElementById("unsubscribeBtn");
+  const subscribed = !!localStorage.getItem(NOTIFY_STORAGE_KEY);
+
+  subscribeBtn.style.display = subscribed ? "none" : "";
+  unsubscribeBtn.style.display = subscribed ? "" : "none";
+  subscribeBtn.disabled = !notifyInfo || !notifyInfo.web_push;
+}
+
+async function loadNotifyInfo() {
+  if (!NOTIFY_MACHINE_ID) {
+    setNotifyMessage("QR tidak valid: mesin tidak diketahui", true);
+    return;
+  }
+
+  try {
+    const response = await fetch(subscribeUrl(), { cache: "no-store" });
+    const json = await response.json();
+    if (!response.ok || !json.success) {
+      throw new Error(json.message || `HTTP ${response.status}`);
+    }
+    notifyInfo = json.data;
+
+    const { machine } = notifyInfo;
+    document.getElementById("notifyLabel").textContent = machine.label;
+    document.getElementById("notifyStatus").textContent =
+      STATUS_TEXT[machine.status] || machine.status;
+
+    if (!notifyInfo.web_push) {
+      setNotifyMessage("Notifikasi belum diaktifkan di outlet ini", true);
+    } else if (!isPushSupported()) {
+      setNotifyMessage(
+        "Browser ini tidak mendukung notifikasi. Di iPhone, tambahkan halaman ke Layar Utama terlebih dahulu.",
+        true
+      );
+      notifyInfo.web_push = false;
+    }
+  } catch (error) {
+    console.error("❌ Failed to load machine:", error);
+    setNotifyMessage("Gagal memuat data mesin", true);
+  }
+  renderNotifyState();
+}
+
+async function subscribeToMachine() {
+  const button = document.getElementById("subscribeBtn");
+  button.disabled = true;
+  setNotifyMessage("");
+
+  try {
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      throw new Error("Izin notifikasi ditolak");
+    }
+
+    const registration = await navigator.serviceWorker.register(
+      "/scripts/notify-sw.js"
+    );
+    await navigator.serviceWorker.ready;
+    const pushSubscription =
+      (await registration.pushManager.getSubscription()) ||
+      (await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(
+          notifyInfo.vapid_public_key
+        ),
+      }));
+
+    const response = await fetch(subscribeUrl(), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ subscription: pushSubscription.toJSON() }),
+    });
+    const json = await response.json();
+    if (!response.ok || !json.success) {
+      throw new Error(json.message || `HTTP ${response.status}`);
+    }
+
+    localStorage.setItem(NOTIFY_STORAGE_KEY, json.data.id);
+    setNotifyMessage(
+      `✅ Anda akan diberi tahu saat ${json.data.label} selesai`
+    );
+  } catch (error) {
+    console.error("❌ Subscribe failed:", error);
+    setNotifyMessage(`Gagal: ${error.message}`, true);
+  }
+  renderNotifyState();
+}
+
+async function unsubscribeFromMachine() {
+  const subscriptionId = localStorage.getItem(NOTIFY_STORAGE_KEY);
+  localStorage.removeItem(NOTIFY_STORAGE_KEY);
+
+  if (subscriptionId) {
+    try {
+      await fetch(subscribeUrl(`/${encodeURIComponent(subscriptionId)}`), {
+        method: "DELETE",
+      });
+    } catch (error) {
+      console.warn("⚠️ Unsubscribe failed:", error);
+    }
+  }
+  setNotifyMessage("Notifikasi dibatalkan");
+  renderNotifyState();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  document
+    .getElementById("subscribeBtn")
+    .addEventListener("click", subscribeToMachine);
+  document
+    .getElementById("unsubscribeBtn")
+    .addEventListener("click", unsubscribeFromMachine);
+  loadNotifyInfo();
+});
@@ -29,6 +29,9 @@ async function loadStatusData(days = 7) {
   const loadingOverlay = document.getElementById("loadingOverlay");
   loadingOverlay.style.display = "flex";
 
+  // Upstream dilayani server ini sendiri, tetap tampil walau gateway down
+  loadUpstreamStatus();
+
   try {
     const response = await fetch(
       `${API_BASE}/api/monitoring/status?days=${days}&limit=100`
@@ -104,6 +107,83 @@ function renderOverallStatus(data) {
   }`;
 }
 
+async function loadUpstreamStatus() {
+  try {
+    const response = await fetch(`${API_BASE}/api/monitoring/upstream`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const result = await response.json();
+    renderUpstream(result.data);
+  } catch (error) {
+    console.error("Error loading upstream status:", error);
+    renderUpstream(null);
+  }
+}
+
+function formatTime(iso) {
+  return iso
+    ? new Date(iso).toLocaleTimeString("id-ID", { timeStyle: "medium" })
+    : "--";
+}
+
+function renderUpstream(data) {
+  const badge = document.getElementById("upstreamBadge");
+  const list = document.getElementById("upstreamEndpoints");
+  if (!badge || !list) return;
+
+  const state = data?.state || "unknown";
+  const styles = {
+    closed: ["bg-green-100 text-green-800", "Operational"],
+    "half-open": ["bg-yellow-100 text-yellow-800", "Recovering"],
+    open: ["bg-red-100 text-red-800", "Circuit Open"],
+  };
+  const [badgeClass, label] = styles[state] || [
+    "bg-slate-100 text-slate-600",
+    "Unknown",
+  ];
+  badge.className = `px-4 py-2 rounded-full text-sm font-medium ${badgeClass}`;
+  badge.textContent =
+    state === "open" && data.retry_at
+      ? `${label} • retry ${formatTime(data.retry_at)}`
+      : label;
+
+  const endpoints = Object.entries(data?.endpoints || {});
+  if (endpoints.length === 0) {
+    list.innerHTML = `
+      <p class="text-sm text-slate-500 py-2">No upstream calls yet</p>
+    `;
+    return;
+  }
+
+  list.innerHTML = endpoints
+    .map(
+      ([name, stats]) => `
+      <div class="flex items-center justify-between py-2 text-sm">
+        <div>
+          <div class="font-medium text-slate-900">${name}</div>
+          <div class="text-xs text-slate-500">
+            ${
+              stats.last_error
+                ? `Last error: ${stats.last_error} (${formatTime(
+                    stats.last_error_at
+                  )})`
+                : "No errors"
+            }
+          </div>
+        </div>
+        <div class="text-right text-xs text-slate-600">
+          <div>${stats.requests} requests</div>
+          <div class="${stats.failures > 0 ? "text-red-600" : ""}">
+            ${stats.failures} failed • ${stats.rejected} skipped
+          </div>
+        </div>
+      </div>
+    `
+    )
+    .join("");
+}
+
 function renderMachines(machines) {
   const grid = document.getElementById("machinesGrid");
   grid.innerHTML = "";
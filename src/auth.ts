@@ -1,6 +1,31 @@
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
-import bcrypt from "bcryptjs";
 import dotenv from "dotenv";
+import { deleteCookie, getCookie, setCookie } from "hono/cookie";
+import {
+  hasPermission,
+  normalizeRole,
+  ROLE_PERMISSIONS,
+  type Permission,
+} from "./permissions.js";
+import {
+  getUserById,
+  isUserStoreLoaded,
+  verifyCredentials,
+} from "./services/userService.js";
+import {
+  createSession,
+  isAccessTokenRevoked,
+  isSessionActive,
+  isSessionStoreLoaded,
+} from "./services/sessionService.js";
+import {
+  authorizeApiKey,
+  ApiKeyError,
+  type ApiScope,
+  type PublicApiKey,
+} from "./services/apiKeyService.js";
+import { getClientIp } from "./utils/request.js";
 
 // Load environment variables
 dotenv.config({ path: ".env.local" });
@@ -9,59 +34,131 @@ dotenv.config();
 // Secret key untuk JWT - dalam production gunakan environment variable
 const JWT_SECRET =
   process.env.JWT_SECRET || "default-secret-key-change-in-production";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "24h";
+// Access token berumur pendek; diperpanjang lewat refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
 
-// User credentials - dalam production sebaiknya disimpan di database
-// Load users from environment variables
-interface UserCredential {
-  id: number;
-  username: string | undefined;
-  password: string | undefined;
-  role: string;
-}
-
-const USERS: UserCredential[] = [
-  {
-    id: 1,
-    username: process.env.ADMIN_USERNAME,
-    password: process.env.ADMIN_PASSWORD_HASH,
-    role: "admin",
-  },
-  {
-    id: 2,
-    username: process.env.USER_USERNAME,
-    password: process.env.USER_PASSWORD_HASH,
-    role: "user",
-  },
-];
+// Sesi browser: cookie HttpOnly (access + refresh token) dan cookie CSRF
+// yang bisa dibaca JS untuk header X-CSRF-Token (double submit)
+export const ACCESS_COOKIE = "session";
+export const REFRESH_COOKIE = "refresh_token";
+export const CSRF_COOKIE = "csrf_token";
+export const CSRF_HEADER = "X-CSRF-Token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+// API key untuk kiosk/integrasi (services/apiKeyService.ts)
+export const API_KEY_HEADER = "X-API-Key";
 
 export interface User {
   id: number;
   username: string;
   role: string;
+  session_version?: number;
 }
 
 export interface AuthPayload {
   userId: number;
   username: string;
   role: string;
+  permissions?: Permission[]; // untuk UI saja; server cek ulang dari role
+  sv?: number; // session_version user saat token terbit
+  sid?: string; // sesi refresh token asal (services/sessionService.ts)
+  jti?: string;
+  exp?: number;
 }
 
 /**
- * Generate JWT token untuk user
+ * Generate JWT (access token) untuk user; `sessionId` mengikat token ke
+ * sesi refresh token sehingga logout langsung mematikannya
  */
-export function generateToken(user: User): string {
+export function generateToken(user: User, sessionId?: string): string {
   if (!JWT_SECRET) {
     throw new Error("JWT_SECRET is not configured");
   }
 
+  const role = normalizeRole(user.role);
   const payload: AuthPayload = {
     userId: user.id,
     username: user.username,
-    role: user.role,
+    role,
+    permissions: [...ROLE_PERMISSIONS[role]],
+    sv: user.session_version ?? 0,
+    ...(sessionId ? { sid: sessionId } : {}),
+  };
+
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  } as jwt.SignOptions);
+}
+
+/**
+ * Login/ganti password: buat sesi baru, return access + refresh token
+ */
+export async function issueTokens(
+  user: User,
+  meta: { userAgent?: string | null; ip?: string | null } = {}
+) {
+  const { session, refreshToken } = await createSession(
+    { id: user.id, session_version: user.session_version ?? 0 },
+    meta
+  );
+  return tokenResponse(user, session, refreshToken);
+}
+
+/** Body response token: access token baru untuk sesi yang sama */
+export function tokenResponse(
+  user: User,
+  session: { id: string; expires_at: string },
+  refreshToken: string
+) {
+  const token = generateToken(user, session.id);
+  const { exp } = jwt.decode(token) as jwt.JwtPayload;
+  return {
+    token,
+    expires_at: new Date(exp! * 1000).toISOString(),
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at,
   };
+}
+
+/**
+ * Cocokkan token dengan user store: akun terhapus/disabled atau token
+ * terbit sebelum ganti/reset password (session_version) → null. Role
+ * diambil dari store sehingga perubahan role langsung berlaku. Token yang
+ * sudah di-logout (jti revoked / sesi dicabut) → null. Store belum
+ * di-load → isi token.
+ */
+function resolveSession(payload: jwt.JwtPayload): AuthPayload | null {
+  const token = {
+    sid: payload.sid as string | undefined,
+    jti: payload.jti,
+    exp: payload.exp,
+  };
+
+  if (isSessionStoreLoaded()) {
+    if (token.jti && isAccessTokenRevoked(token.jti)) return null;
+    if (token.sid && !isSessionActive(token.sid)) return null;
+  }
+
+  if (!isUserStoreLoaded()) {
+    return {
+      userId: payload.userId as number,
+      username: payload.username as string,
+      role: normalizeRole(payload.role as string),
+      ...token,
+    };
+  }
 
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+  const user = getUserById(payload.userId as number);
+  if (!user || user.disabled || user.username !== payload.username) {
+    return null;
+  }
+  if ((payload.sv ?? 0) !== user.session_version) return null;
+  return {
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    ...token,
+  };
 }
 
 /**
@@ -78,11 +175,7 @@ export function verifyToken(token: string): AuthPayload | null {
     if (typeof decoded === "object" && decoded !== null) {
       const payload = decoded as jwt.JwtPayload;
       if (payload.userId && payload.username && payload.role) {
-        return {
-          userId: payload.userId as number,
-          username: payload.username as string,
-          role: payload.role as string,
-        };
+        return resolveSession(payload);
       }
     }
     return null;
@@ -99,33 +192,125 @@ export async function authenticateUser(
   username: string,
   password: string
 ): Promise<User | null> {
-  const user = USERS.find((u) => u.username === username);
-
-  if (!user || !user.username || !user.password) {
-    return null;
-  }
-
-  const isValidPassword = await bcrypt.compare(password, user.password);
-
-  if (!isValidPassword) {
-    return null;
-  }
+  const user = await verifyCredentials(username, password);
+  if (!user) return null;
 
   return {
     id: user.id,
     username: user.username,
     role: user.role,
+    session_version: user.session_version,
   };
 }
 
+/** Cookie Secure hanya di HTTPS (langsung atau di balik proxy) */
+function isHttps(c: any): boolean {
+  const proto = c.req.header("X-Forwarded-Proto");
+  if (proto) return proto.split(",")[0].trim() === "https";
+  return new URL(c.req.url).protocol === "https:";
+}
+
 /**
- * Middleware untuk melindungi routes yang memerlukan autentikasi
+ * Pasang cookie sesi dari response issueTokens()/tokenResponse(). Cookie
+ * access token hidup selama refresh token agar halaman bisa memperpanjang
+ * sesi sendiri; token CSRF dipertahankan selama sesi.
  */
-export function authMiddleware() {
+export function setSessionCookies(
+  c: any,
+  tokens: { token: string; refresh_token: string; refresh_expires_at: string }
+) {
+  const maxAge = Math.max(
+    Math.floor((Date.parse(tokens.refresh_expires_at) - Date.now()) / 1000),
+    0
+  );
+  const options = {
+    path: "/",
+    secure: isHttps(c),
+    sameSite: "Lax" as const,
+    maxAge,
+  };
+  setCookie(c, ACCESS_COOKIE, tokens.token, { ...options, httpOnly: true });
+  setCookie(c, REFRESH_COOKIE, tokens.refresh_token, {
+    ...options,
+    httpOnly: true,
+  });
+  const csrf =
+    getCookie(c, CSRF_COOKIE) || crypto.randomBytes(24).toString("base64url");
+  setCookie(c, CSRF_COOKIE, csrf, options);
+}
+
+export function clearSessionCookies(c: any) {
+  for (const name of [ACCESS_COOKIE, REFRESH_COOKIE, CSRF_COOKIE]) {
+    deleteCookie(c, name, { path: "/" });
+  }
+}
+
+/**
+ * Token dari header Bearer (API client, script) atau cookie sesi
+ * (navigasi browser). Bearer menang jika keduanya ada.
+ */
+export function getRequestToken(
+  c: any
+): { token: string; source: "bearer" | "cookie" } | null {
+  const authHeader = c.req.header("Authorization");
+  if (authHeader?.startsWith("Bearer ")) {
+    return { token: authHeader.substring(7), source: "bearer" };
+  }
+  const cookie = getCookie(c, ACCESS_COOKIE);
+  return cookie ? { token: cookie, source: "cookie" } : null;
+}
+
+/**
+ * Request yang diautentikasi cookie dan mengubah data wajib membawa
+ * header X-CSRF-Token = cookie csrf_token. Bearer tidak perlu (browser
+ * tidak mengirimnya otomatis).
+ */
+export function isCsrfValid(c: any): boolean {
+  if (SAFE_METHODS.includes(c.req.method)) return true;
+  const expected = getCookie(c, CSRF_COOKIE);
+  const actual = c.req.header(CSRF_HEADER);
+  if (!expected || !actual || expected.length !== actual.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+export function csrfFailed(c: any) {
+  return c.json(
+    { error: "Forbidden", message: "Missing or invalid CSRF token" },
+    403
+  );
+}
+
+/**
+ * Pelaku request: user dari authMiddleware, API key dari apiKeyMiddleware
+ * (`apikey:<nama>`), atau token Bearer/cookie jika middleware tidak jalan
+ */
+export function getRequestActor(
+  c: any
+): { userId: number | null; username: string } | null {
+  const user = c.get?.("user") as AuthPayload | undefined;
+  if (user) return user;
+  const apiKey = c.get?.("apiKey") as PublicApiKey | undefined;
+  if (apiKey) return { userId: null, username: `apikey:${apiKey.name}` };
+  const credential = getRequestToken(c);
+  return credential ? verifyToken(credential.token) : null;
+}
+
+function forbidden(c: any, permission: Permission) {
+  return c.json(
+    { error: "Forbidden", message: `Missing permission: ${permission}` },
+    403
+  );
+}
+
+/**
+ * Middleware untuk melindungi routes yang memerlukan autentikasi (Bearer
+ * atau cookie sesi + CSRF); `permission` (opsional) dicek terhadap role
+ */
+export function authMiddleware(permission?: Permission) {
   return async (c: any, next: any) => {
-    const authHeader = c.req.header("Authorization");
+    const credential = getRequestToken(c);
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    if (!credential) {
       return c.json(
         {
           error: "Unauthorized",
@@ -135,8 +320,7 @@ export function authMiddleware() {
       );
     }
 
-    const token = authHeader.substring(7); // Remove "Bearer " prefix
-    const payload = verifyToken(token);
+    const payload = verifyToken(credential.token);
 
     if (!payload) {
       return c.json(
@@ -145,6 +329,14 @@ export function authMiddleware() {
       );
     }
 
+    if (credential.source === "cookie" && !isCsrfValid(c)) {
+      return csrfFailed(c);
+    }
+
+    if (permission && !hasPermission(payload.role, permission)) {
+      return forbidden(c, permission);
+    }
+
     // Attach user info to context
     c.set("user", payload);
     await next();
@@ -152,16 +344,71 @@ export function authMiddleware() {
 }
 
 /**
- * Middleware untuk melindungi routes yang memerlukan admin role
+ * Middleware setelah authMiddleware() untuk aksi admin. Default
+ * `dashboard:view` = hak role `admin` lama (owner, manager).
  */
-export function adminMiddleware() {
+export function adminMiddleware(permission: Permission = "dashboard:view") {
   return async (c: any, next: any) => {
     const user = c.get("user") as AuthPayload;
 
-    if (!user || user.role !== "admin") {
+    if (!user || !hasPermission(user.role, permission)) {
+      return forbidden(c, permission);
+    }
+
+    await next();
+  };
+}
+
+const API_KEY_ERRORS = {
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  429: "Too Many Requests",
+} as const;
+
+/**
+ * Middleware untuk route yang juga menerima header X-API-Key dengan
+ * `scope`. Tanpa key: `fallback` permission → authMiddleware(),
+ * `"public"` → lanjut tanpa autentikasi, tidak diisi → 401.
+ */
+export function apiKeyMiddleware(
+  scope: ApiScope,
+  fallback?: Permission | "public"
+) {
+  const userAuth =
+    fallback && fallback !== "public" ? authMiddleware(fallback) : null;
+
+  return async (c: any, next: any) => {
+    const rawKey = c.req.header(API_KEY_HEADER);
+
+    if (!rawKey) {
+      if (fallback === "public") return next();
+      if (userAuth) return userAuth(c, next);
+      return c.json(
+        { error: "Unauthorized", message: "Missing API key" },
+        401
+      );
+    }
+
+    try {
+      const { key, remaining } = await authorizeApiKey(
+        rawKey,
+        scope,
+        getClientIp(c)
+      );
+      c.header("X-RateLimit-Limit", String(key.rate_limit));
+      c.header("X-RateLimit-Remaining", String(remaining));
+      c.set("apiKey", key);
+    } catch (error: any) {
+      if (!(error instanceof ApiKeyError)) throw error;
+      if (error.retryAfterMs !== undefined) {
+        c.header("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+        c.header("X-RateLimit-Remaining", "0");
+      }
       return c.json(
-        { error: "Forbidden", message: "Admin access required" },
-        403
+        { error: API_KEY_ERRORS[error.status], message: error.message },
+        error.status
       );
     }
 
@@ -4,14 +4,53 @@ import dotenv from "dotenv";
 dotenv.config({ path: ".env.local" });
 dotenv.config();
 
+/**
+ * Daftar outlet dari OUTLETS="id:Nama,id2:Nama 2" (nama opsional).
+ * Tanpa OUTLETS, pakai OUTLET_ID tunggal. Outlet pertama = default.
+ */
+function parseOutlets(): { id: string; name: string }[] {
+  const entries = (process.env.OUTLETS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, ...name] = entry.split(":");
+      return { id: id.trim(), name: name.join(":").trim() || id.trim() };
+    });
+
+  if (entries.length > 0) return entries;
+  return [{ id: process.env.OUTLET_ID!, name: "Outlet Utama" }];
+}
+
+const outlets = parseOutlets();
+
 export const config = {
   port: Number(process.env.PORT || 3000),
   upstream: {
     base: process.env.UPSTREAM_BASE!,
-    outletId: process.env.OUTLET_ID!,
+    outletId: outlets[0].id, // outlet default
     bearer: process.env.UPSTREAM_BEARER || process.env.BEARER_TOKEN || "",
     timeout: Number(process.env.UPSTREAM_TIMEOUT_MS || 2000),
+    breaker: {
+      // Gagal beruntun sebelum circuit breaker terbuka
+      failureThreshold: Number(process.env.UPSTREAM_BREAKER_THRESHOLD || 5),
+      baseBackoffMs: Number(process.env.UPSTREAM_BACKOFF_BASE_MS || 10000),
+      maxBackoffMs: Number(process.env.UPSTREAM_BACKOFF_MAX_MS || 300000),
+    },
+    record: {
+      // Rekam respons mentah list/detail_snap_mesin ke data/upstream/
+      enabled: process.env.UPSTREAM_RECORD === "true",
+      maxBytes: Number(process.env.UPSTREAM_RECORD_MAX_BYTES || 10485760),
+      maxFiles: Number(process.env.UPSTREAM_RECORD_FILES || 5),
+    },
+    replay: {
+      // File/direktori rekaman; jika di-set, Smartlink tidak dipanggil
+      path: process.env.UPSTREAM_REPLAY || "",
+      speed: Number(process.env.UPSTREAM_REPLAY_SPEED || 1),
+      from: process.env.UPSTREAM_REPLAY_FROM || "", // ISO, default awal
+    },
   },
+  outlets,
   eventGateway: {
     base:
       process.env.EVENT_GATEWAY_BASE ||
@@ -22,4 +61,152 @@ export const config = {
     interval: 180000, // 3 menit
     staleThreshold: 2 * 60 * 1000, // 2 menit
   },
+  storage: {
+    // Direktori data lokal (JSON/JSONL). Di Vercel gunakan /tmp
+    dataDir: process.env.DATA_DIR || "data",
+  },
+  cycles: {
+    // Siklus lebih pendek dari ini dianggap glitch (mis. tl=0 sesaat)
+    minDurationMs: Number(process.env.CYCLE_MIN_DURATION_MS || 60000),
+  },
+  cycleExport: {
+    // "google-sheets" | "file" | "" (nonaktif). Default: google-sheets jika
+    // GOOGLE_SPREADSHEET_ID di-set
+    sink:
+      process.env.CYCLE_EXPORT_SINK ||
+      (process.env.GOOGLE_SPREADSHEET_ID ? "google-sheets" : ""),
+    batchSize: Number(process.env.CYCLE_EXPORT_BATCH_SIZE || 20),
+    flushInterval: Number(process.env.CYCLE_EXPORT_FLUSH_MS || 15000),
+    maxBackoff: 10 * 60 * 1000, // 10 menit
+    maxQueueSize: 1000,
+  },
+  googleSheets: {
+    spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID || "",
+    credentialsPath:
+      process.env.GOOGLE_CREDENTIALS_PATH ||
+      "./credentials/google-credentials.json",
+    range: process.env.GOOGLE_SHEET_RANGE || "Sheet1!A:F",
+    apiBase:
+      process.env.GOOGLE_SHEETS_API_BASE || "https://sheets.googleapis.com",
+    tokenUrl:
+      process.env.GOOGLE_OAUTH_TOKEN_URL ||
+      "https://oauth2.googleapis.com/token",
+  },
+  stream: {
+    // Refresh lebih cepat selama ada client SSE yang terhubung
+    refreshInterval: Number(process.env.STREAM_REFRESH_MS || 30000),
+    heartbeatInterval: Number(process.env.STREAM_HEARTBEAT_MS || 25000),
+    replayBufferSize: 200, // jumlah event terakhir untuk resume Last-Event-ID
+  },
+  notify: {
+    // Web Push (VAPID). Tanpa key, hanya subscription webhook yang diterima
+    vapidPublicKey: process.env.VAPID_PUBLIC_KEY || "",
+    vapidPrivateKey: process.env.VAPID_PRIVATE_KEY || "",
+    vapidSubject: process.env.VAPID_SUBJECT || "mailto:admin@whoooshlab.id",
+    // Subscription gugur jika siklus tidak selesai dalam waktu ini
+    ttlMs: Number(process.env.NOTIFY_TTL_MS || 4 * 60 * 60 * 1000),
+    maxPerMachine: 50,
+    // Endpoint subscribe publik: subscription aktif per client per mesin,
+    // dan request subscribe per client per menit
+    maxPerClient: Number(process.env.NOTIFY_MAX_PER_CLIENT || 3),
+    rateLimit: Number(process.env.NOTIFY_RATE_LIMIT || 10),
+    timeout: Number(process.env.NOTIFY_TIMEOUT_MS || 5000),
+  },
+  alerts: {
+    // Jam buka outlet (WIB); alert offline per mesin hanya di jam ini
+    openingHours: process.env.ALERT_OPENING_HOURS || "07:00-22:00",
+    // Jam tenang (WIB): alert dicatat, dikirim setelah jam tenang selesai
+    quietHours: process.env.ALERT_QUIET_HOURS || "",
+    offlineMinutes: Number(process.env.ALERT_OFFLINE_MINUTES || 10),
+    offlineMachines: Number(process.env.ALERT_OFFLINE_MACHINES || 3),
+    // Ulangi alert yang belum di-ack; 0 = tidak diulang
+    repeatMinutes: Number(process.env.ALERT_REPEAT_MINUTES || 60),
+    // Alert yang muncul lagi dalam jeda ini dibuka ulang, bukan alert baru
+    cooldownMinutes: Number(process.env.ALERT_COOLDOWN_MINUTES || 30),
+    timeout: Number(process.env.ALERT_TIMEOUT_MS || 5000),
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || "",
+    telegram: {
+      apiBase: process.env.TELEGRAM_API_BASE || "https://api.telegram.org",
+      botToken: process.env.TELEGRAM_BOT_TOKEN || "",
+      chatIds: process.env.TELEGRAM_CHAT_ID || "", // dipisah koma
+    },
+    whatsapp: {
+      url: process.env.WHATSAPP_GATEWAY_URL || "",
+      token: process.env.WHATSAPP_GATEWAY_TOKEN || "",
+      phones: process.env.WHATSAPP_ALERT_TO || "", // dipisah koma
+    },
+    email: {
+      smtpHost: process.env.SMTP_HOST || "",
+      smtpPort: Number(process.env.SMTP_PORT || 587),
+      smtpSecure: process.env.SMTP_SECURE === "true",
+      smtpUser: process.env.SMTP_USER || "",
+      smtpPass: process.env.SMTP_PASS || "",
+      // AUTH tanpa TLS hanya jika diizinkan eksplisit (relay lokal)
+      smtpAllowInsecure: process.env.SMTP_ALLOW_INSECURE === "true",
+      from: process.env.ALERT_EMAIL_FROM || "alerts@localhost",
+      to: process.env.ALERT_EMAIL_TO || "", // dipisah koma
+    },
+  },
+  session: {
+    // Refresh token (rotasi tiap dipakai); access token lihat JWT_EXPIRES_IN
+    refreshTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30),
+    maxPerUser: 20, // sesi tertua dicabut jika lewat batas
+  },
+  start: {
+    // Batas durasi start remote (menit) per tipe mesin
+    durations: {
+      washer: {
+        min: Number(process.env.START_WASHER_MIN_MINUTES || 1),
+        max: Number(process.env.START_WASHER_MAX_MINUTES || 180),
+      },
+      dryer: {
+        min: Number(process.env.START_DRYER_MIN_MINUTES || 1),
+        max: Number(process.env.START_DRYER_MAX_MINUTES || 180),
+      },
+    },
+    // Berapa lama respons per Idempotency-Key diingat
+    idempotencyTtlMs: Number(process.env.START_IDEMPOTENCY_TTL_MS || 86400000),
+  },
+  stops: {
+    // POST { event: "machine.refund_requested", stop } saat stop ditautkan
+    // ke transaksi (opsional)
+    refundWebhookUrl: process.env.STOP_REFUND_WEBHOOK_URL || "",
+    timeout: Number(process.env.STOP_REFUND_WEBHOOK_TIMEOUT_MS || 5000),
+  },
+  queue: {
+    // Cek start terjadwal (start_at) di antara refresh snapshot
+    checkInterval: Number(process.env.QUEUE_CHECK_INTERVAL_MS || 15000),
+    maxPerMachine: Number(process.env.QUEUE_MAX_PER_MACHINE || 10),
+    maxAheadDays: 7, // start_at paling jauh ke depan
+    keepHours: 24, // entry selesai/batal tetap ditampilkan selama ini
+  },
+  apiKeys: {
+    // Batas request per menit untuk key tanpa rate_limit sendiri
+    defaultRateLimit: Number(process.env.API_KEY_RATE_LIMIT || 120),
+    usageDays: 30, // riwayat pemakaian harian yang disimpan per key
+    flushInterval: 10000, // simpan counter pemakaian paling sering tiap 10s
+  },
+  // Jumlah proxy tepercaya di depan server yang menambahkan alamat ke
+  // X-Forwarded-For (Vercel/nginx = 1). 0 = header diabaikan (socket).
+  trustProxyHops: Number(
+    process.env.TRUST_PROXY_HOPS ?? (process.env.VERCEL ? 1 : 0)
+  ),
+  loginGuard: {
+    // Gagal login beruntun dalam `windowMs` sebelum dikunci
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS || 5), // per username
+    ipMaxAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS || 20), // per IP
+    windowMs: Number(process.env.LOGIN_WINDOW_MS || 15 * 60 * 1000),
+    // Kunci pertama; tiap kunci berikutnya 2x lebih lama sampai maxLockoutMs
+    lockoutMs: Number(process.env.LOGIN_LOCKOUT_MS || 60 * 1000),
+    maxLockoutMs: Number(process.env.LOGIN_MAX_LOCKOUT_MS || 60 * 60 * 1000),
+  },
+  anomaly: {
+    // Batas deteksi anomali (lihat services/anomalyService.ts)
+    maxRunningMs: Number(
+      process.env.ANOMALY_MAX_RUNNING_MS || 3 * 60 * 60 * 1000
+    ),
+    flipsPerHour: Number(process.env.ANOMALY_FLIPS_PER_HOUR || 6),
+    offlineMs: Number(process.env.ANOMALY_OFFLINE_MS || 30 * 60 * 1000),
+    fallbackMs: Number(process.env.ANOMALY_FALLBACK_MS || 20 * 60 * 1000),
+  },
 } as const;
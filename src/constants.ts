@@ -1,4 +1,7 @@
 // Machine Configuration Constants
+// Seed awal untuk machine registry (src/services/machineRegistry.ts).
+// Setelah data/machines.json terbentuk, perubahan dilakukan lewat
+// /api/admin/machines, bukan di file ini.
 export const MACHINE_CONFIG = {
   // Machine ID to Label mapping
   machineLabels: {
@@ -129,55 +132,89 @@ export const MACHINE_CONFIG = {
     W11: "washer",
     W12: "washer",
   },
-} as const;
-
-// Helper functions
-export const getMachineLabel = (machineId: string): string => {
-  return (
-    MACHINE_CONFIG.machineLabels[
-      machineId as keyof typeof MACHINE_CONFIG.machineLabels
-    ] || machineId
-  );
-};
-
-export const getMachineBrand = (machineLabel: string): string => {
-  return (
-    MACHINE_CONFIG.machineBrands[
-      machineLabel as keyof typeof MACHINE_CONFIG.machineBrands
-    ] || "Unknown"
-  );
-};
-
-export const getMachineMaxWeight = (machineLabel: string): number => {
-  return (
-    MACHINE_CONFIG.machineMaxWeight[
-      machineLabel as keyof typeof MACHINE_CONFIG.machineMaxWeight
-    ] || 10
-  );
-};
-
-export const getMachineType = (machineLabel: string): string => {
-  return (
-    MACHINE_CONFIG.machineTypes[
-      machineLabel as keyof typeof MACHINE_CONFIG.machineTypes
-    ] || "unknown"
-  );
-};
 
-export const getAllMachineIds = (): string[] => {
-  return Object.keys(MACHINE_CONFIG.machineLabels);
-};
+  // Machine Label to TV grid slot (CSS grid area di styles/main.css)
+  machineSlots: {
+    // TOP row (Dryer)
+    D12: "div12",
+    D11: "div11",
+    D10: "div10",
+    D09: "div9",
+    D08: "div8",
+    D07: "div7",
+    D06: "div6",
+    D05: "div5",
+    D04: "div4",
+    D03: "div3",
+    D02: "div2",
+    D01: "div1",
+    // BOTTOM row (Washer)
+    W01: "div14",
+    W02: "div15",
+    W03: "div16",
+    W04: "div17",
+    W05: "div18",
+    W06: "div19",
+    W07: "div20",
+    W08: "div21",
+    W09: "div22",
+    W10: "div23",
+    W10_OLD: "div26",
+    W11: "div24",
+    W12: "div25",
+  },
+} as const;
 
-export const getMachinesByType = (type: string): string[] => {
-  return Object.entries(MACHINE_CONFIG.machineTypes)
-    .filter(([label, machineType]) => machineType === type)
-    .map(([label]) => label);
+// Posisi (row, column) slot div* pada grid TV 14x2 di styles/main.css.
+// Dipakai untuk seed layout grid (data/layouts.json).
+export const TV_GRID_SEED = {
+  rows: 2,
+  columns: 14,
+  column_gap: 16, // px, = --gap
+  row_gap: 48, // px, = --gap + 2rem (ruang brand di bawah tile)
+  slotPositions: {
+    div1: [2, 14],
+    div2: [1, 14],
+    div3: [1, 11],
+    div4: [1, 10],
+    div5: [1, 9],
+    div6: [1, 8],
+    div7: [1, 7],
+    div8: [1, 6],
+    div9: [1, 5],
+    div10: [1, 4],
+    div11: [1, 3],
+    div12: [1, 2],
+    div13: [1, 1],
+    div14: [2, 13],
+    div15: [2, 12],
+    div16: [2, 11],
+    div17: [2, 10],
+    div18: [2, 9],
+    div19: [2, 8],
+    div20: [2, 7],
+    div21: [2, 6],
+    div22: [2, 5],
+    div23: [2, 4],
+    div24: [2, 3],
+    div25: [2, 2],
+    div26: [2, 1],
+  } as Record<string, [number, number]>,
 };
 
-export const getDryerMachines = (): string[] => {
-  return getMachinesByType("dryer");
+// Smartlink `aid` (activation id) to "Bekerja Trigger" mapping.
+// aid lain yang tidak dikenal adalah payment ref dari scan QR customer.
+export const AID_TRIGGER_MAP: Record<string, string> = {
+  BOS: "Smart Owner",
+  PAYMENT: "Payment",
+  CARD: "Payment",
+  COIN: "Payment",
+  MANUAL: "Manual",
+  UNKNOWN: "Unknown",
 };
 
-export const getWasherMachines = (): string[] => {
-  return getMachinesByType("washer");
+export const getAidTrigger = (aid: string | null | undefined): string => {
+  const key = aid ? String(aid).trim().toUpperCase() : "";
+  if (!key) return AID_TRIGGER_MAP.UNKNOWN;
+  return AID_TRIGGER_MAP[key] || "Payment";
 };
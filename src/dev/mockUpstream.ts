@@ -0,0 +1,989 @@
+import fs from "node:fs";
+import { Hono, type Context } from "hono";
+import { serve } from "@hono/node-server";
+import dotenv from "dotenv";
+import { MACHINE_CONFIG } from "../constants.js";
+
+/**
+ * Mock Smartlink + event gateway untuk pengembangan offline.
+ *
+ *   npm run dev:mock                     # mock + app sekaligus
+ *   npx tsx src/dev/mockUpstream.ts      # mock saja (MOCK_PORT)
+ *
+ * Mesin diambil dari seed MACHINE_CONFIG; semua `idoutlet` mendapat daftar
+ * mesin yang sama. Siklus berjalan real time, dipercepat MOCK_SPEED.
+ * Skenario (MOCK_SCENARIO = nama bawaan atau path file JSON) menjadwalkan
+ * gangguan: mesin offline, glitch tl=0, aid yang tertinggal, outage.
+ */
+
+type MockAction =
+  | "start"
+  | "stop"
+  | "offline"
+  | "online"
+  | "tl0" // list_snap_mesin kirim tl=0 selama RUNNING (detail tetap benar)
+  | "blip" // mesin RUNNING terlihat idle sesaat (tl=0, dur=0, sw=false)
+  | "stuck_aid" // aid siklus terakhir tidak pernah dikosongkan
+  | "clear" // hapus semua gangguan mesin
+  | "outage"; // endpoint Smartlink balas 503 selama `seconds`
+
+interface ScenarioStep {
+  at: number; // detik sejak skenario dimulai
+  action: MockAction;
+  machine?: string; // id atau label (wajib kecuali outage)
+  minutes?: number; // durasi program untuk start
+  seconds?: number; // lama blip/outage
+}
+
+interface Scenario {
+  name: string;
+  autopilot: boolean; // pelanggan acak memulai mesin yang kosong
+  steps: ScenarioStep[];
+}
+
+interface MockMachine {
+  id: string;
+  label: string;
+  jenis: 1 | 2; // 1 washer, 2 dryer
+  online: boolean;
+  startedAt: number | null;
+  durMs: number;
+  aid: string | null;
+  tl0: boolean;
+  blipUntil: number;
+  stuckAid: boolean;
+  offlineSince: number | null;
+  offlineMs: number;
+  updatedAt: number;
+}
+
+interface MockTransaction {
+  idtransaksi: string;
+  idmesin: string;
+  mesin: string;
+  waktu_diterima: string;
+  waktu_diterima_raw: string;
+  total_harga: number;
+  status_lunas: number; // 1 = lunas
+  status_selesai: number; // 2 = selesai
+  nama_customer: string;
+  jenis_transaksi_formated: string;
+  nama_layanan: string;
+}
+
+const EVENT_TYPES = [
+  "drop-off",
+  "error-payment",
+  "employee-quota",
+  "maintenance",
+] as const;
+
+// Kode event di cache mesin (lihat getEventDetail di scripts/app.js)
+const EVENT_CODES: Record<string, string> = {
+  "drop-off": "do",
+  "employee-quota": "qe",
+  maintenance: "mt",
+  "error-payment": "ep",
+};
+
+const SCENARIOS: Record<string, Omit<Scenario, "name">> = {
+  default: { autopilot: true, steps: [] },
+  quiet: { autopilot: false, steps: [] },
+  glitches: {
+    autopilot: true,
+    steps: [
+      { at: 2, action: "start", machine: "W01", minutes: 30 },
+      { at: 5, action: "tl0", machine: "W01" },
+      { at: 10, action: "start", machine: "D01", minutes: 40 },
+      { at: 30, action: "blip", machine: "D01", seconds: 20 },
+      { at: 15, action: "offline", machine: "W03" },
+      { at: 120, action: "online", machine: "W03" },
+      { at: 20, action: "stuck_aid", machine: "W02" },
+      { at: 20, action: "start", machine: "W02", minutes: 2 },
+    ],
+  },
+  outage: {
+    autopilot: true,
+    steps: [{ at: 10, action: "outage", seconds: 90 }],
+  },
+};
+
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TICK_MS = 5000;
+
+const PORT = Number(process.env.MOCK_PORT || 4010);
+const SPEED = Math.max(1, Number(process.env.MOCK_SPEED || 1));
+const IDLE_MEAN_MS = Number(process.env.MOCK_IDLE_MEAN_MS || 20 * 60 * 1000);
+const HISTORY_DAYS = Number(process.env.MOCK_HISTORY_DAYS || 35);
+
+/** PRNG deterministik (mulberry32) agar data contoh sama tiap start */
+function createRandom(seed: number) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = createRandom(Number(process.env.MOCK_SEED || 1));
+const pick = <T>(list: readonly T[]): T =>
+  list[Math.floor(random() * list.length)];
+const between = (min: number, max: number) =>
+  Math.round(min + random() * (max - min));
+
+/** "2025-10-07T18:36:48+07:00" seperti waktu dari Smartlink */
+function toWib(ms: number): string {
+  const local = new Date(ms + JAKARTA_OFFSET_MS).toISOString().slice(0, 19);
+  return `${local}+07:00`;
+}
+
+const wibDate = (ms: number) => toWib(ms).slice(0, 10);
+
+const CUSTOMERS = ["Budi", "Siti", "Andi", "Dewi", "Rina", "Agus", "Tono"];
+
+const EMPLOYEES = [
+  { id: 1, employee_name: "Ahmad Fauzi", employee_nickname: "Fauzi" },
+  { id: 2, employee_name: "Sri Wahyuni", employee_nickname: "Yuni" },
+  { id: 3, employee_name: "Dimas Pratama", employee_nickname: "Dimas" },
+].map((e) => ({ ...e, is_active: true }));
+
+// ---------------------------------------------------------------------------
+// State simulasi
+
+const startedAt = Date.now();
+
+const machines: MockMachine[] = Object.entries(MACHINE_CONFIG.machineLabels)
+  .filter(([, label]) => !label.endsWith("_OLD"))
+  .map(([id, label]) => ({
+    id,
+    label,
+    jenis: label.startsWith("D") ? 2 : 1,
+    online: true,
+    startedAt: null,
+    durMs: 0,
+    aid: null,
+    tl0: false,
+    blipUntil: 0,
+    stuckAid: false,
+    offlineSince: null,
+    offlineMs: 0,
+    updatedAt: startedAt,
+  }));
+
+const transactions: MockTransaction[] = [];
+const events: Map<string, any[]> = new Map(EVENT_TYPES.map((t) => [t, []]));
+const machineEvents: Map<string, { type: string; id: number }> = new Map();
+const incidents: any[] = [];
+// Pesan alert yang diterima receiver pengganti (webhook/Telegram/WhatsApp)
+const alertInbox: { channel: string; at: string; body: any }[] = [];
+let outageUntil = 0;
+let nextTransactionId = 1;
+let nextEventId = 1;
+let scenarioTimers: NodeJS.Timeout[] = [];
+let scenario: Scenario = { name: "default", ...SCENARIOS.default };
+
+function findMachine(idOrLabel: string): MockMachine | undefined {
+  const key = idOrLabel.toUpperCase();
+  return machines.find((m) => m.id === idOrLabel || m.label === key);
+}
+
+const elapsedMs = (m: MockMachine, now: number) =>
+  m.startedAt === null ? 0 : (now - m.startedAt) * SPEED;
+
+const isRunning = (m: MockMachine) => m.startedAt !== null;
+
+function randomDurationMs(m: MockMachine): number {
+  const minutes = m.jenis === 2 ? between(30, 50) : between(25, 40);
+  return minutes * 60 * 1000;
+}
+
+function addTransaction(m: MockMachine, at: number, done: boolean): string {
+  const id = `MOCK${String(nextTransactionId++).padStart(7, "0")}`;
+  const time = toWib(at);
+  transactions.push({
+    idtransaksi: id,
+    idmesin: m.id,
+    mesin: m.label,
+    waktu_diterima: time,
+    waktu_diterima_raw: time,
+    total_harga: m.jenis === 2 ? 12000 : 10000,
+    status_lunas: 1,
+    status_selesai: done ? 2 : 1,
+    nama_customer: pick(CUSTOMERS),
+    jenis_transaksi_formated: "Self Service",
+    nama_layanan: m.jenis === 2 ? "Kering 10kg" : "Cuci 10kg",
+  });
+  return id;
+}
+
+/** Riwayat transaksi HISTORY_DAYS hari terakhir untuk dashboard/leaderboard */
+function seedHistory() {
+  const today = Date.parse(`${wibDate(startedAt)}T00:00:00+07:00`);
+  for (let day = HISTORY_DAYS; day >= 0; day -= 1) {
+    for (const m of machines) {
+      const count = between(3, 9);
+      for (let i = 0; i < count; i += 1) {
+        const at = today - day * DAY_MS + between(7 * 60, 22 * 60) * 60000;
+        if (at < startedAt) addTransaction(m, at, true);
+      }
+    }
+  }
+  transactions.sort((a, b) =>
+    a.waktu_diterima.localeCompare(b.waktu_diterima)
+  );
+}
+
+function startMachine(
+  m: MockMachine,
+  durMs: number,
+  aid: string,
+  now = Date.now()
+) {
+  m.startedAt = now;
+  m.durMs = durMs;
+  m.aid = aid;
+  m.updatedAt = now;
+}
+
+function stopMachine(m: MockMachine, now = Date.now()) {
+  m.startedAt = null;
+  m.durMs = 0;
+  if (!m.stuckAid) m.aid = null;
+  m.tl0 = false;
+  m.blipUntil = 0;
+  m.updatedAt = now;
+  machineEvents.delete(m.id);
+  for (const t of transactions) {
+    if (t.idmesin === m.id && t.status_selesai !== 2) t.status_selesai = 2;
+  }
+}
+
+function setOnline(m: MockMachine, online: boolean, now = Date.now()) {
+  if (m.online === online) return;
+  m.online = online;
+  m.updatedAt = now;
+  if (online && m.offlineSince !== null) {
+    m.offlineMs += now - m.offlineSince;
+    m.offlineSince = null;
+  } else if (!online) {
+    m.offlineSince = now;
+  }
+}
+
+/** Jalankan satu aksi skenario / kontrol manual; pesan error jika gagal */
+function applyAction(step: Omit<ScenarioStep, "at">): string | null {
+  const now = Date.now();
+  if (step.action === "outage") {
+    outageUntil = now + (step.seconds ?? 60) * 1000;
+    console.log(`🧪 [Mock] Smartlink outage for ${step.seconds ?? 60}s`);
+    return null;
+  }
+
+  const m = step.machine ? findMachine(step.machine) : undefined;
+  if (!m) return `Unknown machine: ${step.machine}`;
+
+  switch (step.action) {
+    case "start":
+      startMachine(
+        m,
+        step.minutes ? step.minutes * 60 * 1000 : randomDurationMs(m),
+        "BOS",
+        now
+      );
+      break;
+    case "stop":
+      stopMachine(m, now);
+      break;
+    case "offline":
+      setOnline(m, false, now);
+      break;
+    case "online":
+      setOnline(m, true, now);
+      break;
+    case "tl0":
+      m.tl0 = true;
+      break;
+    case "blip":
+      m.blipUntil = now + (step.seconds ?? 10) * 1000;
+      break;
+    case "stuck_aid":
+      m.stuckAid = true;
+      break;
+    case "clear":
+      m.tl0 = false;
+      m.blipUntil = 0;
+      m.stuckAid = false;
+      setOnline(m, true, now);
+      if (!isRunning(m)) m.aid = null;
+      break;
+    default:
+      return `Unknown action: ${step.action}`;
+  }
+  console.log(`🧪 [Mock] ${m.label}: ${step.action}`);
+  return null;
+}
+
+function runScenario(next: Scenario) {
+  scenarioTimers.forEach(clearTimeout);
+  scenario = next;
+  scenarioTimers = next.steps.map((step) =>
+    setTimeout(() => {
+      const error = applyAction(step);
+      if (error) console.warn(`⚠️ [Mock] ${error}`);
+    }, step.at * 1000)
+  );
+  console.log(
+    `🧪 [Mock] Scenario "${next.name}": ${next.steps.length} steps, ` +
+      `autopilot ${next.autopilot ? "on" : "off"}`
+  );
+}
+
+/** Nama skenario bawaan atau path file JSON `{ autopilot?, steps }` */
+function loadScenario(ref: string): Scenario {
+  if (SCENARIOS[ref]) return { name: ref, ...SCENARIOS[ref] };
+  const json = JSON.parse(fs.readFileSync(ref, "utf8"));
+  return {
+    name: ref,
+    autopilot: json.autopilot ?? true,
+    steps: Array.isArray(json.steps) ? json.steps : [],
+  };
+}
+
+/** Selesaikan siklus yang habis dan (autopilot) mulai siklus pelanggan */
+function tick() {
+  const now = Date.now();
+  const startChance = (TICK_MS * SPEED) / IDLE_MEAN_MS;
+
+  for (const m of machines) {
+    if (isRunning(m) && elapsedMs(m, now) >= m.durMs) {
+      stopMachine(m, now);
+      continue;
+    }
+    if (
+      scenario.autopilot &&
+      m.online &&
+      !isRunning(m) &&
+      random() < startChance
+    ) {
+      const ref = addTransaction(m, now, false);
+      startMachine(m, randomDurationMs(m), ref, now);
+    }
+  }
+}
+
+/** snap_report_device seperti yang dikirim controller */
+function deviceOf(m: MockMachine, now: number, forList: boolean) {
+  const running = isRunning(m);
+  const tl = running ? Math.max(1, Math.round(m.durMs - elapsedMs(m, now))) : 0;
+  const device = {
+    id: m.id,
+    ol: m.online,
+    tl,
+    dur: running ? m.durMs : 0,
+    sw: running,
+    st: running ? 1 : 0,
+    aid: m.aid,
+    pow: running ? (m.jenis === 2 ? 2200 : 450) : 3,
+    door: running ? 0 : 1,
+  };
+  if (!m.online) return { ...device, tl: 0, sw: false, pow: 0 };
+  if (running && now < m.blipUntil) {
+    return { ...device, tl: 0, dur: 0, sw: false, st: 0 };
+  }
+  if (forList && running && m.tl0) return { ...device, tl: 0 };
+  return device;
+}
+
+function rowOf(m: MockMachine, now: number, forList: boolean) {
+  return {
+    idsnap_mesin: m.id,
+    jenis: m.jenis,
+    nama: m.label,
+    updated_at: toWib(m.online ? now : m.updatedAt),
+    snap_report_device: deviceOf(m, now, forList),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Filter periode transaksi
+
+/** Rentang tanggal WIB [awal, akhir] (YYYY-MM-DD) dari query Smartlink */
+function smartlinkRange(q: Record<string, string>): [string, string] {
+  if (q.filter_by === "periode" && q.tanggal_awal && q.tanggal_akhir) {
+    return [q.tanggal_awal, q.tanggal_akhir];
+  }
+  if (q.filter_by === "bulan") {
+    const bulan = q.bulan || wibDate(Date.now()).slice(0, 7);
+    return [`${bulan}-01`, `${bulan}-31`];
+  }
+  const tahun = q.tahun || wibDate(Date.now()).slice(0, 4);
+  return [`${tahun}-01-01`, `${tahun}-12-31`];
+}
+
+/** Rentang untuk /api/analytics/leaderboard (filter today, this_week, ...) */
+function analyticsRange(q: Record<string, string>): [string, string] {
+  const now = Date.now();
+  const today = wibDate(now);
+  const daysAgo = (n: number) => wibDate(now - n * DAY_MS);
+  const weekday = (new Date(now + JAKARTA_OFFSET_MS).getUTCDay() + 6) % 7;
+
+  switch (q.filter) {
+    case "yesterday":
+      return [daysAgo(1), daysAgo(1)];
+    case "this_week":
+      return [daysAgo(weekday), today];
+    case "last_7_days":
+      return [daysAgo(6), today];
+    case "this_month":
+      return [`${today.slice(0, 7)}-01`, today];
+    case "this_year":
+      return [`${today.slice(0, 4)}-01-01`, today];
+    case "custom":
+      return [q.start_date || today, q.end_date || today];
+    default:
+      return [today, today];
+  }
+}
+
+function transactionsIn([from, to]: [string, string], idmesin?: string) {
+  return transactions.filter((t) => {
+    const date = t.waktu_diterima.slice(0, 10);
+    return (
+      date >= from && date <= to && (!idmesin || t.idmesin === idmesin)
+    );
+  });
+}
+
+function machineLeaderboard(range: [string, string]) {
+  const byMachine = new Map<string, MockTransaction[]>();
+  for (const t of transactionsIn(range)) {
+    byMachine.set(t.idmesin, [...(byMachine.get(t.idmesin) || []), t]);
+  }
+  return [...byMachine.entries()].map(([machineId, list]) => ({
+    machineId,
+    frequency: list.length,
+    totalRevenue: list.reduce((sum, t) => sum + t.total_harga, 0),
+    lastTransaction: list[list.length - 1]?.waktu_diterima || null,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Server
+
+const app = new Hono();
+
+function smartlinkOutage(c: Context) {
+  if (Date.now() < outageUntil) {
+    return c.json({ status: false, message: "Service Unavailable" }, 503);
+  }
+  return null;
+}
+
+/** Smartlink: daftar mesin satu outlet */
+app.get("/list_snap_mesin", (c) => {
+  const outage = smartlinkOutage(c);
+  if (outage) return outage;
+  const now = Date.now();
+  return c.json({
+    status: true,
+    data: machines.map((m) => rowOf(m, now, true)),
+  });
+});
+
+/** Smartlink: detail satu mesin (tl/dur yang benar meski list glitch) */
+app.get("/detail_snap_mesin", (c) => {
+  const outage = smartlinkOutage(c);
+  if (outage) return outage;
+  const m = findMachine(c.req.query("idsnap_mesin") || "");
+  if (!m) return c.json({ status: false, message: "Not found" }, 404);
+  return c.json({ status: true, data: rowOf(m, Date.now(), false) });
+});
+
+function transactionSummary(q: Record<string, string>) {
+  const list = transactionsIn(smartlinkRange(q), q.idmesin);
+  return {
+    total_nota: list.length,
+    jumlah: list.length,
+    total_pendapatan: list.reduce((sum, t) => sum + t.total_harga, 0),
+    total_lunas: list.filter((t) => t.status_lunas === 1).length,
+  };
+}
+
+function transactionPage(q: Record<string, string>) {
+  const limit = Number(q.limit || 100);
+  const offset = Number(q.offset || 0);
+  const list = transactionsIn(smartlinkRange(q), q.idmesin).reverse();
+  return { data: list.slice(offset, offset + limit), jumlah_nota: list.length };
+}
+
+function transactionDetail(id: string | undefined) {
+  const t = transactions.find((x) => x.idtransaksi === id);
+  if (!t) return null;
+  return {
+    ...t,
+    rincian_layanan: [
+      { mesin: t.mesin, nama_layanan: t.nama_layanan, harga: t.total_harga },
+    ],
+  };
+}
+
+app.get("/ringkasan_transaksi_snap_konsumen", (c) => {
+  const outage = smartlinkOutage(c);
+  if (outage) return outage;
+  return c.json({ status: true, data: transactionSummary(c.req.query()) });
+});
+
+app.get("/list_transaksi_snap_konsumen", (c) => {
+  const outage = smartlinkOutage(c);
+  if (outage) return outage;
+  return c.json({ status: true, ...transactionPage(c.req.query()) });
+});
+
+app.get("/data_detail_transaksi_snap", (c) => {
+  const outage = smartlinkOutage(c);
+  if (outage) return outage;
+  const detail = transactionDetail(c.req.query("idtransaksi"));
+  if (!detail) return c.json({ status: false, message: "Not found" }, 404);
+  return c.json({ status: true, data: detail });
+});
+
+/** Gateway: transaksi (cache gateway di atas Smartlink) */
+app.get("/api/transactions/summary", (c) =>
+  c.json({ success: true, data: transactionSummary(c.req.query()) })
+);
+
+app.get("/api/transactions", (c) =>
+  c.json({ success: true, ...transactionPage(c.req.query()) })
+);
+
+app.get("/api/transactions/detail", (c) => {
+  const detail = transactionDetail(c.req.query("idtransaksi"));
+  if (!detail) return c.json({ success: false, message: "Not found" }, 404);
+  return c.json({ success: true, data: detail });
+});
+
+app.post("/api/transactions/batch-details", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const ids: string[] = Array.isArray(body.ids) ? body.ids : [];
+  return c.json({
+    success: true,
+    data: ids.map((idtransaksi) => {
+      const detail = transactionDetail(idtransaksi);
+      if (!detail) {
+        const error = "Not found";
+        return { idtransaksi, mesin: null, nama_layanan: null, error };
+      }
+      const { mesin, nama_layanan } = detail;
+      return { idtransaksi, mesin, nama_layanan };
+    }),
+  });
+});
+
+/** Gateway: start/stop dari modal dashboard */
+app.post("/api/machines/:id/start", async (c) => {
+  const m = findMachine(c.req.param("id"));
+  if (!m) return c.json({ success: false, message: "Machine not found" }, 404);
+  if (!m.online) {
+    return c.json({ success: false, message: "Machine is offline" }, 409);
+  }
+  const body = await c.req.json().catch(() => ({}));
+  const minutes = Number(body.duration) || 30;
+  startMachine(m, minutes * 60 * 1000, "BOS");
+
+  let event: any;
+  if (body.event?.type && events.has(body.event.type)) {
+    const created = createMockEvent(body.event.type, {
+      machine_id: m.id,
+      ...(body.event.data || {}),
+    });
+    machineEvents.set(m.id, { type: body.event.type, id: created.id });
+    event = { success: true, data: created };
+  }
+  return c.json({
+    success: true,
+    message: `Machine ${m.label} started`,
+    data: { machine_id: m.id, duration: minutes },
+    ...(event ? { event } : {}),
+  });
+});
+
+app.post("/api/machines/:id/stop", (c) => {
+  const m = findMachine(c.req.param("id"));
+  if (!m) return c.json({ success: false, message: "Machine not found" }, 404);
+  stopMachine(m);
+  return c.json({ success: true, message: `Machine ${m.label} stopped` });
+});
+
+app.get("/api/machines/:id/event", (c) => {
+  const cached = machineEvents.get(c.req.param("id"));
+  return c.json({
+    success: true,
+    data: cached
+      ? {
+          valid: true,
+          event_type: EVENT_CODES[cached.type],
+          event_id: cached.id,
+        }
+      : { valid: false },
+  });
+});
+
+function createMockEvent(type: string, data: any) {
+  const event = {
+    id: nextEventId++,
+    ...data,
+    occurred_at: data.occurred_at || new Date().toISOString(),
+    created_at: new Date().toISOString(),
+  };
+  events.get(type)!.push(event);
+  return event;
+}
+
+app.post("/api/events/:type", async (c) => {
+  const type = c.req.param("type");
+  if (!events.has(type)) {
+    return c.json({ success: false, message: "Unknown event type" }, 400);
+  }
+  const body = await c.req.json().catch(() => ({}));
+  return c.json({ success: true, data: createMockEvent(type, body) }, 201);
+});
+
+function findEvent(c: Context) {
+  const list = events.get(c.req.param("type")!) || [];
+  return list.find((e) => String(e.id) === c.req.param("id")) || null;
+}
+
+app.get("/api/events/:type/:id", (c) => {
+  const event = findEvent(c);
+  if (!event) return c.json({ success: false, message: "Not found" }, 404);
+  return c.json({ success: true, data: event });
+});
+
+/** Gateway: koreksi field event */
+app.patch("/api/events/:type/:id", async (c) => {
+  const event = findEvent(c);
+  if (!event) return c.json({ success: false, message: "Not found" }, 404);
+  if (event.canceled_at) {
+    return c.json({ success: false, message: "Event canceled" }, 409);
+  }
+  const body = await c.req.json().catch(() => ({}));
+  Object.assign(event, body, { updated_at: new Date().toISOString() });
+  return c.json({ success: true, data: event });
+});
+
+/** Gateway: soft-cancel; event tetap ada tapi tidak dihitung analytics */
+app.delete("/api/events/:type/:id", async (c) => {
+  const event = findEvent(c);
+  if (!event) return c.json({ success: false, message: "Not found" }, 404);
+  const body = await c.req.json().catch(() => ({}));
+  event.canceled_at ||= new Date().toISOString();
+  event.cancel_reason = body.reason ?? null;
+  return c.json({ success: true, data: event });
+});
+
+app.get("/api/employees", (c) =>
+  c.json({ success: true, data: { data: EMPLOYEES, total: EMPLOYEES.length } })
+);
+
+/** Gateway: log transisi status dari normalize */
+app.post("/api/monitoring/status-change", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const severity =
+    body.new_status === "OFFLINE"
+      ? "critical"
+      : body.old_status === "OFFLINE"
+      ? "warning"
+      : "info";
+  incidents.unshift({
+    id: incidents.length + 1,
+    ...body,
+    severity,
+    created_at: new Date().toISOString(),
+  });
+  incidents.splice(500);
+  return c.json({ success: true });
+});
+
+app.get("/api/monitoring/status", (c) => {
+  const now = Date.now();
+  const limit = Number(c.req.query("limit") || 50);
+  const machineId = c.req.query("machine_id");
+  const relevant = incidents.filter(
+    (i) =>
+      i.severity !== "info" && (!machineId || i.machine_id === machineId)
+  );
+
+  const uptime = machines.map((m) => {
+    const offline =
+      m.offlineMs + (m.offlineSince !== null ? now - m.offlineSince : 0);
+    const own = relevant.filter((i) => i.machine_id === m.id);
+    return {
+      machine_id: m.id,
+      machine_label: m.label,
+      uptime_percent: 100 * (1 - offline / Math.max(1, now - startedAt)),
+      total_incidents: own.length,
+      critical_incidents: own.filter((i) => i.severity === "critical").length,
+      warning_incidents: own.filter((i) => i.severity === "warning").length,
+    };
+  });
+
+  const byDate: Record<string, any[]> = {};
+  for (const incident of relevant) {
+    const date = wibDate(Date.parse(incident.created_at));
+    (byDate[date] ||= []).push(incident);
+  }
+
+  const offlineCount = machines.filter((m) => !m.online).length;
+  return c.json({
+    success: true,
+    data: {
+      status:
+        offlineCount === 0
+          ? "operational"
+          : offlineCount < machines.length / 2
+          ? "degraded"
+          : "outage",
+      uptime: {
+        overall_uptime_percent:
+          uptime.reduce((sum, u) => sum + u.uptime_percent, 0) /
+          uptime.length,
+        machines: uptime,
+      },
+      recent_incidents: relevant.slice(0, limit),
+      incidents_by_date: byDate,
+    },
+  });
+});
+
+/** Gateway: leaderboard transaksi */
+app.get("/api/leaderboard/:kind", (c) => {
+  const kind = c.req.param("kind");
+  if (kind !== "frequency" && kind !== "revenue") {
+    return c.json({ success: false, message: "Not found" }, 404);
+  }
+  const q = c.req.query();
+  const rows = machineLeaderboard(
+    smartlinkRange({ ...q, filter_by: q.filter_by || "bulan" })
+  ).sort((a, b) =>
+    kind === "frequency"
+      ? b.frequency - a.frequency
+      : b.totalRevenue - a.totalRevenue
+  );
+  return c.json({
+    success: true,
+    data: {
+      data: rows.map((row, i) => ({ rank: i + 1, ...row })),
+      total_machines: rows.length,
+      total_revenue: rows.reduce((sum, r) => sum + r.totalRevenue, 0),
+      period: {
+        filterBy: q.filter_by || "bulan",
+        bulan: q.bulan,
+        tanggalAwal: q.tanggal_awal,
+        tanggalAkhir: q.tanggal_akhir,
+      },
+    },
+  });
+});
+
+/** Gateway: leaderboard transaksi + event per mesin */
+app.get("/api/analytics/leaderboard", (c) => {
+  const q = c.req.query();
+  const [from, to] = analyticsRange(q);
+  const inRange = (e: any) => {
+    const date = wibDate(Date.parse(e.occurred_at));
+    return !e.canceled_at && date >= from && date <= to;
+  };
+  const countFor = (type: string, id: string, extra = (_: any) => true) =>
+    (events.get(type) || []).filter(
+      (e) => e.machine_id === id && inRange(e) && extra(e)
+    ).length;
+
+  const transaksi = new Map(
+    machineLeaderboard([from, to]).map((r) => [r.machineId, r.frequency])
+  );
+  const leaderboard = machines
+    .map((m) => {
+      const row = {
+        machine_id: m.id,
+        transaksi: transaksi.get(m.id) || 0,
+        drop_off: countFor("drop-off", m.id),
+        error_payment: countFor("error-payment", m.id),
+        cuci_kosong: countFor(
+          "maintenance",
+          m.id,
+          (e) => e.mtype === "cuci_kosong"
+        ),
+        employee_quota: countFor("employee-quota", m.id),
+        tube_clean: countFor(
+          "maintenance",
+          m.id,
+          (e) => e.mtype === "tube_clean"
+        ),
+      };
+      const total =
+        row.transaksi +
+        row.drop_off +
+        row.error_payment +
+        row.cuci_kosong +
+        row.employee_quota +
+        row.tube_clean;
+      return { ...row, total };
+    })
+    .sort((a, b) => b.total - a.total);
+
+  return c.json({
+    success: true,
+    data: {
+      filter: q.filter || "today",
+      start_date: from,
+      end_date: to,
+      leaderboard,
+    },
+  });
+});
+
+/** Kontrol skenario saat mock berjalan */
+app.get("/__mock/state", (c) => {
+  const now = Date.now();
+  return c.json({
+    scenario: scenario.name,
+    autopilot: scenario.autopilot,
+    speed: SPEED,
+    outage_until:
+      now < outageUntil ? new Date(outageUntil).toISOString() : null,
+    machines: machines.map((m) => ({
+      id: m.id,
+      label: m.label,
+      online: m.online,
+      running: isRunning(m),
+      remaining_ms: isRunning(m)
+        ? Math.max(0, m.durMs - elapsedMs(m, now))
+        : null,
+      aid: m.aid,
+      faults: {
+        tl0: m.tl0,
+        blip: now < m.blipUntil,
+        stuck_aid: m.stuckAid,
+      },
+    })),
+    transactions: transactions.length,
+    incidents: incidents.length,
+  });
+});
+
+/** Body `{ action, minutes?, seconds? }`; :id = id atau label mesin */
+app.post("/__mock/machines/:id", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const error = applyAction({ ...body, machine: c.req.param("id") });
+  if (error) return c.json({ success: false, message: error }, 400);
+  return c.json({ success: true });
+});
+
+app.post("/__mock/outage", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  applyAction({ action: "outage", seconds: Number(body.seconds ?? 60) });
+  return c.json({ success: true });
+});
+
+/** Body `{ name }` (skenario bawaan) atau `{ autopilot?, steps }` */
+app.post("/__mock/scenario", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  try {
+    runScenario(
+      body.name
+        ? loadScenario(String(body.name))
+        : {
+            name: "custom",
+            autopilot: body.autopilot ?? true,
+            steps: Array.isArray(body.steps) ? body.steps : [],
+          }
+    );
+  } catch (error: any) {
+    return c.json({ success: false, message: error.message }, 400);
+  }
+  return c.json({ success: true, scenario: scenario.name });
+});
+
+/** Receiver pengganti untuk channel alert (src/services/alertChannels.ts) */
+async function receiveAlert(c: Context, channel: string) {
+  const body = await c.req.json().catch(() => null);
+  alertInbox.push({ channel, at: new Date().toISOString(), body });
+  if (alertInbox.length > 100) alertInbox.shift();
+  console.log(`🧪 [Mock] Alert via ${channel}`);
+  return body;
+}
+
+app.post("/__mock/alerts/webhook", async (c) => {
+  await receiveAlert(c, "webhook");
+  return c.json({ success: true });
+});
+
+/** Bot API Telegram: sendMessage */
+app.post("/__mock/telegram/:bot/sendMessage", async (c) => {
+  const body = await receiveAlert(c, "telegram");
+  return c.json({
+    ok: true,
+    result: {
+      message_id: alertInbox.length,
+      chat: { id: body?.chat_id },
+      text: body?.text,
+    },
+  });
+});
+
+app.post("/__mock/whatsapp/send", async (c) => {
+  await receiveAlert(c, "whatsapp");
+  return c.json({ status: true, detail: "message queued" });
+});
+
+/** Pesan alert yang diterima; `DELETE` untuk mengosongkan */
+app.get("/__mock/alerts", (c) => c.json({ data: alertInbox }));
+
+app.delete("/__mock/alerts", (c) => {
+  alertInbox.length = 0;
+  return c.json({ success: true });
+});
+
+/**
+ * --app: arahkan app ke mock lalu jalankan src/server.ts di proses yang
+ * sama. Env di-set sebelum config.ts dibaca; dotenv tidak menimpanya.
+ */
+async function startApp() {
+  const base = `http://localhost:${PORT}`;
+  process.env.UPSTREAM_BASE = base;
+  process.env.EVENT_GATEWAY_BASE = base;
+  process.env.UPSTREAM_BEARER = "mock";
+
+  dotenv.config({ path: ".env.local" });
+  dotenv.config();
+  if (!process.env.OUTLETS && !process.env.OUTLET_ID) {
+    process.env.OUTLET_ID = "MOCK";
+  }
+  // Data mock terpisah dari data/ outlet sungguhan
+  process.env.DATA_DIR ||= "data/mock";
+  // Channel alert ke receiver mock, kecuali dikonfigurasi sendiri
+  process.env.ALERT_WEBHOOK_URL ||= `${base}/__mock/alerts/webhook`;
+  process.env.TELEGRAM_API_BASE ||= `${base}/__mock/telegram`;
+  process.env.TELEGRAM_BOT_TOKEN ||= "mock";
+  process.env.TELEGRAM_CHAT_ID ||= "-1000000000";
+  process.env.WHATSAPP_GATEWAY_URL ||= `${base}/__mock/whatsapp/send`;
+  process.env.WHATSAPP_ALERT_TO ||= "6281200000000";
+
+  await import("../server.js");
+}
+
+seedHistory();
+runScenario(loadScenario(process.env.MOCK_SCENARIO || "default"));
+setInterval(tick, TICK_MS);
+
+serve({ fetch: app.fetch, port: PORT }, () => {
+  console.log(
+    `🧪 Mock Smartlink + gateway on http://localhost:${PORT} ` +
+      `(${machines.length} machines, ${transactions.length} transactions)`
+  );
+  if (process.argv.includes("--app")) startApp();
+});
@@ -0,0 +1,149 @@
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  getLabelMap,
+  loadMachineRegistry,
+} from "../services/machineRegistry.js";
+import {
+  replayFixture,
+  controllerId,
+  type NormalizeFixture,
+  type FixtureStep,
+} from "./normalizeHarness.js";
+
+/**
+ * Buat fixture test normalize dari payload list_snap_mesin yang tertangkap.
+ *
+ *   npm run fixture:normalize -- capture1.json capture2.json --name stuck-aid
+ *   npm run fixture:normalize -- data/upstream/list.jsonl --name glitch \
+ *     --machine W03 --machine D01
+ *
+ * Input: file .json (satu respons, `{ data: [...] }` atau array) atau .jsonl
+ * (satu respons atau rekaman `{ recorded_at, endpoint, body }` per baris).
+ * Expectation diisi dari perilaku normalize() saat ini — periksa dan
+ * koreksi sebelum commit.
+ */
+
+const USAGE = `Usage: tsx src/dev/normalizeFixture.ts \\
+  <payload.json|.jsonl>... --name <name> [--out <file>] \\
+  [--description <text>] [--interval <ms>] [--machine <id|label>]... \\
+  [--labels]`;
+
+interface Capture {
+  recordedAt: number | null;
+  rows: any[];
+}
+
+/** Ambil array rows dari respons list_snap_mesin */
+function rowsOf(body: any): any[] | null {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.data)) return body.data;
+  return null;
+}
+
+function readCaptures(file: string): Capture[] {
+  const text = fs.readFileSync(file, "utf8");
+  const entries = file.endsWith(".jsonl")
+    ? text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line))
+    : [JSON.parse(text)];
+
+  const captures: Capture[] = [];
+  for (const entry of entries) {
+    // Rekaman recorder: hanya list_snap_mesin yang jadi step
+    if (entry?.endpoint && entry.endpoint !== "list_snap_mesin") continue;
+    const rows = rowsOf(entry?.body ?? entry);
+    if (!rows) continue;
+    const recordedAt = entry?.recorded_at ? Date.parse(entry.recorded_at) : NaN;
+    captures.push({
+      recordedAt: Number.isFinite(recordedAt) ? recordedAt : null,
+      rows,
+    });
+  }
+  return captures;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: "string" },
+      out: { type: "string" },
+      description: { type: "string" },
+      interval: { type: "string", default: "180000" },
+      machine: { type: "string", multiple: true },
+      labels: { type: "boolean", default: false },
+    },
+  });
+
+  if (!values.name || positionals.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const captures = positionals.flatMap(readCaptures);
+  if (captures.length === 0) {
+    console.error("No list_snap_mesin payloads found in input");
+    process.exit(1);
+  }
+
+  // Filter mesin (id controller, label registry, atau nama upstream)
+  await loadMachineRegistry().catch(() => undefined); // gagal → seed
+  const labelMap = getLabelMap();
+  const wanted = (values.machine || []).map((m) => m.toUpperCase());
+  const keep = (row: any) => {
+    if (wanted.length === 0) return true;
+    const id = controllerId(row);
+    return [id, labelMap[id], row?.nama]
+      .filter(Boolean)
+      .some((key) => wanted.includes(String(key).toUpperCase()));
+  };
+
+  // Waktu step: recorded_at jika ada, selain itu urutan × --interval
+  const interval = Number(values.interval);
+  const first = captures[0].recordedAt;
+  const steps: FixtureStep[] = captures.map((capture, i) => ({
+    at:
+      first !== null && capture.recordedAt !== null
+        ? capture.recordedAt - first
+        : i * interval,
+    rows: capture.rows.filter(keep),
+  }));
+
+  const ids = new Set(steps.flatMap((s) => s.rows.map(controllerId)));
+  const fixture: NormalizeFixture = {
+    name: values.name,
+    description: values.description || "",
+    start: first !== null ? new Date(first).toISOString() : undefined,
+    labels: values.labels
+      ? Object.fromEntries(
+          Object.entries(labelMap).filter(([id]) => ids.has(id))
+        )
+      : undefined,
+    steps,
+  };
+
+  const results = replayFixture(fixture);
+  results.forEach((result, i) => {
+    steps[i].expect = result.machines;
+    steps[i].transitions = result.transitions;
+  });
+
+  const out =
+    values.out ||
+    path.join("test", "fixtures", "normalize", `${values.name}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, `${JSON.stringify(fixture, null, 2)}\n`);
+
+  const transitions = results.reduce((n, r) => n + r.transitions.length, 0);
+  console.log(
+    `✅ Fixture ${out}: ${steps.length} steps, ${ids.size} machines, ` +
+      `${transitions} transitions`
+  );
+  console.log("   Review `expect` — it records current behaviour.");
+}
+
+main();
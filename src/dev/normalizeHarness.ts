@@ -0,0 +1,171 @@
+import {
+  normalize,
+  classifyNewWithReason,
+  onStatusTransition,
+  resetNormalizeState,
+  setNormalizeClock,
+  setGatewayLogging,
+  type Out,
+} from "../normalize.js";
+
+/**
+ * Replay urutan payload list_snap_mesin lewat normalize() dengan jam
+ * terkontrol. Dipakai test (test/normalize.test.ts) dan CLI pembuat fixture
+ * (src/dev/normalizeFixture.ts).
+ */
+
+export interface ExpectedMachine {
+  status?: Out["status"]; // setelah hysteresis
+  raw_status?: Out["status"]; // hasil klasifikasi sebelum hysteresis
+  reason?: string;
+  elapsed_ms?: number | null; // null = tidak boleh ada
+  dur?: number | null;
+  label?: string;
+}
+
+export interface ExpectedTransition {
+  machine: string;
+  from: Out["status"];
+  to: Out["status"];
+}
+
+export interface FixtureStep {
+  at: number; // ms sejak `start`
+  rows: any[]; // `data` dari respons list_snap_mesin
+  expect?: Record<string, ExpectedMachine>; // per id controller
+  transitions?: ExpectedTransition[]; // jika ada, harus sama persis
+}
+
+export interface NormalizeFixture {
+  name: string;
+  description?: string;
+  start?: string; // ISO, default DEFAULT_START
+  labels?: Record<string, string>; // ctrlMap id → label
+  steps: FixtureStep[];
+}
+
+export interface MachineResult {
+  label: string;
+  status: Out["status"];
+  raw_status: Out["status"];
+  reason: string;
+  elapsed_ms: number | null;
+  dur: number | null;
+}
+
+export interface StepResult {
+  at: number;
+  machines: Record<string, MachineResult>;
+  transitions: ExpectedTransition[];
+}
+
+export const DEFAULT_START = "2026-01-01T00:00:00.000Z";
+
+/**
+ * Jalankan semua step fixture dari state kosong. State normalize (jam,
+ * hysteresis, logging gateway) dikembalikan setelah selesai.
+ */
+export function replayFixture(fixture: NormalizeFixture): StepResult[] {
+  const start = Date.parse(fixture.start || DEFAULT_START);
+  let now = start;
+  let transitions: ExpectedTransition[] = [];
+
+  resetNormalizeState();
+  setNormalizeClock(() => now);
+  setGatewayLogging(false);
+  const unsubscribe = onStatusTransition((t) => {
+    transitions.push({
+      machine: t.machineId,
+      from: t.oldStatus,
+      to: t.newStatus,
+    });
+  });
+
+  try {
+    return fixture.steps.map((step) => {
+      now = start + step.at;
+      transitions = [];
+      const { list } = normalize(step.rows, fixture.labels || null);
+
+      const machines: Record<string, MachineResult> = {};
+      for (const row of step.rows) {
+        const out = list.find((m) => m.id === controllerId(row));
+        if (!out) continue;
+        const classification = classifyNewWithReason(
+          row?.snap_report_device || {},
+          row?.updated_at || null
+        );
+        machines[out.id] = {
+          label: out.label,
+          status: out.status,
+          raw_status: classification.status,
+          reason: classification.reason,
+          elapsed_ms: out.elapsed_ms ?? null,
+          dur: out.dur ?? null,
+        };
+      }
+      return { at: step.at, machines, transitions };
+    });
+  } finally {
+    unsubscribe();
+    setNormalizeClock(null);
+    setGatewayLogging(true);
+    resetNormalizeState();
+  }
+}
+
+/** Id controller seperti di normalize() */
+export function controllerId(row: any): string {
+  return String(
+    row?.snap_report_device?.id ||
+      row?.snap_report_device?.aid ||
+      row?.id ||
+      ""
+  );
+}
+
+/**
+ * Bandingkan hasil replay dengan expectation fixture. Return daftar
+ * selisih (kosong = cocok); hanya field yang ditulis di fixture dicek.
+ */
+export function diffFixture(
+  fixture: NormalizeFixture,
+  results: StepResult[]
+): string[] {
+  const problems: string[] = [];
+
+  fixture.steps.forEach((step, i) => {
+    const result = results[i];
+    const where = `step ${i} (at ${step.at}ms)`;
+
+    for (const [id, expected] of Object.entries(step.expect || {})) {
+      const actual = result.machines[id];
+      if (!actual) {
+        problems.push(`${where}: machine ${id} missing from output`);
+        continue;
+      }
+      for (const [field, value] of Object.entries(expected)) {
+        const got = actual[field as keyof MachineResult];
+        if (got !== value) {
+          problems.push(
+            `${where}: ${id}.${field} expected ${JSON.stringify(
+              value
+            )}, got ${JSON.stringify(got)}`
+          );
+        }
+      }
+    }
+
+    if (step.transitions) {
+      const expected = JSON.stringify(step.transitions);
+      const actual = JSON.stringify(result.transitions);
+      if (expected !== actual) {
+        problems.push(
+          `${where}: transitions expected ${expected}, got ${actual}`
+        );
+      }
+    }
+  });
+
+  return problems;
+}
@@ -1,3 +1,5 @@
+import { getMachineSlot } from "./services/machineRegistry.js";
+
 export type Up = any;
 export type Out = {
   id: string;
@@ -21,6 +23,73 @@ const previousDeviceStates: Map<
   { status: string; device: any; timestamp: number }
 > = new Map();
 
+// Jam untuk hysteresis dan elapsed; diganti test/replay lewat setNormalizeClock
+let clock: () => number = Date.now;
+// Test/replay tidak boleh mengirim log status-change ke gateway
+let gatewayLogging = true;
+
+/**
+ * Ganti sumber waktu normalize (null = Date.now). Untuk test dan replay.
+ */
+export function setNormalizeClock(fn: (() => number) | null): void {
+  clock = fn || Date.now;
+}
+
+/**
+ * Aktif/nonaktifkan POST /api/monitoring/status-change ke gateway
+ */
+export function setGatewayLogging(enabled: boolean): void {
+  gatewayLogging = enabled;
+}
+
+/**
+ * Lupakan status/hysteresis semua mesin (mulai replay dari awal)
+ */
+export function resetNormalizeState(): void {
+  lastStatus.clear();
+  previousDeviceStates.clear();
+}
+
+/** Transisi status yang lolos hysteresis (READY→RUNNING, RUNNING→READY, dst) */
+export type StatusTransition = {
+  machineId: string;
+  machineLabel: string;
+  machineType?: Out["type"];
+  oldStatus: Out["status"];
+  newStatus: Out["status"];
+  timestamp: number;
+  device: any;
+  updated_at: string | null;
+  classification: { reason: string; details: any };
+};
+
+type TransitionListener = (transition: StatusTransition) => void;
+const transitionListeners: Set<TransitionListener> = new Set();
+
+/**
+ * Daftarkan listener untuk transisi status (cycle store, export, dll).
+ * Return fungsi unsubscribe.
+ */
+export function onStatusTransition(fn: TransitionListener): () => void {
+  transitionListeners.add(fn);
+  return () => {
+    transitionListeners.delete(fn);
+  };
+}
+
+function emitStatusTransition(transition: StatusTransition) {
+  for (const fn of transitionListeners) {
+    try {
+      fn(transition);
+    } catch (error: any) {
+      console.error(
+        `[Normalize] Transition listener failed for ${transition.machineId}:`,
+        error?.message || error
+      );
+    }
+  }
+}
+
 /** Zero-pad helper: 7 -> "07" */
 const pad2 = (n: number) => String(n).padStart(2, "0");
 
@@ -45,7 +114,7 @@ function isUsableTl(tl: number, dur: number): boolean {
 function calculateElapsed(
   status: Out["status"],
   device: any
-): { elapsed_ms?: number; start_time?: number } {
+): { elapsed_ms?: number; start_time?: number; dur?: number } {
   if (status !== "RUNNING") return {};
 
   const tl = Number(device?.tl ?? 0);
@@ -56,7 +125,8 @@ function calculateElapsed(
   const elapsed = Math.max(0, dur - tl);
   return {
     elapsed_ms: Math.round(elapsed),
-    start_time: Date.now(),
+    start_time: clock(),
+    dur: Math.round(dur), // durasi program; sisa = dur - elapsed_ms
   };
 }
 
@@ -76,7 +146,7 @@ function normalizeLabel(raw: string): string {
   return (isDryer ? "D" : "W") + num;
 }
 
-/** Ambil label dari controllers.json (jika ada), kalau tidak dari nama, kalau tidak fallback index */
+/** Ambil label dari machine registry (jika ada), kalau tidak dari nama, kalau tidak fallback index */
 function resolveLabel(
   ctrlId: string,
   name: string,
@@ -100,7 +170,7 @@ function resolveLabel(
 }
 
 /** RULE STATUS (baru, ketat) dengan classification reason */
-function classifyNewWithReason(
+export function classifyNewWithReason(
   device: any,
   updated_at: string | null,
   ctrlId?: string
@@ -193,7 +263,7 @@ async function logStatusChangeIfNeeded(
   prevState?: { status: string; device: any; timestamp: number }
 ): Promise<void> {
   // Skip jika tidak ada perubahan
-  if (oldStatus === newStatus) return;
+  if (oldStatus === newStatus || !gatewayLogging) return;
 
   // Get gateway URL from config
   // Use dynamic import to avoid circular dependency
@@ -217,7 +287,7 @@ async function logStatusChangeIfNeeded(
   const logData = {
     machine_id: machineId,
     machine_label: machineLabel,
-    timestamp: Date.now(),
+    timestamp: clock(),
     old_status: oldStatus,
     new_status: newStatus,
     raw_device_data: {
@@ -265,15 +335,54 @@ async function logStatusChangeIfNeeded(
   });
 }
 
+/**
+ * Laporkan transisi status: log ke gateway + listener lokal
+ */
+function reportTransition(
+  key: string,
+  machineLabel: string,
+  machineType: Out["type"] | undefined,
+  oldStatus: Out["status"],
+  newStatus: Out["status"],
+  classification: { reason: string; details: any },
+  device: any,
+  updated_at: string | null,
+  prevState: { status: string; device: any; timestamp: number } | undefined,
+  timestamp: number
+) {
+  logStatusChangeIfNeeded(
+    key,
+    machineLabel,
+    oldStatus,
+    newStatus,
+    classification,
+    device,
+    updated_at,
+    prevState
+  );
+  emitStatusTransition({
+    machineId: key,
+    machineLabel,
+    machineType,
+    oldStatus,
+    newStatus,
+    timestamp,
+    device,
+    updated_at,
+    classification,
+  });
+}
+
 function applyHysteresis(
   key: string,
   next: Out["status"],
   classification?: { reason: string; details: any },
   device?: any,
   updated_at?: string | null,
-  machineLabel?: string
+  machineLabel?: string,
+  machineType?: Out["type"]
 ) {
-  const now = Date.now();
+  const now = clock();
   const rec = lastStatus.get(key);
   const prevState = previousDeviceStates.get(key);
 
@@ -296,15 +405,17 @@ function applyHysteresis(
     lastStatus.set(key, { status: next, ts: now });
     // Log status change
     if (classification && device && machineLabel) {
-      logStatusChangeIfNeeded(
+      reportTransition(
         key,
         machineLabel,
+        machineType,
         rec.status,
         next,
         classification,
         device,
         updated_at || null,
-        prevState
+        prevState,
+        now
       );
     }
     // Update device state
@@ -323,16 +434,18 @@ function applyHysteresis(
 
   // Status berubah setelah hysteresis
   // Log status change
-  if (classification && device && machineLabel) {
-    logStatusChangeIfNeeded(
+  if (classification && device && machineLabel && rec.status !== next) {
+    reportTransition(
       key,
       machineLabel,
+      machineType,
       rec.status,
       next,
       classification,
       device,
       updated_at || null,
-      prevState
+      prevState,
+      now
     );
   }
 
@@ -348,39 +461,9 @@ function applyHysteresis(
   return next;
 }
 
-/** SLOT MAP (pakem, zero-padded) */
-const SLOT_BY_LABEL: Record<string, string> = {
-  // TOP row (Dryer)
-  D12: "div12",
-  D11: "div11",
-  D10: "div10",
-  D09: "div9",
-  D08: "div8",
-  D07: "div7",
-  D06: "div6",
-  D05: "div5",
-  D04: "div4",
-  D03: "div3",
-  D02: "div2",
-  D01: "div1",
-  // BOTTOM row (Washer)
-  W01: "div14",
-  W02: "div15",
-  W03: "div16",
-  W04: "div17",
-  W05: "div18",
-  W06: "div19",
-  W07: "div20",
-  W08: "div21",
-  W09: "div22",
-  W10: "div23",
-  W10_OLD: "div26",
-  W11: "div24",
-  W12: "div25",
-};
-
-function pickSlot(label: string): string {
-  return SLOT_BY_LABEL[label] || "div0";
+/** Slot grid dari machine registry; mesin tak dikenal jatuh ke div0 */
+function pickSlot(ctrlId: string, label: string): string {
+  return getMachineSlot(ctrlId, label);
 }
 
 export function normalize(rows: Up[], ctrlMap: Record<string, string> | null) {
@@ -403,7 +486,7 @@ export function normalize(rows: Up[], ctrlMap: Record<string, string> | null) {
     else idxW += 1;
 
     const label = resolveLabel(ctrlId, name, jenis, idxD, idxW, ctrlMap); // -> W07/D10 (zero-padded)
-    const slot = pickSlot(label);
+    const slot = pickSlot(ctrlId, label);
 
     const classification = classifyNewWithReason(
       device,
@@ -417,7 +500,8 @@ export function normalize(rows: Up[], ctrlMap: Record<string, string> | null) {
       classification,
       device,
       x?.updated_at || null,
-      label
+      label,
+      type
     );
 
     // Calculate elapsed time for running machines (stateless, inline)
@@ -0,0 +1,77 @@
+/**
+ * Role dan permission. Owner > manager > staff > viewer; role lama dari
+ * token/env (`admin`, `user`) dipetakan lewat normalizeRole().
+ */
+export const ROLES = ["owner", "manager", "staff", "viewer"] as const;
+
+export type Role = (typeof ROLES)[number];
+
+export const PERMISSIONS = [
+  "monitor:view",
+  "cycles:read",
+  "transactions:read",
+  "machines:control", // start/stop mesin dari monitor
+  "alerts:ack",
+  "orders:manage", // order drop-off: terima, ubah status, ambil
+  "customers:manage", // direktori pelanggan + riwayat kunjungan
+  "dashboard:view", // dashboard + leaderboard (dulu: admin)
+  "layout:edit",
+  "machines:manage", // registry /api/admin/machines
+  "alerts:manage",
+  "users:manage",
+  "audit:read",
+  "api_keys:manage", // API key kiosk/integrasi
+] as const;
+
+export type Permission = (typeof PERMISSIONS)[number];
+
+const VIEWER: Permission[] = [
+  "monitor:view",
+  "cycles:read",
+  "transactions:read",
+];
+const STAFF: Permission[] = [
+  ...VIEWER,
+  "machines:control",
+  "alerts:ack",
+  "orders:manage",
+  "customers:manage",
+];
+const MANAGER: Permission[] = [
+  ...STAFF,
+  "dashboard:view",
+  "layout:edit",
+  "machines:manage",
+  "alerts:manage",
+  "users:manage",
+  "audit:read",
+  "api_keys:manage",
+];
+
+export const ROLE_PERMISSIONS: Record<Role, readonly Permission[]> = {
+  owner: PERMISSIONS,
+  manager: MANAGER,
+  staff: STAFF,
+  viewer: VIEWER,
+};
+
+const LEGACY_ROLES: Record<string, Role> = { admin: "owner", user: "staff" };
+
+export function isRole(value: unknown): value is Role {
+  return ROLES.includes(value as Role);
+}
+
+/** Role dari token/env lama; tidak dikenal → viewer */
+export function normalizeRole(role: string): Role {
+  if (isRole(role)) return role;
+  return LEGACY_ROLES[role] || "viewer";
+}
+
+export function hasPermission(role: string, permission: Permission): boolean {
+  return ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
+}
+
+/** Urutan role: angka lebih besar = lebih tinggi */
+export function roleRank(role: Role): number {
+  return ROLES.length - ROLES.indexOf(role);
+}
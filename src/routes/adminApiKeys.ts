@@ -0,0 +1,108 @@
+import { Hono } from "hono";
+import { authMiddleware, adminMiddleware, type AuthPayload } from "../auth.js";
+import {
+  API_SCOPES,
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  ApiKeyError,
+} from "../services/apiKeyService.js";
+import { recordAudit } from "../services/auditService.js";
+
+const adminApiKeys = new Hono<{ Variables: { user: AuthPayload } }>();
+
+adminApiKeys.use("*", authMiddleware(), adminMiddleware("api_keys:manage"));
+
+function handleApiKeyError(c: any, error: any, fallback: string) {
+  if (error instanceof ApiKeyError) {
+    return c.json(
+      { success: false, error: error.message, message: error.message },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+async function readBody(c: any): Promise<Record<string, unknown>> {
+  const body = await c.req.json().catch(() => null);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiKeyError("Body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * GET /api/admin/api-keys - Daftar key + pemakaian (tanpa hash)
+ */
+adminApiKeys.get("/", (c) => {
+  return c.json({ success: true, data: listApiKeys(), scopes: API_SCOPES });
+});
+
+/**
+ * POST /api/admin/api-keys - Buat key
+ *
+ * Body: { name, scopes: [...], rate_limit? (per menit), expires_at? }
+ * Response `key` hanya dikirim sekali ini.
+ */
+adminApiKeys.post("/", async (c) => {
+  try {
+    const body = await readBody(c);
+    const { key, data } = await createApiKey(body, c.get("user").username);
+    await recordAudit(c, {
+      action: "api_keys.create",
+      target: data.name,
+      details: { id: data.id, scopes: data.scopes },
+    });
+    return c.json({ success: true, key, data }, 201);
+  } catch (error: any) {
+    return handleApiKeyError(c, error, "Failed to create API key");
+  }
+});
+
+/**
+ * PATCH /api/admin/api-keys/:id - Ubah nama, scope, rate limit atau
+ * kedaluwarsa
+ */
+adminApiKeys.patch("/:id", async (c) => {
+  try {
+    const body = await readBody(c);
+    const data = await updateApiKey(c.req.param("id"), body);
+    await recordAudit(c, {
+      action: "api_keys.update",
+      target: data.name,
+      details: {
+        id: data.id,
+        scopes: body.scopes,
+        rate_limit: body.rate_limit,
+        expires_at: body.expires_at,
+      },
+    });
+    return c.json({ success: true, data });
+  } catch (error: any) {
+    return handleApiKeyError(c, error, "Failed to update API key");
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:id - Cabut key (data pemakaian tetap ada)
+ */
+adminApiKeys.delete("/:id", async (c) => {
+  try {
+    const data = await revokeApiKey(c.req.param("id"));
+    await recordAudit(c, {
+      action: "api_keys.revoke",
+      target: data.name,
+      details: { id: data.id },
+    });
+    return c.json({ success: true, data });
+  } catch (error: any) {
+    return handleApiKeyError(c, error, "Failed to revoke API key");
+  }
+});
+
+export default adminApiKeys;
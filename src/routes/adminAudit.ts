@@ -0,0 +1,68 @@
+import { Hono } from "hono";
+import { authMiddleware, adminMiddleware, type AuthPayload } from "../auth.js";
+import {
+  queryAudit,
+  auditToCsv,
+  AuditError,
+} from "../services/auditService.js";
+
+const adminAudit = new Hono<{ Variables: { user: AuthPayload } }>();
+
+adminAudit.use("*", authMiddleware(), adminMiddleware("audit:read"));
+
+/**
+ * GET /api/admin/audit - Audit log login dan aksi berhak khusus
+ *
+ * Query params: action (mis. `auth.login_failed,auth.lockout` atau
+ * `machine.*`), username, outcome (success|failure|blocked), ip, target,
+ * from, to (ISO atau YYYY-MM-DD), limit (default 200, max 5000), offset,
+ * format=csv (download)
+ */
+adminAudit.get("/", async (c) => {
+  const csv = c.req.query("format") === "csv";
+  const limit = Math.min(Number(c.req.query("limit") || 200), 5000);
+  const offset = Number(c.req.query("offset") || 0);
+
+  try {
+    const result = await queryAudit({
+      action: c.req.query("action"),
+      username: c.req.query("username"),
+      outcome: c.req.query("outcome"),
+      ip: c.req.query("ip"),
+      target: c.req.query("target"),
+      from: c.req.query("from"),
+      to: c.req.query("to"),
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 200,
+      offset: Number.isFinite(offset) && offset > 0 ? offset : 0,
+    });
+
+    if (csv) {
+      const date = new Date().toISOString().slice(0, 10);
+      c.header("Content-Type", "text/csv; charset=utf-8");
+      c.header(
+        "Content-Disposition",
+        `attachment; filename="audit-${date}.csv"`
+      );
+      return c.body(auditToCsv(result.data));
+    }
+    return c.json({ success: true, ...result });
+  } catch (error: any) {
+    if (error instanceof AuditError) {
+      return c.json(
+        { success: false, error: "Invalid query", message: error.message },
+        error.status
+      );
+    }
+    console.error("❌ Failed to query audit log:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Failed to query audit log",
+        message: error.message,
+      },
+      500
+    );
+  }
+});
+
+export default adminAudit;
@@ -0,0 +1,119 @@
+import { Hono } from "hono";
+import type { Context } from "hono";
+import { authMiddleware, adminMiddleware } from "../auth.js";
+import {
+  listMachines,
+  getMachineById,
+  createMachine,
+  updateMachine,
+  deleteMachine,
+  RegistryError,
+} from "../services/machineRegistry.js";
+import { refreshAllOutlets } from "../services/machineService.js";
+
+const adminMachines = new Hono();
+
+adminMachines.use("*", authMiddleware(), adminMiddleware("machines:manage"));
+
+/**
+ * Response error registry yang konsisten
+ */
+function handleRegistryError(c: Context, error: any, action: string) {
+  if (error instanceof RegistryError) {
+    return c.json(
+      { success: false, error: error.message, message: error.message },
+      error.status
+    );
+  }
+  console.error(`❌ Error ${action} machine:`, error);
+  return c.json(
+    {
+      success: false,
+      error: `Failed to ${action} machine`,
+      message: error.message,
+    },
+    500
+  );
+}
+
+async function readBody(c: Context): Promise<any> {
+  try {
+    return await c.req.json();
+  } catch {
+    throw new RegistryError("Invalid JSON format");
+  }
+}
+
+/**
+ * Terapkan perubahan registry ke snapshot tanpa menunggu interval refresh
+ */
+function applyRegistryChange() {
+  refreshAllOutlets().catch((error) =>
+    console.error("Failed to refresh after registry change:", error)
+  );
+}
+
+/**
+ * GET /api/admin/machines - List semua mesin di registry (`?outlet=` opsional)
+ */
+adminMachines.get("/", (c) => {
+  return c.json({
+    success: true,
+    data: listMachines(c.req.query("outlet") || undefined),
+  });
+});
+
+/**
+ * GET /api/admin/machines/:id - Detail mesin
+ */
+adminMachines.get("/:id", (c) => {
+  const machine = getMachineById(c.req.param("id"));
+  if (!machine) {
+    return c.json(
+      { success: false, error: "Not found", message: "Machine not found" },
+      404
+    );
+  }
+  return c.json({ success: true, data: machine });
+});
+
+/**
+ * POST /api/admin/machines - Tambah mesin
+ */
+adminMachines.post("/", async (c) => {
+  try {
+    const machine = await createMachine(await readBody(c));
+    applyRegistryChange();
+    return c.json({ success: true, data: machine }, 201);
+  } catch (error: any) {
+    return handleRegistryError(c, error, "create");
+  }
+});
+
+/**
+ * PUT /api/admin/machines/:id - Update mesin (termasuk ganti controller id)
+ */
+adminMachines.put("/:id", async (c) => {
+  try {
+    const machine = await updateMachine(c.req.param("id"), await readBody(c));
+    applyRegistryChange();
+    return c.json({ success: true, data: machine });
+  } catch (error: any) {
+    return handleRegistryError(c, error, "update");
+  }
+});
+
+/**
+ * DELETE /api/admin/machines/:id - Hapus mesin dari registry
+ */
+adminMachines.delete("/:id", async (c) => {
+  try {
+    const machine = await deleteMachine(c.req.param("id"));
+    applyRegistryChange();
+    return c.json({ success: true, data: machine });
+  } catch (error: any) {
+    return handleRegistryError(c, error, "delete");
+  }
+});
+
+export default adminMachines;
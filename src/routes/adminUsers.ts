@@ -0,0 +1,162 @@
+import { Hono } from "hono";
+import { authMiddleware, adminMiddleware, type AuthPayload } from "../auth.js";
+import {
+  listUsers,
+  createUser,
+  updateUser,
+  resetPassword,
+  deleteUser,
+  endAllSessions,
+  getUserById,
+  UserError,
+} from "../services/userService.js";
+import {
+  listUserSessions,
+  revokeUserSessions,
+} from "../services/sessionService.js";
+import { recordAudit } from "../services/auditService.js";
+
+const adminUsers = new Hono<{ Variables: { user: AuthPayload } }>();
+
+adminUsers.use("*", authMiddleware(), adminMiddleware("users:manage"));
+
+function handleUserError(c: any, error: any, fallback: string) {
+  if (error instanceof UserError) {
+    return c.json(
+      { success: false, error: error.message, message: error.message },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+async function readBody(c: any): Promise<Record<string, unknown>> {
+  const body = await c.req.json().catch(() => null);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new UserError("Body must be a JSON object");
+  }
+  return body;
+}
+
+function userId(c: any): number {
+  const id = Number(c.req.param("id"));
+  if (!Number.isInteger(id)) throw new UserError("User not found", 404);
+  return id;
+}
+
+/**
+ * GET /api/admin/users - Daftar akun (tanpa hash password)
+ */
+adminUsers.get("/", (c) => {
+  return c.json({ success: true, data: listUsers() });
+});
+
+/**
+ * POST /api/admin/users - Buat akun
+ *
+ * Body: { username, password, role (owner|manager|staff|viewer), name? }
+ */
+adminUsers.post("/", async (c) => {
+  try {
+    const user = await createUser(c.get("user"), await readBody(c));
+    await recordAudit(c, {
+      action: "users.create",
+      target: user.username,
+      details: { role: user.role },
+    });
+    return c.json({ success: true, data: user }, 201);
+  } catch (error: any) {
+    return handleUserError(c, error, "Failed to create user");
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id - Ubah nama, role atau disabled
+ */
+adminUsers.patch("/:id", async (c) => {
+  try {
+    const body = await readBody(c);
+    const user = await updateUser(c.get("user"), userId(c), body);
+    if (user.disabled) await revokeUserSessions(user.id, "disabled");
+    await recordAudit(c, {
+      action: "users.update",
+      target: user.username,
+      details: { name: body.name, role: body.role, disabled: body.disabled },
+    });
+    return c.json({ success: true, data: user });
+  } catch (error: any) {
+    return handleUserError(c, error, "Failed to update user");
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/reset-password - Body: { password }. Sesi
+ * user tersebut berakhir.
+ */
+adminUsers.post("/:id/reset-password", async (c) => {
+  try {
+    const body = await readBody(c);
+    const user = await resetPassword(c.get("user"), userId(c), body.password);
+    await revokeUserSessions(user.id, "password_reset");
+    await recordAudit(c, {
+      action: "users.reset_password",
+      target: user.username,
+    });
+    return c.json({ success: true, data: user });
+  } catch (error: any) {
+    return handleUserError(c, error, "Failed to reset password");
+  }
+});
+
+/**
+ * GET /api/admin/users/:id/sessions - Sesi login aktif (perangkat, IP)
+ */
+adminUsers.get("/:id/sessions", (c) => {
+  try {
+    return c.json({ success: true, data: listUserSessions(userId(c)) });
+  } catch (error: any) {
+    return handleUserError(c, error, "Failed to list sessions");
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/logout - Akhiri semua sesi user (mis. tablet
+ * hilang); access token dan refresh token lama langsung ditolak
+ */
+adminUsers.post("/:id/logout", async (c) => {
+  try {
+    const user = await endAllSessions(c.get("user"), userId(c));
+    const revoked = await revokeUserSessions(user.id);
+    await recordAudit(c, {
+      action: "users.logout",
+      target: user.username,
+      details: { revoked },
+    });
+    return c.json({ success: true, data: { user, revoked } });
+  } catch (error: any) {
+    return handleUserError(c, error, "Failed to end sessions");
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id - Hapus akun (lebih baik disable agar
+ * riwayat tetap terbaca)
+ */
+adminUsers.delete("/:id", async (c) => {
+  try {
+    const id = userId(c);
+    const username = getUserById(id)?.username ?? String(id);
+    await deleteUser(c.get("user"), id);
+    await revokeUserSessions(id, "deleted");
+    await recordAudit(c, { action: "users.delete", target: username });
+    return c.json({ success: true });
+  } catch (error: any) {
+    return handleUserError(c, error, "Failed to delete user");
+  }
+});
+
+export default adminUsers;
@@ -0,0 +1,95 @@
+import { Hono } from "hono";
+import { authMiddleware, adminMiddleware, type AuthPayload } from "../auth.js";
+import {
+  listAlerts,
+  ackAlert,
+  sendTestAlert,
+  getAlertChannels,
+  AlertError,
+} from "../services/alertService.js";
+import {
+  ALL_OUTLETS,
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
+
+const alerts = new Hono<{ Variables: { user: AuthPayload } }>();
+
+alerts.use("*", authMiddleware());
+
+function handleAlertError(c: any, error: any, fallback: string) {
+  if (error instanceof AlertError) {
+    return c.json(
+      { success: false, error: error.message, message: error.message },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+/**
+ * GET /api/alerts - Riwayat alert (terbaru dulu)
+ *
+ * Query params: status (open|resolved), outlet (id atau `all`), limit
+ */
+alerts.get("/", (c) => {
+  const value = c.req.query("outlet");
+  const outlet = value ? resolveOutletParam(value) : ALL_OUTLETS;
+  if (!outlet) return c.json(unknownOutletResponse(value), 400);
+
+  const status = c.req.query("status");
+  if (status && status !== "open" && status !== "resolved") {
+    return c.json(
+      {
+        success: false,
+        error: "Invalid status",
+        message: "status must be one of: open, resolved",
+      },
+      400
+    );
+  }
+
+  const limit = Math.min(Number(c.req.query("limit") || 100), 500);
+  const data = listAlerts({
+    status,
+    outlet: outlet === ALL_OUTLETS ? undefined : outlet,
+    limit: Number.isFinite(limit) && limit > 0 ? limit : 100,
+  });
+  return c.json({ success: true, data, channels: getAlertChannels() });
+});
+
+/**
+ * POST /api/alerts/test - Kirim pesan uji ke semua channel (manager ke atas)
+ */
+alerts.post("/test", adminMiddleware("alerts:manage"), async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet || outlet === ALL_OUTLETS) {
+    return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+  }
+
+  try {
+    return c.json({ success: true, data: await sendTestAlert(outlet) });
+  } catch (error: any) {
+    return handleAlertError(c, error, "Failed to send test alert");
+  }
+});
+
+/**
+ * POST /api/alerts/:id/ack - Tandai alert sudah ditangani; pengingat
+ * berhenti
+ */
+alerts.post("/:id/ack", adminMiddleware("alerts:ack"), async (c) => {
+  const user = c.get("user");
+  try {
+    const alert = await ackAlert(c.req.param("id"), user.username);
+    return c.json({ success: true, data: alert });
+  } catch (error: any) {
+    return handleAlertError(c, error, "Failed to acknowledge alert");
+  }
+});
+
+export default alerts;
@@ -0,0 +1,55 @@
+import { Hono } from "hono";
+import {
+  listAnomalies,
+  type AnomalyType,
+} from "../services/anomalyService.js";
+import {
+  ALL_OUTLETS,
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
+
+const anomalies = new Hono();
+
+const TYPES: AnomalyType[] = [
+  "stuck_running",
+  "flapping",
+  "offline",
+  "fallback_running",
+];
+
+/**
+ * GET /api/anomalies - Anomali mesin yang sedang aktif
+ *
+ * Query params: outlet (id atau `all`), type, machine_id
+ */
+anomalies.get("/", (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet) {
+    return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+  }
+
+  const type = c.req.query("type");
+  if (type && !TYPES.includes(type as AnomalyType)) {
+    return c.json(
+      {
+        success: false,
+        error: "Invalid type",
+        message: `type must be one of: ${TYPES.join(", ")}`,
+      },
+      400
+    );
+  }
+
+  const machineId = c.req.query("machine_id");
+  const data = listAnomalies(
+    outlet === ALL_OUTLETS ? undefined : outlet
+  ).filter(
+    (a) =>
+      (!type || a.type === type) && (!machineId || a.machine_id === machineId)
+  );
+
+  return c.json({ success: true, data, total: data.length });
+});
+
+export default anomalies;
@@ -1,10 +1,64 @@
 import { Hono } from "hono";
-import { authenticateUser, generateToken } from "../auth.js";
+import { getCookie } from "hono/cookie";
+import {
+  authenticateUser,
+  authMiddleware,
+  clearSessionCookies,
+  csrfFailed,
+  getRequestToken,
+  isCsrfValid,
+  issueTokens,
+  REFRESH_COOKIE,
+  setSessionCookies,
+  tokenResponse,
+  verifyToken,
+  type AuthPayload,
+} from "../auth.js";
+import { ROLE_PERMISSIONS, normalizeRole } from "../permissions.js";
+import {
+  changePassword,
+  endAllSessions,
+  getUserById,
+  toPublicUser,
+  UserError,
+} from "../services/userService.js";
+import {
+  endSession,
+  revokeUserSessions,
+  rotateSession,
+  SessionError,
+} from "../services/sessionService.js";
+import {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  type LoginBlock,
+} from "../services/loginGuard.js";
+import { recordAudit } from "../services/auditService.js";
+import { getClientIp, getClientMeta } from "../utils/request.js";
 
-const auth = new Hono();
+const auth = new Hono<{ Variables: { user: AuthPayload } }>();
+
+function tooManyAttempts(c: any, block: LoginBlock) {
+  const seconds = Math.ceil(block.retryAfterMs / 1000);
+  c.header("Retry-After", String(seconds));
+  return c.json(
+    {
+      error: "Too Many Requests",
+      message: `Too many failed login attempts. Try again in ${seconds}s.`,
+      retry_after: seconds,
+    },
+    429
+  );
+}
 
 /**
  * POST /api/auth/login - Login endpoint
+ *
+ * Response: { token (access, berumur pendek), expires_at, refresh_token,
+ * refresh_expires_at, user }, plus cookie sesi HttpOnly untuk browser.
+ * Gagal beruntun per username/IP → 429 dengan Retry-After (lihat
+ * services/loginGuard.ts).
  */
 auth.post("/login", async (c) => {
   try {
@@ -41,24 +95,65 @@ auth.post("/login", async (c) => {
       );
     }
 
+    const ip = getClientIp(c);
+    const block = checkLogin(username, ip);
+    if (block) {
+      await recordAudit(c, {
+        action: "auth.login",
+        outcome: "blocked",
+        username: String(username),
+        details: { scope: block.scope, retry_after_ms: block.retryAfterMs },
+      });
+      return tooManyAttempts(c, block);
+    }
+
     const user = await authenticateUser(username, password);
 
     if (!user) {
+      const lockouts = recordLoginFailure(username, ip);
+      await recordAudit(c, {
+        action: "auth.login_failed",
+        outcome: "failure",
+        username: String(username),
+      });
+      for (const lockout of lockouts) {
+        await recordAudit(c, {
+          action: "auth.lockout",
+          outcome: "blocked",
+          username: String(username),
+          target: `${lockout.scope}:${lockout.key}`,
+          details: {
+            lockouts: lockout.lockouts,
+            duration_ms: lockout.retryAfterMs,
+          },
+        });
+      }
+      if (lockouts.length > 0) return tooManyAttempts(c, lockouts[0]);
+
       return c.json(
         { error: "Unauthorized", message: "Invalid credentials" },
         401
       );
     }
 
-    const token = generateToken(user);
+    recordLoginSuccess(username);
+    await recordAudit(c, {
+      action: "auth.login",
+      username: user.username,
+      userId: user.id,
+    });
+
+    const tokens = await issueTokens(user, getClientMeta(c));
+    setSessionCookies(c, tokens);
 
     return c.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         username: user.username,
         role: user.role,
+        permissions: ROLE_PERMISSIONS[normalizeRole(user.role)],
       },
     });
   } catch (error) {
@@ -70,5 +165,169 @@ auth.post("/login", async (c) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh - Tukar refresh token dengan access token baru
+ *
+ * Body: { refresh_token }, atau tanpa body dengan cookie sesi + header
+ * X-CSRF-Token (browser; refresh token baru hanya di cookie). Refresh
+ * token ikut berganti; yang lama tidak bisa dipakai lagi (dipakai ulang →
+ * sesi dicabut).
+ */
+auth.post("/refresh", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const fromCookie = !body?.refresh_token;
+  if (fromCookie && !isCsrfValid(c)) return csrfFailed(c);
+
+  try {
+    const { session, user, refreshToken } = await rotateSession(
+      fromCookie ? getCookie(c, REFRESH_COOKIE) : body.refresh_token
+    );
+    const tokens = tokenResponse(user, session, refreshToken);
+    if (fromCookie) {
+      setSessionCookies(c, tokens);
+      const { refresh_token, ...rest } = tokens;
+      return c.json({ success: true, ...rest });
+    }
+    return c.json({ success: true, ...tokens });
+  } catch (error: any) {
+    if (error instanceof SessionError) {
+      if (fromCookie) clearSessionCookies(c);
+      return c.json(
+        { error: "Unauthorized", message: error.message },
+        error.status
+      );
+    }
+    console.error("Refresh token error:", error);
+    return c.json(
+      { error: "Internal Server Error", message: "Refresh failed" },
+      500
+    );
+  }
+});
+
+/**
+ * POST /api/auth/logout - Akhiri sesi ini
+ *
+ * Body: { refresh_token?, all? }. Access token di header/cookie (jika
+ * masih valid) langsung dicabut dan cookie sesi dihapus. `all: true`
+ * mengakhiri semua sesi akun ini.
+ */
+auth.post("/logout", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const credential = getRequestToken(c);
+  const cookieRefresh = getCookie(c, REFRESH_COOKIE);
+  // Tanpa Bearer, logout lewat cookie wajib CSRF (cegah logout paksa)
+  const usesCookie = credential?.source === "cookie" || !!cookieRefresh;
+  if (credential?.source !== "bearer" && usesCookie && !isCsrfValid(c)) {
+    return csrfFailed(c);
+  }
+  const session = credential ? verifyToken(credential.token) : null;
+  clearSessionCookies(c);
+
+  try {
+    if (body?.all === true) {
+      if (!session) {
+        return c.json(
+          { error: "Unauthorized", message: "Invalid or expired token" },
+          401
+        );
+      }
+      const actor = { userId: session.userId, role: session.role };
+      await endAllSessions(actor, session.userId);
+      await revokeUserSessions(session.userId);
+      await recordAudit(c, {
+        action: "auth.logout_all",
+        username: session.username,
+        userId: session.userId,
+      });
+      return c.json({ success: true });
+    }
+
+    const ended = await endSession({
+      refreshToken: body?.refresh_token || cookieRefresh,
+      sessionId: session?.sid,
+      jti: session?.jti,
+      exp: session?.exp,
+    });
+    if (ended || session) {
+      const user = session ? null : getUserById(ended!.user_id);
+      await recordAudit(c, {
+        action: "auth.logout",
+        username: session?.username ?? user?.username ?? null,
+        userId: session?.userId ?? ended!.user_id,
+      });
+    }
+    return c.json({ success: true });
+  } catch (error) {
+    console.error("Logout error:", error);
+    return c.json(
+      { error: "Internal Server Error", message: "Logout failed" },
+      500
+    );
+  }
+});
+
+/**
+ * GET /api/auth/me - Akun yang sedang login + permission
+ */
+auth.get("/me", authMiddleware(), (c) => {
+  const session = c.get("user");
+  const user = getUserById(session.userId);
+  return c.json({
+    success: true,
+    user: {
+      ...(user
+        ? toPublicUser(user)
+        : { id: session.userId, username: session.username }),
+      role: session.role,
+      permissions: ROLE_PERMISSIONS[normalizeRole(session.role)],
+    },
+  });
+});
+
+/**
+ * POST /api/auth/password - Ganti password sendiri
+ *
+ * Body: { current_password, new_password }. Semua sesi milik user ini
+ * berakhir; response berisi token sesi baru.
+ */
+auth.post("/password", authMiddleware(), async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  try {
+    const user = await changePassword(
+      c.get("user").userId,
+      body?.current_password,
+      body?.new_password
+    );
+    // Semua sesi lama berakhir (session_version naik); sesi baru di sini
+    await revokeUserSessions(user.id, "password_changed");
+    await recordAudit(c, { action: "auth.password_changed" });
+    const tokens = await issueTokens(user, getClientMeta(c));
+    setSessionCookies(c, tokens);
+    return c.json({ success: true, ...tokens });
+  } catch (error: any) {
+    if (error instanceof UserError) {
+      await recordAudit(c, {
+        action: "auth.password_changed",
+        outcome: "failure",
+        details: { reason: error.message },
+      });
+      return c.json(
+        { success: false, error: error.message, message: error.message },
+        error.status
+      );
+    }
+    console.error("Change password error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Failed to change password",
+        message: error.message,
+      },
+      500
+    );
+  }
+});
+
 export default auth;
 
@@ -0,0 +1,117 @@
+import { Hono } from "hono";
+import { authMiddleware, type AuthPayload } from "../auth.js";
+import {
+  searchCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  listCustomerVisits,
+  CustomerError,
+} from "../services/customerService.js";
+import { listOrders } from "../services/orderService.js";
+import { recordAudit } from "../services/auditService.js";
+
+const customers = new Hono<{ Variables: { user: AuthPayload } }>();
+
+customers.use("*", authMiddleware("customers:manage"));
+
+function handleCustomerError(c: any, error: any, fallback: string) {
+  if (error instanceof CustomerError) {
+    return c.json(
+      { success: false, error: error.message, message: error.message },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+async function readBody(c: any): Promise<Record<string, unknown>> {
+  const body = await c.req.json().catch(() => null);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new CustomerError("Body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * GET /api/customers - Cari pelanggan (autocomplete form drop-off)
+ *
+ * Query params: q (nama atau potongan nomor HP), limit (max 100)
+ */
+customers.get("/", (c) => {
+  const limit = Math.min(Number(c.req.query("limit") || 20), 100);
+  const data = searchCustomers(
+    c.req.query("q") || "",
+    Number.isInteger(limit) && limit > 0 ? limit : 20
+  );
+  return c.json({ success: true, data });
+});
+
+/**
+ * GET /api/customers/:id - Detail pelanggan: kunjungan (start drop-off/
+ * klaim promo), order drop-off dan total belanja dari harga order
+ */
+customers.get("/:id", async (c) => {
+  try {
+    const customer = getCustomer(c.req.param("id"));
+    const visits = await listCustomerVisits(customer.id);
+    const orders = listOrders({ customer: customer.id, limit: 500 });
+    const totalSpend = orders.reduce((sum, o) => sum + (o.price || 0), 0);
+    return c.json({
+      success: true,
+      data: {
+        customer,
+        visits,
+        orders,
+        summary: {
+          visit_count: customer.visit_count,
+          order_count: orders.length,
+          total_spend: totalSpend,
+        },
+      },
+    });
+  } catch (error: any) {
+    return handleCustomerError(c, error, "Failed to get customer");
+  }
+});
+
+/**
+ * POST /api/customers - Tambah pelanggan. Body: { name, phone, note? }
+ */
+customers.post("/", async (c) => {
+  try {
+    const customer = await createCustomer(await readBody(c));
+    await recordAudit(c, {
+      action: "customers.create",
+      target: customer.phone,
+      details: { id: customer.id, name: customer.name },
+    });
+    return c.json({ success: true, data: customer }, 201);
+  } catch (error: any) {
+    return handleCustomerError(c, error, "Failed to create customer");
+  }
+});
+
+/**
+ * PATCH /api/customers/:id - Ubah { name?, phone?, note? }
+ */
+customers.patch("/:id", async (c) => {
+  try {
+    const body = await readBody(c);
+    const customer = await updateCustomer(c.req.param("id"), body);
+    await recordAudit(c, {
+      action: "customers.update",
+      target: customer.phone,
+      details: { id: customer.id, ...body },
+    });
+    return c.json({ success: true, data: customer });
+  } catch (error: any) {
+    return handleCustomerError(c, error, "Failed to update customer");
+  }
+});
+
+export default customers;
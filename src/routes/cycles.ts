@@ -0,0 +1,71 @@
+import { Hono } from "hono";
+import type { Context } from "hono";
+import { apiKeyMiddleware } from "../auth.js";
+import { queryCycles } from "../services/cycleService.js";
+
+const cycles = new Hono();
+
+cycles.use("*", apiKeyMiddleware("cycles:read", "cycles:read"));
+
+/**
+ * Handler query siklus, dipakai oleh /api/cycles dan /api/machines/:id/cycles
+ *
+ * Query params: type (washer|dryer), from, to (ISO atau YYYY-MM-DD),
+ * limit, offset
+ */
+export const handleCycleQuery = async (c: Context, machine?: string) => {
+  try {
+    const type = c.req.query("type");
+    if (type && type !== "washer" && type !== "dryer") {
+      return c.json(
+        {
+          success: false,
+          error: "Invalid type",
+          message: "type must be one of: washer, dryer",
+        },
+        400
+      );
+    }
+
+    const limit = Math.min(Number(c.req.query("limit") || 100), 1000);
+    const offset = Number(c.req.query("offset") || 0);
+
+    const result = await queryCycles({
+      machine,
+      type,
+      from: c.req.query("from"),
+      to: c.req.query("to"),
+      limit: Number.isFinite(limit) && limit > 0 ? limit : 100,
+      offset: Number.isFinite(offset) && offset > 0 ? offset : 0,
+    });
+
+    return c.json({ success: true, ...result });
+  } catch (error: any) {
+    if (error.message === "Invalid date range") {
+      return c.json(
+        {
+          success: false,
+          error: "Invalid date range",
+          message: "from/to must be ISO timestamps or YYYY-MM-DD",
+        },
+        400
+      );
+    }
+    console.error("❌ Error querying cycles:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Failed to query cycles",
+        message: error.message,
+      },
+      500
+    );
+  }
+};
+
+/**
+ * GET /api/cycles - Riwayat siklus semua mesin
+ */
+cycles.get("/", (c) => handleCycleQuery(c, c.req.query("machine_id")));
+
+export default cycles;
@@ -1,6 +1,13 @@
 import { Hono } from "hono";
 import { config } from "../config.js";
 import { fetchWithTimeout } from "../utils/fetch.js";
+import {
+  ALL_OUTLETS,
+  fetchPerOutlet,
+  mergeOutletJson,
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
 
 const employees = new Hono();
 
@@ -10,11 +17,20 @@ const EVENT_GATEWAY_BASE_URL =
 
 /**
  * GET /api/employees - Get employees list (proxy to event gateway)
+ *
+ * Query `outlet` (id atau `all`) menggantikan `outlet_id` mentah; `all`
+ * digabung dari request per outlet.
  */
 employees.get("/", async (c) => {
   try {
     // Get query parameters
-    const outletId = c.req.query("outlet_id");
+    const outletParam = c.req.query("outlet");
+    let outletId = c.req.query("outlet_id");
+    const outlet = outletParam ? resolveOutletParam(outletParam) : null;
+    if (outletParam && !outlet) {
+      return c.json(unknownOutletResponse(outletParam), 400);
+    }
+    if (outlet && outlet !== ALL_OUTLETS) outletId = outlet;
     const isActive = c.req.query("is_active");
     const limit = c.req.query("limit") || "100";
     const offset = c.req.query("offset") || "0";
@@ -26,6 +42,22 @@ employees.get("/", async (c) => {
     params.append("limit", limit);
     params.append("offset", offset);
 
+    // Gabungan: satu request per outlet, limit/offset berlaku per outlet
+    if (outlet === ALL_OUTLETS) {
+      const parts = await fetchPerOutlet(outlet, async (id) => {
+        const query = new URLSearchParams(params);
+        query.set("outlet_id", id);
+        const response = await fetchWithTimeout(
+          `${EVENT_GATEWAY_BASE_URL}/api/employees?${query}`,
+          10000,
+          { headers: { Accept: "application/json" } }
+        );
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      });
+      return c.json(mergeOutletJson(parts));
+    }
+
     const url = `${EVENT_GATEWAY_BASE_URL}/api/employees?${params.toString()}`;
 
     // Forward request to event gateway
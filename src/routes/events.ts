@@ -1,6 +1,16 @@
 import { Hono } from "hono";
 import { config } from "../config.js";
 import { fetchWithTimeout } from "../utils/fetch.js";
+import { recordAudit } from "../services/auditService.js";
+import { getRequestActor } from "../auth.js";
+import {
+  isEventType,
+  updateEvent,
+  cancelEvent,
+  listEventRevisions,
+  EVENT_TYPES,
+  EventEditError,
+} from "../services/eventRevisionService.js";
 
 const events = new Hono();
 
@@ -118,9 +128,20 @@ events.post("/:type", async (c) => {
       message: json.message,
       error: json.error,
     });
+    await recordAudit(c, {
+      action: "event.create",
+      target: eventType,
+      details: { machine_id: body.machine_id ?? null, id: json.data?.id },
+    });
     return c.json(json, response.status);
   } catch (error: any) {
     console.error("❌ Error proxying event creation:", error);
+    await recordAudit(c, {
+      action: "event.create",
+      outcome: "failure",
+      target: c.req.param("type"),
+      details: { error: error.message },
+    });
     return c.json(
       {
         success: false,
@@ -132,4 +153,127 @@ events.post("/:type", async (c) => {
   }
 });
 
+function handleEventEditError(c: any, error: any, fallback: string) {
+  if (error instanceof EventEditError) {
+    return c.json(
+      {
+        success: false,
+        error: error.message,
+        message: error.message,
+        fields: error.fields,
+      },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+function invalidTypeResponse(c: any) {
+  return c.json(
+    {
+      success: false,
+      error: "Invalid event type",
+      message: `Event type must be one of: ${EVENT_TYPES.join(", ")}`,
+    },
+    400
+  );
+}
+
+/**
+ * GET /api/events/:type/:id/revisions - Riwayat koreksi event (terlama
+ * dulu)
+ */
+events.get("/:type/:id/revisions", async (c) => {
+  const eventType = c.req.param("type");
+  if (!isEventType(eventType)) return invalidTypeResponse(c);
+  try {
+    const data = await listEventRevisions(eventType, c.req.param("id"));
+    return c.json({ success: true, data });
+  } catch (error: any) {
+    return handleEventEditError(c, error, "Failed to list event revisions");
+  }
+});
+
+/**
+ * PATCH /api/events/:type/:id - Koreksi event di gateway
+ *
+ * Body: { reason, data: { field: nilai } }. Hanya field data (nama,
+ * telepon, karyawan, deskripsi, jenis maintenance, catatan) yang bisa
+ * diubah. Validasi gagal → 400 dengan `fields`; event dibatalkan → 409.
+ * Event sudah berubah tapi revisi gagal difinalkan → tetap 200 dengan
+ * `warning`.
+ */
+events.patch("/:type/:id", async (c) => {
+  const eventType = c.req.param("type");
+  const eventId = c.req.param("id");
+  if (!isEventType(eventType)) return invalidTypeResponse(c);
+
+  try {
+    const body = await c.req.json().catch(() => null);
+    const { event, revision, warning } = await updateEvent(
+      eventType,
+      eventId,
+      body,
+      getRequestActor(c)
+    );
+    await recordAudit(c, {
+      action: "event.update",
+      target: `${eventType}/${eventId}`,
+      details: {
+        reason: revision.reason,
+        changes: revision.changes,
+        ...(warning && { warning }),
+      },
+    });
+    return c.json({ success: true, data: event, revision, warning });
+  } catch (error: any) {
+    await recordAudit(c, {
+      action: "event.update",
+      outcome: "failure",
+      target: `${eventType}/${eventId}`,
+      details: { error: error.message },
+    });
+    return handleEventEditError(c, error, "Failed to update event");
+  }
+});
+
+/**
+ * DELETE /api/events/:type/:id - Batalkan event (soft-cancel)
+ *
+ * Alasan wajib: body { reason } atau query `reason`.
+ */
+events.delete("/:type/:id", async (c) => {
+  const eventType = c.req.param("type");
+  const eventId = c.req.param("id");
+  if (!isEventType(eventType)) return invalidTypeResponse(c);
+
+  try {
+    const body = await c.req.json().catch(() => null);
+    const { event, revision, warning } = await cancelEvent(
+      eventType,
+      eventId,
+      body?.reason ?? c.req.query("reason"),
+      getRequestActor(c)
+    );
+    await recordAudit(c, {
+      action: "event.cancel",
+      target: `${eventType}/${eventId}`,
+      details: { reason: revision.reason, ...(warning && { warning }) },
+    });
+    return c.json({ success: true, data: event, revision, warning });
+  } catch (error: any) {
+    await recordAudit(c, {
+      action: "event.cancel",
+      outcome: "failure",
+      target: `${eventType}/${eventId}`,
+      details: { error: error.message },
+    });
+    return handleEventEditError(c, error, "Failed to cancel event");
+  }
+});
+
 export default events;
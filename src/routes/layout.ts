@@ -0,0 +1,95 @@
+import { Hono } from "hono";
+import { authMiddleware, adminMiddleware } from "../auth.js";
+import {
+  getLayout,
+  saveLayout,
+  LayoutError,
+} from "../services/layoutService.js";
+import {
+  ALL_OUTLETS,
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
+
+const layout = new Hono();
+
+/**
+ * Outlet dari query; layout selalu per outlet (`all` ditolak)
+ */
+function outletError(value: string | undefined) {
+  if (value !== ALL_OUTLETS) return unknownOutletResponse(value);
+  const message = "Layout is per outlet; choose a specific outlet";
+  return { success: false, error: message, message };
+}
+
+/**
+ * GET /api/layout - Layout grid TV (rows, columns, gaps, cell → label)
+ */
+layout.get("/", async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet || outlet === ALL_OUTLETS) {
+    return c.json(outletError(c.req.query("outlet")), 400);
+  }
+
+  try {
+    return c.json({ success: true, data: await getLayout(outlet) });
+  } catch (error: any) {
+    console.error("❌ Error loading layout:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Failed to load layout",
+        message: error.message,
+      },
+      500
+    );
+  }
+});
+
+/**
+ * PUT /api/layout - Simpan layout grid (admin only)
+ */
+layout.put("/", authMiddleware(), adminMiddleware("layout:edit"), async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet || outlet === ALL_OUTLETS) {
+    return c.json(outletError(c.req.query("outlet")), 400);
+  }
+
+  let body: any;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json(
+      {
+        success: false,
+        error: "Invalid JSON format",
+        message: "Invalid JSON format",
+      },
+      400
+    );
+  }
+
+  try {
+    const saved = await saveLayout(outlet, body);
+    console.log(`✅ Layout updated for outlet ${outlet}`);
+    return c.json({ success: true, data: saved });
+  } catch (error: any) {
+    if (error instanceof LayoutError) {
+      return c.json(
+        { success: false, error: error.message, message: error.message },
+        error.status
+      );
+    }
+    console.error("❌ Error saving layout:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Failed to save layout",
+        message: error.message,
+      },
+      500
+    );
+  }
+});
+
+export default layout;
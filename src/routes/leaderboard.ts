@@ -5,13 +5,27 @@ import {
 } from "../services/leaderboardService.js";
 import { calculateETag } from "../utils/etag.js";
 import { leaderboardCache } from "../utils/cache.js";
+import {
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
 
 const leaderboard = new Hono();
 
+const lastSuccessHeader = (outlet: string) => {
+  const time = leaderboardCache.getLastSuccessTime(outlet);
+  return time ? new Date(time).toISOString() : "";
+};
+
 /**
  * GET /api/leaderboard/frequency - Get frequency leaderboard
  */
 leaderboard.get("/frequency", async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet) {
+    return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+  }
+
   try {
     const filterBy = c.req.query("filter_by") || "bulan";
     const bulan = c.req.query("bulan") || "2025-10";
@@ -22,7 +36,7 @@ leaderboard.get("/frequency", async (c) => {
     const ifNoneMatch = c.req.header("If-None-Match");
 
     // Try to get cached data first
-    const cached = leaderboardCache.frequency.get();
+    const cached = leaderboardCache.frequency.get(outlet);
     
     if (cached && ifNoneMatch) {
       // Calculate ETag from cached data
@@ -32,12 +46,7 @@ leaderboard.get("/frequency", async (c) => {
       if (ifNoneMatch === cachedETag) {
         console.log("📦 Frequency leaderboard unchanged (304), using cached data");
         c.header("ETag", cachedETag);
-        c.header(
-          "X-Last-Success",
-          leaderboardCache.getLastSuccessTime()
-            ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-            : ""
-        );
+        c.header("X-Last-Success", lastSuccessHeader(outlet));
         return new Response(null, { status: 304 });
       }
     }
@@ -49,6 +58,7 @@ leaderboard.get("/frequency", async (c) => {
       bulan,
       tanggalAwal,
       tanggalAkhir,
+      outlet,
     });
 
     // Calculate ETag from new data
@@ -58,40 +68,25 @@ leaderboard.get("/frequency", async (c) => {
     if (ifNoneMatch === currentETag) {
       // Data hasn't changed, return 304
       c.header("ETag", currentETag);
-      c.header(
-        "X-Last-Success",
-        leaderboardCache.getLastSuccessTime()
-          ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-          : ""
-      );
+      c.header("X-Last-Success", lastSuccessHeader(outlet));
       return new Response(null, { status: 304 });
     }
 
     // Data has changed or no If-None-Match, return 200 with full data
     c.header("ETag", currentETag);
-    c.header(
-      "X-Last-Success",
-      leaderboardCache.getLastSuccessTime()
-        ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-        : ""
-    );
+    c.header("X-Last-Success", lastSuccessHeader(outlet));
 
     return c.json(responseData);
   } catch (error: any) {
     console.error("❌ Error generating frequency leaderboard:", error);
 
     // Return cached data if available
-    const cached = leaderboardCache.frequency.get();
+    const cached = leaderboardCache.frequency.get(outlet);
     if (cached) {
       console.log("📦 Returning cached frequency leaderboard data due to error");
       const currentETag = calculateETag(cached);
       c.header("ETag", currentETag);
-      c.header(
-        "X-Last-Success",
-        leaderboardCache.getLastSuccessTime()
-          ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-          : ""
-      );
+      c.header("X-Last-Success", lastSuccessHeader(outlet));
       return c.json(cached);
     }
 
@@ -110,6 +105,11 @@ leaderboard.get("/frequency", async (c) => {
  * GET /api/leaderboard/revenue - Get revenue leaderboard
  */
 leaderboard.get("/revenue", async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet) {
+    return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+  }
+
   try {
     const filterBy = c.req.query("filter_by") || "bulan";
     const bulan = c.req.query("bulan") || "2025-10";
@@ -120,7 +120,7 @@ leaderboard.get("/revenue", async (c) => {
     const ifNoneMatch = c.req.header("If-None-Match");
 
     // Try to get cached data first
-    const cached = leaderboardCache.revenue.get();
+    const cached = leaderboardCache.revenue.get(outlet);
     
     if (cached && ifNoneMatch) {
       // Calculate ETag from cached data
@@ -130,12 +130,7 @@ leaderboard.get("/revenue", async (c) => {
       if (ifNoneMatch === cachedETag) {
         console.log("📦 Revenue leaderboard unchanged (304), using cached data");
         c.header("ETag", cachedETag);
-        c.header(
-          "X-Last-Success",
-          leaderboardCache.getLastSuccessTime()
-            ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-            : ""
-        );
+        c.header("X-Last-Success", lastSuccessHeader(outlet));
         return new Response(null, { status: 304 });
       }
     }
@@ -147,6 +142,7 @@ leaderboard.get("/revenue", async (c) => {
       bulan,
       tanggalAwal,
       tanggalAkhir,
+      outlet,
     });
 
     // Calculate ETag from new data
@@ -156,40 +152,25 @@ leaderboard.get("/revenue", async (c) => {
     if (ifNoneMatch === currentETag) {
       // Data hasn't changed, return 304
       c.header("ETag", currentETag);
-      c.header(
-        "X-Last-Success",
-        leaderboardCache.getLastSuccessTime()
-          ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-          : ""
-      );
+      c.header("X-Last-Success", lastSuccessHeader(outlet));
       return new Response(null, { status: 304 });
     }
 
     // Data has changed or no If-None-Match, return 200 with full data
     c.header("ETag", currentETag);
-    c.header(
-      "X-Last-Success",
-      leaderboardCache.getLastSuccessTime()
-        ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-        : ""
-    );
+    c.header("X-Last-Success", lastSuccessHeader(outlet));
 
     return c.json(responseData);
   } catch (error: any) {
     console.error("❌ Error generating revenue leaderboard:", error);
 
     // Return cached data if available
-    const cached = leaderboardCache.revenue.get();
+    const cached = leaderboardCache.revenue.get(outlet);
     if (cached) {
       console.log("📦 Returning cached revenue leaderboard data due to error");
       const currentETag = calculateETag(cached);
       c.header("ETag", currentETag);
-      c.header(
-        "X-Last-Success",
-        leaderboardCache.getLastSuccessTime()
-          ? new Date(leaderboardCache.getLastSuccessTime()!).toISOString()
-          : ""
-      );
+      c.header("X-Last-Success", lastSuccessHeader(outlet));
       return c.json(cached);
     }
 
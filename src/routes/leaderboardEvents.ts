@@ -2,13 +2,27 @@ import { Hono } from "hono";
 import { generateEventsLeaderboard } from "../services/leaderboardEventsService.js";
 import { calculateETag } from "../utils/etag.js";
 import { eventsLeaderboardCache } from "../utils/cache.js";
+import {
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
 
 const leaderboardEvents = new Hono();
 
+const lastSuccessHeader = (outlet: string) => {
+  const time = eventsLeaderboardCache.getLastSuccessTime(outlet);
+  return time ? new Date(time).toISOString() : "";
+};
+
 /**
  * GET /api/leaderboard-events - Get events leaderboard
  */
 leaderboardEvents.get("/", async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet) {
+    return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+  }
+
   try {
     const filter = c.req.query("filter") || "today";
     const startDate = c.req.query("start_date");
@@ -18,6 +32,7 @@ leaderboardEvents.get("/", async (c) => {
       filter,
       startDate,
       endDate,
+      outlet,
     });
 
     // Calculate ETag
@@ -29,43 +44,28 @@ leaderboardEvents.get("/", async (c) => {
     if (ifNoneMatch === currentETag) {
       // Data hasn't changed, return 304
       c.header("ETag", currentETag);
-      c.header(
-        "X-Last-Success",
-        eventsLeaderboardCache.getLastSuccessTime()
-          ? new Date(eventsLeaderboardCache.getLastSuccessTime()!).toISOString()
-          : ""
-      );
+      c.header("X-Last-Success", lastSuccessHeader(outlet));
       return new Response(null, { status: 304 });
     }
 
     // Data has changed or no If-None-Match, return 200 with full data
     c.header("ETag", currentETag);
-    c.header(
-      "X-Last-Success",
-      eventsLeaderboardCache.getLastSuccessTime()
-        ? new Date(eventsLeaderboardCache.getLastSuccessTime()!).toISOString()
-        : ""
-    );
+    c.header("X-Last-Success", lastSuccessHeader(outlet));
 
     // Update cache
-    eventsLeaderboardCache.set(responseData);
+    eventsLeaderboardCache.set(responseData, outlet);
 
     return c.json(responseData);
   } catch (error: any) {
     console.error("❌ Error generating events leaderboard:", error);
 
     // Return cached data if available
-    const cached = eventsLeaderboardCache.get();
+    const cached = eventsLeaderboardCache.get(outlet);
     if (cached) {
       console.log("📦 Returning cached events leaderboard data due to error");
       const currentETag = calculateETag(cached);
       c.header("ETag", currentETag);
-      c.header(
-        "X-Last-Success",
-        eventsLeaderboardCache.getLastSuccessTime()
-          ? new Date(eventsLeaderboardCache.getLastSuccessTime()!).toISOString()
-          : ""
-      );
+      c.header("X-Last-Success", lastSuccessHeader(outlet));
       return c.json(cached);
     }
 
@@ -1,50 +1,170 @@
 import { Hono } from "hono";
+import { streamSSE } from "hono/streaming";
 import { machineCache } from "../utils/cache.js";
 import { calculateMachineETag } from "../utils/etag.js";
 import {
   isDataStale,
   refreshMachines,
-  getMachineLabel,
+  refreshAllOutlets,
+  getCombinedSnapshot,
 } from "../services/machineService.js";
 import { createEvent, type EventData } from "../services/eventService.js";
+import {
+  subscribe,
+  eventsSince,
+  getLastEventId,
+  ensureFastRefresh,
+  type MachineStreamEvent,
+} from "../services/machineStream.js";
 import { config } from "../config.js";
-import { MACHINE_CONFIG } from "../constants.js";
+import { getBreakerSummary } from "../utils/upstream.js";
+import { getClientIp } from "../utils/request.js";
+import { apiKeyMiddleware, getRequestActor } from "../auth.js";
+import { handleCycleQuery } from "./cycles.js";
+import {
+  listMachines,
+  getMachineById,
+} from "../services/machineRegistry.js";
+import {
+  addSubscription,
+  removeSubscription,
+  toPublicSubscription,
+  getVapidPublicKey,
+  NotifyError,
+} from "../services/notifyService.js";
+import { recordAudit } from "../services/auditService.js";
+import {
+  validateStart,
+  sendStart,
+  markStarted,
+  reserveIdempotency,
+  completeIdempotency,
+  releaseIdempotency,
+  StartError,
+} from "../services/startService.js";
+import {
+  validateStop,
+  recordStop,
+  listStops,
+  StopError,
+} from "../services/stopService.js";
+import {
+  resolveStartOrder,
+  linkOrderMachine,
+  startEventId,
+} from "../services/orderService.js";
+import { recordCustomerVisit } from "../services/customerService.js";
+import {
+  enqueueStart,
+  listQueue,
+  cancelQueueEntry,
+  QueueError,
+} from "../services/queueService.js";
+import {
+  ALL_OUTLETS,
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
 
 const machines = new Hono();
 
+/**
+ * Daftar id outlet yang dicakup query `outlet` (sudah di-resolve)
+ */
+function outletIdsFor(outlet: string): string[] {
+  return outlet === ALL_OUTLETS ? config.outlets.map((o) => o.id) : [outlet];
+}
+
+function isOutletStale(outlet: string): boolean {
+  return outletIdsFor(outlet).some((id) => isDataStale(id));
+}
+
+/** Waktu sukses terakhir; untuk gabungan pakai outlet yang paling lama */
+function getLastSuccess(outlet: string): string | null {
+  const times = outletIdsFor(outlet).map((id) =>
+    machineCache.getLastSuccessTime(id)
+  );
+  if (times.some((t) => t === null)) return null;
+  return new Date(Math.min(...(times as number[]))).toISOString();
+}
+
+/**
+ * Refresh outlet yang datanya stale
+ */
+async function refreshStaleOutlets(outlet: string): Promise<void> {
+  const stale = outletIdsFor(outlet).filter((id) => isDataStale(id));
+  await Promise.all(stale.map((id) => refreshMachines(id)));
+}
+
+/**
+ * Snapshot dari cache, atau snapshot kosong (stale) jika belum ada
+ */
+function getCurrentSnapshot(outlet: string): any {
+  if (outlet === ALL_OUTLETS) return getCombinedSnapshot();
+
+  return (
+    machineCache.get(outlet) || {
+      machines: [],
+      summary: { dryer: {}, washer: {} },
+      meta: {
+        ts: new Date().toISOString(),
+        stale: true,
+        version: "v1",
+        outlet,
+        timezone: "Asia/Jakarta",
+        utc_offset: "+07:00",
+      },
+    }
+  );
+}
+
+/**
+ * Tambahkan screen size info ke response snapshot
+ */
+function withScreenInfo(snapshot: any) {
+  return {
+    ...snapshot,
+    meta: {
+      ...snapshot.meta,
+      screen_info: {
+        breakpoints: {
+          mobile: 767,
+          tablet: 1023,
+          desktop: 1919,
+          tv: 1920,
+        },
+      },
+    },
+  };
+}
+
 /**
  * GET /api/machines - Get all machines
+ *
+ * Query `outlet`: id outlet (default: outlet pertama di OUTLETS) atau
+ * `all` untuk gabungan semua outlet.
  */
 machines.get("/", async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet) {
+    return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+  }
+
   // Check if data is stale and trigger refresh if needed
-  const stale = isDataStale();
-  console.log(
-    `Data stale check: ${stale}, snapshot exists: ${!!machineCache.get()}, meta: ${JSON.stringify(
-      machineCache.get()?.meta
-    )}`
-  );
+  const stale = isOutletStale(outlet);
+  console.log(`Data stale check (${outlet}): ${stale}`);
 
   if (stale) {
     console.log("Data is stale, triggering refresh...");
     try {
-      await refreshMachines();
+      await refreshStaleOutlets(outlet);
       console.log("Refresh completed successfully");
     } catch (error) {
       console.error("Failed to refresh data:", error);
     }
   }
 
-  const currentSnapshot = machineCache.get() || {
-    machines: [],
-    summary: { dryer: {}, washer: {} },
-    meta: {
-      ts: new Date().toISOString(),
-      stale: true,
-      version: "v1",
-      timezone: "Asia/Jakarta",
-      utc_offset: "+07:00",
-    },
-  };
+  const currentSnapshot = getCurrentSnapshot(outlet);
 
   // Calculate ETag from stable view
   const currentETag = calculateMachineETag(currentSnapshot.machines);
@@ -54,10 +174,8 @@ machines.get("/", async (c) => {
 
   if (ifNoneMatch === currentETag) {
     // Data hasn't changed, return 304 with headers
-    const stale = isDataStale();
-    const lastSuccess = machineCache.getLastSuccessTime()
-      ? new Date(machineCache.getLastSuccessTime()!).toISOString()
-      : null;
+    const stale = isOutletStale(outlet);
+    const lastSuccess = getLastSuccess(outlet);
 
     c.header("ETag", currentETag);
     c.header("X-Data-Stale", stale.toString());
@@ -67,63 +185,238 @@ machines.get("/", async (c) => {
   }
 
   // Data has changed or no If-None-Match, return 200 with full data
-  const lastSuccess = machineCache.getLastSuccessTime()
-    ? new Date(machineCache.getLastSuccessTime()!).toISOString()
-    : null;
+  const lastSuccess = getLastSuccess(outlet);
 
   c.header("ETag", currentETag);
   c.header("X-Data-Stale", stale.toString());
   c.header("X-Last-Success", lastSuccess || "");
 
-  // Add screen size info to response
-  const response = {
-    ...currentSnapshot,
-    meta: {
-      ...currentSnapshot.meta,
-      screen_info: {
-        breakpoints: {
-          mobile: 767,
-          tablet: 1023,
-          desktop: 1919,
-          tv: 1920,
-        },
-      },
-    },
-  };
+  const response = withScreenInfo(currentSnapshot);
+  // Status breaker saat ini, bukan saat refresh terakhir
+  response.meta.upstream = getBreakerSummary();
 
   return c.json(response);
 });
 
 /**
- * POST /api/machines/:id/start - Proxy to gateway
+ * GET /api/machines/registry - Daftar mesin (label, brand, kapasitas, slot)
+ * untuk front-end. Diubah lewat /api/admin/machines. Query `outlet`
+ * membatasi ke satu outlet; tanpa `outlet` = semua.
  */
-machines.post("/:id/start", async (c) => {
-  try {
-    const machineId = c.req.param("id");
-    const body = await c.req.json();
+machines.get("/registry", (c) => {
+  const value = c.req.query("outlet");
+  const outlet = value ? resolveOutletParam(value) : ALL_OUTLETS;
+  if (!outlet) return c.json(unknownOutletResponse(value), 400);
 
-    const eventGatewayBase =
-      config.eventGateway?.base || "http://localhost:54990";
-    const url = `${eventGatewayBase}/api/machines/${machineId}/start`;
+  return c.json({
+    success: true,
+    data: listMachines(outlet === ALL_OUTLETS ? undefined : outlet),
+  });
+});
 
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify(body),
+/**
+ * GET /api/machines/queue - Antrean start semua mesin untuk monitor staff.
+ * Query `outlet` membatasi ke satu outlet.
+ */
+machines.get("/queue", (c) => {
+  const value = c.req.query("outlet");
+  const outlet = value ? resolveOutletParam(value) : ALL_OUTLETS;
+  if (!outlet) return c.json(unknownOutletResponse(value), 400);
+
+  const data = listQueue().filter(
+    (e) => outlet === ALL_OUTLETS || e.outlet_id === outlet
+  );
+  return c.json({ success: true, data });
+});
+
+/**
+ * GET /api/machines/stream - Server-Sent Events untuk status mesin
+ *
+ * - `snapshot`: snapshot penuh saat connect (atau saat resume tidak mungkin)
+ * - `machine`: delta per mesin saat hasil normalize() berubah
+ * - `removed`: mesin hilang dari payload upstream
+ * - `meta`: meta + summary setiap refresh
+ * - `heartbeat`: keep-alive tanpa id
+ *
+ * Resume via header `Last-Event-ID` (otomatis dikirim EventSource saat
+ * reconnect) atau query `?lastEventId=`. Query `outlet` sama seperti
+ * GET /api/machines; untuk `all`, event `meta` berisi summary gabungan.
+ */
+machines.get("/stream", async (c) => {
+  const outlet = resolveOutletParam(c.req.query("outlet"));
+  if (!outlet) {
+    return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+  }
+
+  const resumeFrom =
+    c.req.header("Last-Event-ID") || c.req.query("lastEventId") || null;
+
+  if (isOutletStale(outlet)) {
+    try {
+      await refreshStaleOutlets(outlet);
+    } catch (error) {
+      console.error("Failed to refresh data for stream:", error);
+    }
+  }
+
+  // Selama ada client yang terhubung, refresh upstream lebih sering
+  ensureFastRefresh(refreshAllOutlets);
+
+  return streamSSE(c, async (stream) => {
+    // Tulis berurutan agar urutan id event tetap terjaga
+    let chain: Promise<void> = Promise.resolve();
+    const send = (evt: MachineStreamEvent) => {
+      if (outlet !== ALL_OUTLETS && evt.outlet !== outlet) return;
+      // Layout grid per outlet; tampilan gabungan pakai auto-flow
+      if (outlet === ALL_OUTLETS && evt.event === "layout") return;
+
+      let data = evt.data;
+      if (outlet === ALL_OUTLETS && evt.event === "meta") {
+        const combined = getCombinedSnapshot();
+        data = { meta: combined.meta, summary: combined.summary };
+      }
+
+      chain = chain
+        .then(() =>
+          stream.writeSSE({
+            id: String(evt.id),
+            event: evt.event,
+            data: JSON.stringify(data),
+          })
+        )
+        .catch(() => {});
+    };
+
+    const unsubscribe = subscribe(send);
+    stream.onAbort(() => {
+      unsubscribe();
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gateway API ${response.status}: ${errorText}`);
+    const replay =
+      resumeFrom !== null ? eventsSince(Number(resumeFrom)) : null;
+
+    if (replay) {
+      replay.forEach(send);
+    } else {
+      const snapshot = withScreenInfo(getCurrentSnapshot(outlet));
+      chain = chain.then(() =>
+        stream.writeSSE({
+          id: String(getLastEventId()),
+          event: "snapshot",
+          data: JSON.stringify(snapshot),
+          retry: 5000,
+        })
+      ).catch(() => {});
     }
 
-    const json = await response.json();
+    try {
+      while (!stream.aborted && !stream.closed) {
+        await stream.sleep(config.stream.heartbeatInterval);
+        if (stream.aborted || stream.closed) break;
+        chain = chain.then(() =>
+          stream.writeSSE({
+            event: "heartbeat",
+            data: JSON.stringify({ ts: new Date().toISOString() }),
+          })
+        );
+        await chain;
+      }
+    } finally {
+      unsubscribe();
+    }
+  });
+});
+
+/**
+ * GET /api/machines/:id/cycles - Riwayat siklus satu mesin (id atau label)
+ */
+machines.get(
+  "/:id/cycles",
+  apiKeyMiddleware("cycles:read", "cycles:read"),
+  (c) => handleCycleQuery(c, c.req.param("id"))
+);
+
+/**
+ * POST /api/machines/:id/start - Validasi lalu proxy ke gateway
+ *
+ * Body: { duration, program?, event: { type, data }, order_id? }.
+ * `order_id` (event drop-off) menautkan start ke order. Header opsional
+ * `Idempotency-Key`: request ulang dengan key + body sama mendapat respons
+ * pertama (header Idempotent-Replayed) tanpa menyalakan mesin lagi.
+ * Validasi gagal → 400 dengan `fields` (path field → pesan); mesin tidak
+ * READY → 409.
+ */
+machines.post("/:id/start", async (c) => {
+  const machineId = c.req.param("id");
+  const idempotencyKey = c.req.header("Idempotency-Key")?.trim() || null;
+  let reserved = false;
+
+  try {
+    const body = await c.req.json().catch(() => null);
+    if (idempotencyKey) {
+      const replay = reserveIdempotency(idempotencyKey, machineId, body);
+      if (replay) {
+        c.header("Idempotent-Replayed", "true");
+        return c.json(replay.body, replay.status as 200);
+      }
+      reserved = true;
+    }
+    const { machine, request } = validateStart(machineId, body);
+    const orderId = resolveStartOrder(body, request);
+    const json = await sendStart(machineId, request);
+    markStarted(machineId);
+    if (orderId) {
+      // Mesin sudah jalan: gagal menautkan order cukup di-log
+      await linkOrderMachine(
+        orderId,
+        machine,
+        startEventId(json),
+        getRequestActor(c)
+      ).catch((error) =>
+        console.error("❌ Failed to link order:", error?.message || error)
+      );
+    }
+    await recordCustomerVisit(
+      request,
+      machine,
+      startEventId(json),
+      orderId
+    ).catch((error) =>
+      console.error("❌ Failed to record visit:", error?.message || error)
+    );
+    if (reserved) completeIdempotency(idempotencyKey!, machineId, 200, json);
+    await recordAudit(c, {
+      action: "machine.start",
+      target: machineId,
+      details: { ...request, order_id: orderId },
+    });
     return c.json(json);
   } catch (error: any) {
+    if (reserved) releaseIdempotency(idempotencyKey!, machineId);
+    if (error instanceof StartError) {
+      await recordAudit(c, {
+        action: "machine.start",
+        outcome: "failure",
+        target: machineId,
+        details: { error: error.message, fields: error.fields },
+      });
+      return c.json(
+        {
+          success: false,
+          error: error.message,
+          message: error.message,
+          fields: error.fields,
+        },
+        error.status
+      );
+    }
     console.error("❌ Error proxying machine start:", error);
+    await recordAudit(c, {
+      action: "machine.start",
+      outcome: "failure",
+      target: machineId,
+      details: { error: error.message },
+    });
     return c.json(
       {
         success: false,
@@ -136,11 +429,22 @@ machines.post("/:id/start", async (c) => {
 });
 
 /**
- * POST /api/machines/:id/stop - Proxy to gateway
+ * POST /api/machines/:id/stop - Validasi lalu proxy ke gateway
+ *
+ * Body: { reason (customer_request|machine_fault|wrong_program|
+ * payment_error), note?, transaction_id? (untuk refund) }. Dicatat di
+ * riwayat stop bersama user yang menghentikan. Validasi gagal → 400
+ * dengan `fields`; mesin tidak RUNNING → 409.
  */
 machines.post("/:id/stop", async (c) => {
+  const machineId = c.req.param("id");
+
   try {
-    const machineId = c.req.param("id");
+    const body = await c.req.json().catch(() => null);
+    const { machine, reason, note, transactionId } = validateStop(
+      machineId,
+      body
+    );
 
     const eventGatewayBase =
       config.eventGateway?.base || "http://localhost:54990";
@@ -160,9 +464,43 @@ machines.post("/:id/stop", async (c) => {
     }
 
     const json = await response.json();
-    return c.json(json);
+    const stop = await recordStop(machine, {
+      reason,
+      note,
+      transactionId,
+      actor: getRequestActor(c),
+    });
+    await recordAudit(c, {
+      action: "machine.stop",
+      target: machineId,
+      details: { reason, transaction_id: transactionId, stop_id: stop.id },
+    });
+    return c.json({ ...json, stop });
   } catch (error: any) {
+    if (error instanceof StopError) {
+      await recordAudit(c, {
+        action: "machine.stop",
+        outcome: "failure",
+        target: machineId,
+        details: { error: error.message, fields: error.fields },
+      });
+      return c.json(
+        {
+          success: false,
+          error: error.message,
+          message: error.message,
+          fields: error.fields,
+        },
+        error.status
+      );
+    }
     console.error("❌ Error proxying machine stop:", error);
+    await recordAudit(c, {
+      action: "machine.stop",
+      outcome: "failure",
+      target: machineId,
+      details: { error: error.message },
+    });
     return c.json(
       {
         success: false,
@@ -174,6 +512,222 @@ machines.post("/:id/stop", async (c) => {
   }
 });
 
+/**
+ * GET /api/machines/:id/stops - Riwayat stop remote (alasan, pelaku,
+ * transaksi refund); terbaru dulu. Query `limit` (default 100, max 1000)
+ */
+machines.get(
+  "/:id/stops",
+  apiKeyMiddleware("machines:read", "machines:control"),
+  async (c) => {
+    const limit = Math.min(Number(c.req.query("limit") || 100), 1000);
+    try {
+      const data = await listStops(
+        c.req.param("id"),
+        Number.isInteger(limit) && limit > 0 ? limit : 100
+      );
+      return c.json({ success: true, data });
+    } catch (error: any) {
+      console.error("❌ Failed to list machine stops:", error);
+      return c.json(
+        {
+          success: false,
+          error: "Failed to list machine stops",
+          message: error.message,
+        },
+        500
+      );
+    }
+  }
+);
+
+function handleQueueError(c: any, error: any, fallback: string) {
+  if (error instanceof QueueError) {
+    return c.json(
+      {
+        success: false,
+        error: error.message,
+        message: error.message,
+        fields: error.fields,
+      },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+/**
+ * GET /api/machines/:id/queue - Antrean start mesin: yang menunggu dulu,
+ * lalu yang sudah dikirim/gagal/batal dalam 24 jam terakhir
+ */
+machines.get("/:id/queue", (c) => {
+  return c.json({ success: true, data: listQueue(c.req.param("id")) });
+});
+
+/**
+ * POST /api/machines/:id/queue - Antrekan start; dikirim ke gateway saat
+ * snapshot berikutnya menunjukkan mesin READY
+ *
+ * Body: { duration, program?, event, start_at?, order_id? }. `start_at`
+ * (ISO) = start terjadwal, dikirim saat waktunya tiba dan mesin READY;
+ * `order_id` ditautkan saat start terkirim. Validasi gagal → 400 dengan
+ * `fields`.
+ */
+machines.post("/:id/queue", async (c) => {
+  const machineId = c.req.param("id");
+  try {
+    const body = await c.req.json().catch(() => null);
+    const entry = await enqueueStart(machineId, body, getRequestActor(c));
+    await recordAudit(c, {
+      action: "machine.queue",
+      target: machineId,
+      details: { queue_id: entry.id, start_at: entry.start_at },
+    });
+    return c.json({ success: true, data: entry }, 201);
+  } catch (error: any) {
+    if (error instanceof QueueError) {
+      await recordAudit(c, {
+        action: "machine.queue",
+        outcome: "failure",
+        target: machineId,
+        details: { error: error.message, fields: error.fields },
+      });
+    }
+    return handleQueueError(c, error, "Failed to queue machine start");
+  }
+});
+
+/**
+ * DELETE /api/machines/:id/queue/:entryId - Batalkan start yang belum
+ * dikirim ke gateway
+ */
+machines.delete("/:id/queue/:entryId", async (c) => {
+  const machineId = c.req.param("id");
+  try {
+    const entry = await cancelQueueEntry(
+      machineId,
+      c.req.param("entryId"),
+      getRequestActor(c)
+    );
+    await recordAudit(c, {
+      action: "machine.queue_cancel",
+      target: machineId,
+      details: { queue_id: entry.id },
+    });
+    return c.json({ success: true, data: entry });
+  } catch (error: any) {
+    return handleQueueError(c, error, "Failed to cancel queued start");
+  }
+});
+
+function handleNotifyError(c: any, error: any, fallback: string) {
+  if (error instanceof NotifyError) {
+    return c.json(
+      { success: false, error: error.message, message: error.message },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+/**
+ * GET /api/machines/:id/subscribe - Info untuk halaman subscribe (public):
+ * mesin, status terakhir, dan VAPID public key jika Web Push aktif
+ */
+machines.get("/:id/subscribe", (c) => {
+  const machine = getMachineById(c.req.param("id"));
+  if (!machine) {
+    return c.json(
+      {
+        success: false,
+        error: "Machine not found",
+        message: "Machine not found",
+      },
+      404
+    );
+  }
+
+  const live = machineCache
+    .get(machine.outlet_id)
+    ?.machines.find((m) => m.id === machine.id);
+  const vapidPublicKey = getVapidPublicKey();
+
+  return c.json({
+    success: true,
+    data: {
+      machine: {
+        id: machine.id,
+        label: machine.label,
+        type: machine.type,
+        status: live?.status || "OFFLINE",
+      },
+      web_push: !!vapidPublicKey,
+      vapid_public_key: vapidPublicKey,
+    },
+  });
+});
+
+/**
+ * POST /api/machines/:id/subscribe - Notifikasi saat mesin selesai (public).
+ * Body: `{ subscription }` (Web Push) atau `{ webhook_url }`. Berlaku satu
+ * siklus.
+ */
+machines.post("/:id/subscribe", async (c) => {
+  let body: any;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json(
+      {
+        success: false,
+        error: "Invalid JSON format",
+        message: "Invalid JSON format",
+      },
+      400
+    );
+  }
+
+  try {
+    const subscription = await addSubscription(
+      c.req.param("id"),
+      body,
+      getClientIp(c)
+    );
+    console.log(
+      `🔔 ${subscription.channel} subscription for ${subscription.label}`
+    );
+    return c.json(
+      { success: true, data: toPublicSubscription(subscription) },
+      201
+    );
+  } catch (error: any) {
+    return handleNotifyError(c, error, "Failed to subscribe");
+  }
+});
+
+/**
+ * DELETE /api/machines/:id/subscribe/:subscriptionId - Batalkan notifikasi
+ */
+machines.delete("/:id/subscribe/:subscriptionId", async (c) => {
+  try {
+    await removeSubscription(
+      c.req.param("id"),
+      c.req.param("subscriptionId")
+    );
+    return c.json({ success: true });
+  } catch (error: any) {
+    return handleNotifyError(c, error, "Failed to unsubscribe");
+  }
+});
+
 /**
  * GET /api/machines/:id/event - Proxy to gateway
  */
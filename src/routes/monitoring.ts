@@ -1,6 +1,7 @@
 import { Hono } from "hono";
 import { config } from "../config.js";
 import { fetchWithTimeout } from "../utils/fetch.js";
+import { getUpstreamStatus } from "../utils/upstream.js";
 
 const monitoring = new Hono();
 
@@ -54,5 +55,13 @@ monitoring.get("/status", async (c) => {
   }
 });
 
+/**
+ * GET /api/monitoring/upstream - Circuit breaker Smartlink + counter error
+ * per endpoint (halaman status)
+ */
+monitoring.get("/upstream", (c) => {
+  return c.json({ success: true, data: getUpstreamStatus() });
+});
+
 export default monitoring;
 
@@ -0,0 +1,158 @@
+import { Hono } from "hono";
+import { authMiddleware, getRequestActor, type AuthPayload } from "../auth.js";
+import {
+  listOrders,
+  getOrder,
+  createOrder,
+  updateOrder,
+  linkOrderMachine,
+  toOrderView,
+  OrderError,
+} from "../services/orderService.js";
+import { findCachedMachine } from "../services/startService.js";
+import { recordAudit } from "../services/auditService.js";
+import {
+  ALL_OUTLETS,
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
+
+const orders = new Hono<{ Variables: { user: AuthPayload } }>();
+
+orders.use("*", authMiddleware("orders:manage"));
+
+function handleOrderError(c: any, error: any, fallback: string) {
+  if (error instanceof OrderError) {
+    return c.json(
+      { success: false, error: error.message, message: error.message },
+      error.status
+    );
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return c.json(
+    { success: false, error: fallback, message: error.message },
+    500
+  );
+}
+
+async function readBody(c: any): Promise<Record<string, unknown>> {
+  const body = await c.req.json().catch(() => null);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new OrderError("Body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * GET /api/orders - Daftar order drop-off (terbaru dulu) beserta mesin
+ * yang sedang menjalankannya
+ *
+ * Query params: status (dipisah koma), open=1 (belum diambil), outlet,
+ * q (kode/nama/HP), limit (max 500)
+ */
+orders.get("/", (c) => {
+  const value = c.req.query("outlet");
+  const outlet = value ? resolveOutletParam(value) : ALL_OUTLETS;
+  if (!outlet) return c.json(unknownOutletResponse(value), 400);
+
+  const limit = Math.min(Number(c.req.query("limit") || 100), 500);
+  try {
+    const data = listOrders({
+      status: c.req.query("status"),
+      open: c.req.query("open") === "1" || c.req.query("open") === "true",
+      outlet: outlet === ALL_OUTLETS ? undefined : outlet,
+      q: c.req.query("q"),
+      limit: Number.isInteger(limit) && limit > 0 ? limit : 100,
+    });
+    return c.json({ success: true, data });
+  } catch (error: any) {
+    return handleOrderError(c, error, "Failed to list orders");
+  }
+});
+
+/**
+ * GET /api/orders/:id - Detail order (id atau kode DO-...)
+ */
+orders.get("/:id", (c) => {
+  try {
+    return c.json({ success: true, data: getOrder(c.req.param("id")) });
+  } catch (error: any) {
+    return handleOrderError(c, error, "Failed to get order");
+  }
+});
+
+/**
+ * POST /api/orders - Terima cucian
+ *
+ * Body: { customer_name, customer_phone?, weight_kg?, price?, note?,
+ * outlet_id? }
+ */
+orders.post("/", async (c) => {
+  try {
+    const order = await createOrder(await readBody(c), getRequestActor(c));
+    await recordAudit(c, {
+      action: "orders.create",
+      target: order.code,
+      details: { id: order.id, customer_name: order.customer_name },
+    });
+    return c.json({ success: true, data: toOrderView(order) }, 201);
+  } catch (error: any) {
+    return handleOrderError(c, error, "Failed to create order");
+  }
+});
+
+/**
+ * PATCH /api/orders/:id - Ubah data order atau majukan `status`
+ * (received → washing → drying → ready → picked_up)
+ */
+orders.patch("/:id", async (c) => {
+  try {
+    const body = await readBody(c);
+    const order = await updateOrder(
+      c.req.param("id"),
+      body,
+      getRequestActor(c)
+    );
+    await recordAudit(c, {
+      action: "orders.update",
+      target: order.code,
+      details: { id: order.id, ...body },
+    });
+    return c.json({ success: true, data: toOrderView(order) });
+  } catch (error: any) {
+    return handleOrderError(c, error, "Failed to update order");
+  }
+});
+
+/**
+ * POST /api/orders/:id/machines - Tautkan mesin yang sudah dinyalakan di
+ * luar modal start (mis. dari panel mesin). Body: { machine_id, event_id? }
+ */
+orders.post("/:id/machines", async (c) => {
+  try {
+    const body = await readBody(c);
+    const machine = findCachedMachine(String(body.machine_id ?? ""));
+    if (!machine) throw new OrderError("Machine not found", 404);
+
+    const eventId =
+      body.event_id === undefined || body.event_id === null
+        ? null
+        : String(body.event_id);
+    const order = await linkOrderMachine(
+      c.req.param("id"),
+      machine,
+      eventId,
+      getRequestActor(c)
+    );
+    await recordAudit(c, {
+      action: "orders.update",
+      target: order.code,
+      details: { id: order.id, machine_id: machine.id, event_id: eventId },
+    });
+    return c.json({ success: true, data: toOrderView(order) });
+  } catch (error: any) {
+    return handleOrderError(c, error, "Failed to link machine");
+  }
+});
+
+export default orders;
@@ -0,0 +1,20 @@
+import { Hono } from "hono";
+import { getDefaultOutletId, getOutlets } from "../utils/outlet.js";
+
+const outlets = new Hono();
+
+/**
+ * GET /api/outlets - Daftar outlet (untuk pilihan outlet di dashboard)
+ */
+outlets.get("/", (c) => {
+  const defaultId = getDefaultOutletId();
+  return c.json({
+    success: true,
+    data: getOutlets().map((outlet) => ({
+      ...outlet,
+      default: outlet.id === defaultId,
+    })),
+  });
+});
+
+export default outlets;
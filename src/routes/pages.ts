@@ -1,29 +1,62 @@
 import { Hono } from "hono";
 import fs from "node:fs/promises";
-import { verifyToken } from "../auth.js";
+import { getCookie } from "hono/cookie";
+import {
+  clearSessionCookies,
+  getRequestToken,
+  REFRESH_COOKIE,
+  setSessionCookies,
+  tokenResponse,
+  verifyToken,
+  type AuthPayload,
+} from "../auth.js";
+import { rotateSession, SessionError } from "../services/sessionService.js";
+import { hasPermission, type Permission } from "../permissions.js";
 
 const pages = new Hono();
 
 /**
- * Helper function untuk check authentication
+ * Helper function untuk check authentication: cookie sesi (navigasi
+ * browser) atau Bearer. Access token di cookie kedaluwarsa → diperpanjang
+ * dengan refresh token di cookie. `allowed` = user punya `permission`
+ * (jika diberikan).
  */
-function checkAuth(c: any): { valid: boolean; payload?: any; redirect?: string } {
-  const authHeader = c.req.header("Authorization");
+async function checkAuth(
+  c: any,
+  permission?: Permission
+): Promise<{
+  valid: boolean;
+  allowed?: boolean;
+  payload?: AuthPayload;
+  redirect?: string;
+}> {
+  const credential = getRequestToken(c);
+  let payload = credential ? verifyToken(credential.token) : null;
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    const returnPath = c.req.path;
-    return { valid: false, redirect: `/login?return=${returnPath}` };
+  const refreshToken = getCookie(c, REFRESH_COOKIE);
+  if (!payload && refreshToken) {
+    try {
+      const { session, user, refreshToken: next } =
+        await rotateSession(refreshToken);
+      const tokens = tokenResponse(user, session, next);
+      setSessionCookies(c, tokens);
+      payload = verifyToken(tokens.token);
+    } catch (error) {
+      if (!(error instanceof SessionError)) throw error;
+      clearSessionCookies(c);
+    }
   }
 
-  const token = authHeader.substring(7);
-  const payload = verifyToken(token);
-
   if (!payload) {
     const returnPath = c.req.path;
     return { valid: false, redirect: `/login?return=${returnPath}` };
   }
 
-  return { valid: true, payload };
+  return {
+    valid: true,
+    allowed: !permission || hasPermission(payload.role, permission),
+    payload,
+  };
 }
 
 /**
@@ -51,17 +84,22 @@ function renderAccessDenied(message: string, redirectPath: string) {
 }
 
 /**
- * GET /dashboard - Dashboard page (admin only)
+ * GET /dashboard - Dashboard page (dashboard:view)
  */
 pages.get("/dashboard", async (c) => {
-  const auth = checkAuth(c);
+  const auth = await checkAuth(c, "dashboard:view");
   if (!auth.valid) {
     return c.redirect(auth.redirect!);
   }
 
-  // Check if user has admin role
-  if (auth.payload!.role !== "admin") {
-    return c.html(renderAccessDenied("You need admin privileges to access the dashboard.", "/monitor"), 403);
+  if (!auth.allowed) {
+    return c.html(
+      renderAccessDenied(
+        "Manager access is required for the dashboard.",
+        "/monitor"
+      ),
+      403
+    );
   }
 
   try {
@@ -73,17 +111,22 @@ pages.get("/dashboard", async (c) => {
 });
 
 /**
- * GET /leaderboard - Leaderboard page (admin only)
+ * GET /leaderboard - Leaderboard page (dashboard:view)
  */
 pages.get("/leaderboard", async (c) => {
-  const auth = checkAuth(c);
+  const auth = await checkAuth(c, "dashboard:view");
   if (!auth.valid) {
     return c.redirect(auth.redirect!);
   }
 
-  // Check if user has admin role
-  if (auth.payload!.role !== "admin") {
-    return c.html(renderAccessDenied("You need admin privileges to access the leaderboard.", "/monitor"), 403);
+  if (!auth.allowed) {
+    return c.html(
+      renderAccessDenied(
+        "Manager access is required for the leaderboard.",
+        "/monitor"
+      ),
+      403
+    );
   }
 
   try {
@@ -95,17 +138,22 @@ pages.get("/leaderboard", async (c) => {
 });
 
 /**
- * GET /leaderboard/events - Leaderboard Events page (admin only)
+ * GET /leaderboard/events - Leaderboard Events page (dashboard:view)
  */
 pages.get("/leaderboard/events", async (c) => {
-  const auth = checkAuth(c);
+  const auth = await checkAuth(c, "dashboard:view");
   if (!auth.valid) {
     return c.redirect(auth.redirect!);
   }
 
-  // Check if user has admin role
-  if (auth.payload!.role !== "admin") {
-    return c.html(renderAccessDenied("You need admin privileges to access the leaderboard events.", "/monitor"), 403);
+  if (!auth.allowed) {
+    return c.html(
+      renderAccessDenied(
+        "Manager access is required for the leaderboard events.",
+        "/monitor"
+      ),
+      403
+    );
   }
 
   try {
@@ -116,11 +164,92 @@ pages.get("/leaderboard/events", async (c) => {
   }
 });
 
+/**
+ * GET /layout - Layout grid TV editor (layout:edit)
+ */
+pages.get("/layout", async (c) => {
+  const auth = await checkAuth(c, "layout:edit");
+  if (!auth.valid) {
+    return c.redirect(auth.redirect!);
+  }
+
+  if (!auth.allowed) {
+    return c.html(
+      renderAccessDenied(
+        "You need manager access to edit the TV layout.",
+        "/monitor"
+      ),
+      403
+    );
+  }
+
+  try {
+    const html = await fs.readFile("layout/index.html", "utf8");
+    return c.html(html);
+  } catch (error) {
+    return c.text("Layout editor not found", 404);
+  }
+});
+
+/**
+ * GET /api-keys - Kelola API key kiosk/integrasi (api_keys:manage)
+ */
+pages.get("/api-keys", async (c) => {
+  const auth = await checkAuth(c, "api_keys:manage");
+  if (!auth.valid) {
+    return c.redirect(auth.redirect!);
+  }
+
+  if (!auth.allowed) {
+    return c.html(
+      renderAccessDenied(
+        "You need manager access to manage API keys.",
+        "/monitor"
+      ),
+      403
+    );
+  }
+
+  try {
+    const html = await fs.readFile("api-keys/index.html", "utf8");
+    return c.html(html);
+  } catch (error) {
+    return c.text("API key page not found", 404);
+  }
+});
+
+/**
+ * GET /customers - Direktori pelanggan (customers:manage)
+ */
+pages.get("/customers", async (c) => {
+  const auth = await checkAuth(c, "customers:manage");
+  if (!auth.valid) {
+    return c.redirect(auth.redirect!);
+  }
+
+  if (!auth.allowed) {
+    return c.html(
+      renderAccessDenied(
+        "You need staff access to view customers.",
+        "/monitor"
+      ),
+      403
+    );
+  }
+
+  try {
+    const html = await fs.readFile("customers/index.html", "utf8");
+    return c.html(html);
+  } catch (error) {
+    return c.text("Customer page not found", 404);
+  }
+});
+
 /**
  * GET /monitor - Monitor page (authenticated users)
  */
 pages.get("/monitor", async (c) => {
-  const auth = checkAuth(c);
+  const auth = await checkAuth(c);
   if (!auth.valid) {
     return c.redirect(auth.redirect!);
   }
@@ -157,5 +286,17 @@ pages.get("/status", async (c) => {
   }
 });
 
+/**
+ * GET /notify - Subscribe notifikasi mesin selesai (public, dari QR)
+ */
+pages.get("/notify", async (c) => {
+  try {
+    const html = await fs.readFile("notify/index.html", "utf8");
+    return c.html(html);
+  } catch (error) {
+    return c.text("Notify page not found", 404);
+  }
+});
+
 export default pages;
 
@@ -2,11 +2,40 @@ import { Hono } from "hono";
 import type { Context } from "hono";
 import { config } from "../config.js";
 import { fetchWithTimeout } from "../utils/fetch.js";
+import {
+  ALL_OUTLETS,
+  fetchPerOutlet,
+  mergeOutletJson,
+  resolveOutletParam,
+  unknownOutletResponse,
+} from "../utils/outlet.js";
 
 const transactions = new Hono();
 
+/**
+ * Gabungan semua outlet: satu request gateway per outlet lalu digabung
+ * (tanpa ETag). limit/offset berlaku per outlet.
+ */
+async function fetchAllOutlets(url: string, queryParams: URLSearchParams) {
+  const parts = await fetchPerOutlet(ALL_OUTLETS, async (outletId) => {
+    const params = new URLSearchParams(queryParams);
+    params.set("outlet_id", outletId);
+    const response = await fetchWithTimeout(`${url}?${params}`, 30000, {
+      headers: { Accept: "application/json" },
+    });
+    if (!response.ok) {
+      throw new Error(`Gateway API ${response.status}`);
+    }
+    return response.json();
+  });
+  return mergeOutletJson(parts);
+}
+
 /**
  * GET /api/transactions/summary - Proxy to gateway
+ *
+ * Query `outlet` (id atau `all`) diteruskan sebagai `outlet_id`; `all`
+ * digabung dari request per outlet.
  */
 transactions.get("/summary", async (c) => {
   try {
@@ -33,6 +62,20 @@ transactions.get("/summary", async (c) => {
     if (tanggalAkhir) queryParams.append("tanggal_akhir", tanggalAkhir);
     if (idmesin) queryParams.append("idmesin", idmesin);
 
+    const outlet = resolveOutletParam(c.req.query("outlet"));
+    if (!outlet) {
+      return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+    }
+    if (outlet === ALL_OUTLETS) {
+      return c.json(
+        await fetchAllOutlets(
+          `${eventGatewayBase}/api/transactions/summary`,
+          queryParams
+        )
+      );
+    }
+    queryParams.append("outlet_id", outlet);
+
     const url = `${eventGatewayBase}/api/transactions/summary?${queryParams}`;
 
     // Forward If-None-Match header
@@ -87,7 +130,7 @@ transactions.get("/summary", async (c) => {
 });
 
 /**
- * GET /api/transactions - Proxy to gateway
+ * GET /api/transactions - Proxy to gateway (query `outlet` seperti /summary)
  */
 transactions.get("/", async (c) => {
   try {
@@ -112,6 +155,20 @@ transactions.get("/", async (c) => {
     if (tanggalAkhir) queryParams.append("tanggal_akhir", tanggalAkhir);
     if (idmesin) queryParams.append("idmesin", idmesin);
 
+    const outlet = resolveOutletParam(c.req.query("outlet"));
+    if (!outlet) {
+      return c.json(unknownOutletResponse(c.req.query("outlet")), 400);
+    }
+    if (outlet === ALL_OUTLETS) {
+      return c.json(
+        await fetchAllOutlets(
+          `${eventGatewayBase}/api/transactions`,
+          queryParams
+        )
+      );
+    }
+    queryParams.append("outlet_id", outlet);
+
     const url = `${eventGatewayBase}/api/transactions?${queryParams}`;
 
     // Forward If-None-Match header
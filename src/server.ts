@@ -2,11 +2,29 @@ import { Hono } from "hono";
 import { cors } from "hono/cors";
 import { serve } from "@hono/node-server";
 import { config } from "./config.js";
-import { authMiddleware } from "./auth.js";
+import { authMiddleware, apiKeyMiddleware } from "./auth.js";
 import {
   loadControllerMap,
+  refreshAllOutlets,
   refreshMachines,
 } from "./services/machineService.js";
+import { initCycleStore } from "./services/cycleService.js";
+import { initEta } from "./services/etaService.js";
+import { initCycleExport } from "./services/cycleExportService.js";
+import { initNotify } from "./services/notifyService.js";
+import { initAnomalyDetector } from "./services/anomalyService.js";
+import { initAlerts } from "./services/alertService.js";
+import { initUserStore } from "./services/userService.js";
+import { initSessionStore } from "./services/sessionService.js";
+import { initApiKeys } from "./services/apiKeyService.js";
+import { initQueue } from "./services/queueService.js";
+import { initOrders } from "./services/orderService.js";
+import { initCustomers } from "./services/customerService.js";
+import {
+  initUpstreamRecorder,
+  isReplayMode,
+  startReplay,
+} from "./services/upstreamRecorder.js";
 
 // Import routes
 import machines from "./routes/machines.js";
@@ -19,6 +37,17 @@ import auth from "./routes/auth.js";
 import pages from "./routes/pages.js";
 import staticFiles from "./routes/static.js";
 import monitoring from "./routes/monitoring.js";
+import cycles from "./routes/cycles.js";
+import adminMachines from "./routes/adminMachines.js";
+import adminUsers from "./routes/adminUsers.js";
+import adminAudit from "./routes/adminAudit.js";
+import adminApiKeys from "./routes/adminApiKeys.js";
+import outlets from "./routes/outlets.js";
+import layout from "./routes/layout.js";
+import anomalies from "./routes/anomalies.js";
+import alerts from "./routes/alerts.js";
+import orders from "./routes/orders.js";
+import customers from "./routes/customers.js";
 
 const app = new Hono();
 
@@ -28,22 +57,77 @@ app.use(
   cors({
     origin: "*",
     credentials: true,
-    allowMethods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowMethods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowHeaders: [
       "Content-Type",
       "Authorization",
       "X-Requested-With",
+      "X-CSRF-Token",
+      "X-API-Key",
+      "Idempotency-Key",
       "Cache-Control",
       "Pragma",
       "If-Modified-Since",
       "If-None-Match",
       "ETag",
       "Last-Modified",
+      "Last-Event-ID",
+    ],
+    exposeHeaders: [
+      "ETag",
+      "Last-Modified",
+      "X-Last-Success",
+      "X-Data-Stale",
+      "Retry-After",
+      "Idempotent-Replayed",
+      "X-RateLimit-Limit",
+      "X-RateLimit-Remaining",
     ],
-    exposeHeaders: ["ETag", "Last-Modified", "X-Last-Success", "X-Data-Stale"],
   })
 );
 
+// Protected routes - require authentication. Harus didaftarkan sebelum
+// app.route(): middleware setelah handler tidak pernah dijalankan
+// apiKeyMiddleware(): header X-API-Key dengan scope, atau login biasa
+app.use(
+  "/api/transactions/*",
+  apiKeyMiddleware("transactions:read", "transactions:read")
+);
+app.use("/api/leaderboard/*", authMiddleware("dashboard:view"));
+app.use("/api/leaderboard-events/*", authMiddleware("dashboard:view"));
+app.use(
+  "/api/anomalies/*",
+  apiKeyMiddleware("machines:read", "monitor:view")
+);
+app.use("/api/machines", apiKeyMiddleware("machines:read", "public"));
+app.use(
+  "/api/machines/*/start",
+  apiKeyMiddleware("machines:control", "machines:control")
+);
+app.use(
+  "/api/machines/*/stop",
+  apiKeyMiddleware("machines:control", "machines:control")
+);
+app.use(
+  "/api/machines/queue",
+  apiKeyMiddleware("machines:read", "machines:control")
+);
+// Juga mencakup /api/machines/:id/queue
+app.use(
+  "/api/machines/*/queue/*",
+  apiKeyMiddleware("machines:control", "machines:control")
+);
+app.on(
+  ["POST", "PATCH", "DELETE"],
+  "/api/events/*",
+  apiKeyMiddleware("events:write", "machines:control")
+);
+app.on(
+  "GET",
+  "/api/events/*/*/revisions",
+  apiKeyMiddleware("events:write", "machines:control")
+);
+
 // API Routes
 app.route("/api/machines", machines);
 app.route("/api/transactions", transactions);
@@ -53,32 +137,47 @@ app.route("/api/employees", employees);
 app.route("/api/events", events);
 app.route("/api/auth", auth);
 app.route("/api/monitoring", monitoring);
+app.route("/api/cycles", cycles);
+app.route("/api/admin/machines", adminMachines);
+app.route("/api/admin/users", adminUsers);
+app.route("/api/admin/audit", adminAudit);
+app.route("/api/admin/api-keys", adminApiKeys);
+app.route("/api/outlets", outlets);
+app.route("/api/layout", layout);
+app.route("/api/anomalies", anomalies);
+app.route("/api/alerts", alerts);
+app.route("/api/orders", orders);
+app.route("/api/customers", customers);
 
 // Manual refresh endpoint (public) - changed from POST to GET for RESTful compliance
 app.get("/api/refresh", async (c) => {
   const { machineCache } = await import("./utils/cache.js");
-  await refreshMachines();
+  await refreshAllOutlets();
   const snapshot = machineCache.get();
   return c.json({
     ok: true,
     ts: snapshot?.meta?.ts,
     stale: snapshot?.meta?.stale,
+    outlets: config.outlets.map(({ id }) => ({
+      id,
+      ts: machineCache.get(id)?.meta?.ts,
+      stale: machineCache.get(id)?.meta?.stale,
+    })),
   });
 });
 
 // Transaction detail endpoint - backward compatibility for /api/transaction-detail
 // Uses the same handler from transactions route
-app.get("/api/transaction-detail", authMiddleware(), async (c) => {
-  const { handleTransactionDetail } = await import("./routes/transactions.js");
-  return handleTransactionDetail(c);
-});
-
-// Protected routes - require authentication
-app.use("/api/transactions/*", authMiddleware());
-app.use("/api/leaderboard/*", authMiddleware());
-app.use("/api/leaderboard-events/*", authMiddleware());
-app.use("/api/machines/*/start", authMiddleware());
-app.use("/api/machines/*/stop", authMiddleware());
+app.get(
+  "/api/transaction-detail",
+  authMiddleware("transactions:read"),
+  async (c) => {
+    const { handleTransactionDetail } = await import(
+      "./routes/transactions.js"
+    );
+    return handleTransactionDetail(c);
+  }
+);
 
 // HTML Pages
 app.route("/", pages);
@@ -91,9 +190,27 @@ app.get("/", (c) => c.text("OK"));
 
 // Initialize and start server
 async function start() {
+  await initUserStore();
+  await initSessionStore();
+  await initApiKeys();
   await loadControllerMap();
-  await refreshMachines();
-  setInterval(refreshMachines, config.refresh.interval);
+  await initCycleStore();
+  await initEta();
+  await initCycleExport();
+  await initNotify();
+  initAnomalyDetector();
+  await initAlerts();
+  await initCustomers();
+  await initOrders();
+  await initQueue();
+  await initUpstreamRecorder();
+  await refreshAllOutlets();
+  if (isReplayMode()) {
+    // Refresh mengikuti waktu rekaman, bukan interval polling
+    startReplay(refreshMachines);
+  } else {
+    setInterval(refreshAllOutlets, config.refresh.interval);
+  }
 
   serve({ fetch: app.fetch, port: config.port }, () =>
     console.log(`Local API on http://localhost:${config.port}`)
@@ -0,0 +1,157 @@
+import { config } from "../config.js";
+import { fetchWithTimeout } from "../utils/fetch.js";
+import { sendMail, type SmtpOptions } from "../utils/smtp.js";
+import type { Alert } from "./alertService.js";
+
+/**
+ * Channel pengiriman alert. Channel baru cukup mengimplementasikan
+ * `send()` lalu didaftarkan lewat registerAlertChannel().
+ */
+export interface AlertChannel {
+  name: string;
+  send(alert: Alert, text: string): Promise<void>;
+}
+
+const USER_AGENT = "laundry-monitor-alerts/1.0";
+
+async function postJson(
+  url: string,
+  body: unknown,
+  headers: Record<string, string> = {}
+): Promise<void> {
+  const res = await fetchWithTimeout(url, config.alerts.timeout, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": USER_AGENT,
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+/** POST JSON `{ event, alert, text }` ke URL bebas */
+export function webhookChannel(url: string): AlertChannel {
+  return {
+    name: "webhook",
+    send: (alert, text) =>
+      postJson(url, {
+        event: alert.status === "resolved" ? "alert.resolved" : "alert.open",
+        alert,
+        text,
+      }),
+  };
+}
+
+/** Bot API Telegram (atau server kompatibel): sendMessage per chat */
+export function telegramChannel(options: {
+  apiBase: string;
+  botToken: string;
+  chatIds: string[];
+}): AlertChannel {
+  const url = `${options.apiBase.replace(/\/$/, "")}/bot${
+    options.botToken
+  }/sendMessage`;
+  return {
+    name: "telegram",
+    async send(_alert, text) {
+      for (const chatId of options.chatIds) {
+        await postJson(url, {
+          chat_id: chatId,
+          text,
+          disable_web_page_preview: true,
+        });
+      }
+    },
+  };
+}
+
+/**
+ * Gateway WhatsApp HTTP: POST JSON `{ phone, message }` per nomor, token
+ * di header Authorization
+ */
+export function whatsappChannel(options: {
+  url: string;
+  token: string;
+  phones: string[];
+}): AlertChannel {
+  const headers: Record<string, string> = options.token
+    ? { Authorization: options.token }
+    : {};
+  return {
+    name: "whatsapp",
+    async send(_alert, text) {
+      for (const phone of options.phones) {
+        await postJson(options.url, { phone, message: text }, headers);
+      }
+    },
+  };
+}
+
+export function emailChannel(options: {
+  smtp: SmtpOptions;
+  from: string;
+  to: string[];
+}): AlertChannel {
+  return {
+    name: "email",
+    send: (alert, text) =>
+      sendMail(options.smtp, {
+        from: options.from,
+        to: options.to,
+        subject: `[${alert.severity.toUpperCase()}] ${alert.message}`,
+        text,
+      }),
+  };
+}
+
+const list = (value: string) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/** Channel yang dikonfigurasi lewat env (ALERT_*, TELEGRAM_*, ...) */
+export function channelsFromConfig(): AlertChannel[] {
+  const { webhookUrl, telegram, whatsapp, email } = config.alerts;
+  const channels: AlertChannel[] = [];
+
+  if (webhookUrl) channels.push(webhookChannel(webhookUrl));
+  if (telegram.botToken && telegram.chatIds) {
+    channels.push(
+      telegramChannel({
+        apiBase: telegram.apiBase,
+        botToken: telegram.botToken,
+        chatIds: list(telegram.chatIds),
+      })
+    );
+  }
+  if (whatsapp.url && whatsapp.phones) {
+    channels.push(
+      whatsappChannel({
+        url: whatsapp.url,
+        token: whatsapp.token,
+        phones: list(whatsapp.phones),
+      })
+    );
+  }
+  if (email.smtpHost && email.to) {
+    channels.push(
+      emailChannel({
+        smtp: {
+          host: email.smtpHost,
+          port: email.smtpPort,
+          secure: email.smtpSecure,
+          user: email.smtpUser,
+          pass: email.smtpPass,
+          allowInsecureAuth: email.smtpAllowInsecure,
+          timeout: config.alerts.timeout,
+        },
+        from: email.from,
+        to: list(email.to),
+      })
+    );
+  }
+  return channels;
+}
@@ -0,0 +1,452 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+import {
+  getStatusSince,
+  listAnomalies,
+  type AnomalySeverity,
+} from "./anomalyService.js";
+import { channelsFromConfig, type AlertChannel } from "./alertChannels.js";
+import type { Machine } from "../types.js";
+
+/**
+ * Alert insiden mesin ke staf (webhook, Telegram, WhatsApp, email).
+ * Dievaluasi setelah tiap refresh; satu alert per kondisi (key) selama
+ * kondisi berlangsung, diulang sampai di-ack, ditahan saat jam tenang.
+ */
+export type AlertRule = "machine_offline" | "outlet_offline" | "stuck_running";
+
+export interface AlertDelivery {
+  channel: string;
+  at: string;
+  ok: boolean;
+  error?: string;
+}
+
+export interface Alert {
+  id: string;
+  key: string; // rule:outlet[:mesin], dasar deduplikasi
+  rule: AlertRule;
+  severity: AnomalySeverity;
+  outlet_id: string;
+  machine_id: string | null;
+  label: string | null;
+  message: string;
+  details: Record<string, unknown>;
+  status: "open" | "resolved";
+  created_at: string;
+  updated_at: string;
+  resolved_at: string | null;
+  notified_at: string | null; // pengiriman terakhir
+  notify_count: number;
+  acked_at: string | null;
+  acked_by: string | null;
+  deliveries: AlertDelivery[]; // terbaru di akhir
+}
+
+export class AlertError extends Error {
+  constructor(message: string, public status: 400 | 404 = 400) {
+    super(message);
+    this.name = "AlertError";
+  }
+}
+
+interface Finding {
+  key: string;
+  rule: AlertRule;
+  severity: AnomalySeverity;
+  machine_id: string | null;
+  label: string | null;
+  message: string;
+  details: Record<string, unknown>;
+}
+
+interface RuleContext {
+  outlet: string;
+  machines: Machine[];
+  now: number;
+}
+
+/** null = rule tidak berlaku sekarang; alert-nya dibiarkan apa adanya */
+type RuleFn = (ctx: RuleContext) => Finding[] | null;
+
+export type AlertSettings = Pick<
+  typeof config.alerts,
+  | "openingHours"
+  | "quietHours"
+  | "offlineMinutes"
+  | "offlineMachines"
+  | "repeatMinutes"
+  | "cooldownMinutes"
+>;
+
+const ALERTS_FILE = () => dataPath("alerts.json");
+const MAX_ALERTS = 500;
+const MAX_DELIVERIES = 20;
+const MINUTE_MS = 60 * 1000;
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+let alerts: Alert[] | null = null;
+let channels: AlertChannel[] = [];
+let settings: AlertSettings = { ...config.alerts };
+let writeChain: Promise<void> = Promise.resolve();
+
+function persist() {
+  const snapshot = [...(alerts || [])];
+  writeChain = writeChain
+    .then(() => writeJsonFile(ALERTS_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[Alerts] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+/** "HH:MM-HH:MM" (WIB, boleh lewat tengah malam) memuat `now`? */
+export function withinHours(range: string, now: number): boolean {
+  const match = range.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+  if (!match) return false;
+  const [startH, startM, endH, endM] = match.slice(1).map(Number);
+  const start = startH * 60 + startM;
+  const end = endH * 60 + endM;
+  const date = new Date(now + JAKARTA_OFFSET_MS);
+  const minute = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return start <= end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+function isOpen(now: number): boolean {
+  return !settings.openingHours || withinHours(settings.openingHours, now);
+}
+
+function isQuiet(now: number): boolean {
+  return !!settings.quietHours && withinHours(settings.quietHours, now);
+}
+
+const offlineMachineRule: RuleFn = ({ outlet, machines, now }) => {
+  if (!isOpen(now)) return null;
+  const limit = settings.offlineMinutes * MINUTE_MS;
+  return machines
+    .filter((m) => m.status === "OFFLINE")
+    .map((m) => ({ machine: m, since: getStatusSince(outlet, m.id) ?? now }))
+    .filter(({ since }) => now - since >= limit)
+    .map(({ machine, since }) => ({
+      key: `machine_offline:${outlet}:${machine.id}`,
+      rule: "machine_offline" as const,
+      severity: "warning" as const,
+      machine_id: machine.id,
+      label: machine.label,
+      message: `${machine.label} offline for over ${
+        settings.offlineMinutes
+      } min`,
+      details: { since: new Date(since).toISOString() },
+    }));
+};
+
+const outletOfflineRule: RuleFn = ({ outlet, machines }) => {
+  const offline = machines.filter((m) => m.status === "OFFLINE");
+  if (offline.length < settings.offlineMachines) return [];
+  return [
+    {
+      key: `outlet_offline:${outlet}`,
+      rule: "outlet_offline",
+      severity: "critical",
+      machine_id: null,
+      label: null,
+      message: `${offline.length} machines offline`,
+      details: { machines: offline.map((m) => m.label).sort() },
+    },
+  ];
+};
+
+const stuckRunningRule: RuleFn = ({ outlet }) =>
+  listAnomalies(outlet)
+    .filter((a) => a.type === "stuck_running")
+    .map((a) => ({
+      key: `stuck_running:${outlet}:${a.machine_id}`,
+      rule: "stuck_running" as const,
+      severity: "critical" as const,
+      machine_id: a.machine_id,
+      label: a.label,
+      message: `${a.label} stuck in RUNNING since ${a.since}`,
+      details: a.details,
+    }));
+
+const RULES: [AlertRule, RuleFn][] = [
+  ["machine_offline", offlineMachineRule],
+  ["outlet_offline", outletOfflineRule],
+  ["stuck_running", stuckRunningRule],
+];
+
+function outletName(outlet: string): string {
+  return config.outlets.find((o) => o.id === outlet)?.name || outlet;
+}
+
+function formatText(alert: Alert): string {
+  const time = (iso: string) =>
+    new Date(iso).toLocaleString("id-ID", { timeZone: "Asia/Jakarta" });
+  if (alert.status === "resolved") {
+    return [
+      `✅ Resolved: ${alert.message}`,
+      `Outlet: ${outletName(alert.outlet_id)}`,
+      `Resolved at: ${time(alert.resolved_at || alert.updated_at)}`,
+    ].join("\n");
+  }
+  const icon = alert.severity === "critical" ? "🚨" : "⚠️";
+  const reminder =
+    alert.notify_count > 1 ? ` (reminder ${alert.notify_count - 1})` : "";
+  return [
+    `${icon} [${alert.severity.toUpperCase()}] ${alert.message}${reminder}`,
+    `Outlet: ${outletName(alert.outlet_id)}`,
+    `Since: ${time(alert.created_at)}`,
+    `Ack: POST /api/alerts/${alert.id}/ack`,
+  ].join("\n");
+}
+
+/** Kirim ke semua channel; hasil per channel dicatat di alert */
+async function dispatch(alert: Alert): Promise<void> {
+  const text = formatText(alert);
+  const targets = [...channels];
+  const results = await Promise.allSettled(
+    targets.map((channel) => channel.send(alert, text))
+  );
+  results.forEach((result, i) => {
+    const delivery: AlertDelivery = {
+      channel: targets[i].name,
+      at: new Date().toISOString(),
+      ok: result.status === "fulfilled",
+      ...(result.status === "rejected"
+        ? { error: String(result.reason?.message || result.reason) }
+        : {}),
+    };
+    if (!delivery.ok) {
+      console.error(
+        `[Alerts] ${delivery.channel} failed for ${alert.key}:`,
+        delivery.error
+      );
+    }
+    alert.deliveries = [...alert.deliveries, delivery].slice(-MAX_DELIVERIES);
+  });
+}
+
+function isDue(alert: Alert, now: number): boolean {
+  if (alert.status !== "open" || alert.acked_at) return false;
+  if (!alert.notified_at) return true;
+  const repeat = settings.repeatMinutes * MINUTE_MS;
+  return repeat > 0 && now - Date.parse(alert.notified_at) >= repeat;
+}
+
+function prune() {
+  if (!alerts || alerts.length <= MAX_ALERTS) return;
+  const open = alerts.filter((a) => a.status === "open");
+  const resolved = alerts.filter((a) => a.status !== "open");
+  alerts = [...open, ...resolved.slice(-(MAX_ALERTS - open.length))];
+}
+
+/**
+ * Evaluasi rule untuk snapshot terbaru satu outlet, lalu kirim alert
+ * yang jatuh tempo. Promise selesai setelah semua pengiriman selesai.
+ */
+export async function evaluateAlerts(
+  outlet: string,
+  machines: Machine[],
+  now = Date.now()
+): Promise<void> {
+  if (!alerts) return;
+  const list = alerts;
+  const nowIso = new Date(now).toISOString();
+  const cooldown = settings.cooldownMinutes * MINUTE_MS;
+  const toSend: Alert[] = [];
+  let changed = false;
+
+  const skipped = new Set<AlertRule>();
+  const findings = new Map<string, Finding>();
+  for (const [rule, fn] of RULES) {
+    const result = fn({ outlet, machines, now });
+    if (result === null) skipped.add(rule);
+    for (const finding of result || []) findings.set(finding.key, finding);
+  }
+
+  for (const finding of findings.values()) {
+    const existing =
+      list.find((a) => a.key === finding.key && a.status === "open") ||
+      // Kondisi kambuh dalam cooldown: buka ulang alert yang sama
+      list.find(
+        (a) =>
+          a.key === finding.key &&
+          a.resolved_at !== null &&
+          now - Date.parse(a.resolved_at) < cooldown
+      );
+
+    if (existing) {
+      if (existing.status !== "open") {
+        existing.status = "open";
+        existing.resolved_at = null;
+        changed = true;
+      }
+      if (existing.message !== finding.message) changed = true;
+      existing.message = finding.message;
+      existing.details = finding.details;
+      existing.updated_at = nowIso;
+      continue;
+    }
+
+    list.push({
+      id: crypto.randomUUID(),
+      ...finding,
+      outlet_id: outlet,
+      status: "open",
+      created_at: nowIso,
+      updated_at: nowIso,
+      resolved_at: null,
+      notified_at: null,
+      notify_count: 0,
+      acked_at: null,
+      acked_by: null,
+      deliveries: [],
+    });
+    console.log(`[Alerts] Open ${finding.key}: ${finding.message}`);
+    changed = true;
+  }
+
+  // Kondisi selesai → resolved; kabari hanya jika alert sempat terkirim
+  for (const alert of list) {
+    if (
+      alert.outlet_id !== outlet ||
+      alert.status !== "open" ||
+      skipped.has(alert.rule) ||
+      findings.has(alert.key)
+    ) {
+      continue;
+    }
+    alert.status = "resolved";
+    alert.resolved_at = nowIso;
+    alert.updated_at = nowIso;
+    if (alert.notified_at && !alert.acked_at && !isQuiet(now)) {
+      toSend.push(alert);
+    }
+    console.log(`[Alerts] Resolved ${alert.key}`);
+    changed = true;
+  }
+
+  if (!isQuiet(now)) {
+    for (const alert of list) {
+      if (alert.outlet_id !== outlet || !isDue(alert, now)) continue;
+      alert.notified_at = nowIso;
+      alert.notify_count += 1;
+      toSend.push(alert);
+      changed = true;
+    }
+  }
+
+  if (!changed) return;
+  prune();
+  await persist();
+
+  if (toSend.length > 0 && channels.length > 0) {
+    await Promise.all(toSend.map(dispatch));
+    await persist();
+  }
+}
+
+/** Daftar alert, terbaru dulu */
+export function listAlerts(
+  filter: { status?: string; outlet?: string; limit?: number } = {}
+): Alert[] {
+  return (alerts || [])
+    .filter(
+      (a) =>
+        (!filter.status || a.status === filter.status) &&
+        (!filter.outlet || a.outlet_id === filter.outlet)
+    )
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, filter.limit ?? 100);
+}
+
+/**
+ * Ack alert: pengingat berhenti. Ack ulang tidak mengubah apa pun.
+ */
+export async function ackAlert(id: string, username: string): Promise<Alert> {
+  const alert = (alerts || []).find((a) => a.id === id);
+  if (!alert) throw new AlertError("Alert not found", 404);
+  if (alert.acked_at) return alert;
+
+  alert.acked_at = new Date().toISOString();
+  alert.acked_by = username;
+  alert.updated_at = alert.acked_at;
+  await persist();
+  return alert;
+}
+
+/** Kirim pesan uji ke semua channel (admin), tanpa menyimpan alert */
+export async function sendTestAlert(outlet: string): Promise<AlertDelivery[]> {
+  if (channels.length === 0) {
+    throw new AlertError("No alert channels configured");
+  }
+  const now = new Date().toISOString();
+  const alert: Alert = {
+    id: "test",
+    key: `test:${outlet}`,
+    rule: "machine_offline",
+    severity: "warning",
+    outlet_id: outlet,
+    machine_id: null,
+    label: null,
+    message: "Test alert from laundry monitor",
+    details: {},
+    status: "open",
+    created_at: now,
+    updated_at: now,
+    resolved_at: null,
+    notified_at: now,
+    notify_count: 1,
+    acked_at: null,
+    acked_by: null,
+    deliveries: [],
+  };
+  await dispatch(alert);
+  return alert.deliveries;
+}
+
+export function getAlertChannels(): string[] {
+  return channels.map((c) => c.name);
+}
+
+/** Tambah channel kustom; return fungsi untuk melepasnya */
+export function registerAlertChannel(channel: AlertChannel): () => void {
+  channels.push(channel);
+  return () => {
+    channels = channels.filter((c) => c !== channel);
+  };
+}
+
+/** Override jam/ambang (test, pengembangan lokal) */
+export function configureAlerts(overrides: Partial<AlertSettings>): void {
+  settings = { ...settings, ...overrides };
+}
+
+/** Kosongkan alert, channel dan override (test) */
+export function resetAlertState(): void {
+  alerts = [];
+  channels = [];
+  settings = { ...config.alerts };
+}
+
+/**
+ * Load alert tersimpan dan channel dari env
+ */
+export async function initAlerts(): Promise<void> {
+  try {
+    alerts = await readJsonFile<Alert[]>(ALERTS_FILE(), []);
+  } catch (error: any) {
+    console.error("[Alerts] Failed to load alerts:", error?.message);
+    alerts = [];
+  }
+  channels = channelsFromConfig();
+  const open = alerts.filter((a) => a.status === "open").length;
+  console.log(
+    `✅ Alerts loaded: ${open} open, channels: ${
+      channels.map((c) => c.name).join(", ") || "none"
+    }`
+  );
+}
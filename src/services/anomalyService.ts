@@ -0,0 +1,267 @@
+import { config } from "../config.js";
+import { onStatusTransition } from "../normalize.js";
+import { getOpenCycleStart } from "./cycleService.js";
+import type { Machine } from "../types.js";
+
+/**
+ * Deteksi anomali mesin setelah tiap refreshMachines(): RUNNING terlalu
+ * lama, status bolak-balik, offline lama, dan RUNNING lewat fallback
+ * `sw`/`dur` (tanpa tl valid) terlalu lama.
+ */
+export type AnomalyType =
+  | "stuck_running"
+  | "flapping"
+  | "offline"
+  | "fallback_running";
+
+export type AnomalySeverity = "warning" | "critical";
+
+export interface Anomaly {
+  id: string; // outlet:mesin:tipe
+  machine_id: string;
+  label: string;
+  outlet_id: string;
+  type: AnomalyType;
+  severity: AnomalySeverity;
+  since: string; // ISO, awal kondisi
+  detected_at: string; // ISO, pertama kali terdeteksi
+  message: string;
+  details: Record<string, unknown>;
+}
+
+export type AnomalyEvent = {
+  kind: "raised" | "resolved";
+  anomaly: Anomaly;
+};
+
+type AnomalyListener = (event: AnomalyEvent) => void;
+
+interface MachineTrack {
+  status: Machine["status"];
+  since: number; // status ini pertama terlihat
+  fallbackSince: number | null; // RUNNING tanpa elapsed_ms
+}
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Per outlet → mesin
+const tracks: Map<string, Map<string, MachineTrack>> = new Map();
+// Timestamp transisi status per mesin (1 jam terakhir)
+const flips: Map<string, number[]> = new Map();
+// Anomali aktif per outlet, key = Anomaly.id
+const active: Map<string, Map<string, Anomaly>> = new Map();
+const listeners: Set<AnomalyListener> = new Set();
+let unsubscribeTransitions: (() => void) | null = null;
+
+/**
+ * Daftarkan listener anomali baru/selesai (dispatcher alert, dll).
+ * Return fungsi unsubscribe.
+ */
+export function onAnomaly(fn: AnomalyListener): () => void {
+  listeners.add(fn);
+  return () => {
+    listeners.delete(fn);
+  };
+}
+
+function emit(event: AnomalyEvent) {
+  for (const fn of listeners) {
+    try {
+      fn(event);
+    } catch (error: any) {
+      console.error("[Anomaly] Listener failed:", error?.message || error);
+    }
+  }
+}
+
+function formatMinutes(ms: number): string {
+  const minutes = Math.round(ms / MINUTE_MS);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+function recentFlips(machineId: string, now: number): number[] {
+  const list = (flips.get(machineId) || []).filter((ts) => now - ts < HOUR_MS);
+  if (list.length > 0) flips.set(machineId, list);
+  else flips.delete(machineId);
+  return list;
+}
+
+type Finding = Pick<
+  Anomaly,
+  "type" | "severity" | "message" | "details"
+> & { since: number };
+
+/** Anomali satu mesin berdasarkan status saat ini + riwayatnya */
+function inspect(machine: Machine, track: MachineTrack, now: number) {
+  const thresholds = config.anomaly;
+  const findings: Finding[] = [];
+
+  if (machine.status === "RUNNING") {
+    // Awal siklus tercatat (tl bisa macet sehingga elapsed_ms tidak
+    // bertambah), lalu elapsed_ms, lalu pertama kali terlihat RUNNING
+    const startedAt =
+      getOpenCycleStart(machine.id) ??
+      (machine.elapsed_ms !== undefined
+        ? now - machine.elapsed_ms
+        : track.since);
+    const runningMs = now - startedAt;
+    if (runningMs > thresholds.maxRunningMs) {
+      findings.push({
+        type: "stuck_running",
+        severity: "critical",
+        since: startedAt,
+        message: `Running for ${formatMinutes(runningMs)}`,
+        details: { running_ms: runningMs, limit_ms: thresholds.maxRunningMs },
+      });
+    }
+
+    if (
+      track.fallbackSince !== null &&
+      now - track.fallbackSince > thresholds.fallbackMs
+    ) {
+      findings.push({
+        type: "fallback_running",
+        severity: "warning",
+        since: track.fallbackSince,
+        message: `Running without valid tl for ${formatMinutes(
+          now - track.fallbackSince
+        )}`,
+        details: {
+          fallback_ms: now - track.fallbackSince,
+          limit_ms: thresholds.fallbackMs,
+          dur: machine.dur ?? null,
+        },
+      });
+    }
+  }
+
+  if (
+    machine.status === "OFFLINE" &&
+    now - track.since > thresholds.offlineMs
+  ) {
+    findings.push({
+      type: "offline",
+      severity: "warning",
+      since: track.since,
+      message: `Offline for ${formatMinutes(now - track.since)}`,
+      details: {
+        offline_ms: now - track.since,
+        limit_ms: thresholds.offlineMs,
+      },
+    });
+  }
+
+  const recent = recentFlips(machine.id, now);
+  if (recent.length >= thresholds.flipsPerHour) {
+    findings.push({
+      type: "flapping",
+      severity: "warning",
+      since: recent[0],
+      message: `${recent.length} status changes in the last hour`,
+      details: { flips: recent.length, limit: thresholds.flipsPerHour },
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Evaluasi snapshot terbaru satu outlet. Dipanggil setelah refresh
+ * berhasil; `now` = jam replay saat UPSTREAM_REPLAY aktif.
+ */
+export function detectAnomalies(
+  outlet: string,
+  machines: Machine[],
+  now = Date.now()
+): Anomaly[] {
+  const outletTracks = tracks.get(outlet) || new Map<string, MachineTrack>();
+  const previous = active.get(outlet) || new Map<string, Anomaly>();
+  const current = new Map<string, Anomaly>();
+
+  const seen = new Set<string>();
+  for (const machine of machines) {
+    seen.add(machine.id);
+    let track = outletTracks.get(machine.id);
+    if (!track || track.status !== machine.status) {
+      track = { status: machine.status, since: now, fallbackSince: null };
+      outletTracks.set(machine.id, track);
+    }
+    if (machine.status === "RUNNING" && machine.elapsed_ms === undefined) {
+      track.fallbackSince ??= now;
+    } else {
+      track.fallbackSince = null;
+    }
+
+    for (const finding of inspect(machine, track, now)) {
+      const id = `${outlet}:${machine.id}:${finding.type}`;
+      current.set(id, {
+        id,
+        machine_id: machine.id,
+        label: machine.label,
+        outlet_id: outlet,
+        type: finding.type,
+        severity: finding.severity,
+        since: new Date(finding.since).toISOString(),
+        detected_at:
+          previous.get(id)?.detected_at || new Date(now).toISOString(),
+        message: finding.message,
+        details: finding.details,
+      });
+    }
+  }
+
+  // Mesin hilang dari payload: lupakan riwayatnya
+  for (const id of outletTracks.keys()) {
+    if (!seen.has(id)) outletTracks.delete(id);
+  }
+  tracks.set(outlet, outletTracks);
+  active.set(outlet, current);
+
+  for (const [id, anomaly] of current) {
+    if (!previous.has(id)) emit({ kind: "raised", anomaly });
+  }
+  for (const [id, anomaly] of previous) {
+    if (!current.has(id)) emit({ kind: "resolved", anomaly });
+  }
+
+  return [...current.values()];
+}
+
+/** Sejak kapan (ms) mesin berstatus seperti sekarang; null = belum terlihat */
+export function getStatusSince(
+  outlet: string,
+  machineId: string
+): number | null {
+  return tracks.get(outlet)?.get(machineId)?.since ?? null;
+}
+
+/** Anomali aktif; tanpa outlet = semua outlet */
+export function listAnomalies(outlet?: string): Anomaly[] {
+  const outlets = outlet ? [outlet] : [...active.keys()];
+  return outlets
+    .flatMap((id) => [...(active.get(id)?.values() || [])])
+    .sort((a, b) => a.since.localeCompare(b.since));
+}
+
+/** Kosongkan semua state (test) */
+export function resetAnomalyState(): void {
+  tracks.clear();
+  flips.clear();
+  active.clear();
+}
+
+/**
+ * Mulai hitung transisi status untuk deteksi flapping
+ */
+export function initAnomalyDetector(): void {
+  if (unsubscribeTransitions) return;
+  unsubscribeTransitions = onStatusTransition((transition) => {
+    const list = flips.get(transition.machineId) || [];
+    list.push(transition.timestamp);
+    flips.set(transition.machineId, list);
+  });
+}
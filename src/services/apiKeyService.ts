@@ -0,0 +1,294 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+
+/**
+ * API key untuk kiosk/TV dan integrasi pihak ketiga (data/api-keys.json).
+ * Key `lmk_<secret>` hanya ditampilkan sekali saat dibuat; yang disimpan
+ * hash-nya. Tiap key punya scope, kedaluwarsa opsional dan batas request
+ * per menit.
+ */
+export const API_SCOPES = [
+  "machines:read",
+  "machines:control",
+  "events:write",
+  "transactions:read",
+  "cycles:read",
+] as const;
+
+export type ApiScope = (typeof API_SCOPES)[number];
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string; // awal key untuk dikenali di daftar, mis. lmk_AbC1
+  key_hash: string;
+  scopes: ApiScope[];
+  rate_limit: number; // request per menit
+  expires_at: string | null;
+  created_at: string;
+  created_by: string;
+  revoked_at: string | null;
+  last_used_at: string | null;
+  last_used_ip: string | null;
+  usage_count: number;
+  usage_by_day: Record<string, number>; // YYYY-MM-DD (WIB) → jumlah
+}
+
+export type PublicApiKey = Omit<ApiKey, "key_hash">;
+
+export class ApiKeyError extends Error {
+  constructor(
+    message: string,
+    public status: 400 | 401 | 403 | 404 | 429 = 400,
+    public retryAfterMs?: number
+  ) {
+    super(message);
+    this.name = "ApiKeyError";
+  }
+}
+
+const KEYS_FILE = () => dataPath("api-keys.json");
+const KEY_PREFIX = "lmk_";
+const MINUTE_MS = 60 * 1000;
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+let keys: ApiKey[] | null = null;
+let loading: Promise<void> | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+let flushTimer: NodeJS.Timeout | null = null;
+// Fixed window per key: { awal menit, jumlah request }
+const windows: Map<string, { start: number; count: number }> = new Map();
+
+function persist() {
+  const snapshot = [...(keys || [])];
+  writeChain = writeChain
+    .then(() => writeJsonFile(KEYS_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[ApiKeys] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+/** Counter pemakaian disimpan berkala, bukan tiap request */
+function schedulePersist() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    persist();
+  }, config.apiKeys.flushInterval);
+  flushTimer.unref?.();
+}
+
+function store(): ApiKey[] {
+  if (!keys) throw new Error("API key store not loaded");
+  return keys;
+}
+
+function hashKey(key: string): string {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+export function toPublicApiKey(key: ApiKey): PublicApiKey {
+  const { key_hash, ...rest } = key;
+  return rest;
+}
+
+export async function initApiKeys(): Promise<void> {
+  if (keys) return;
+  loading ||= (async () => {
+    try {
+      keys = await readJsonFile<ApiKey[]>(KEYS_FILE(), []);
+    } catch (error: any) {
+      console.error("[ApiKeys] Failed to load keys:", error?.message);
+      keys = [];
+    }
+  })();
+  await loading;
+}
+
+function validateScopes(scopes: unknown): ApiScope[] {
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    !scopes.every((s) => API_SCOPES.includes(s))
+  ) {
+    throw new ApiKeyError(
+      `scopes must be a non-empty list of: ${API_SCOPES.join(", ")}`
+    );
+  }
+  return [...new Set(scopes as ApiScope[])];
+}
+
+function validateRateLimit(value: unknown): number {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+    throw new ApiKeyError("rate_limit must be an integer between 1 and 10000");
+  }
+  return limit;
+}
+
+function validateExpiry(value: unknown): string | null {
+  if (value === null || value === undefined || value === "") return null;
+  const ms = Date.parse(String(value));
+  if (Number.isNaN(ms)) {
+    throw new ApiKeyError("expires_at must be an ISO timestamp");
+  }
+  return new Date(ms).toISOString();
+}
+
+function findKey(id: string): ApiKey {
+  const key = store().find((k) => k.id === id);
+  if (!key) throw new ApiKeyError("API key not found", 404);
+  return key;
+}
+
+export function listApiKeys(): PublicApiKey[] {
+  return store().map(toPublicApiKey);
+}
+
+/**
+ * Buat key baru. Return key plain (hanya sekali ini) + datanya.
+ */
+export async function createApiKey(
+  input: {
+    name?: unknown;
+    scopes?: unknown;
+    rate_limit?: unknown;
+    expires_at?: unknown;
+  },
+  createdBy: string
+): Promise<{ key: string; data: PublicApiKey }> {
+  if (!keys) await initApiKeys();
+  const name = String(input.name ?? "").trim();
+  if (!name) throw new ApiKeyError("name is required");
+
+  const secret = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const apiKey: ApiKey = {
+    id: crypto.randomUUID(),
+    name: name.slice(0, 100),
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    key_hash: hashKey(secret),
+    scopes: validateScopes(input.scopes),
+    rate_limit:
+      input.rate_limit === undefined
+        ? config.apiKeys.defaultRateLimit
+        : validateRateLimit(input.rate_limit),
+    expires_at: validateExpiry(input.expires_at),
+    created_at: new Date().toISOString(),
+    created_by: createdBy,
+    revoked_at: null,
+    last_used_at: null,
+    last_used_ip: null,
+    usage_count: 0,
+    usage_by_day: {},
+  };
+  store().push(apiKey);
+  await persist();
+  return { key: secret, data: toPublicApiKey(apiKey) };
+}
+
+/** Ubah nama, scope, rate limit atau kedaluwarsa */
+export async function updateApiKey(
+  id: string,
+  input: {
+    name?: unknown;
+    scopes?: unknown;
+    rate_limit?: unknown;
+    expires_at?: unknown;
+  }
+): Promise<PublicApiKey> {
+  const key = findKey(id);
+  const next: Partial<ApiKey> = {};
+  if (input.name !== undefined) {
+    const name = String(input.name).trim();
+    if (!name) throw new ApiKeyError("name is required");
+    next.name = name.slice(0, 100);
+  }
+  if (input.scopes !== undefined) next.scopes = validateScopes(input.scopes);
+  if (input.rate_limit !== undefined) {
+    next.rate_limit = validateRateLimit(input.rate_limit);
+  }
+  if (input.expires_at !== undefined) {
+    next.expires_at = validateExpiry(input.expires_at);
+  }
+  Object.assign(key, next);
+  await persist();
+  return toPublicApiKey(key);
+}
+
+export async function revokeApiKey(id: string): Promise<PublicApiKey> {
+  const key = findKey(id);
+  key.revoked_at ||= new Date().toISOString();
+  windows.delete(key.id);
+  await persist();
+  return toPublicApiKey(key);
+}
+
+function dayKey(now: number): string {
+  return new Date(now + JAKARTA_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function recordUsage(key: ApiKey, ip: string | null, now: number) {
+  const day = dayKey(now);
+  key.usage_count += 1;
+  key.usage_by_day[day] = (key.usage_by_day[day] || 0) + 1;
+  const days = Object.keys(key.usage_by_day).sort();
+  for (const old of days.slice(0, -config.apiKeys.usageDays)) {
+    delete key.usage_by_day[old];
+  }
+  key.last_used_at = new Date(now).toISOString();
+  key.last_used_ip = ip;
+  schedulePersist();
+}
+
+/**
+ * Validasi key untuk satu request: ada, aktif, punya `scope`, dan belum
+ * melewati batas per menit. Request yang lolos dihitung di usage.
+ */
+export async function authorizeApiKey(
+  rawKey: string,
+  scope: ApiScope,
+  ip: string | null = null,
+  now = Date.now()
+): Promise<{ key: PublicApiKey; remaining: number }> {
+  if (!keys) await initApiKeys();
+  const hash = hashKey(rawKey.trim());
+  const key = store().find((k) => k.key_hash === hash);
+  if (!key || key.revoked_at) throw new ApiKeyError("Invalid API key", 401);
+  if (key.expires_at && Date.parse(key.expires_at) <= now) {
+    throw new ApiKeyError("API key expired", 401);
+  }
+  if (!key.scopes.includes(scope)) {
+    throw new ApiKeyError(`API key is missing scope: ${scope}`, 403);
+  }
+
+  const start = now - (now % MINUTE_MS);
+  const window = windows.get(key.id);
+  const current =
+    window && window.start === start ? window : { start, count: 0 };
+  if (current.count >= key.rate_limit) {
+    throw new ApiKeyError(
+      "API key rate limit exceeded",
+      429,
+      start + MINUTE_MS - now
+    );
+  }
+  current.count += 1;
+  windows.set(key.id, current);
+
+  recordUsage(key, ip, now);
+  return {
+    key: toPublicApiKey(key),
+    remaining: key.rate_limit - current.count,
+  };
+}
+
+/** Simpan counter pemakaian sekarang (test/shutdown) */
+export async function flushApiKeyUsage(): Promise<void> {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  await persist();
+}
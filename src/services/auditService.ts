@@ -0,0 +1,199 @@
+import crypto from "node:crypto";
+import { getRequestActor } from "../auth.js";
+import { dataPath, appendJsonLine, readJsonLines } from "../utils/storage.js";
+import { parseBoundary } from "../utils/dateRange.js";
+import { getClientMeta } from "../utils/request.js";
+
+/**
+ * Audit log (data/audit.jsonl): login, gagal login, lockout dan aksi
+ * berhak khusus (start/stop mesin, buat event, kelola akun). Append-only.
+ */
+export type AuditAction =
+  | "auth.login"
+  | "auth.login_failed"
+  | "auth.lockout"
+  | "auth.logout"
+  | "auth.logout_all"
+  | "auth.password_changed"
+  | "users.create"
+  | "users.update"
+  | "users.reset_password"
+  | "users.logout"
+  | "users.delete"
+  | "machine.start"
+  | "machine.stop"
+  | "machine.queue"
+  | "machine.queue_cancel"
+  | "event.create"
+  | "event.update"
+  | "event.cancel"
+  | "orders.create"
+  | "orders.update"
+  | "customers.create"
+  | "customers.update"
+  | "api_keys.create"
+  | "api_keys.update"
+  | "api_keys.revoke";
+
+export type AuditOutcome = "success" | "failure" | "blocked";
+
+export interface AuditEntry {
+  id: string;
+  at: string;
+  action: AuditAction;
+  outcome: AuditOutcome;
+  user_id: number | null;
+  username: string | null; // akun pelaku, atau username yang dicoba
+  ip: string | null;
+  user_agent: string | null;
+  target: string | null; // mesin, akun, tipe event, ...
+  details: Record<string, unknown> | null;
+}
+
+export interface AuditQuery {
+  action?: string; // satu/lebih action dipisah koma; `auth.*` = prefix
+  username?: string;
+  outcome?: string;
+  ip?: string;
+  target?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export class AuditError extends Error {
+  constructor(message: string, public status: 400 = 400) {
+    super(message);
+    this.name = "AuditError";
+  }
+}
+
+const AUDIT_FILE = () => dataPath("audit.jsonl");
+
+let writeChain: Promise<void> = Promise.resolve();
+
+/**
+ * Catat satu entry. Tidak pernah throw: gagal menulis audit tidak boleh
+ * menggagalkan request.
+ */
+export function recordAudit(
+  c: any,
+  entry: {
+    action: AuditAction;
+    outcome?: AuditOutcome;
+    username?: string | null;
+    userId?: number | null;
+    target?: string | null;
+    details?: Record<string, unknown> | null;
+  }
+): Promise<void> {
+  const actor = entry.username === undefined ? getRequestActor(c) : null;
+  const meta = getClientMeta(c);
+  const record: AuditEntry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    action: entry.action,
+    outcome: entry.outcome || "success",
+    user_id: entry.userId ?? actor?.userId ?? null,
+    username: entry.username ?? actor?.username ?? null,
+    ip: meta.ip,
+    user_agent: meta.userAgent?.slice(0, 200) || null,
+    target: entry.target ?? null,
+    details: entry.details ?? null,
+  };
+
+  writeChain = writeChain
+    .then(() => appendJsonLine(AUDIT_FILE(), record))
+    .catch((error) => {
+      console.error("[Audit] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+function matchesAction(action: string, filter: string): boolean {
+  return filter
+    .split(",")
+    .map((f) => f.trim())
+    .filter(Boolean)
+    .some((f) =>
+      f.endsWith(".*") ? action.startsWith(f.slice(0, -1)) : action === f
+    );
+}
+
+/**
+ * Query audit log; terbaru dulu
+ */
+export async function queryAudit(
+  query: AuditQuery
+): Promise<{ data: AuditEntry[]; total: number }> {
+  const from = query.from ? parseBoundary(query.from, false) : null;
+  const to = query.to ? parseBoundary(query.to, true) : null;
+  if ((query.from && from === null) || (query.to && to === null)) {
+    throw new AuditError("from/to must be ISO timestamps or YYYY-MM-DD");
+  }
+  const outcomes = ["success", "failure", "blocked"];
+  if (query.outcome && !outcomes.includes(query.outcome)) {
+    throw new AuditError(`outcome must be one of: ${outcomes.join(", ")}`);
+  }
+
+  await writeChain;
+  const username = query.username?.trim().toLowerCase();
+  const filtered = (await readJsonLines<AuditEntry>(AUDIT_FILE()))
+    .filter((entry) => {
+      if (query.action && !matchesAction(entry.action, query.action)) {
+        return false;
+      }
+      if (username && entry.username?.toLowerCase() !== username) {
+        return false;
+      }
+      if (query.outcome && entry.outcome !== query.outcome) return false;
+      if (query.ip && entry.ip !== query.ip) return false;
+      if (query.target && entry.target !== query.target) return false;
+      const at = Date.parse(entry.at);
+      if (from !== null && at < from) return false;
+      if (to !== null && at > to) return false;
+      return true;
+    })
+    .reverse();
+
+  const offset = query.offset || 0;
+  const limit = query.limit || 200;
+  return {
+    data: filtered.slice(offset, offset + limit),
+    total: filtered.length,
+  };
+}
+
+const CSV_COLUMNS: (keyof AuditEntry)[] = [
+  "at",
+  "action",
+  "outcome",
+  "username",
+  "user_id",
+  "ip",
+  "target",
+  "details",
+  "user_agent",
+];
+
+/**
+ * CSV untuk spreadsheet. Sel yang diawali =, +, -, @, tab atau CR diberi
+ * prefix `'` (username login gagal bisa berisi formula).
+ */
+export function auditToCsv(entries: AuditEntry[]): string {
+  const cell = (value: unknown) => {
+    let text =
+      value == null
+        ? ""
+        : typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map((column) => cell(entry[column])).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
@@ -0,0 +1,347 @@
+import crypto from "node:crypto";
+import {
+  dataPath,
+  readJsonFile,
+  writeJsonFile,
+  appendJsonLine,
+  readJsonLines,
+} from "../utils/storage.js";
+import { normalizePhone, phoneSearchDigits } from "../utils/phone.js";
+import type { StartRequest } from "./startService.js";
+
+/**
+ * Direktori pelanggan (data/customers.json), satu entry per nomor HP yang
+ * sudah dinormalisasi. Kunjungan (start drop-off/klaim promo) dicatat di
+ * data/customer-visits.jsonl (append-only; kunjungan yang dipindah saat
+ * koreksi event ditulis ulang dengan id sama, baris terakhir berlaku).
+ */
+export interface Customer {
+  id: string;
+  name: string;
+  phone: string; // E.164, unik
+  names: string[]; // ejaan nama lain yang pernah diketik
+  note: string | null;
+  visit_count: number;
+  last_visit_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface CustomerVisit {
+  id: string;
+  customer_id: string | null; // null: nomor dikoreksi jadi tidak valid
+  at: string;
+  kind: "drop-off" | "claim-promo";
+  machine_id: string;
+  machine_label: string | null;
+  event_id: string | null;
+  order_id: string | null;
+  duration_minutes: number;
+}
+
+export class CustomerError extends Error {
+  constructor(message: string, public status: 400 | 404 | 409 = 400) {
+    super(message);
+    this.name = "CustomerError";
+  }
+}
+
+const CUSTOMERS_FILE = () => dataPath("customers.json");
+const VISITS_FILE = () => dataPath("customer-visits.jsonl");
+const MAX_NAMES = 10;
+
+let customers: Customer[] | null = null;
+let loading: Promise<void> | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+
+function persist() {
+  const snapshot = [...(customers || [])];
+  writeChain = writeChain
+    .then(() => writeJsonFile(CUSTOMERS_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[Customers] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+function store(): Customer[] {
+  if (!customers) throw new Error("Customer store not loaded");
+  return customers;
+}
+
+export async function initCustomers(): Promise<void> {
+  if (customers) return;
+  loading ||= (async () => {
+    try {
+      customers = await readJsonFile<Customer[]>(CUSTOMERS_FILE(), []);
+    } catch (error: any) {
+      console.error("[Customers] Failed to load customers:", error?.message);
+      customers = [];
+    }
+  })();
+  await loading;
+}
+
+function validName(value: unknown): string {
+  const name = typeof value === "string" ? value.trim() : "";
+  if (!name) throw new CustomerError("name is required");
+  if (name.length > 100) {
+    throw new CustomerError("name must be at most 100 characters");
+  }
+  return name;
+}
+
+function validPhone(value: unknown): string {
+  const phone = normalizePhone(value);
+  if (!phone) {
+    throw new CustomerError("phone must be a valid Indonesian phone number");
+  }
+  return phone;
+}
+
+function validNote(value: unknown): string | null {
+  if (value === undefined || value === null || value === "") return null;
+  const note = String(value).trim();
+  if (note.length > 500) {
+    throw new CustomerError("note must be at most 500 characters");
+  }
+  return note || null;
+}
+
+function rememberName(customer: Customer, name: string) {
+  const known = [customer.name, ...customer.names].map((n) =>
+    n.toLowerCase()
+  );
+  if (known.includes(name.toLowerCase())) return;
+  customer.names = [...customer.names, name].slice(-MAX_NAMES);
+}
+
+export function findCustomerByPhone(phone: unknown): Customer | null {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  return store().find((c) => c.phone === normalized) || null;
+}
+
+export function getCustomer(id: string): Customer {
+  const customer = store().find((c) => c.id === id);
+  if (!customer) throw new CustomerError("Customer not found", 404);
+  return customer;
+}
+
+/**
+ * Cari pelanggan untuk autocomplete: nama (termasuk ejaan lain) atau
+ * potongan nomor HP. Kunjungan terakhir dulu.
+ */
+export function searchCustomers(q = "", limit = 20): Customer[] {
+  const text = q.trim().toLowerCase();
+  const digits = phoneSearchDigits(text);
+
+  return store()
+    .filter(
+      (c) =>
+        !text ||
+        [c.name, ...c.names].some((n) => n.toLowerCase().includes(text)) ||
+        (digits.length >= 3 && c.phone.slice(1).includes(digits))
+    )
+    .sort((a, b) =>
+      (b.last_visit_at || b.created_at).localeCompare(
+        a.last_visit_at || a.created_at
+      )
+    )
+    .slice(0, limit);
+}
+
+/** Tambah pelanggan: { name, phone, note? }. Nomor sudah terdaftar → 409 */
+export async function createCustomer(
+  input: Record<string, unknown>,
+  now = Date.now()
+): Promise<Customer> {
+  const name = validName(input.name);
+  const phone = validPhone(input.phone);
+  if (store().some((c) => c.phone === phone)) {
+    throw new CustomerError("A customer with this phone already exists", 409);
+  }
+
+  const at = new Date(now).toISOString();
+  const customer: Customer = {
+    id: crypto.randomUUID(),
+    name,
+    phone,
+    names: [],
+    note: validNote(input.note),
+    visit_count: 0,
+    last_visit_at: null,
+    created_at: at,
+    updated_at: at,
+  };
+  store().push(customer);
+  await persist();
+  return customer;
+}
+
+/** Ubah { name?, phone?, note? }; nomor milik pelanggan lain → 409 */
+export async function updateCustomer(
+  id: string,
+  input: Record<string, unknown>,
+  now = Date.now()
+): Promise<Customer> {
+  const customer = getCustomer(id);
+  const name = input.name !== undefined ? validName(input.name) : null;
+  const phone = input.phone !== undefined ? validPhone(input.phone) : null;
+  if (phone && store().some((c) => c.phone === phone && c.id !== id)) {
+    throw new CustomerError("A customer with this phone already exists", 409);
+  }
+
+  if (name && name !== customer.name) {
+    rememberName(customer, customer.name);
+    customer.name = name;
+    customer.names = customer.names.filter(
+      (n) => n.toLowerCase() !== name.toLowerCase()
+    );
+  }
+  if (phone) customer.phone = phone;
+  if (input.note !== undefined) customer.note = validNote(input.note);
+  customer.updated_at = new Date(now).toISOString();
+  await persist();
+  return customer;
+}
+
+/**
+ * Pelanggan untuk nama + nomor yang diketik di form: nomor yang sama
+ * dipakai ulang (ejaan nama lain disimpan), nomor baru dibuatkan entry.
+ * Nomor kosong/tidak valid → null (tidak bisa dideduplikasi).
+ */
+export async function upsertCustomer(
+  name: unknown,
+  phone: unknown,
+  now = Date.now()
+): Promise<Customer | null> {
+  const normalized = normalizePhone(phone);
+  const cleanName = typeof name === "string" ? name.trim() : "";
+  if (!normalized || !cleanName) return null;
+
+  await initCustomers();
+  const existing = store().find((c) => c.phone === normalized);
+  if (existing) {
+    rememberName(existing, cleanName.slice(0, 100));
+    existing.updated_at = new Date(now).toISOString();
+    await persist();
+    return existing;
+  }
+  return createCustomer({ name: cleanName.slice(0, 100), phone }, now);
+}
+
+/**
+ * Catat kunjungan dari start mesin dengan event drop-off/klaim promo.
+ * Event lain atau tanpa nomor HP valid diabaikan.
+ */
+export async function recordCustomerVisit(
+  request: StartRequest,
+  machine: { id: string; label?: string | null },
+  eventId: string | null,
+  orderId: string | null,
+  now = Date.now()
+): Promise<CustomerVisit | null> {
+  const { type, data } = request.event;
+  if (type !== "drop-off" && type !== "claim-promo") return null;
+
+  const customer = await upsertCustomer(
+    data.customer_name,
+    data.customer_phone,
+    now
+  );
+  if (!customer) return null;
+
+  const visit: CustomerVisit = {
+    id: crypto.randomUUID(),
+    customer_id: customer.id,
+    at: new Date(now).toISOString(),
+    kind: type,
+    machine_id: machine.id,
+    machine_label: machine.label || null,
+    event_id: eventId,
+    order_id: orderId,
+    duration_minutes: request.duration,
+  };
+  customer.visit_count += 1;
+  customer.last_visit_at = visit.at;
+  persist();
+  writeChain = writeChain
+    .then(() => appendJsonLine(VISITS_FILE(), visit))
+    .catch((error) => {
+      console.error("[Customers] Visit write failed:", error?.message);
+    });
+  await writeChain;
+  return visit;
+}
+
+/** Semua kunjungan; baris koreksi menggantikan baris lama dengan id sama */
+async function readVisits(): Promise<CustomerVisit[]> {
+  await writeChain;
+  const visits = new Map<string, CustomerVisit>();
+  for (const visit of await readJsonLines<CustomerVisit>(VISITS_FILE())) {
+    visits.set(visit.id, visit);
+  }
+  return [...visits.values()];
+}
+
+/**
+ * Koreksi nama/nomor HP event drop-off: pelanggan untuk data baru
+ * di-upsert dan kunjungan event itu dipindah ke sana (visit_count dan
+ * last_visit_at kedua pelanggan ikut disesuaikan). Return id pelanggan
+ * lama → baru, atau null jika tidak ada kunjungan yang pindah.
+ */
+export async function moveEventVisit(
+  eventId: string,
+  name: unknown,
+  phone: unknown,
+  now = Date.now()
+): Promise<{ from: string | null; to: string | null } | null> {
+  await initCustomers();
+  const target = await upsertCustomer(name, phone, now);
+  const visits = await readVisits();
+  const visit = visits.find(
+    (v) => v.kind === "drop-off" && v.event_id === eventId
+  );
+  if (!visit || visit.customer_id === (target?.id ?? null)) return null;
+
+  const from = visit.customer_id;
+  const moved: CustomerVisit = { ...visit, customer_id: target?.id ?? null };
+  const previous = from ? store().find((c) => c.id === from) : null;
+  if (previous) {
+    const remaining = visits.filter(
+      (v) => v.customer_id === from && v.id !== visit.id
+    );
+    previous.visit_count = Math.max(previous.visit_count - 1, 0);
+    previous.last_visit_at = remaining.reduce<string | null>(
+      (last, v) => (!last || v.at > last ? v.at : last),
+      null
+    );
+  }
+  if (target) {
+    target.visit_count += 1;
+    if (!target.last_visit_at || visit.at > target.last_visit_at) {
+      target.last_visit_at = visit.at;
+    }
+  }
+  persist();
+  writeChain = writeChain
+    .then(() => appendJsonLine(VISITS_FILE(), moved))
+    .catch((error) => {
+      console.error("[Customers] Visit write failed:", error?.message);
+    });
+  await writeChain;
+  return { from, to: moved.customer_id };
+}
+
+/** Riwayat kunjungan satu pelanggan; terbaru dulu */
+export async function listCustomerVisits(
+  customerId: string,
+  limit = 100
+): Promise<CustomerVisit[]> {
+  const visits = await readVisits();
+  return visits
+    .filter((v) => v.customer_id === customerId)
+    .reverse()
+    .slice(0, limit);
+}
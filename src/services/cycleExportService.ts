@@ -0,0 +1,238 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { config } from "../config.js";
+import { getAidTrigger } from "../constants.js";
+import { onCycleCompleted, type Cycle } from "./cycleService.js";
+import { createGoogleSheetsSink } from "./googleSheetsSink.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+
+/**
+ * Satu baris export, urutan kolom sesuai GOOGLE_SHEETS_SETUP.md
+ */
+export type CycleExportRow = {
+  machine_label: string; // ID Mesin
+  machine_name: string; // Nama Mesin (brand)
+  started_at: string; // Jam Mulai (HH:mm:ss)
+  ended_at: string; // Jam Beres (HH:mm:ss)
+  duration: string; // Durasi Mesin (HH:mm:ss)
+  trigger: string; // Bekerja Trigger
+};
+
+export const EXPORT_HEADERS = [
+  "ID Mesin",
+  "Nama Mesin",
+  "Jam Mulai",
+  "Jam Beres",
+  "Durasi Mesin",
+  "Bekerja Trigger",
+];
+
+/**
+ * Tujuan export (Google Sheets, file lokal, ...). appendRows harus throw
+ * jika gagal agar baris tetap di antrean untuk di-retry.
+ */
+export interface CycleExportSink {
+  name: string;
+  setup?(): Promise<void>;
+  appendRows(rows: CycleExportRow[]): Promise<void>;
+}
+
+/**
+ * Nilai diawali =, +, -, @, tab atau CR diberi prefix `'` agar tidak
+ * dibaca sebagai formula oleh spreadsheet (label/brand bisa diisi admin)
+ */
+function asText(value: string): string {
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/** Baris → sel untuk sink (CSV/Sheets), sudah aman dari formula */
+export function rowToValues(row: CycleExportRow): string[] {
+  return [
+    row.machine_label,
+    row.machine_name,
+    row.started_at,
+    row.ended_at,
+    row.duration,
+    row.trigger,
+  ].map(asText);
+}
+
+const pad2 = (n: number) => String(n).padStart(2, "0");
+
+function formatClock(iso: string): string {
+  return new Intl.DateTimeFormat("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+    timeZone: "Asia/Jakarta",
+  }).format(new Date(iso));
+}
+
+function formatDuration(ms: number): string {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${pad2(hours)}:${pad2(minutes)}:${pad2(seconds)}`;
+}
+
+/**
+ * Siklus → baris export
+ */
+export function cycleToRow(cycle: Cycle): CycleExportRow {
+  return {
+    machine_label: cycle.label,
+    machine_name: cycle.brand,
+    started_at: formatClock(cycle.started_at),
+    ended_at: formatClock(cycle.ended_at),
+    duration: formatDuration(cycle.duration_ms),
+    trigger: getAidTrigger(cycle.aid),
+  };
+}
+
+/**
+ * Sink lokal pengganti Google Sheets: append CSV ke file
+ */
+export function createFileSink(file: string): CycleExportSink {
+  const escape = (value: string) =>
+    /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+  return {
+    name: "file",
+    async setup() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await fs.access(file);
+      } catch {
+        await fs.writeFile(file, EXPORT_HEADERS.join(",") + "\n", "utf8");
+      }
+    },
+    async appendRows(rows) {
+      const lines = rows.map((row) => rowToValues(row).map(escape).join(","));
+      await fs.appendFile(file, lines.join("\n") + "\n", "utf8");
+    },
+  };
+}
+
+const QUEUE_FILE = () => dataPath("cycle-export-queue.json");
+
+let sink: CycleExportSink | null = null;
+let queue: CycleExportRow[] = [];
+let flushing = false;
+let consecutiveFailures = 0;
+let retryAt = 0;
+
+function persistQueue() {
+  writeJsonFile(QUEUE_FILE(), queue).catch((error) => {
+    console.error("[CycleExport] Failed to persist queue:", error?.message);
+  });
+}
+
+function enqueue(row: CycleExportRow) {
+  queue.push(row);
+  if (queue.length > config.cycleExport.maxQueueSize) {
+    const dropped = queue.length - config.cycleExport.maxQueueSize;
+    queue.splice(0, dropped);
+    console.warn(`[CycleExport] Queue full, dropped ${dropped} oldest rows`);
+  }
+  persistQueue();
+
+  if (queue.length >= config.cycleExport.batchSize) {
+    flushCycleExport();
+  }
+}
+
+/**
+ * Kirim antrean ke sink per batch. Gagal → backoff eksponensial (dengan
+ * jitter) sampai config.cycleExport.maxBackoff, baris tetap di antrean.
+ */
+export async function flushCycleExport(): Promise<void> {
+  if (!sink || flushing || queue.length === 0) return;
+  if (Date.now() < retryAt) return;
+
+  flushing = true;
+  try {
+    while (queue.length > 0) {
+      const batch = queue.slice(0, config.cycleExport.batchSize);
+      await sink.appendRows(batch);
+      queue.splice(0, batch.length);
+      consecutiveFailures = 0;
+      persistQueue();
+      console.log(`✅ Exported ${batch.length} cycle rows to ${sink.name}`);
+    }
+  } catch (error: any) {
+    consecutiveFailures += 1;
+    const backoff = Math.min(
+      config.cycleExport.flushInterval * 2 ** (consecutiveFailures - 1),
+      config.cycleExport.maxBackoff
+    );
+    const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+    retryAt = Date.now() + delay;
+    console.error(
+      `❌ Cycle export to ${sink.name} failed (${consecutiveFailures}x), retry in ${Math.round(
+        delay / 1000
+      )}s:`,
+      error?.message || error
+    );
+  } finally {
+    flushing = false;
+  }
+}
+
+function createSink(): CycleExportSink | null {
+  switch (config.cycleExport.sink) {
+    case "google-sheets":
+      if (
+        !config.googleSheets.spreadsheetId ||
+        !config.googleSheets.credentialsPath
+      ) {
+        console.warn("⚠️ Google Sheets not configured, cycle export disabled");
+        return null;
+      }
+      return createGoogleSheetsSink(config.googleSheets);
+    case "file":
+      return createFileSink(dataPath("cycle-export.csv"));
+    case "":
+    case "none":
+      return null;
+    default:
+      console.warn(
+        `⚠️ Unknown CYCLE_EXPORT_SINK "${config.cycleExport.sink}", cycle export disabled`
+      );
+      return null;
+  }
+}
+
+/**
+ * Inisialisasi export siklus: pilih sink, load antrean tersisa, dan
+ * dengarkan siklus yang selesai dari cycle store.
+ */
+export async function initCycleExport(): Promise<void> {
+  if (sink) return;
+
+  const selected = createSink();
+  if (!selected) return;
+
+  try {
+    await selected.setup?.();
+  } catch (error: any) {
+    // Tetap aktif: baris masuk antrean dan di-retry sampai sink siap
+    console.error(
+      `❌ Failed to setup ${selected.name} export:`,
+      error?.message || error
+    );
+  }
+
+  sink = selected;
+  queue = await readJsonFile<CycleExportRow[]>(QUEUE_FILE(), []);
+
+  onCycleCompleted((cycle) => enqueue(cycleToRow(cycle)));
+
+  setInterval(flushCycleExport, config.cycleExport.flushInterval);
+  flushCycleExport();
+
+  console.log(
+    `✅ Cycle export initialized (${sink.name}, ${queue.length} pending rows)`
+  );
+}
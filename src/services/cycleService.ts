@@ -0,0 +1,252 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { onStatusTransition, type StatusTransition } from "../normalize.js";
+import {
+  dataPath,
+  readJsonFile,
+  writeJsonFile,
+  appendJsonLine,
+  readJsonLines,
+} from "../utils/storage.js";
+import { parseBoundary } from "../utils/dateRange.js";
+import { getMachineById } from "./machineRegistry.js";
+
+/**
+ * Satu siklus mesin yang selesai (RUNNING → READY)
+ */
+export interface Cycle {
+  id: string;
+  machine_id: string;
+  label: string;
+  type: "washer" | "dryer";
+  brand: string;
+  aid: string | null; // aid saat mulai (BOS, payment ref, dll)
+  started_at: string;
+  ended_at: string;
+  duration_ms: number;
+}
+
+/** Siklus yang sedang berjalan, disimpan agar restart server tidak hilang */
+interface OpenCycle {
+  machine_id: string;
+  label: string;
+  type: "washer" | "dryer";
+  aid: string | null;
+  started_at: number;
+}
+
+export interface CycleQuery {
+  machine?: string; // machine id atau label
+  type?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+  offset?: number;
+}
+
+type CycleListener = (cycle: Cycle) => void;
+
+const CYCLES_FILE = () => dataPath("cycles.jsonl");
+const OPEN_CYCLES_FILE = () => dataPath("cycles-open.json");
+
+let cycles: Cycle[] | null = null;
+let openCycles: Record<string, OpenCycle> = {};
+let writeChain: Promise<void> = Promise.resolve();
+let unsubscribeTransitions: (() => void) | null = null;
+const cycleListeners: Set<CycleListener> = new Set();
+
+/** Serialisasi semua penulisan file agar tidak saling tumpang tindih */
+function enqueueWrite(task: () => Promise<void>) {
+  writeChain = writeChain.then(task).catch((error) => {
+    console.error("[CycleStore] Write failed:", error?.message || error);
+  });
+  return writeChain;
+}
+
+async function ensureLoaded(): Promise<Cycle[]> {
+  if (!cycles) {
+    cycles = await readJsonLines<Cycle>(CYCLES_FILE());
+  }
+  return cycles;
+}
+
+function normalizeAid(aid: unknown): string | null {
+  const value = aid == null ? "" : String(aid).trim();
+  return value && value !== "UNKNOWN" ? value : null;
+}
+
+/**
+ * Daftarkan listener untuk siklus yang baru tercatat (ETA, export, dll)
+ */
+export function onCycleCompleted(fn: CycleListener): () => void {
+  cycleListeners.add(fn);
+  return () => {
+    cycleListeners.delete(fn);
+  };
+}
+
+async function recordCycle(cycle: Cycle): Promise<void> {
+  const list = await ensureLoaded();
+  list.push(cycle);
+  await appendJsonLine(CYCLES_FILE(), cycle);
+
+  for (const fn of cycleListeners) {
+    try {
+      fn(cycle);
+    } catch (error: any) {
+      console.error("[CycleStore] Cycle listener failed:", error?.message);
+    }
+  }
+}
+
+/**
+ * Handle transisi status dari normalize().
+ *
+ * - * → RUNNING: buka siklus (kecuali sudah terbuka, mis. OFFLINE sesaat
+ *   di tengah siklus lalu kembali RUNNING)
+ * - RUNNING → READY: tutup siklus dan catat
+ * - OFFLINE → READY dengan siklus terbuka: akhir siklus tidak diketahui,
+ *   siklus dibuang
+ */
+function handleTransition(t: StatusTransition) {
+  const id = t.machineId;
+
+  if (t.newStatus === "RUNNING") {
+    if (openCycles[id]) return;
+    openCycles[id] = {
+      machine_id: id,
+      label: t.machineLabel,
+      type:
+        t.machineType ||
+        (t.machineLabel.startsWith("D") ? "dryer" : "washer"),
+      aid: normalizeAid(t.device?.aid),
+      started_at: t.timestamp,
+    };
+    enqueueWrite(() => writeJsonFile(OPEN_CYCLES_FILE(), openCycles));
+    return;
+  }
+
+  if (t.newStatus !== "READY") return;
+
+  const open = openCycles[id];
+  if (!open) return;
+  delete openCycles[id];
+
+  if (t.oldStatus === "RUNNING") {
+    const durationMs = t.timestamp - open.started_at;
+    if (durationMs >= config.cycles.minDurationMs) {
+      const cycle: Cycle = {
+        id: crypto.randomUUID(),
+        machine_id: id,
+        label: t.machineLabel,
+        type: open.type,
+        brand: getMachineById(id)?.brand || "Unknown",
+        aid: open.aid || normalizeAid(t.device?.aid),
+        started_at: new Date(open.started_at).toISOString(),
+        ended_at: new Date(t.timestamp).toISOString(),
+        duration_ms: durationMs,
+      };
+      enqueueWrite(() => recordCycle(cycle));
+    } else {
+      console.log(
+        `[CycleStore] Ignoring ${durationMs}ms cycle on ${t.machineLabel} (below minimum)`
+      );
+    }
+  }
+
+  enqueueWrite(() => writeJsonFile(OPEN_CYCLES_FILE(), openCycles));
+}
+
+/**
+ * Semua siklus tercatat (urutan rekam). Read-only untuk statistik.
+ */
+export async function listCycles(): Promise<readonly Cycle[]> {
+  return ensureLoaded();
+}
+
+/**
+ * Waktu mulai siklus yang sedang berjalan (ms), null jika tidak ada
+ */
+export function getOpenCycleStart(machineId: string): number | null {
+  return openCycles[machineId]?.started_at ?? null;
+}
+
+/**
+ * Load state siklus terbuka dan mulai dengarkan transisi status
+ */
+export async function initCycleStore(): Promise<void> {
+  if (unsubscribeTransitions) return;
+
+  try {
+    openCycles = await readJsonFile<Record<string, OpenCycle>>(
+      OPEN_CYCLES_FILE(),
+      {}
+    );
+    await ensureLoaded();
+  } catch (error: any) {
+    console.error("[CycleStore] Failed to load cycle store:", error?.message);
+    openCycles = {};
+  }
+
+  unsubscribeTransitions = onStatusTransition(handleTransition);
+  console.log(
+    `✅ Cycle store loaded: ${cycles?.length || 0} cycles, ${
+      Object.keys(openCycles).length
+    } running`
+  );
+}
+
+/**
+ * Query siklus dengan filter mesin, tipe dan rentang tanggal (berdasarkan
+ * started_at). Hasil diurutkan terbaru dulu.
+ */
+export async function queryCycles(query: CycleQuery): Promise<{
+  data: Cycle[];
+  total: number;
+  summary: {
+    count: number;
+    total_duration_ms: number;
+    avg_duration_ms: number;
+  };
+}> {
+  const list = await ensureLoaded();
+
+  const from = query.from ? parseBoundary(query.from, false) : null;
+  const to = query.to ? parseBoundary(query.to, true) : null;
+  if ((query.from && from === null) || (query.to && to === null)) {
+    throw new Error("Invalid date range");
+  }
+
+  const filtered = list
+    .filter((cycle) => {
+      if (
+        query.machine &&
+        cycle.machine_id !== query.machine &&
+        cycle.label !== query.machine
+      ) {
+        return false;
+      }
+      if (query.type && cycle.type !== query.type) return false;
+      const started = new Date(cycle.started_at).getTime();
+      if (from !== null && started < from) return false;
+      if (to !== null && started > to) return false;
+      return true;
+    })
+    .sort((a, b) => b.started_at.localeCompare(a.started_at));
+
+  const totalDuration = filtered.reduce((sum, c) => sum + c.duration_ms, 0);
+  const offset = query.offset || 0;
+  const limit = query.limit || 100;
+
+  return {
+    data: filtered.slice(offset, offset + limit),
+    total: filtered.length,
+    summary: {
+      count: filtered.length,
+      total_duration_ms: totalDuration,
+      avg_duration_ms:
+        filtered.length > 0 ? Math.round(totalDuration / filtered.length) : 0,
+    },
+  };
+}
+
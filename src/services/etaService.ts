@@ -0,0 +1,149 @@
+import type { EtaConfidence, Machine } from "../types.js";
+import {
+  listCycles,
+  getOpenCycleStart,
+  onCycleCompleted,
+  type Cycle,
+} from "./cycleService.js";
+import { getMachineById } from "./machineRegistry.js";
+
+const MIN_SAMPLES = 3;
+const MAX_SAMPLES = 50; // per kunci, sampel terbaru
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+// Durasi siklus historis (ms) per kunci: mesin, brand+tipe+jam, brand+tipe,
+// tipe
+const samples: Map<string, number[]> = new Map();
+let unsubscribeCycles: (() => void) | null = null;
+
+/** Bagian hari (WIB) saat siklus mulai: 0-5, 6-11, 12-17, 18-23 */
+function dayPart(startMs: number): number {
+  const hour = new Date(startMs + JAKARTA_OFFSET_MS).getUTCHours();
+  return Math.floor(hour / 6);
+}
+
+function sampleKeys(
+  machineId: string,
+  brand: string,
+  type: string,
+  startMs: number
+) {
+  return {
+    machine: `machine:${machineId}`,
+    brandDayPart: `brand:${brand}:${type}:${dayPart(startMs)}`,
+    brand: `brand:${brand}:${type}`,
+    type: `type:${type}`,
+  };
+}
+
+function addSample(cycle: Cycle) {
+  const keys = sampleKeys(
+    cycle.machine_id,
+    cycle.brand,
+    cycle.type,
+    new Date(cycle.started_at).getTime()
+  );
+  for (const key of Object.values(keys)) {
+    const list = samples.get(key) || [];
+    list.push(cycle.duration_ms);
+    if (list.length > MAX_SAMPLES) list.shift();
+    samples.set(key, list);
+  }
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Median durasi historis: riwayat mesin sendiri (medium), lalu
+ * brand+tipe pada bagian hari yang sama, brand+tipe, tipe (low)
+ */
+function historicalDuration(
+  machine: Machine,
+  startMs: number
+): { duration: number; confidence: EtaConfidence } | null {
+  const brand = getMachineById(machine.id)?.brand || "Unknown";
+  const keys = sampleKeys(machine.id, brand, machine.type, startMs);
+
+  const own = samples.get(keys.machine);
+  if (own && own.length >= MIN_SAMPLES) {
+    return { duration: median(own), confidence: "medium" };
+  }
+  for (const key of [keys.brandDayPart, keys.brand, keys.type]) {
+    const list = samples.get(key);
+    if (list && list.length >= MIN_SAMPLES) {
+      return { duration: median(list), confidence: "low" };
+    }
+  }
+  return null;
+}
+
+/** Bulatkan ke menit agar delta SSE tidak berubah tiap detik */
+const toMinute = (ms: number) => Math.round(ms / 60000) * 60000;
+
+/**
+ * Perkiraan selesai satu mesin RUNNING. tl/dur valid → dur - elapsed
+ * (high); selain itu median riwayat sejak awal siklus.
+ */
+export function estimateEta(
+  machine: Machine,
+  now = Date.now()
+): { eta_at: string | null; eta_confidence: EtaConfidence | null } {
+  const none = { eta_at: null, eta_confidence: null };
+  if (machine.status !== "RUNNING") return none;
+
+  if (machine.dur && machine.elapsed_ms !== undefined) {
+    const remaining = Math.max(0, machine.dur - machine.elapsed_ms);
+    return {
+      eta_at: new Date(toMinute(now + remaining)).toISOString(),
+      eta_confidence: "high",
+    };
+  }
+
+  const startMs =
+    machine.elapsed_ms !== undefined
+      ? now - machine.elapsed_ms
+      : getOpenCycleStart(machine.id);
+  if (startMs === null) return none;
+
+  const history = historicalDuration(machine, startMs);
+  if (!history) return none;
+
+  // Sudah lewat median → bisa selesai kapan saja
+  const etaMs = Math.max(startMs + history.duration, now);
+  return {
+    eta_at: new Date(toMinute(etaMs)).toISOString(),
+    eta_confidence: etaMs === now ? "low" : history.confidence,
+  };
+}
+
+/**
+ * Tambahkan `eta_at` dan `eta_confidence` ke setiap mesin snapshot
+ */
+export function applyEta(machines: Machine[], now = Date.now()): Machine[] {
+  return machines.map((machine) => ({
+    ...machine,
+    ...estimateEta(machine, now),
+  }));
+}
+
+/**
+ * Bangun sampel dari riwayat siklus dan ikuti siklus baru
+ */
+export async function initEta(): Promise<void> {
+  if (unsubscribeCycles) return;
+
+  try {
+    for (const cycle of await listCycles()) addSample(cycle);
+  } catch (error: any) {
+    console.error("[ETA] Failed to load cycle history:", error?.message);
+  }
+
+  unsubscribeCycles = onCycleCompleted(addSample);
+  console.log(`✅ ETA engine loaded: ${samples.size} duration groups`);
+}
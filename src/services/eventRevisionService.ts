@@ -0,0 +1,404 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { fetchWithTimeout } from "../utils/fetch.js";
+import {
+  dataPath,
+  appendJsonLine,
+  readJsonLines,
+} from "../utils/storage.js";
+import { EVENT_FIELDS, MAINTENANCE_TYPES } from "./startService.js";
+import { moveEventVisit } from "./customerService.js";
+
+/**
+ * Koreksi event di gateway: ubah field yang salah ketik atau batalkan
+ * (soft-cancel), selalu dengan alasan. Gateway tetap sumber data event;
+ * tiap koreksi dicatat sebagai revisi di data/event-revisions.jsonl
+ * (append-only, tidak pernah diubah/dihapus): revisi ditulis `pending`
+ * sebelum gateway diubah lalu difinalkan dengan baris ber-id sama.
+ */
+export const EVENT_TYPES = [
+  "drop-off",
+  "employee-quota",
+  "maintenance",
+  "error-payment",
+] as const;
+
+export type GatewayEventType = (typeof EVENT_TYPES)[number];
+
+// Field yang boleh dikoreksi; machine_id, durasi dan waktu mengikuti start
+const EDITABLE_FIELDS: Record<GatewayEventType, string[]> = {
+  "drop-off": [
+    "customer_name",
+    "customer_phone",
+    "employee_id",
+    "other_employee_name",
+  ],
+  "error-payment": ["description", "employee_id", "other_employee_name"],
+  "employee-quota": ["employee_name"],
+  maintenance: ["mtype", "note", "employee_id", "other_employee_name"],
+};
+
+export interface EventRevision {
+  id: string;
+  event_type: GatewayEventType;
+  event_id: string;
+  revision: number; // 1, 2, ... per event
+  action: "update" | "cancel";
+  reason: string;
+  changes: Record<string, { from: unknown; to: unknown }>; // cancel: {}
+  // Kunjungan drop-off yang pindah pelanggan (id direktori lama → baru)
+  customer?: { from: string | null; to: string | null };
+  at: string;
+  by: string | null;
+  user_id: number | null;
+  // pending: belum dikonfirmasi gateway; failed: gateway gagal (tidak
+  // ditampilkan). Tanpa status = sudah diterapkan.
+  status?: "pending" | "failed";
+}
+
+type RevisionEntry = Omit<EventRevision, "id" | "revision" | "status">;
+
+/** `fields`: path field → pesan untuk ditampilkan form koreksi */
+export class EventEditError extends Error {
+  constructor(
+    message: string,
+    public status: 400 | 404 | 409 | 501 = 400,
+    public fields: Record<string, string> = {}
+  ) {
+    super(message);
+    this.name = "EventEditError";
+  }
+}
+
+type Actor = { userId: number | null; username: string } | null;
+
+const REVISIONS_FILE = () => dataPath("event-revisions.jsonl");
+
+let writeChain: Promise<unknown> = Promise.resolve();
+
+export function isEventType(type: string): type is GatewayEventType {
+  return EVENT_TYPES.includes(type as GatewayEventType);
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function validReason(value: unknown, fields: Record<string, string>) {
+  const reason = typeof value === "string" ? value.trim() : "";
+  if (reason.length < 3) fields.reason = "Alasan wajib diisi";
+  else if (reason.length > 500) fields.reason = "Maksimal 500 karakter";
+  return reason;
+}
+
+/**
+ * Validasi body PATCH `{ reason, data: { field: nilai } }` terhadap event
+ * saat ini. Return alasan dan field yang benar-benar berubah.
+ */
+export function validateEventChanges(
+  type: GatewayEventType,
+  current: Record<string, any>,
+  body: unknown
+): { reason: string; changes: EventRevision["changes"] } {
+  const input = isObject(body) ? body : {};
+  const fields: Record<string, string> = {};
+  const reason = validReason(input.reason, fields);
+
+  const next: Record<string, any> = {};
+  for (const [key, value] of Object.entries(
+    isObject(input.data) ? input.data : {}
+  )) {
+    if (!EDITABLE_FIELDS[type].includes(key)) {
+      fields[`data.${key}`] = "Tidak bisa diubah";
+      continue;
+    }
+    const text = typeof value === "string" ? value.trim() : value;
+    next[key] = text === "" ? null : text;
+  }
+
+  for (const key of EVENT_FIELDS[type]) {
+    if (key in next && typeof next[key] !== "string") {
+      fields[`data.${key}`] = "Wajib diisi";
+    }
+  }
+  if (next.mtype && !MAINTENANCE_TYPES.includes(next.mtype)) {
+    fields["data.mtype"] =
+      `Harus salah satu dari: ${MAINTENANCE_TYPES.join(", ")}`;
+  }
+  // employee_id 0 = "Lainnya", nama karyawan diisi manual
+  if (next.employee_id !== undefined && next.employee_id !== null) {
+    const employeeId = Number(next.employee_id);
+    const otherName = next.other_employee_name ?? current.other_employee_name;
+    if (!Number.isInteger(employeeId) || employeeId < 0) {
+      fields["data.employee_id"] = "Karyawan tidak valid";
+    } else {
+      next.employee_id = employeeId;
+      if (employeeId === 0 && !otherName) {
+        fields["data.other_employee_name"] = "Wajib diisi";
+      }
+    }
+  }
+
+  const changes: EventRevision["changes"] = {};
+  for (const [key, value] of Object.entries(next)) {
+    const from = current[key] ?? null;
+    if (String(from) !== String(value)) changes[key] = { from, to: value };
+  }
+  if (!Object.keys(fields).length && !Object.keys(changes).length) {
+    fields.data = "Tidak ada perubahan";
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new EventEditError(
+      `Invalid event update: ${Object.keys(fields).join(", ")}`,
+      400,
+      fields
+    );
+  }
+  return { reason, changes };
+}
+
+/**
+ * Request ke endpoint event gateway `/api/events/:type/:id`: GET (event
+ * saat ini), PATCH (body: field yang berubah) dan DELETE (body:
+ * `{ reason }`, soft-cancel). Kontraknya ada di ENVIRONMENT_SETUP.md.
+ */
+async function gatewayRequest(
+  method: string,
+  type: GatewayEventType,
+  id: string,
+  body?: unknown
+): Promise<any> {
+  const eventGatewayBase =
+    config.eventGateway?.base || "http://localhost:54990";
+  const url = `${eventGatewayBase}/api/events/${type}/${encodeURIComponent(
+    id
+  )}`;
+
+  const response = await fetchWithTimeout(url, 15000, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (response.status === 404) {
+    throw new EventEditError("Event not found", 404);
+  }
+  // Gateway lama belum punya GET/PATCH/DELETE per event
+  if (response.status === 405 || response.status === 501) {
+    throw new EventEditError(
+      "Event editing is not supported by the gateway",
+      501
+    );
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Gateway API ${response.status}: ${errorText}`);
+  }
+  return response.json();
+}
+
+async function currentEvent(type: GatewayEventType, id: string) {
+  const json = await gatewayRequest("GET", type, id);
+  const event = json?.data ?? json;
+  if (!isObject(event)) throw new EventEditError("Event not found", 404);
+  if (event.canceled_at) {
+    throw new EventEditError("Event was already canceled", 409);
+  }
+  return event;
+}
+
+/** Semua revisi; baris finalisasi menggantikan baris lama dengan id sama */
+async function readRevisions(): Promise<EventRevision[]> {
+  const revisions = new Map<string, EventRevision>();
+  for (const line of await readJsonLines<EventRevision>(REVISIONS_FILE())) {
+    revisions.set(line.id, line);
+  }
+  return [...revisions.values()];
+}
+
+function writeRevision<T>(write: () => Promise<T>): Promise<T> {
+  const result = writeChain.then(write);
+  writeChain = result.catch((error) => {
+    console.error("[Events] Revision write failed:", error?.message);
+  });
+  return result;
+}
+
+/**
+ * Catat revisi pending; nomor revisi dihitung berurutan di dalam
+ * writeChain (revisi yang gagal tidak dihitung)
+ */
+function appendPendingRevision(entry: RevisionEntry): Promise<EventRevision> {
+  return writeRevision(async () => {
+    const existing = await readRevisions();
+    const revision: EventRevision = {
+      id: crypto.randomUUID(),
+      ...entry,
+      revision:
+        existing.filter(
+          (r) =>
+            r.event_type === entry.event_type &&
+            r.event_id === entry.event_id &&
+            r.status !== "failed"
+        ).length + 1,
+      status: "pending",
+    };
+    await appendJsonLine(REVISIONS_FILE(), revision);
+    return revision;
+  });
+}
+
+/**
+ * Jalankan perubahan gateway di antara revisi pending dan finalnya.
+ * Pending gagal ditulis → gateway tidak disentuh. Gateway gagal → revisi
+ * ditandai failed. Finalisasi gagal setelah gateway berubah → tetap
+ * sukses (perubahan sudah terjadi) dengan `warning`; revisi tetap pending.
+ */
+async function withRevision(
+  entry: RevisionEntry,
+  apply: () => Promise<{ json: any; customer?: EventRevision["customer"] }>
+): Promise<{ json: any; revision: EventRevision; warning?: string }> {
+  const pending = await appendPendingRevision(entry);
+
+  let result: Awaited<ReturnType<typeof apply>>;
+  try {
+    result = await apply();
+  } catch (error) {
+    await writeRevision(() =>
+      appendJsonLine(REVISIONS_FILE(), { ...pending, status: "failed" })
+    ).catch(() => {});
+    throw error;
+  }
+
+  const { status, ...applied } = pending;
+  const revision: EventRevision = {
+    ...applied,
+    ...(result.customer && { customer: result.customer }),
+  };
+  try {
+    await writeRevision(() => appendJsonLine(REVISIONS_FILE(), revision));
+    return { json: result.json, revision };
+  } catch {
+    return {
+      json: result.json,
+      revision: pending,
+      warning: "Event was changed but its revision could not be finalized",
+    };
+  }
+}
+
+type EditResult = {
+  event: Record<string, any>;
+  revision: EventRevision;
+  warning?: string;
+};
+
+/**
+ * Koreksi field event. Body: `{ reason, data }`; event yang sudah
+ * dibatalkan → 409. Nama/nomor HP drop-off yang berubah ikut memindah
+ * kunjungan di direktori pelanggan. Return event hasil gateway dan
+ * revisinya.
+ */
+export async function updateEvent(
+  type: GatewayEventType,
+  id: string,
+  body: unknown,
+  actor: Actor,
+  now = Date.now()
+): Promise<EditResult> {
+  const current = await currentEvent(type, id);
+  const { reason, changes } = validateEventChanges(type, current, body);
+  const data = Object.fromEntries(
+    Object.entries(changes).map(([key, change]) => [key, change.to])
+  );
+  const next = { ...current, ...data };
+  const customerChanged =
+    type === "drop-off" &&
+    ("customer_name" in data || "customer_phone" in data);
+
+  const { json, revision, warning } = await withRevision(
+    {
+      event_type: type,
+      event_id: id,
+      action: "update",
+      reason,
+      changes,
+      at: new Date(now).toISOString(),
+      by: actor?.username ?? null,
+      user_id: actor?.userId ?? null,
+    },
+    async () => {
+      const json = await gatewayRequest("PATCH", type, id, data);
+      if (!customerChanged) return { json };
+      const customer = await moveEventVisit(
+        id,
+        next.customer_name,
+        next.customer_phone,
+        now
+      ).catch((error) => {
+        console.error("[Events] Customer sync failed:", error?.message);
+        return null;
+      });
+      return { json, ...(customer && { customer }) };
+    }
+  );
+  return { event: json?.data ?? next, revision, ...(warning && { warning }) };
+}
+
+/**
+ * Batalkan event (soft-cancel di gateway: data tetap ada, tidak dihitung
+ * di analytics). `reason` wajib.
+ */
+export async function cancelEvent(
+  type: GatewayEventType,
+  id: string,
+  reasonInput: unknown,
+  actor: Actor,
+  now = Date.now()
+): Promise<EditResult> {
+  const fields: Record<string, string> = {};
+  const reason = validReason(reasonInput, fields);
+  if (fields.reason) {
+    throw new EventEditError("Invalid event cancel: reason", 400, fields);
+  }
+  const current = await currentEvent(type, id);
+
+  const { json, revision, warning } = await withRevision(
+    {
+      event_type: type,
+      event_id: id,
+      action: "cancel",
+      reason,
+      changes: {},
+      at: new Date(now).toISOString(),
+      by: actor?.username ?? null,
+      user_id: actor?.userId ?? null,
+    },
+    async () => ({
+      json: await gatewayRequest("DELETE", type, id, { reason }),
+    })
+  );
+  return {
+    event: json?.data ?? current,
+    revision,
+    ...(warning && { warning }),
+  };
+}
+
+/**
+ * Riwayat koreksi satu event; revisi pertama dulu. Revisi yang gagal di
+ * gateway tidak ikut; yang belum difinalkan bertanda `status: "pending"`.
+ */
+export async function listEventRevisions(
+  type: GatewayEventType,
+  id: string
+): Promise<EventRevision[]> {
+  await writeChain;
+  const revisions = await readRevisions();
+  return revisions.filter(
+    (r) => r.event_type === type && r.event_id === id && r.status !== "failed"
+  );
+}
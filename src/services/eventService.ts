@@ -52,11 +52,24 @@ export type MaintenanceEventData = {
   occurred_at?: string;
 };
 
+// Klaim promo hanya dikirim bersama start mesin (diteruskan ke gateway)
+export type ClaimPromoEventData = {
+  machine_id: string;
+  customer_name: string;
+  customer_phone: string;
+  promo_type?: string;
+  duration_minutes: number;
+  employee_id?: number;
+  other_employee_name?: string;
+  occurred_at?: string;
+};
+
 export type EventData =
   | { type: "drop-off"; data: DropOffEventData }
   | { type: "error-payment"; data: ErrorPaymentEventData }
   | { type: "employee-quota"; data: EmployeeQuotaEventData }
-  | { type: "maintenance"; data: MaintenanceEventData };
+  | { type: "maintenance"; data: MaintenanceEventData }
+  | { type: "claim-promo"; data: ClaimPromoEventData };
 
 /**
  * Create event via event gateway API
@@ -0,0 +1,140 @@
+import fs from "node:fs/promises";
+import jwt from "jsonwebtoken";
+import { fetchWithTimeout } from "../utils/fetch.js";
+import {
+  EXPORT_HEADERS,
+  rowToValues,
+  type CycleExportSink,
+} from "./cycleExportService.js";
+
+interface ServiceAccountCredentials {
+  client_email: string;
+  private_key: string;
+}
+
+const SHEETS_SCOPE = "https://www.googleapis.com/auth/spreadsheets";
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * Sink Google Sheets via REST API v4 dengan service account
+ * (OAuth2 JWT bearer grant, ditandatangani dengan jsonwebtoken).
+ */
+export function createGoogleSheetsSink(options: {
+  spreadsheetId: string;
+  credentialsPath: string;
+  range: string;
+  apiBase: string;
+  tokenUrl: string;
+}): CycleExportSink {
+  let credentials: ServiceAccountCredentials | null = null;
+  let accessToken: { token: string; expiresAt: number } | null = null;
+  let headerChecked = false;
+
+  const valuesUrl = (suffix = "") =>
+    `${options.apiBase.replace(/\/+$/, "")}/v4/spreadsheets/${encodeURIComponent(
+      options.spreadsheetId
+    )}/values/${encodeURIComponent(options.range)}${suffix}`;
+
+  async function loadCredentials(): Promise<ServiceAccountCredentials> {
+    if (credentials) return credentials;
+    const content = await fs.readFile(options.credentialsPath, "utf8");
+    const json = JSON.parse(content);
+    if (!json.client_email || !json.private_key) {
+      throw new Error("Credentials file missing client_email/private_key");
+    }
+    credentials = json;
+    return json;
+  }
+
+  async function getAccessToken(): Promise<string> {
+    // Refresh 60 detik sebelum expired
+    if (accessToken && Date.now() < accessToken.expiresAt - 60000) {
+      return accessToken.token;
+    }
+
+    const creds = await loadCredentials();
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: creds.client_email,
+        scope: SHEETS_SCOPE,
+        aud: options.tokenUrl,
+        iat: now,
+        exp: now + 3600,
+      },
+      creds.private_key,
+      { algorithm: "RS256" }
+    );
+
+    const res = await fetchWithTimeout(options.tokenUrl, REQUEST_TIMEOUT, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+        assertion,
+      }).toString(),
+    });
+    if (!res.ok) {
+      throw new Error(`Google OAuth ${res.status}: ${await res.text()}`);
+    }
+
+    const json: any = await res.json();
+    accessToken = {
+      token: json.access_token,
+      expiresAt: Date.now() + Number(json.expires_in || 3600) * 1000,
+    };
+    return accessToken.token;
+  }
+
+  async function sheetsRequest(url: string, init: RequestInit = {}) {
+    const token = await getAccessToken();
+    const res = await fetchWithTimeout(url, REQUEST_TIMEOUT, {
+      ...init,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+    });
+    if (res.status === 401) accessToken = null;
+    if (!res.ok) {
+      throw new Error(`Google Sheets API ${res.status}: ${await res.text()}`);
+    }
+    return res.json();
+  }
+
+  async function appendValues(values: string[][]) {
+    await sheetsRequest(
+      valuesUrl(
+        ":append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS"
+      ),
+      { method: "POST", body: JSON.stringify({ values }) }
+    );
+  }
+
+  /** Tulis header jika sheet masih kosong */
+  async function ensureHeader() {
+    if (headerChecked) return;
+    try {
+      const json: any = await sheetsRequest(valuesUrl());
+      if (!Array.isArray(json?.values) || json.values.length === 0) {
+        await appendValues([EXPORT_HEADERS]);
+      }
+      headerChecked = true;
+      console.log("✅ Google Sheets integration initialized");
+    } catch (error: any) {
+      throw new Error(`Failed to setup Google Sheets: ${error.message}`);
+    }
+  }
+
+  return {
+    name: "google-sheets",
+    setup: ensureHeader,
+
+    async appendRows(rows) {
+      // Setup bisa gagal saat start (mis. offline), ulangi sebelum append
+      await ensureHeader();
+      await appendValues(rows.map(rowToValues));
+    },
+  };
+}
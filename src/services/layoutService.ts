@@ -0,0 +1,173 @@
+import { TV_GRID_SEED } from "../constants.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+import { getDefaultOutletId } from "../utils/outlet.js";
+import { listMachines } from "./machineRegistry.js";
+import { publishLayout } from "./machineStream.js";
+
+/** Satu sel grid TV; row/column mulai dari 1 */
+export interface LayoutCell {
+  row: number;
+  column: number;
+  label: string;
+}
+
+/**
+ * Layout grid TV satu outlet. Mesin yang labelnya tidak ada di `cells`
+ * ditaruh otomatis di sel kosong oleh front-end.
+ */
+export interface GridLayout {
+  rows: number;
+  columns: number;
+  column_gap: number; // px
+  row_gap: number; // px
+  cells: LayoutCell[];
+  updated_at: string;
+}
+
+export type GridLayoutInput = Partial<Omit<GridLayout, "updated_at">>;
+
+export class LayoutError extends Error {
+  constructor(message: string, public status: 400 | 404 = 400) {
+    super(message);
+    this.name = "LayoutError";
+  }
+}
+
+const MAX_ROWS = 10;
+const MAX_COLUMNS = 30;
+const MAX_GAP = 200;
+
+const LAYOUTS_FILE = () => dataPath("layouts.json");
+
+let layouts: Record<string, GridLayout> | null = null;
+
+/**
+ * Seed dari posisi slot div* lama (styles/main.css) + slot di registry
+ */
+function seedLayout(outletId: string): GridLayout {
+  const cells: LayoutCell[] = [];
+  for (const machine of listMachines(outletId)) {
+    const position = machine.slot && TV_GRID_SEED.slotPositions[machine.slot];
+    if (!position) continue;
+    const [row, column] = position;
+    if (cells.some((cell) => cell.row === row && cell.column === column)) {
+      continue;
+    }
+    cells.push({ row, column, label: machine.label });
+  }
+
+  return {
+    rows: TV_GRID_SEED.rows,
+    columns: TV_GRID_SEED.columns,
+    column_gap: TV_GRID_SEED.column_gap,
+    row_gap: TV_GRID_SEED.row_gap,
+    cells,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+async function ensureLoaded(): Promise<Record<string, GridLayout>> {
+  if (!layouts) {
+    layouts = await readJsonFile<Record<string, GridLayout>>(
+      LAYOUTS_FILE(),
+      {}
+    );
+  }
+  return layouts;
+}
+
+/**
+ * Layout grid outlet; belum pernah disimpan = seed dari slot registry
+ */
+export async function getLayout(
+  outletId = getDefaultOutletId()
+): Promise<GridLayout> {
+  const stored = await ensureLoaded();
+  return stored[outletId] || seedLayout(outletId);
+}
+
+const isIntInRange = (value: unknown, min: number, max: number) =>
+  Number.isInteger(value) &&
+  (value as number) >= min &&
+  (value as number) <= max;
+
+function validate(input: GridLayoutInput): void {
+  if (!isIntInRange(input.rows, 1, MAX_ROWS)) {
+    throw new LayoutError(`rows must be an integer between 1 and ${MAX_ROWS}`);
+  }
+  if (!isIntInRange(input.columns, 1, MAX_COLUMNS)) {
+    throw new LayoutError(
+      `columns must be an integer between 1 and ${MAX_COLUMNS}`
+    );
+  }
+  for (const key of ["column_gap", "row_gap"] as const) {
+    if (!isIntInRange(input[key], 0, MAX_GAP)) {
+      throw new LayoutError(
+        `${key} must be an integer between 0 and ${MAX_GAP}`
+      );
+    }
+  }
+  if (!Array.isArray(input.cells)) {
+    throw new LayoutError("cells must be an array");
+  }
+
+  const positions = new Set<string>();
+  const labels = new Set<string>();
+  for (const cell of input.cells) {
+    if (
+      !cell ||
+      typeof cell.label !== "string" ||
+      !/^[WD]\d{2}(_[A-Z0-9]+)?$/.test(cell.label)
+    ) {
+      throw new LayoutError("cell label must look like W01, D12 or W10_OLD");
+    }
+    if (
+      !isIntInRange(cell.row, 1, input.rows!) ||
+      !isIntInRange(cell.column, 1, input.columns!)
+    ) {
+      throw new LayoutError(`cell ${cell.label} is outside the grid`);
+    }
+
+    const position = `${cell.row}:${cell.column}`;
+    if (positions.has(position)) {
+      throw new LayoutError(
+        `more than one machine at row ${cell.row}, column ${cell.column}`
+      );
+    }
+    if (labels.has(cell.label)) {
+      throw new LayoutError(`${cell.label} is placed more than once`);
+    }
+    positions.add(position);
+    labels.add(cell.label);
+  }
+}
+
+/**
+ * Simpan layout outlet dan kirim ke TV yang terhubung via SSE
+ */
+export async function saveLayout(
+  outletId: string,
+  input: GridLayoutInput
+): Promise<GridLayout> {
+  validate(input);
+
+  const layout: GridLayout = {
+    rows: input.rows!,
+    columns: input.columns!,
+    column_gap: input.column_gap!,
+    row_gap: input.row_gap!,
+    cells: input.cells!.map(({ row, column, label }) => ({
+      row,
+      column,
+      label,
+    })),
+    updated_at: new Date().toISOString(),
+  };
+
+  const stored = await ensureLoaded();
+  stored[outletId] = layout;
+  await writeJsonFile(LAYOUTS_FILE(), stored);
+
+  publishLayout(outletId, layout);
+  return layout;
+}
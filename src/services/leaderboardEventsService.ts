@@ -1,16 +1,18 @@
 import { config } from "../config.js";
-import { getMachineLabel } from "../constants.js";
+import { getMachineLabel } from "./machineRegistry.js";
 import { fetchWithTimeout } from "../utils/fetch.js";
+import { fetchPerOutlet } from "../utils/outlet.js";
 
 /**
- * Fetch events leaderboard from event gateway
+ * Fetch events leaderboard from event gateway (satu outlet per request)
  */
 async function fetchEventsLeaderboard(params: {
   filter?: string;
   startDate?: string;
   endDate?: string;
+  outlet?: string;
 }): Promise<any> {
-  const { filter, startDate, endDate } = params;
+  const { filter, startDate, endDate, outlet } = params;
 
   const eventGatewayBase =
     config.eventGateway?.base ||
@@ -28,6 +30,9 @@ async function fetchEventsLeaderboard(params: {
   if (endDate) {
     urlParams.append("end_date", endDate);
   }
+  if (outlet) {
+    urlParams.append("outlet_id", outlet);
+  }
 
   const url = `${eventGatewayBase}/api/analytics/leaderboard?${urlParams}`;
   console.log(`📊 Fetching events leaderboard from: ${url}`);
@@ -66,6 +71,7 @@ export async function generateEventsLeaderboard(params: {
   filter?: string;
   startDate?: string;
   endDate?: string;
+  outlet?: string; // id outlet atau "all" (sudah di-resolve route)
 }): Promise<{
   success: boolean;
   data: {
@@ -88,18 +94,26 @@ export async function generateEventsLeaderboard(params: {
 }> {
   console.log("📊 Generating events leaderboard via gateway...");
 
-  const { filter = "today", startDate, endDate } = params;
+  const {
+    filter = "today",
+    startDate,
+    endDate,
+    outlet = config.upstream.outletId,
+  } = params;
 
   try {
     // Fetch from analytics leaderboard route (already includes transactions merge)
-    const eventsData = await fetchEventsLeaderboard({ filter, startDate, endDate });
+    // Gabungan: mesin semua outlet disambung lalu diurutkan ulang di bawah
+    const parts = await fetchPerOutlet(outlet, (outletId) =>
+      fetchEventsLeaderboard({ filter, startDate, endDate, outlet: outletId })
+    );
 
-    if (!eventsData.success || !eventsData.data?.leaderboard) {
+    if (parts.some((part) => !part.success || !part.data?.leaderboard)) {
       throw new Error("Invalid events data from event gateway");
     }
 
-    const eventsLeaderboard = eventsData.data.leaderboard;
-    const responseData = eventsData.data;
+    const eventsLeaderboard = parts.flatMap((part) => part.data.leaderboard);
+    const responseData = parts[0].data;
 
     // Map machine_id to machine_label and ensure transaksi field exists
     const mergedLeaderboard = eventsLeaderboard.map((item: any) => {
@@ -1,9 +1,59 @@
 import { config } from "../config.js";
-import { MACHINE_CONFIG } from "../constants.js";
+import { getMachineLabel } from "./machineRegistry.js";
 import { fetchWithTimeout } from "../utils/fetch.js";
+import { fetchPerOutlet } from "../utils/outlet.js";
 import { leaderboardCache } from "../utils/cache.js";
 import type { LeaderboardResponse } from "../types.js";
 
+/**
+ * Fetch leaderboard gateway per outlet. Gabungan: entry semua outlet
+ * diurutkan ulang menurut `sortKey`, rank dan total dihitung ulang.
+ */
+async function fetchGatewayLeaderboard(
+  path: string,
+  urlParams: URLSearchParams,
+  outlet: string,
+  sortKey: "frequency" | "totalRevenue"
+): Promise<any> {
+  const eventGatewayBase =
+    config.eventGateway?.base || "http://localhost:54990";
+  const parts = await fetchPerOutlet(outlet, async (outletId) => {
+    const params = new URLSearchParams(urlParams);
+    params.set("outlet_id", outletId);
+    const url = `${eventGatewayBase}${path}?${params}`;
+    console.log(`📊 Fetching leaderboard from: ${url}`);
+
+    const response = await fetchWithTimeout(url, 30000, {
+      method: "GET",
+      headers: {
+        Accept: "application/json",
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`Gateway API ${response.status}`);
+    }
+    const json = await response.json();
+    if (!json.success || !json.data) {
+      throw new Error("Invalid response from gateway");
+    }
+    return json.data;
+  });
+  if (parts.length === 1) return parts[0];
+
+  const sum = (value: (part: any) => number) =>
+    parts.reduce((total, part) => total + (value(part) || 0), 0);
+  const hasRevenue = parts.some((part) => part.total_revenue !== undefined);
+  return {
+    ...parts[0],
+    data: parts
+      .flatMap((part) => part.data)
+      .sort((a, b) => (b[sortKey] || 0) - (a[sortKey] || 0))
+      .map((entry, index) => ({ ...entry, rank: index + 1 })),
+    total_machines: sum((part) => part.total_machines || part.data.length),
+    ...(hasRevenue && { total_revenue: sum((part) => part.total_revenue) }),
+  };
+}
+
 /**
  * Generate frequency leaderboard - now calls gateway instead of SmartLink directly
  */
@@ -12,10 +62,10 @@ export async function generateFrequencyLeaderboard(params: {
   bulan?: string;
   tanggalAwal?: string;
   tanggalAkhir?: string;
+  outlet?: string; // id outlet atau "all" (sudah di-resolve route)
 }): Promise<LeaderboardResponse> {
   console.log("📊 Generating frequency leaderboard via gateway...");
 
-  const eventGatewayBase = config.eventGateway?.base || "http://localhost:54990";
   const urlParams = new URLSearchParams();
 
   if (params.filterBy) {
@@ -30,53 +80,40 @@ export async function generateFrequencyLeaderboard(params: {
   if (params.tanggalAkhir) {
     urlParams.append("tanggal_akhir", params.tanggalAkhir);
   }
-
-  const url = `${eventGatewayBase}/api/leaderboard/frequency?${urlParams}`;
-  console.log(`📊 Fetching frequency leaderboard from: ${url}`);
+  const outlet = params.outlet || config.upstream.outletId;
 
   try {
-    const response = await fetchWithTimeout(url, 30000, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Gateway API ${response.status}`);
-    }
-
-    const json = await response.json();
-    
-    if (!json.success || !json.data) {
-      throw new Error("Invalid response from gateway");
-    }
-
-    // Map machine_id to machine_label using MACHINE_CONFIG
-    const controllersMap = MACHINE_CONFIG.machineLabels;
-    const mappedData = json.data.data.map((item: any) => ({
+    const data = await fetchGatewayLeaderboard(
+      "/api/leaderboard/frequency",
+      urlParams,
+      outlet,
+      "frequency"
+    );
+
+    // Map machine_id to machine_label using machine registry
+    const mappedData = data.data.map((item: any) => ({
       ...item,
-      machineLabel:
-        (controllersMap[
-          item.machineId as keyof typeof controllersMap
-        ] as string) || item.machineId,
+      machineLabel: getMachineLabel(item.machineId),
     }));
 
     const responseData: LeaderboardResponse = {
       success: true,
       data: mappedData,
-      total_machines: json.data.total_machines || mappedData.length,
-      period: json.data.period || { filterBy: params.filterBy || "bulan", ...params },
+      total_machines: data.total_machines || mappedData.length,
+      period: data.period || {
+        filterBy: params.filterBy || "bulan",
+        ...params,
+      },
     };
 
     // Update cache
-    leaderboardCache.frequency.set(responseData);
+    leaderboardCache.frequency.set(responseData, outlet);
     return responseData;
   } catch (error: any) {
     console.error("❌ Error fetching frequency leaderboard from gateway:", error);
     
     // Try to return cached data if available (fallback)
-    const cached = leaderboardCache.frequency.get();
+    const cached = leaderboardCache.frequency.get(outlet);
     if (cached) {
       console.log("📦 Returning cached frequency leaderboard data due to error");
       return cached;
@@ -94,10 +131,10 @@ export async function generateRevenueLeaderboard(params: {
   bulan?: string;
   tanggalAwal?: string;
   tanggalAkhir?: string;
+  outlet?: string; // id outlet atau "all" (sudah di-resolve route)
 }): Promise<LeaderboardResponse> {
   console.log("💰 Generating revenue leaderboard via gateway...");
 
-  const eventGatewayBase = config.eventGateway?.base || "http://localhost:54990";
   const urlParams = new URLSearchParams();
 
   if (params.filterBy) {
@@ -112,54 +149,41 @@ export async function generateRevenueLeaderboard(params: {
   if (params.tanggalAkhir) {
     urlParams.append("tanggal_akhir", params.tanggalAkhir);
   }
-
-  const url = `${eventGatewayBase}/api/leaderboard/revenue?${urlParams}`;
-  console.log(`💰 Fetching revenue leaderboard from: ${url}`);
+  const outlet = params.outlet || config.upstream.outletId;
 
   try {
-    const response = await fetchWithTimeout(url, 30000, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Gateway API ${response.status}`);
-    }
-
-    const json = await response.json();
-    
-    if (!json.success || !json.data) {
-      throw new Error("Invalid response from gateway");
-    }
-
-    // Map machine_id to machine_label using MACHINE_CONFIG
-    const controllersMap = MACHINE_CONFIG.machineLabels;
-    const mappedData = json.data.data.map((item: any) => ({
+    const data = await fetchGatewayLeaderboard(
+      "/api/leaderboard/revenue",
+      urlParams,
+      outlet,
+      "totalRevenue"
+    );
+
+    // Map machine_id to machine_label using machine registry
+    const mappedData = data.data.map((item: any) => ({
       ...item,
-      machineLabel:
-        (controllersMap[
-          item.machineId as keyof typeof controllersMap
-        ] as string) || item.machineId,
+      machineLabel: getMachineLabel(item.machineId),
     }));
 
     const responseData: LeaderboardResponse = {
       success: true,
       data: mappedData,
-      total_machines: json.data.total_machines || mappedData.length,
-      total_revenue: json.data.total_revenue,
-      period: json.data.period || { filterBy: params.filterBy || "bulan", ...params },
+      total_machines: data.total_machines || mappedData.length,
+      total_revenue: data.total_revenue,
+      period: data.period || {
+        filterBy: params.filterBy || "bulan",
+        ...params,
+      },
     };
 
     // Update cache
-    leaderboardCache.revenue.set(responseData);
+    leaderboardCache.revenue.set(responseData, outlet);
     return responseData;
   } catch (error: any) {
     console.error("❌ Error fetching revenue leaderboard from gateway:", error);
     
     // Try to return cached data if available (fallback)
-    const cached = leaderboardCache.revenue.get();
+    const cached = leaderboardCache.revenue.get(outlet);
     if (cached) {
       console.log("📦 Returning cached revenue leaderboard data due to error");
       return cached;
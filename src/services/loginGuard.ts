@@ -0,0 +1,145 @@
+import { config } from "../config.js";
+
+/**
+ * Pembatas percobaan login per username dan per IP (in-memory). Gagal
+ * beruntun melewati batas → dikunci; tiap kunci berikutnya 2x lebih lama.
+ * Riwayat kunci direset setelah tidak ada kegagalan selama maxLockoutMs +
+ * windowMs (menunggu kunci terpanjang habis tidak mereset durasi).
+ */
+interface Attempts {
+  failures: number[]; // timestamp gagal dalam window
+  lockedUntil: number;
+  lockouts: number; // jumlah kunci beruntun (untuk durasi progresif)
+  lastFailureAt: number;
+}
+
+export interface LoginBlock {
+  scope: "username" | "ip";
+  key: string;
+  retryAfterMs: number;
+}
+
+export interface Lockout extends LoginBlock {
+  lockouts: number;
+}
+
+type GuardConfig = {
+  -readonly [K in keyof typeof config.loginGuard]: number;
+};
+
+const MAX_ENTRIES = 10000;
+
+let settings: GuardConfig = { ...config.loginGuard };
+const attempts: Map<string, Attempts> = new Map();
+
+function quietPeriod() {
+  return settings.maxLockoutMs + settings.windowMs;
+}
+
+function keysFor(username: string, ip: string | null) {
+  const keys: { scope: LoginBlock["scope"]; key: string; limit: number }[] = [
+    {
+      scope: "username",
+      key: String(username).trim().toLowerCase(),
+      limit: settings.maxAttempts,
+    },
+  ];
+  if (ip) keys.push({ scope: "ip", key: ip, limit: settings.ipMaxAttempts });
+  return keys;
+}
+
+function entryKey(scope: string, key: string) {
+  return `${scope}:${key}`;
+}
+
+/** Buang entry yang tidak dikunci dan tidak punya kegagalan baru */
+function prune(now: number) {
+  if (attempts.size < MAX_ENTRIES) return;
+  for (const [key, entry] of attempts) {
+    if (
+      entry.lockedUntil <= now &&
+      now - entry.lastFailureAt > quietPeriod()
+    ) {
+      attempts.delete(key);
+    }
+  }
+}
+
+/**
+ * Cek sebelum verifikasi password; null = boleh mencoba
+ */
+export function checkLogin(
+  username: string,
+  ip: string | null,
+  now = Date.now()
+): LoginBlock | null {
+  for (const { scope, key } of keysFor(username, ip)) {
+    const entry = attempts.get(entryKey(scope, key));
+    if (entry && entry.lockedUntil > now) {
+      return { scope, key, retryAfterMs: entry.lockedUntil - now };
+    }
+  }
+  return null;
+}
+
+/**
+ * Catat login gagal. Return daftar kunci yang baru terpasang (kosong jika
+ * belum melewati batas).
+ */
+export function recordLoginFailure(
+  username: string,
+  ip: string | null,
+  now = Date.now()
+): Lockout[] {
+  prune(now);
+  const locked: Lockout[] = [];
+
+  for (const { scope, key, limit } of keysFor(username, ip)) {
+    const id = entryKey(scope, key);
+    const entry = attempts.get(id) || {
+      failures: [],
+      lockedUntil: 0,
+      lockouts: 0,
+      lastFailureAt: 0,
+    };
+    if (now - entry.lastFailureAt > quietPeriod()) entry.lockouts = 0;
+
+    entry.failures = entry.failures.filter(
+      (t) => now - t < settings.windowMs
+    );
+    entry.failures.push(now);
+    entry.lastFailureAt = now;
+
+    if (entry.failures.length >= limit) {
+      const duration = Math.min(
+        settings.lockoutMs * 2 ** entry.lockouts,
+        settings.maxLockoutMs
+      );
+      entry.lockouts += 1;
+      entry.lockedUntil = now + duration;
+      entry.failures = [];
+      locked.push({
+        scope,
+        key,
+        retryAfterMs: duration,
+        lockouts: entry.lockouts,
+      });
+    }
+    attempts.set(id, entry);
+  }
+  return locked;
+}
+
+/**
+ * Login berhasil: riwayat gagal username direset. Hitungan per IP tetap
+ * (satu akun valid tidak boleh membuka tebakan untuk akun lain).
+ */
+export function recordLoginSuccess(username: string) {
+  attempts.delete(entryKey("username", String(username).trim().toLowerCase()));
+}
+
+/** Untuk test: ganti batas dan kosongkan state */
+export function configureLoginGuard(overrides: Partial<GuardConfig> = {}) {
+  settings = { ...config.loginGuard, ...overrides };
+  attempts.clear();
+}
@@ -0,0 +1,288 @@
+import { MACHINE_CONFIG } from "../constants.js";
+import { getDefaultOutletId, isKnownOutlet } from "../utils/outlet.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+
+/**
+ * Satu mesin di registry. `id` = controller id dari Smartlink
+ * (snap_report_device.id), dipakai sebagai key.
+ */
+export interface MachineRecord {
+  id: string;
+  label: string; // W01..W12 / D01..D12 (boleh suffix, mis. W10_OLD)
+  type: "washer" | "dryer";
+  brand: string;
+  max_weight: number; // kg
+  slot: string | null; // grid area TV (div*), null = tidak tampil di slot tetap
+  outlet_id: string; // label unik per outlet
+  updated_at: string;
+}
+
+export type MachineInput = Partial<Omit<MachineRecord, "updated_at">>;
+
+/**
+ * Error validasi/CRUD registry, membawa HTTP status untuk route
+ */
+export class RegistryError extends Error {
+  constructor(message: string, public status: 400 | 404 | 409 = 400) {
+    super(message);
+    this.name = "RegistryError";
+  }
+}
+
+const REGISTRY_FILE = () => dataPath("machines.json");
+
+/** Seed dari MACHINE_CONFIG (constants.ts) untuk instalasi baru */
+function seedRecords(): MachineRecord[] {
+  const now = new Date().toISOString();
+  const lookup = (map: Record<string, any>, label: string) => map[label];
+
+  return Object.entries(MACHINE_CONFIG.machineLabels).map(([id, label]) => ({
+    id,
+    label,
+    type:
+      lookup(MACHINE_CONFIG.machineTypes, label) ||
+      (label.startsWith("D") ? "dryer" : "washer"),
+    brand: lookup(MACHINE_CONFIG.machineBrands, label) || "Unknown",
+    max_weight: lookup(MACHINE_CONFIG.machineMaxWeight, label) || 10,
+    slot: lookup(MACHINE_CONFIG.machineSlots, label) || null,
+    outlet_id: getDefaultOutletId(),
+    updated_at: now,
+  }));
+}
+
+// Diisi seed agar lookup sinkron (normalize) tetap jalan sebelum load()
+let records: Map<string, MachineRecord> = new Map(
+  seedRecords().map((r) => [r.id, r])
+);
+
+/**
+ * Load registry dari data/machines.json. Jika belum ada, tulis seed.
+ * Record lama tanpa `outlet_id` dianggap milik outlet default.
+ */
+export async function loadMachineRegistry(): Promise<void> {
+  const stored = await readJsonFile<MachineRecord[] | null>(
+    REGISTRY_FILE(),
+    null
+  );
+
+  if (stored) {
+    records = new Map(
+      stored.map((r) => [
+        r.id,
+        { ...r, outlet_id: r.outlet_id || getDefaultOutletId() },
+      ])
+    );
+  } else {
+    await persist();
+  }
+}
+
+async function persist(): Promise<void> {
+  await writeJsonFile(REGISTRY_FILE(), listMachines());
+}
+
+export function listMachines(outletId?: string): MachineRecord[] {
+  return [...records.values()]
+    .filter((r) => !outletId || r.outlet_id === outletId)
+    .sort(
+      (a, b) =>
+        a.outlet_id.localeCompare(b.outlet_id) ||
+        a.label.localeCompare(b.label, "id")
+    );
+}
+
+export function getMachineById(id: string): MachineRecord | null {
+  return records.get(id) || null;
+}
+
+export function getMachineByLabel(
+  label: string,
+  outletId = getDefaultOutletId()
+): MachineRecord | null {
+  for (const record of records.values()) {
+    if (record.label === label && record.outlet_id === outletId) return record;
+  }
+  return null;
+}
+
+/** Map controller id → label untuk normalize() */
+export function getLabelMap(): Record<string, string> {
+  const map: Record<string, string> = {};
+  for (const record of records.values()) map[record.id] = record.label;
+  return map;
+}
+
+export function getMachineLabel(machineId: string): string {
+  return records.get(machineId)?.label || machineId;
+}
+
+export function getMachineBrand(machineLabel: string): string {
+  return getMachineByLabel(machineLabel)?.brand || "Unknown";
+}
+
+export function getMachineMaxWeight(machineLabel: string): number {
+  return getMachineByLabel(machineLabel)?.max_weight || 10;
+}
+
+export function getMachineType(machineLabel: string): string {
+  return getMachineByLabel(machineLabel)?.type || "unknown";
+}
+
+/**
+ * Slot grid TV untuk mesin. Mesin yang belum terdaftar memakai slot label
+ * yang sama di outlet default; selain itu jatuh ke div0.
+ */
+export function getMachineSlot(
+  machineId: string,
+  machineLabel: string
+): string {
+  const record = records.get(machineId);
+  if (record) return record.slot || "div0";
+  return getMachineByLabel(machineLabel)?.slot || "div0";
+}
+
+/**
+ * Validasi input; `partial` = update (field boleh tidak ada)
+ */
+function validate(input: MachineInput, partial: boolean): void {
+  const has = (key: keyof MachineInput) => input[key] !== undefined;
+
+  if (!partial || has("id")) {
+    if (
+      typeof input.id !== "string" ||
+      !/^[A-Za-z0-9]{6,32}$/.test(input.id)
+    ) {
+      throw new RegistryError("id must be 6-32 alphanumeric characters");
+    }
+  }
+  if (!partial || has("label")) {
+    if (
+      typeof input.label !== "string" ||
+      !/^[WD]\d{2}(_[A-Z0-9]+)?$/.test(input.label)
+    ) {
+      throw new RegistryError(
+        "label must look like W01, D12 or W10_OLD (zero-padded)"
+      );
+    }
+  }
+  if (!partial || has("type")) {
+    if (input.type !== "washer" && input.type !== "dryer") {
+      throw new RegistryError("type must be one of: washer, dryer");
+    }
+  }
+  if (has("brand") && typeof input.brand !== "string") {
+    throw new RegistryError("brand must be a string");
+  }
+  if (has("max_weight")) {
+    const weight = Number(input.max_weight);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+      throw new RegistryError("max_weight must be a number between 0 and 100");
+    }
+  }
+  if (has("outlet_id")) {
+    if (
+      typeof input.outlet_id !== "string" ||
+      !isKnownOutlet(input.outlet_id)
+    ) {
+      throw new RegistryError(
+        "outlet_id must be one of the configured outlets"
+      );
+    }
+  }
+  if (has("slot") && input.slot !== null) {
+    if (typeof input.slot !== "string" || !/^div\d{1,3}$/.test(input.slot)) {
+      throw new RegistryError("slot must be null or look like div14");
+    }
+  }
+}
+
+function assertLabelFree(label: string, outletId: string, exceptId?: string) {
+  const existing = getMachineByLabel(label, outletId);
+  if (existing && existing.id !== exceptId) {
+    throw new RegistryError(
+      `label ${label} is already used by ${existing.id}`,
+      409
+    );
+  }
+}
+
+export async function createMachine(
+  input: MachineInput
+): Promise<MachineRecord> {
+  validate(input, false);
+  if (records.has(input.id!)) {
+    throw new RegistryError(`machine ${input.id} already exists`, 409);
+  }
+  const outletId = input.outlet_id || getDefaultOutletId();
+  assertLabelFree(input.label!, outletId);
+
+  const record: MachineRecord = {
+    id: input.id!,
+    label: input.label!,
+    type: input.type!,
+    brand: input.brand?.trim() || "Unknown",
+    max_weight: input.max_weight !== undefined ? Number(input.max_weight) : 10,
+    slot: input.slot ?? null,
+    outlet_id: outletId,
+    updated_at: new Date().toISOString(),
+  };
+
+  records.set(record.id, record);
+  await persist();
+  return record;
+}
+
+/**
+ * Update mesin. Mengganti controller board = kirim `id` baru; record lama
+ * dipindah ke id baru dengan label/slot yang sama.
+ */
+export async function updateMachine(
+  id: string,
+  patch: MachineInput
+): Promise<MachineRecord> {
+  const existing = records.get(id);
+  if (!existing) {
+    throw new RegistryError(`machine ${id} not found`, 404);
+  }
+
+  validate(patch, true);
+  const outletId = patch.outlet_id ?? existing.outlet_id;
+  if (patch.label || patch.outlet_id) {
+    assertLabelFree(patch.label ?? existing.label, outletId, id);
+  }
+
+  const newId = patch.id ?? id;
+  if (newId !== id && records.has(newId)) {
+    throw new RegistryError(`machine ${newId} already exists`, 409);
+  }
+
+  const updated: MachineRecord = {
+    ...existing,
+    id: newId,
+    label: patch.label ?? existing.label,
+    type: patch.type ?? existing.type,
+    brand: patch.brand !== undefined ? patch.brand.trim() : existing.brand,
+    max_weight:
+      patch.max_weight !== undefined
+        ? Number(patch.max_weight)
+        : existing.max_weight,
+    slot: patch.slot !== undefined ? patch.slot : existing.slot,
+    outlet_id: outletId,
+    updated_at: new Date().toISOString(),
+  };
+
+  records.delete(id);
+  records.set(newId, updated);
+  await persist();
+  return updated;
+}
+
+export async function deleteMachine(id: string): Promise<MachineRecord> {
+  const existing = records.get(id);
+  if (!existing) {
+    throw new RegistryError(`machine ${id} not found`, 404);
+  }
+  records.delete(id);
+  await persist();
+  return existing;
+}
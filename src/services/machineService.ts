@@ -1,9 +1,23 @@
 import { normalize } from "../normalize.js";
-import { MACHINE_CONFIG } from "../constants.js";
 import { config } from "../config.js";
-import { fetchWithTimeout, createUpstreamHeaders } from "../utils/fetch.js";
+import { createUpstreamHeaders } from "../utils/fetch.js";
+import { upstreamFetch, getBreakerSummary } from "../utils/upstream.js";
 import { machineCache } from "../utils/cache.js";
-import type { MachineSnapshot } from "../types.js";
+import { publishSnapshot } from "./machineStream.js";
+import { processQueue } from "./queueService.js";
+import { loadMachineRegistry, getLabelMap } from "./machineRegistry.js";
+import { ALL_OUTLETS } from "../utils/outlet.js";
+import { applyEta } from "./etaService.js";
+import { detectAnomalies } from "./anomalyService.js";
+import { evaluateAlerts } from "./alertService.js";
+import {
+  isRecording,
+  isReplayMode,
+  getReplayTime,
+  recordUpstreamResponse,
+  replayUpstream,
+} from "./upstreamRecorder.js";
+import type { MachineSnapshot, MachineSummary } from "../types.js";
 
 const MAX_DURATION_MS = 3 * 60 * 60 * 1000;
 
@@ -11,17 +25,33 @@ function isUsableTl(tl: number, dur: number): boolean {
   return tl > 0 && dur > 0 && tl <= dur && dur <= MAX_DURATION_MS;
 }
 
+/**
+ * list/detail_snap_mesin lewat circuit breaker; direkam jika
+ * UPSTREAM_RECORD aktif, atau diambil dari rekaman saat UPSTREAM_REPLAY
+ */
+async function fetchSnap(
+  endpoint: "list_snap_mesin" | "detail_snap_mesin",
+  url: string,
+  timeoutMs: number,
+  init: RequestInit
+): Promise<Response> {
+  if (isReplayMode()) return replayUpstream(endpoint, url);
+  const res = await upstreamFetch(endpoint, url, timeoutMs, init);
+  if (isRecording()) recordUpstreamResponse(endpoint, url, res.clone());
+  return res;
+}
+
 /**
  * Fetch detail_snap_mesin for one machine, return {tl, dur}.
  * Used as inline fallback when list endpoint tl is invalid.
  */
 async function fetchDetailTlDur(
   machineId: string,
+  outlet: string,
   timeoutMs: number
 ): Promise<{ tl: number; dur: number } | null> {
   try {
     const base = config.upstream.base;
-    const outlet = config.upstream.outletId;
     const url = `${base}/detail_snap_mesin?idoutlet=${encodeURIComponent(
       outlet
     )}&idsnap_mesin=${encodeURIComponent(machineId)}`;
@@ -30,7 +60,9 @@ async function fetchDetailTlDur(
       Origin: "https://dashboard-vue.smartlink.id",
       Referer: "https://dashboard-vue.smartlink.id",
     };
-    const res = await fetchWithTimeout(url, timeoutMs, { headers });
+    const res = await fetchSnap("detail_snap_mesin", url, timeoutMs, {
+      headers,
+    });
     if (!res.ok) return null;
     const json: any = await res.json();
     const device = json?.data?.snap_report_device;
@@ -44,16 +76,18 @@ async function fetchDetailTlDur(
   }
 }
 
-let controllersMap: Record<string, string> | null = null;
-
 /**
- * Load controller map dari constants
+ * Load controller map dari machine registry (data/machines.json)
  */
 export async function loadControllerMap(): Promise<void> {
-  controllersMap = MACHINE_CONFIG.machineLabels;
+  try {
+    await loadMachineRegistry();
+  } catch (error) {
+    console.error("⚠️ Failed to load machine registry, using seed:", error);
+  }
   console.log(
     "✅ Controller map loaded:",
-    Object.keys(controllersMap || {}).length,
+    Object.keys(getLabelMap()).length,
     "machines"
   );
 }
@@ -62,8 +96,8 @@ export async function loadControllerMap(): Promise<void> {
  * Check if data is stale based on last success time
  * Stale = true jika sudah lewat threshold tanpa sukses refresh
  */
-export function isDataStale(): boolean {
-  const snapshot = machineCache.get();
+export function isDataStale(outlet = config.upstream.outletId): boolean {
+  const snapshot = machineCache.get(outlet);
   if (!snapshot?.meta?.ts) return true;
 
   // Check if meta already marks as stale
@@ -75,11 +109,12 @@ export function isDataStale(): boolean {
 }
 
 /**
- * Refresh machine data dari upstream API
+ * Refresh machine data satu outlet dari upstream API
  */
-export async function refreshMachines(): Promise<void> {
+export async function refreshMachines(
+  outlet = config.upstream.outletId
+): Promise<void> {
   const base = config.upstream.base;
-  const outlet = config.upstream.outletId;
   const url = `${base}/list_snap_mesin?idoutlet=${encodeURIComponent(
     outlet
   )}&offset=0&limit=25`;
@@ -91,7 +126,9 @@ export async function refreshMachines(): Promise<void> {
       "machines-local-fixed-slots/1.0"
     );
 
-    const res = await fetchWithTimeout(url, timeout, { headers });
+    const res = await fetchSnap("list_snap_mesin", url, timeout, {
+      headers,
+    });
     if (!res.ok) throw new Error(`upstream ${res.status}`);
 
     const json = await res.json();
@@ -101,7 +138,7 @@ export async function refreshMachines(): Promise<void> {
       ? json
       : [];
 
-    const { list, summary } = normalize(rows, controllersMap);
+    const { list, summary } = normalize(rows, getLabelMap());
 
     // Inline fallback: RUNNING machines yg tidak dapat elapsed_ms dari list
     // payload (tl invalid). Fetch detail_snap_mesin synchronously per mesin
@@ -113,7 +150,9 @@ export async function refreshMachines(): Promise<void> {
     if (needsDetail.length > 0) {
       const detailTimeoutMs = Math.min(timeout, 2500);
       const detailResults = await Promise.allSettled(
-        needsDetail.map((m) => fetchDetailTlDur(m.id, detailTimeoutMs))
+        needsDetail.map((m) =>
+          fetchDetailTlDur(m.id, outlet, detailTimeoutMs)
+        )
       );
       const now = Date.now();
       needsDetail.forEach((m, i) => {
@@ -127,6 +166,7 @@ export async function refreshMachines(): Promise<void> {
                 ...list[idx],
                 elapsed_ms: Math.round(dur - tl),
                 start_time: now,
+                dur: Math.round(dur),
               };
             }
           }
@@ -135,19 +175,37 @@ export async function refreshMachines(): Promise<void> {
     }
 
     // Update cache dengan snapshot baru
+    const fetchedAt = new Date().toISOString();
     const snapshot: MachineSnapshot = {
-      machines: list,
+      machines: applyEta(list.map((m) => ({ ...m, outlet_id: outlet }))),
       summary,
       meta: {
-        ts: new Date().toISOString(),
+        ts: fetchedAt,
+        fetched_at: fetchedAt,
         stale: false,
         version: "v1",
+        outlet,
+        upstream: getBreakerSummary(),
+        ...(isReplayMode()
+          ? { replay_at: new Date(getReplayTime()).toISOString() }
+          : {}),
       },
     };
 
-    machineCache.set(snapshot);
+    const previousSnapshot = machineCache.get(outlet);
+    machineCache.set(snapshot, outlet);
+    publishSnapshot(previousSnapshot, snapshot, outlet);
+    const now = isReplayMode() ? getReplayTime() : Date.now();
+    detectAnomalies(outlet, snapshot.machines, now);
+    // Tidak ditunggu: pengiriman alert tidak boleh menahan refresh
+    evaluateAlerts(outlet, snapshot.machines, now).catch((error) =>
+      console.error("[Alerts] Evaluation failed:", error?.message || error)
+    );
+    processQueue(snapshot).catch((error) =>
+      console.error("[Queue] Processing failed:", error?.message || error)
+    );
   } catch (e) {
-    const existingSnapshot = machineCache.get();
+    const existingSnapshot = machineCache.get(outlet);
     if (existingSnapshot) {
       // Update timestamp tapi mark as stale
       const updatedSnapshot: MachineSnapshot = {
@@ -155,10 +213,12 @@ export async function refreshMachines(): Promise<void> {
         meta: {
           ...existingSnapshot.meta,
           ts: new Date().toISOString(),
-          stale: isDataStale(),
+          stale: isDataStale(outlet),
+          upstream: getBreakerSummary(),
         },
       };
-      machineCache.set(updatedSnapshot);
+      machineCache.set(updatedSnapshot, outlet);
+      publishSnapshot(existingSnapshot, updatedSnapshot, outlet);
     } else {
       // Create empty snapshot jika belum ada
       const now = new Date().toISOString();
@@ -168,16 +228,75 @@ export async function refreshMachines(): Promise<void> {
           dryer: { total: 0, ready: 0, running: 0, offline: 0 },
           washer: { total: 0, ready: 0, running: 0, offline: 0 },
         },
-        meta: { ts: now, stale: true, version: "v1" },
+        meta: {
+          ts: now,
+          stale: true,
+          version: "v1",
+          outlet,
+          upstream: getBreakerSummary(),
+        },
       };
-      machineCache.set(emptySnapshot);
+      machineCache.set(emptySnapshot, outlet);
+    }
+  }
+}
+
+const sumSummary = (a: MachineSummary, b: MachineSummary): MachineSummary => ({
+  total: a.total + b.total,
+  ready: a.ready + b.ready,
+  running: a.running + b.running,
+  offline: a.offline + b.offline,
+});
+
+/**
+ * Gabungkan snapshot semua outlet (query `outlet=all`). Mesin membawa
+ * `outlet_id`, summary dijumlahkan, stale jika salah satu outlet stale.
+ */
+export function getCombinedSnapshot(): MachineSnapshot {
+  const empty = { total: 0, ready: 0, running: 0, offline: 0 };
+  const combined: MachineSnapshot = {
+    machines: [],
+    summary: { dryer: { ...empty }, washer: { ...empty } },
+    meta: {
+      ts: new Date(0).toISOString(),
+      stale: false,
+      version: "v1",
+      outlet: ALL_OUTLETS,
+      outlets: config.outlets.map((o) => o.id),
+      upstream: getBreakerSummary(),
+    },
+  };
+
+  for (const { id } of config.outlets) {
+    const snapshot = machineCache.get(id);
+    if (!snapshot) {
+      combined.meta.stale = true;
+      continue;
+    }
+    combined.machines.push(...snapshot.machines);
+    combined.summary.dryer = sumSummary(
+      combined.summary.dryer,
+      snapshot.summary.dryer
+    );
+    combined.summary.washer = sumSummary(
+      combined.summary.washer,
+      snapshot.summary.washer
+    );
+    if (snapshot.meta.ts > combined.meta.ts) {
+      combined.meta.ts = snapshot.meta.ts;
     }
+    if (isDataStale(id)) combined.meta.stale = true;
   }
+
+  return combined;
 }
 
 /**
- * Get machine label dari machine ID
+ * Refresh semua outlet (config.outlets). Satu outlet gagal tidak
+ * menghentikan yang lain.
  */
-export function getMachineLabel(machineId: string): string {
-  return controllersMap?.[machineId] || machineId;
+export async function refreshAllOutlets(): Promise<void> {
+  await Promise.allSettled(
+    config.outlets.map((outlet) => refreshMachines(outlet.id))
+  );
 }
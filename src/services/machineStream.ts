@@ -0,0 +1,144 @@
+import { config } from "../config.js";
+import type { Machine, MachineSnapshot } from "../types.js";
+
+export type MachineStreamEvent = {
+  id: number;
+  event: "machine" | "removed" | "meta" | "layout";
+  outlet: string;
+  data: any;
+};
+
+type Subscriber = (evt: MachineStreamEvent) => void;
+
+let lastEventId = 0;
+const replayBuffer: MachineStreamEvent[] = [];
+const subscribers = new Set<Subscriber>();
+let fastRefreshTimer: ReturnType<typeof setInterval> | null = null;
+
+/**
+ * View mesin untuk diffing: abaikan field yang berubah tiap refresh
+ * tanpa arti (start_time = Date.now(), updated_at dari upstream).
+ * elapsed_ms dibulatkan ke menit seperti eta_at, agar mesin RUNNING
+ * tidak dikirim ulang setiap refresh.
+ */
+function machineView(machine: Machine): string {
+  const { start_time, updated_at, elapsed_ms, ...rest } = machine;
+  const elapsedMinutes =
+    elapsed_ms === undefined ? undefined : Math.round(elapsed_ms / 60000);
+  return JSON.stringify({ ...rest, elapsed_minutes: elapsedMinutes });
+}
+
+function push(
+  event: MachineStreamEvent["event"],
+  outlet: string,
+  data: any
+): void {
+  lastEventId += 1;
+  const evt: MachineStreamEvent = { id: lastEventId, event, outlet, data };
+
+  replayBuffer.push(evt);
+  if (replayBuffer.length > config.stream.replayBufferSize) {
+    replayBuffer.shift();
+  }
+
+  for (const fn of subscribers) {
+    try {
+      fn(evt);
+    } catch (error) {
+      console.error("[MachineStream] Subscriber failed:", error);
+    }
+  }
+}
+
+/**
+ * Bandingkan snapshot lama dan baru, lalu kirim delta per mesin.
+ * Dipanggil oleh refreshMachines() setiap kali cache diperbarui.
+ */
+export function publishSnapshot(
+  prev: MachineSnapshot | null,
+  next: MachineSnapshot,
+  outlet: string
+): void {
+  const prevById = new Map<string, Machine>();
+  for (const m of prev?.machines || []) prevById.set(m.id, m);
+
+  for (const machine of next.machines) {
+    const old = prevById.get(machine.id);
+    prevById.delete(machine.id);
+    if (!old || machineView(old) !== machineView(machine)) {
+      push("machine", outlet, {
+        machine,
+        previous_status: old?.status ?? null,
+      });
+    }
+  }
+
+  // Sisa di prevById = mesin yang hilang dari payload upstream
+  for (const id of prevById.keys()) {
+    push("removed", outlet, { id, outlet });
+  }
+
+  push("meta", outlet, { meta: next.meta, summary: next.summary });
+}
+
+/**
+ * Kirim layout grid baru (PUT /api/layout) agar TV re-render tanpa reload
+ */
+export function publishLayout(outlet: string, layout: unknown): void {
+  push("layout", outlet, { layout });
+}
+
+/**
+ * Event setelah `id` untuk resume via Last-Event-ID.
+ * Return null jika id tidak bisa di-resume (terlalu lama / server restart),
+ * caller harus kirim snapshot penuh.
+ */
+export function eventsSince(id: number): MachineStreamEvent[] | null {
+  if (!Number.isFinite(id) || id > lastEventId) return null;
+  if (id === lastEventId) return [];
+
+  const oldest = replayBuffer[0];
+  if (!oldest || id < oldest.id - 1) return null;
+
+  return replayBuffer.filter((evt) => evt.id > id);
+}
+
+export function getLastEventId(): number {
+  return lastEventId;
+}
+
+export function getSubscriberCount(): number {
+  return subscribers.size;
+}
+
+/**
+ * Daftarkan subscriber, return fungsi unsubscribe
+ */
+export function subscribe(fn: Subscriber): () => void {
+  subscribers.add(fn);
+  return () => {
+    subscribers.delete(fn);
+  };
+}
+
+/**
+ * Selama ada client SSE, refresh upstream lebih sering dari interval default
+ * (config.refresh.interval = 3 menit). Timer berhenti sendiri jika tidak ada
+ * subscriber lagi.
+ */
+export function ensureFastRefresh(refresh: () => Promise<void>): void {
+  if (fastRefreshTimer) return;
+
+  fastRefreshTimer = setInterval(async () => {
+    if (subscribers.size === 0) {
+      clearInterval(fastRefreshTimer!);
+      fastRefreshTimer = null;
+      return;
+    }
+    try {
+      await refresh();
+    } catch (error) {
+      console.error("[MachineStream] Fast refresh failed:", error);
+    }
+  }, config.stream.refreshInterval);
+}
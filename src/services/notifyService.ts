@@ -0,0 +1,356 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { onStatusTransition, type StatusTransition } from "../normalize.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+import { fetchWithTimeout } from "../utils/fetch.js";
+import { isPrivateHost, assertPublicHost } from "../utils/address.js";
+import {
+  sendWebPush,
+  isValidPushSubscription,
+  type PushSubscriptionJSON,
+} from "../utils/webPush.js";
+import { getMachineById } from "./machineRegistry.js";
+
+/**
+ * Permintaan pelanggan "beritahu saya kalau cucian selesai". Berlaku untuk
+ * satu siklus: dihapus setelah RUNNING → READY berikutnya atau TTL habis.
+ */
+export interface NotifySubscription {
+  id: string;
+  machine_id: string;
+  label: string;
+  outlet_id: string | null;
+  channel: "webpush" | "webhook";
+  push?: PushSubscriptionJSON;
+  webhook_url?: string;
+  client_ip: string | null; // pembuat subscription, untuk batas per client
+  created_at: string;
+  expires_at: string;
+}
+
+/** Bentuk subscription yang aman dikembalikan ke client publik */
+export type PublicNotifySubscription = Pick<
+  NotifySubscription,
+  "id" | "machine_id" | "label" | "channel" | "expires_at"
+>;
+
+export class NotifyError extends Error {
+  constructor(message: string, public status: 400 | 404 | 409 | 429 = 400) {
+    super(message);
+    this.name = "NotifyError";
+  }
+}
+
+const SUBSCRIPTIONS_FILE = () => dataPath("subscriptions.json");
+const MINUTE_MS = 60 * 1000;
+
+let subscriptions: NotifySubscription[] | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+let unsubscribeTransitions: (() => void) | null = null;
+// Jendela rate limit subscribe per IP (per menit, hanya di memori)
+const windows = new Map<string, { start: number; count: number }>();
+
+function persist() {
+  const snapshot = [...(subscriptions || [])];
+  writeChain = writeChain
+    .then(() => writeJsonFile(SUBSCRIPTIONS_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[Notify] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+/** Buang subscription yang lewat TTL; true jika ada yang terbuang */
+function pruneExpired(now = Date.now()): boolean {
+  if (!subscriptions) return false;
+  const at = new Date(now).toISOString();
+  const before = subscriptions.length;
+  subscriptions = subscriptions.filter((s) => s.expires_at > at);
+  return subscriptions.length !== before;
+}
+
+export function isWebPushEnabled(): boolean {
+  return !!(config.notify.vapidPublicKey && config.notify.vapidPrivateKey);
+}
+
+export function getVapidPublicKey(): string | null {
+  return isWebPushEnabled() ? config.notify.vapidPublicKey : null;
+}
+
+function allowPrivateWebhooks(): boolean {
+  return process.env.NOTIFY_ALLOW_PRIVATE_WEBHOOKS === "true";
+}
+
+/**
+ * URL webhook: http(s) saja; host lokal/privat ditolak kecuali
+ * NOTIFY_ALLOW_PRIVATE_WEBHOOKS=true (pengembangan lokal). Nama DNS
+ * dicek lagi saat pengiriman (lihat deliver()).
+ */
+function validateWebhookUrl(value: unknown): string {
+  let url: URL;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new NotifyError("webhook_url must be a valid URL");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new NotifyError("webhook_url must use http or https");
+  }
+  if (isPrivateHost(url.hostname) && !allowPrivateWebhooks()) {
+    throw new NotifyError("webhook_url must not point to a private address");
+  }
+  return url.toString();
+}
+
+export function toPublicSubscription(
+  subscription: NotifySubscription
+): PublicNotifySubscription {
+  const { id, machine_id, label, channel, expires_at } = subscription;
+  return { id, machine_id, label, channel, expires_at };
+}
+
+/**
+ * Endpoint Web Push dari browser (bukan URL yang diketik), tapi tetap
+ * dikirimi request oleh server: host lokal/privat selalu ditolak
+ */
+function isPublicPushEndpoint(endpoint: string): boolean {
+  return !isPrivateHost(new URL(endpoint).hostname);
+}
+
+function checkRateLimit(clientIp: string | null, now: number) {
+  if (!clientIp) return;
+  const start = now - (now % MINUTE_MS);
+  // Buang jendela menit lalu agar map tidak tumbuh per IP
+  if (windows.size > 1000) {
+    for (const [ip, w] of windows) if (w.start !== start) windows.delete(ip);
+  }
+  const window = windows.get(clientIp);
+  const current =
+    window && window.start === start ? window : { start, count: 0 };
+  if (current.count >= config.notify.rateLimit) {
+    throw new NotifyError("Too many subscribe requests, try again later", 429);
+  }
+  current.count += 1;
+  windows.set(clientIp, current);
+}
+
+/**
+ * Daftarkan subscription untuk satu mesin. Body: `{ subscription }`
+ * (PushSubscription dari browser) atau `{ webhook_url }`. Endpoint publik:
+ * `clientIp` dibatasi per menit dan jumlah subscription aktifnya per mesin,
+ * agar satu client tidak bisa menghabiskan slot mesin.
+ */
+export async function addSubscription(
+  machineId: string,
+  input: any,
+  clientIp: string | null = null,
+  now = Date.now()
+): Promise<NotifySubscription> {
+  const machine = getMachineById(machineId);
+  if (!machine) throw new NotifyError("Machine not found", 404);
+  checkRateLimit(clientIp, now);
+
+  if (!subscriptions) subscriptions = [];
+  pruneExpired(now);
+
+  const base = {
+    id: crypto.randomUUID(),
+    machine_id: machine.id,
+    label: machine.label,
+    outlet_id: machine.outlet_id || null,
+    client_ip: clientIp,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + config.notify.ttlMs).toISOString(),
+  };
+
+  let subscription: NotifySubscription;
+  if (input?.subscription !== undefined) {
+    if (!isWebPushEnabled()) {
+      throw new NotifyError("Web Push is not configured on this server");
+    }
+    if (!isValidPushSubscription(input.subscription)) {
+      throw new NotifyError("subscription must be a valid PushSubscription");
+    }
+    if (!isPublicPushEndpoint(input.subscription.endpoint)) {
+      throw new NotifyError(
+        "subscription endpoint must not point to a private address"
+      );
+    }
+    const { endpoint, keys } = input.subscription;
+    // Browser yang sama subscribe ulang → ganti yang lama
+    subscriptions = subscriptions.filter(
+      (s) => !(s.machine_id === machine.id && s.push?.endpoint === endpoint)
+    );
+    subscription = {
+      ...base,
+      channel: "webpush",
+      push: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+    };
+  } else if (input?.webhook_url !== undefined) {
+    subscription = {
+      ...base,
+      channel: "webhook",
+      webhook_url: validateWebhookUrl(input.webhook_url),
+    };
+  } else {
+    throw new NotifyError("subscription or webhook_url is required");
+  }
+
+  const forMachine = subscriptions.filter((s) => s.machine_id === machine.id);
+  if (forMachine.length >= config.notify.maxPerMachine) {
+    throw new NotifyError("Too many subscriptions for this machine", 409);
+  }
+  if (
+    clientIp &&
+    forMachine.filter((s) => s.client_ip === clientIp).length >=
+      config.notify.maxPerClient
+  ) {
+    throw new NotifyError(
+      "Too many subscriptions for this machine from this client",
+      409
+    );
+  }
+
+  subscriptions.push(subscription);
+  await persist();
+  return subscription;
+}
+
+/**
+ * Batalkan subscription (id dari respons subscribe)
+ */
+export async function removeSubscription(
+  machineId: string,
+  subscriptionId: string
+): Promise<void> {
+  const list = subscriptions || [];
+  const found = list.find(
+    (s) => s.id === subscriptionId && s.machine_id === machineId
+  );
+  if (!found) throw new NotifyError("Subscription not found", 404);
+  subscriptions = list.filter((s) => s !== found);
+  await persist();
+}
+
+async function deliver(
+  subscription: NotifySubscription,
+  finishedAt: string
+): Promise<void> {
+  const machine = getMachineById(subscription.machine_id);
+  const message = {
+    title: "Cucian selesai",
+    body: `Mesin ${subscription.label} sudah selesai. Silakan ambil cucian.`,
+    machine_id: subscription.machine_id,
+    label: subscription.label,
+    finished_at: finishedAt,
+  };
+
+  if (subscription.channel === "webpush" && subscription.push) {
+    // Sama seperti webhook: endpoint di-resolve ulang saat kirim
+    await assertPublicHost(new URL(subscription.push.endpoint).hostname);
+    const res = await sendWebPush(
+      subscription.push,
+      message,
+      {
+        publicKey: config.notify.vapidPublicKey,
+        privateKey: config.notify.vapidPrivateKey,
+        subject: config.notify.vapidSubject,
+      },
+      config.notify.timeout
+    );
+    if (!res.ok) throw new Error(`push service ${res.status}`);
+    return;
+  }
+
+  if (subscription.channel === "webhook" && subscription.webhook_url) {
+    // Resolve ulang saat kirim: nama DNS bisa menunjuk ke alamat LAN
+    if (!allowPrivateWebhooks()) {
+      await assertPublicHost(new URL(subscription.webhook_url).hostname);
+    }
+    const res = await fetchWithTimeout(
+      subscription.webhook_url,
+      config.notify.timeout,
+      {
+        method: "POST",
+        // Redirect tidak diikuti: tujuannya bisa alamat privat
+        redirect: "manual",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "laundry-monitor-notify/1.0",
+        },
+        body: JSON.stringify({
+          event: "machine.ready",
+          subscription_id: subscription.id,
+          machine: {
+            id: subscription.machine_id,
+            label: subscription.label,
+            type: machine?.type || null,
+            outlet_id: subscription.outlet_id,
+          },
+          finished_at: finishedAt,
+        }),
+      }
+    );
+    if (!res.ok) throw new Error(`webhook ${res.status}`);
+  }
+}
+
+/**
+ * RUNNING → READY: kirim notifikasi ke semua subscriber mesin lalu hapus
+ * (satu siklus). Gagal kirim hanya dicatat; tidak diulang.
+ */
+function handleTransition(t: StatusTransition) {
+  if (t.oldStatus !== "RUNNING" || t.newStatus !== "READY") return;
+  if (!subscriptions) return;
+
+  const pruned = pruneExpired();
+  const due = subscriptions.filter((s) => s.machine_id === t.machineId);
+  if (due.length === 0) {
+    if (pruned) persist();
+    return;
+  }
+
+  subscriptions = subscriptions.filter((s) => s.machine_id !== t.machineId);
+  persist();
+
+  const finishedAt = new Date(t.timestamp).toISOString();
+  for (const subscription of due) {
+    deliver(subscription, finishedAt)
+      .then(() =>
+        console.log(
+          `[Notify] ${subscription.channel} sent for ${subscription.label}`
+        )
+      )
+      .catch((error) =>
+        console.error(
+          `[Notify] ${subscription.channel} failed for ${subscription.label}:`,
+          error?.message || error
+        )
+      );
+  }
+}
+
+/**
+ * Load subscription tersimpan dan mulai dengarkan transisi status
+ */
+export async function initNotify(): Promise<void> {
+  if (unsubscribeTransitions) return;
+
+  try {
+    subscriptions = await readJsonFile<NotifySubscription[]>(
+      SUBSCRIPTIONS_FILE(),
+      []
+    );
+  } catch (error: any) {
+    console.error("[Notify] Failed to load subscriptions:", error?.message);
+    subscriptions = [];
+  }
+  if (pruneExpired()) await persist();
+
+  unsubscribeTransitions = onStatusTransition(handleTransition);
+  console.log(
+    `✅ Notify loaded: ${subscriptions.length} subscriptions, web push ${
+      isWebPushEnabled() ? "on" : "off"
+    }`
+  );
+}
@@ -0,0 +1,424 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+import {
+  findCachedMachine,
+  isRecentlyStarted,
+  StartError,
+  type StartRequest,
+} from "./startService.js";
+import { upsertCustomer } from "./customerService.js";
+import type { Machine } from "../types.js";
+
+/**
+ * Order drop-off (data/orders.json): satu cucian pelanggan dari diterima
+ * sampai diambil, bisa melewati beberapa mesin (cuci → kering → lipat).
+ * Start mesin dengan `order_id` ditautkan ke order dan memajukan
+ * statusnya.
+ */
+export const ORDER_STATUSES = [
+  "received",
+  "washing",
+  "drying",
+  "ready", // selesai dilipat, menunggu diambil
+  "picked_up",
+] as const;
+
+export type OrderStatus = (typeof ORDER_STATUSES)[number];
+
+export interface OrderMachineRun {
+  machine_id: string;
+  machine_label: string | null;
+  machine_type: Machine["type"];
+  event_id: string | null; // event drop-off di gateway
+  started_at: string;
+  started_by: string | null;
+}
+
+export interface Order {
+  id: string;
+  code: string; // DO-YYMMDD-NNN (tanggal WIB), untuk nota/label
+  outlet_id: string | null;
+  customer_name: string;
+  customer_phone: string | null; // E.164 bila nomor Indonesia valid
+  customer_id: string | null; // direktori pelanggan, dari nomor HP
+  weight_kg: number | null;
+  price: number | null; // rupiah
+  note: string | null;
+  status: OrderStatus;
+  machines: OrderMachineRun[];
+  history: { status: OrderStatus; at: string; by: string | null }[];
+  created_at: string;
+  created_by: string | null;
+  updated_at: string;
+}
+
+/** Order + mesin yang sedang menjalankannya (dari cache snapshot) */
+export interface OrderView extends Order {
+  current_machine: {
+    machine_id: string;
+    machine_label: string | null;
+    machine_type: Machine["type"];
+  } | null;
+}
+
+export class OrderError extends Error {
+  constructor(message: string, public status: 400 | 404 | 409 = 400) {
+    super(message);
+    this.name = "OrderError";
+  }
+}
+
+type Actor = { userId: number | null; username: string } | null;
+
+const ORDERS_FILE = () => dataPath("orders.json");
+const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+let orders: Order[] | null = null;
+let loading: Promise<void> | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+
+function persist() {
+  const snapshot = [...(orders || [])];
+  writeChain = writeChain
+    .then(() => writeJsonFile(ORDERS_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[Orders] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+function store(): Order[] {
+  if (!orders) throw new Error("Order store not loaded");
+  return orders;
+}
+
+export async function initOrders(): Promise<void> {
+  if (orders) return;
+  loading ||= (async () => {
+    try {
+      orders = await readJsonFile<Order[]>(ORDERS_FILE(), []);
+    } catch (error: any) {
+      console.error("[Orders] Failed to load orders:", error?.message);
+      orders = [];
+    }
+  })();
+  await loading;
+}
+
+function statusRank(status: OrderStatus): number {
+  return ORDER_STATUSES.indexOf(status);
+}
+
+function nextCode(now: number): string {
+  const day = new Date(now + JAKARTA_OFFSET_MS)
+    .toISOString()
+    .slice(2, 10)
+    .replace(/-/g, "");
+  const prefix = `DO-${day}-`;
+  const count = store().filter((o) => o.code.startsWith(prefix)).length;
+  return `${prefix}${String(count + 1).padStart(3, "0")}`;
+}
+
+function optionalText(value: unknown, field: string, max: number) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") {
+    throw new OrderError(`${field} must be a string`);
+  }
+  const text = value.trim();
+  if (text.length > max) {
+    throw new OrderError(`${field} must be at most ${max} characters`);
+  }
+  return text || null;
+}
+
+function optionalNumber(value: unknown, field: string, max: number) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > max) {
+    throw new OrderError(`${field} must be a number between 0 and ${max}`);
+  }
+  return number;
+}
+
+function requiredName(value: unknown): string {
+  const name = optionalText(value, "customer_name", 100);
+  if (!name) throw new OrderError("customer_name is required");
+  return name;
+}
+
+function findOrder(id: string): Order {
+  const order = store().find((o) => o.id === id || o.code === id);
+  if (!order) throw new OrderError("Order not found", 404);
+  return order;
+}
+
+function setStatus(
+  order: Order,
+  status: OrderStatus,
+  actor: Actor,
+  now: number
+) {
+  order.status = status;
+  order.history.push({
+    status,
+    at: new Date(now).toISOString(),
+    by: actor?.username ?? null,
+  });
+}
+
+export function toOrderView(order: Order): OrderView {
+  let current: OrderView["current_machine"] = null;
+  for (const run of [...order.machines].reverse()) {
+    const machine = findCachedMachine(run.machine_id);
+    if (!machine) continue;
+    if (machine.status === "RUNNING" || isRecentlyStarted(machine.id)) {
+      current = {
+        machine_id: machine.id,
+        machine_label: machine.label || run.machine_label,
+        machine_type: machine.type,
+      };
+      break;
+    }
+  }
+  return { ...order, current_machine: current };
+}
+
+/**
+ * Daftar order; terbaru dulu. `open` = belum diambil, untuk board monitor.
+ * `q` mencari kode, nama atau nomor HP.
+ */
+export function listOrders(
+  query: {
+    status?: string;
+    open?: boolean;
+    outlet?: string;
+    customer?: string;
+    q?: string;
+    limit?: number;
+  } = {}
+): OrderView[] {
+  const statuses = query.status
+    ? query.status.split(",").map((s) => s.trim())
+    : null;
+  if (statuses?.some((s) => !ORDER_STATUSES.includes(s as OrderStatus))) {
+    throw new OrderError(
+      `status must be one of: ${ORDER_STATUSES.join(", ")}`
+    );
+  }
+  const q = query.q?.trim().toLowerCase();
+
+  return store()
+    .filter((o) => !statuses || statuses.includes(o.status))
+    .filter((o) => !query.open || o.status !== "picked_up")
+    .filter((o) => !query.outlet || o.outlet_id === query.outlet)
+    .filter((o) => !query.customer || o.customer_id === query.customer)
+    .filter(
+      (o) =>
+        !q ||
+        o.code.toLowerCase().includes(q) ||
+        o.customer_name.toLowerCase().includes(q) ||
+        (o.customer_phone || "").includes(q)
+    )
+    .reverse()
+    .slice(0, query.limit || 100)
+    .map(toOrderView);
+}
+
+export function getOrder(id: string): OrderView {
+  return toOrderView(findOrder(id));
+}
+
+/**
+ * Terima cucian: { customer_name, customer_phone?, weight_kg?, price?,
+ * note?, outlet_id? }
+ */
+export async function createOrder(
+  input: Record<string, unknown>,
+  actor: Actor,
+  now = Date.now()
+): Promise<Order> {
+  const outletId =
+    optionalText(input.outlet_id, "outlet_id", 100) ||
+    config.upstream.outletId;
+  if (!config.outlets.some((o) => o.id === outletId)) {
+    throw new OrderError("Unknown outlet");
+  }
+
+  const name = requiredName(input.customer_name);
+  const phone = optionalText(input.customer_phone, "customer_phone", 30);
+  const weightKg = optionalNumber(input.weight_kg, "weight_kg", 1000);
+  const price = optionalNumber(input.price, "price", 100000000);
+  const note = optionalText(input.note, "note", 500);
+  const customer = await upsertCustomer(name, phone, now);
+
+  const at = new Date(now).toISOString();
+  const order: Order = {
+    id: crypto.randomUUID(),
+    code: nextCode(now),
+    outlet_id: outletId,
+    customer_name: name,
+    customer_phone: customer?.phone ?? phone,
+    customer_id: customer?.id ?? null,
+    weight_kg: weightKg,
+    price,
+    note,
+    status: "received",
+    machines: [],
+    history: [{ status: "received", at, by: actor?.username ?? null }],
+    created_at: at,
+    created_by: actor?.username ?? null,
+    updated_at: at,
+  };
+  store().push(order);
+  await persist();
+  return order;
+}
+
+/** Order yang sudah diambil terkunci; status tidak boleh mundur */
+function assertEditable(order: Order, status: OrderStatus | null) {
+  if (order.status === "picked_up") {
+    throw new OrderError("Order was already picked up", 409);
+  }
+  if (status && statusRank(status) < statusRank(order.status)) {
+    throw new OrderError(
+      `Cannot move order back from ${order.status} to ${status}`,
+      409
+    );
+  }
+}
+
+/**
+ * Ubah data order dan/atau `status`. Status hanya boleh maju (boleh
+ * melompati tahap, mis. setrika saja); order yang sudah diambil terkunci.
+ */
+export async function updateOrder(
+  id: string,
+  input: Record<string, unknown>,
+  actor: Actor,
+  now = Date.now()
+): Promise<Order> {
+  const order = findOrder(id);
+  assertEditable(order, null);
+
+  // Validasi semua field dulu agar perubahan tidak setengah jalan
+  const changes: Partial<Order> = {};
+  if (input.customer_name !== undefined) {
+    changes.customer_name = requiredName(input.customer_name);
+  }
+  if (input.customer_phone !== undefined) {
+    changes.customer_phone = optionalText(
+      input.customer_phone,
+      "customer_phone",
+      30
+    );
+  }
+  if (input.weight_kg !== undefined) {
+    changes.weight_kg = optionalNumber(input.weight_kg, "weight_kg", 1000);
+  }
+  if (input.price !== undefined) {
+    changes.price = optionalNumber(input.price, "price", 100000000);
+  }
+  if (input.note !== undefined) {
+    changes.note = optionalText(input.note, "note", 500);
+  }
+  let status: OrderStatus | null = null;
+  if (input.status !== undefined && input.status !== order.status) {
+    if (!ORDER_STATUSES.includes(input.status as OrderStatus)) {
+      throw new OrderError(
+        `status must be one of: ${ORDER_STATUSES.join(", ")}`
+      );
+    }
+    status = input.status as OrderStatus;
+    assertEditable(order, status);
+  }
+
+  // Pelanggan di-resolve sebelum order diubah: upsert yang gagal tidak
+  // meninggalkan nama/nomor baru tanpa customer_id yang sesuai
+  if (changes.customer_name || changes.customer_phone !== undefined) {
+    const customer = await upsertCustomer(
+      changes.customer_name ?? order.customer_name,
+      changes.customer_phone !== undefined
+        ? changes.customer_phone
+        : order.customer_phone,
+      now
+    );
+    changes.customer_id = customer?.id ?? null;
+    if (customer) changes.customer_phone = customer.phone;
+  }
+  // Status order bisa maju selama upsert berjalan
+  assertEditable(order, status);
+
+  Object.assign(order, changes);
+  if (status) setStatus(order, status, actor, now);
+  order.updated_at = new Date(now).toISOString();
+  await persist();
+  return order;
+}
+
+/**
+ * Tautkan satu start mesin ke order. Washer memajukan order ke `washing`,
+ * dryer ke `drying`; status yang sudah lebih jauh tidak dimundurkan.
+ */
+export async function linkOrderMachine(
+  id: string,
+  machine: Pick<Machine, "id" | "label" | "type">,
+  eventId: string | null,
+  actor: Actor,
+  now = Date.now()
+): Promise<Order> {
+  const order = findOrder(id);
+  if (order.status === "picked_up") {
+    throw new OrderError("Order was already picked up", 409);
+  }
+
+  order.machines.push({
+    machine_id: machine.id,
+    machine_label: machine.label || null,
+    machine_type: machine.type,
+    event_id: eventId,
+    started_at: new Date(now).toISOString(),
+    started_by: actor?.username ?? null,
+  });
+  const status = machine.type === "dryer" ? "drying" : "washing";
+  if (statusRank(status) > statusRank(order.status)) {
+    setStatus(order, status, actor, now);
+  }
+  order.updated_at = new Date(now).toISOString();
+  await persist();
+  return order;
+}
+
+/** Id event drop-off dari respons start gateway (`event.data.id`) */
+export function startEventId(json: any): string | null {
+  const id = json?.event?.data?.id;
+  return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * `order_id` opsional pada body start/antrean: harus order yang belum
+ * diambil dan event drop-off. Return id order (bukan kode) atau null.
+ */
+export function resolveStartOrder(
+  body: unknown,
+  request: StartRequest
+): string | null {
+  const value =
+    body && typeof body === "object"
+      ? (body as Record<string, unknown>).order_id
+      : undefined;
+  if (value === undefined || value === null || value === "") return null;
+
+  const order = store().find((o) => o.id === value || o.code === value);
+  if (!order || order.status === "picked_up") {
+    throw new StartError("Invalid start request: order_id", 400, {
+      order_id: order ? "Order sudah diambil" : "Order tidak ditemukan",
+    });
+  }
+  if (request.event.type !== "drop-off") {
+    throw new StartError("Invalid start request: order_id", 400, {
+      order_id: "Order hanya untuk event drop-off",
+    });
+  }
+  return order.id;
+}
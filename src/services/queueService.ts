@@ -0,0 +1,336 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { machineCache } from "../utils/cache.js";
+import { isReplayMode } from "./upstreamRecorder.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+import {
+  findCachedMachine,
+  validateStartRequest,
+  sendStart,
+  markStarted,
+  lastStartedAt,
+  isRecentlyStarted,
+  StartError,
+  type StartRequest,
+} from "./startService.js";
+import {
+  resolveStartOrder,
+  linkOrderMachine,
+  startEventId,
+} from "./orderService.js";
+import { recordCustomerVisit } from "./customerService.js";
+import type { MachineSnapshot } from "../types.js";
+
+/**
+ * Antrean start per mesin (data/queue.json): start dikirim otomatis ke
+ * gateway saat snapshot menunjukkan mesin READY, atau mulai `start_at`
+ * untuk start terjadwal.
+ */
+export type QueueStatus =
+  | "queued"
+  | "starting" // sedang dikirim ke gateway
+  | "started"
+  | "failed"
+  | "canceled";
+
+export interface QueueEntry {
+  id: string;
+  machine_id: string;
+  machine_label: string | null;
+  outlet_id: string | null;
+  request: StartRequest; // sudah divalidasi seperti POST /:id/start
+  start_at: string | null; // null = segera setelah mesin READY
+  order_id: string | null; // order drop-off yang ditautkan saat start
+  status: QueueStatus;
+  created_at: string;
+  created_by: string | null; // username, atau apikey:<nama>
+  user_id: number | null;
+  started_at: string | null;
+  finished_at: string | null; // started/failed/canceled
+  canceled_by: string | null;
+  error: string | null;
+}
+
+/** `fields`: path field → pesan untuk ditampilkan modal per input */
+export class QueueError extends Error {
+  constructor(
+    message: string,
+    public status: 400 | 404 | 409 = 400,
+    public fields: Record<string, string> = {}
+  ) {
+    super(message);
+    this.name = "QueueError";
+  }
+}
+
+type Actor = { userId: number | null; username: string } | null;
+
+const QUEUE_FILE = () => dataPath("queue.json");
+
+let entries: QueueEntry[] | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+let checkTimer: ReturnType<typeof setInterval> | null = null;
+
+function persist() {
+  const snapshot = [...(entries || [])];
+  writeChain = writeChain
+    .then(() => writeJsonFile(QUEUE_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[Queue] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+function isPending(entry: QueueEntry): boolean {
+  return entry.status === "queued" || entry.status === "starting";
+}
+
+/** Buang entry selesai yang lewat keepHours; true jika ada yang terbuang */
+function pruneFinished(now = Date.now()): boolean {
+  if (!entries) return false;
+  const cutoff = new Date(
+    now - config.queue.keepHours * 3600000
+  ).toISOString();
+  const before = entries.length;
+  entries = entries.filter(
+    (e) => isPending(e) || !e.finished_at || e.finished_at > cutoff
+  );
+  return entries.length !== before;
+}
+
+function parseStartAt(
+  value: unknown,
+  now: number,
+  fields: Record<string, string>
+): string | null {
+  if (value === undefined || value === null || value === "") return null;
+  const at = typeof value === "string" ? Date.parse(value) : NaN;
+  if (Number.isNaN(at)) {
+    fields.start_at = "Waktu mulai tidak valid";
+  } else if (at <= now) {
+    fields.start_at = "Waktu mulai harus di masa depan";
+  } else if (at > now + config.queue.maxAheadDays * 86400000) {
+    fields.start_at = `Maksimal ${config.queue.maxAheadDays} hari ke depan`;
+  } else {
+    return new Date(at).toISOString();
+  }
+  return null;
+}
+
+/**
+ * Tambah start ke antrean `machineId`. Body sama seperti start langsung
+ * ({ duration, program?, event }) plus `start_at` opsional (ISO). Mesin
+ * boleh sedang berjalan; start dikirim saat mesin READY.
+ */
+export async function enqueueStart(
+  machineId: string,
+  body: unknown,
+  actor: Actor,
+  now = Date.now()
+): Promise<QueueEntry> {
+  const machine = findCachedMachine(machineId);
+  if (!machine) throw new QueueError("Machine not found", 404);
+
+  const fields: Record<string, string> = {};
+  const input =
+    body && typeof body === "object" ? (body as Record<string, unknown>) : {};
+  const startAt = parseStartAt(input.start_at, now, fields);
+  // Error field start_at ikut dilempar bersama field body start
+  let request: StartRequest;
+  let orderId: string | null;
+  try {
+    request = validateStartRequest(machine, body, fields);
+    orderId = resolveStartOrder(body, request);
+  } catch (error) {
+    if (error instanceof StartError) {
+      throw new QueueError(error.message, 400, error.fields);
+    }
+    throw error;
+  }
+
+  if (!entries) entries = [];
+  pruneFinished(now);
+  const queued = entries.filter(
+    (e) => e.machine_id === machine.id && isPending(e)
+  );
+  if (queued.length >= config.queue.maxPerMachine) {
+    throw new QueueError("Machine queue is full", 409, {
+      machine: `Maksimal ${config.queue.maxPerMachine} antrean per mesin`,
+    });
+  }
+
+  const entry: QueueEntry = {
+    id: crypto.randomUUID(),
+    machine_id: machine.id,
+    machine_label: machine.label || null,
+    outlet_id: machine.outlet_id || null,
+    request,
+    start_at: startAt,
+    order_id: orderId,
+    status: "queued",
+    created_at: new Date(now).toISOString(),
+    created_by: actor?.username ?? null,
+    user_id: actor?.userId ?? null,
+    started_at: null,
+    finished_at: null,
+    canceled_by: null,
+    error: null,
+  };
+  entries.push(entry);
+  await persist();
+  return entry;
+}
+
+/**
+ * Antrean satu mesin (atau semua jika `machineId` kosong): yang masih
+ * menunggu dulu sesuai urutan, lalu yang selesai dalam keepHours
+ */
+export function listQueue(machineId?: string): QueueEntry[] {
+  const list = (entries || []).filter(
+    (e) => !machineId || e.machine_id === machineId
+  );
+  return [
+    ...list.filter(isPending),
+    ...list.filter((e) => !isPending(e)).reverse(),
+  ];
+}
+
+/** Batalkan entry yang belum dikirim ke gateway */
+export async function cancelQueueEntry(
+  machineId: string,
+  entryId: string,
+  actor: Actor,
+  now = Date.now()
+): Promise<QueueEntry> {
+  const entry = (entries || []).find(
+    (e) => e.id === entryId && e.machine_id === machineId
+  );
+  if (!entry) throw new QueueError("Queue entry not found", 404);
+  if (entry.status !== "queued") {
+    throw new QueueError(`Queue entry is already ${entry.status}`, 409);
+  }
+
+  entry.status = "canceled";
+  entry.finished_at = new Date(now).toISOString();
+  entry.canceled_by = actor?.username ?? null;
+  await persist();
+  return entry;
+}
+
+async function linkQueuedOrder(entry: QueueEntry, json: any, now: number) {
+  const machine = findCachedMachine(entry.machine_id);
+  if (!machine) return;
+  const actor = entry.created_by
+    ? { userId: entry.user_id, username: entry.created_by }
+    : null;
+  await linkOrderMachine(
+    entry.order_id!,
+    machine,
+    startEventId(json),
+    actor,
+    now
+  ).catch((error) =>
+    console.error("[Queue] Failed to link order:", error?.message || error)
+  );
+}
+
+async function startEntry(entry: QueueEntry, now: number) {
+  entry.status = "starting";
+  persist();
+  try {
+    const json = await sendStart(entry.machine_id, entry.request);
+    markStarted(entry.machine_id, now);
+    entry.status = "started";
+    entry.started_at = new Date(now).toISOString();
+    console.log(`▶️ Queued start sent for ${entry.machine_label}`);
+    if (entry.order_id) await linkQueuedOrder(entry, json, now);
+    await recordCustomerVisit(
+      entry.request,
+      { id: entry.machine_id, label: entry.machine_label },
+      startEventId(json),
+      entry.order_id,
+      now
+    ).catch((error) =>
+      console.error("[Queue] Failed to record visit:", error?.message)
+    );
+  } catch (error: any) {
+    entry.status = "failed";
+    entry.error = error?.message || String(error);
+    console.error(
+      `[Queue] Start failed for ${entry.machine_id}:`,
+      entry.error
+    );
+  }
+  entry.finished_at = new Date(now).toISOString();
+  await persist();
+}
+
+/**
+ * Kirim start untuk entry yang jatuh tempo pada mesin READY di `snapshot`.
+ * Satu entry per mesin per snapshot; mesin yang di-start setelah snapshot
+ * diambil dilewati karena status READY-nya sudah basi.
+ */
+export async function processQueue(
+  snapshot: MachineSnapshot | null,
+  now = Date.now()
+): Promise<void> {
+  // Replay hanya memutar ulang rekaman: jangan kirim start sungguhan
+  if (!entries || !snapshot || isReplayMode()) return;
+  // Refresh gagal memakai ulang daftar mesin lama dengan ts baru: status
+  // READY-nya bisa sudah tidak benar
+  const fetchedAt = snapshot.meta.fetched_at ?? snapshot.meta.ts;
+  if (snapshot.meta.stale || fetchedAt !== snapshot.meta.ts) return;
+  const snapshotAt = Date.parse(fetchedAt);
+  const due = new Date(now).toISOString();
+
+  const starts: Promise<void>[] = [];
+  for (const machine of snapshot.machines) {
+    if (machine.status !== "READY") continue;
+    const startedAt = lastStartedAt(machine.id);
+    if (startedAt !== null && startedAt >= snapshotAt) continue;
+    // Status upstream tertinggal setelah start: sama seperti validateStart
+    if (isRecentlyStarted(machine.id, now)) continue;
+
+    const pending = entries.filter(
+      (e) => e.machine_id === machine.id && isPending(e)
+    );
+    if (pending.some((e) => e.status === "starting")) continue;
+    const entry = pending.find((e) => !e.start_at || e.start_at <= due);
+    if (entry) starts.push(startEntry(entry, now));
+  }
+  await Promise.all(starts);
+}
+
+function checkScheduled() {
+  for (const { id } of config.outlets) {
+    processQueue(machineCache.get(id)).catch((error) =>
+      console.error("[Queue] Check failed:", error?.message || error)
+    );
+  }
+}
+
+export async function initQueue(): Promise<void> {
+  if (checkTimer) return;
+
+  try {
+    entries = await readJsonFile<QueueEntry[]>(QUEUE_FILE(), []);
+  } catch (error: any) {
+    console.error("[Queue] Failed to load queue:", error?.message);
+    entries = [];
+  }
+  // Terputus restart saat dikirim: hasilnya tidak diketahui, jangan diulang
+  let changed = pruneFinished();
+  for (const entry of entries) {
+    if (entry.status !== "starting") continue;
+    entry.status = "failed";
+    entry.error = "Interrupted by restart";
+    entry.finished_at = new Date().toISOString();
+    changed = true;
+  }
+  if (changed) await persist();
+
+  checkTimer = setInterval(checkScheduled, config.queue.checkInterval);
+  console.log(
+    `✅ Queue loaded: ${entries.filter(isPending).length} pending starts`
+  );
+}
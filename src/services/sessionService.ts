@@ -0,0 +1,290 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+import {
+  getUserById,
+  initUserStore,
+  type StoredUser,
+} from "./userService.js";
+
+/**
+ * Sesi login (data/sessions.json). Tiap login = satu sesi dengan refresh
+ * token `<id>.<secret>`; yang disimpan hanya hash. Refresh token berganti
+ * tiap dipakai; token lama yang dipakai lagi berarti bocor → sesi dicabut.
+ * Access token yang di-logout masuk daftar revoked sampai kedaluwarsa.
+ */
+export interface Session {
+  id: string;
+  user_id: number;
+  session_version: number; // harus sama dengan user; naik → sesi mati
+  token_hash: string;
+  previous_hash: string | null; // token sebelum rotasi terakhir
+  created_at: string;
+  last_used_at: string;
+  expires_at: string;
+  user_agent: string | null;
+  ip: string | null;
+  revoked_at: string | null;
+  revoke_reason: string | null;
+}
+
+export type PublicSession = Omit<Session, "token_hash" | "previous_hash">;
+
+interface RevokedToken {
+  jti: string;
+  expires_at: string;
+}
+
+interface SessionFile {
+  sessions: Session[];
+  revoked: RevokedToken[];
+}
+
+export class SessionError extends Error {
+  constructor(message: string, public status: 401 = 401) {
+    super(message);
+    this.name = "SessionError";
+  }
+}
+
+const SESSIONS_FILE = () => dataPath("sessions.json");
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Token lama yang dipakai lagi sesaat setelah rotasi (tab lain, retry
+// jaringan) ditolak tanpa mencabut sesi
+const REUSE_GRACE_MS = 30 * 1000;
+
+let state: SessionFile | null = null;
+let loading: Promise<void> | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+
+function persist() {
+  const snapshot: SessionFile = {
+    sessions: [...(state?.sessions || [])],
+    revoked: [...(state?.revoked || [])],
+  };
+  writeChain = writeChain
+    .then(() => writeJsonFile(SESSIONS_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[Sessions] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+function store(): SessionFile {
+  if (!state) throw new Error("Session store not loaded");
+  return state;
+}
+
+function hashToken(secret: string): string {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function isActive(session: Session, now = Date.now()): boolean {
+  return !session.revoked_at && Date.parse(session.expires_at) > now;
+}
+
+export function toPublicSession(session: Session): PublicSession {
+  const { token_hash, previous_hash, ...rest } = session;
+  return rest;
+}
+
+/** Buang sesi kedaluwarsa/dicabut dan jti yang sudah lewat masa berlaku */
+function prune(now = Date.now()) {
+  const s = store();
+  s.sessions = s.sessions.filter(
+    (session) =>
+      isActive(session, now) ||
+      // Sesi dicabut disimpan sehari agar reuse token tetap terdeteksi
+      (session.revoked_at && Date.parse(session.revoked_at) > now - DAY_MS)
+  );
+  s.revoked = s.revoked.filter((r) => Date.parse(r.expires_at) > now);
+}
+
+export async function initSessionStore(): Promise<void> {
+  if (state) return;
+  loading ||= (async () => {
+    try {
+      state = await readJsonFile<SessionFile>(SESSIONS_FILE(), {
+        sessions: [],
+        revoked: [],
+      });
+    } catch (error: any) {
+      console.error("[Sessions] Failed to load sessions:", error?.message);
+      state = { sessions: [], revoked: [] };
+    }
+    prune();
+  })();
+  await loading;
+}
+
+export function isSessionStoreLoaded(): boolean {
+  return state !== null;
+}
+
+function issueSecret(session: Session): string {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  session.token_hash = hashToken(secret);
+  return `${session.id}.${secret}`;
+}
+
+/**
+ * Sesi baru untuk user yang baru login. Return refresh token (plain,
+ * hanya sekali ini).
+ */
+export async function createSession(
+  user: Pick<StoredUser, "id" | "session_version">,
+  meta: { userAgent?: string | null; ip?: string | null } = {}
+): Promise<{ session: Session; refreshToken: string }> {
+  if (!state) await initSessionStore(); // serverless: sebelum start()
+  const now = new Date();
+  const session: Session = {
+    id: crypto.randomUUID(),
+    user_id: user.id,
+    session_version: user.session_version,
+    token_hash: "",
+    previous_hash: null,
+    created_at: now.toISOString(),
+    last_used_at: now.toISOString(),
+    expires_at: new Date(
+      now.getTime() + config.session.refreshTtlDays * DAY_MS
+    ).toISOString(),
+    user_agent: meta.userAgent?.slice(0, 200) || null,
+    ip: meta.ip || null,
+    revoked_at: null,
+    revoke_reason: null,
+  };
+  const refreshToken = issueSecret(session);
+
+  const s = store();
+  prune(now.getTime());
+  s.sessions.push(session);
+  const active = s.sessions.filter(
+    (x) => x.user_id === user.id && isActive(x)
+  );
+  for (const old of active.slice(0, -config.session.maxPerUser)) {
+    revoke(old, "session_limit");
+  }
+  await persist();
+  return { session, refreshToken };
+}
+
+function revoke(session: Session, reason: string) {
+  if (session.revoked_at) return;
+  session.revoked_at = new Date().toISOString();
+  session.revoke_reason = reason;
+}
+
+/**
+ * Tukar refresh token dengan yang baru (rotasi). Gagal jika sesi
+ * kedaluwarsa/dicabut, user tidak aktif, password sudah diganti, atau
+ * token lama dipakai ulang (sesi langsung dicabut).
+ */
+export async function rotateSession(
+  refreshToken: unknown
+): Promise<{ session: Session; user: StoredUser; refreshToken: string }> {
+  if (!state) await initSessionStore();
+  const [id, secret] = String(refreshToken ?? "").split(".");
+  const session = store().sessions.find((s) => s.id === id);
+  if (!session || !secret) throw new SessionError("Invalid refresh token");
+
+  const hash = hashToken(secret);
+  if (hash !== session.token_hash) {
+    const graceful =
+      Date.now() - Date.parse(session.last_used_at) < REUSE_GRACE_MS;
+    if (hash === session.previous_hash && !session.revoked_at && !graceful) {
+      console.warn(`[Sessions] Refresh token reuse, revoking ${session.id}`);
+      revoke(session, "token_reuse");
+      await persist();
+    }
+    throw new SessionError("Invalid refresh token");
+  }
+  if (!isActive(session)) throw new SessionError("Session expired");
+
+  await initUserStore();
+  const user = getUserById(session.user_id);
+  if (
+    !user ||
+    user.disabled ||
+    user.session_version !== session.session_version
+  ) {
+    revoke(session, "user_changed");
+    await persist();
+    throw new SessionError("Session expired");
+  }
+
+  const now = Date.now();
+  session.previous_hash = session.token_hash;
+  const next = issueSecret(session);
+  session.last_used_at = new Date(now).toISOString();
+  session.expires_at = new Date(
+    now + config.session.refreshTtlDays * DAY_MS
+  ).toISOString();
+  await persist();
+  return { session, user, refreshToken: next };
+}
+
+/** Dipakai verifyToken(): sesi access token masih aktif? */
+export function isSessionActive(id: string): boolean {
+  const session = state?.sessions.find((s) => s.id === id);
+  return !!session && isActive(session);
+}
+
+export function isAccessTokenRevoked(jti: string): boolean {
+  return !!state?.revoked.some((r) => r.jti === jti);
+}
+
+/** Sesi milik refresh token (hash cocok); selain itu undefined */
+function findByToken(refreshToken: unknown): Session | undefined {
+  const [id, secret] = String(refreshToken ?? "").split(".");
+  const session = store().sessions.find((s) => s.id === id);
+  if (!session || !secret) return undefined;
+  return session.token_hash === hashToken(secret) ? session : undefined;
+}
+
+/**
+ * Logout: cabut sesi (dari refresh token atau `sid` access token yang
+ * valid) dan masukkan access token ke daftar revoked sampai `exp`.
+ * Return sesi yang dicabut (null jika tidak ditemukan).
+ */
+export async function endSession(input: {
+  refreshToken?: unknown;
+  sessionId?: string;
+  jti?: string;
+  exp?: number;
+}): Promise<Session | null> {
+  if (!state) await initSessionStore();
+  const s = store();
+  const session =
+    (input.refreshToken ? findByToken(input.refreshToken) : undefined) ||
+    s.sessions.find((x) => x.id === input.sessionId);
+  if (session) revoke(session, "logout");
+  if (input.jti && input.exp) {
+    s.revoked.push({
+      jti: input.jti,
+      expires_at: new Date(input.exp * 1000).toISOString(),
+    });
+  }
+  prune();
+  await persist();
+  return session || null;
+}
+
+/** Cabut semua sesi aktif milik user; return jumlah yang dicabut */
+export async function revokeUserSessions(
+  userId: number,
+  reason = "logout_all"
+): Promise<number> {
+  if (!state) await initSessionStore();
+  const active = store().sessions.filter(
+    (s) => s.user_id === userId && isActive(s)
+  );
+  active.forEach((s) => revoke(s, reason));
+  if (active.length > 0) await persist();
+  return active.length;
+}
+
+export function listUserSessions(userId: number): PublicSession[] {
+  return store()
+    .sessions.filter((s) => s.user_id === userId && isActive(s))
+    .map(toPublicSession);
+}
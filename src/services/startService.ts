@@ -0,0 +1,301 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { machineCache } from "../utils/cache.js";
+import type { Machine } from "../types.js";
+import type { EventData } from "./eventService.js";
+
+/**
+ * Validasi start mesin remote (POST /api/machines/:id/start) sebelum
+ * diteruskan ke gateway, plus Idempotency-Key agar double-tap tidak
+ * menyalakan mesin dua kali.
+ */
+export interface StartRequest {
+  duration: number;
+  program: string;
+  event: EventData;
+}
+
+/** `fields`: path field → pesan untuk ditampilkan modal per input */
+export class StartError extends Error {
+  constructor(
+    message: string,
+    public status: 400 | 404 | 409 | 422 = 400,
+    public fields: Record<string, string> = {}
+  ) {
+    super(message);
+    this.name = "StartError";
+  }
+}
+
+type EventType = EventData["type"];
+
+// Field wajib per tipe event (lihat tipe di eventService.ts)
+export const EVENT_FIELDS: Record<EventType, string[]> = {
+  "drop-off": ["customer_name"],
+  "error-payment": ["description"],
+  "employee-quota": ["employee_name"],
+  maintenance: ["mtype"],
+  "claim-promo": ["customer_name", "customer_phone"],
+};
+
+export const MAINTENANCE_TYPES = ["cuci_kosong", "tube_clean", "other"];
+// Start sukses terakhir per mesin; cache status bisa tertinggal sampai
+// refresh berikutnya
+const RECENT_START_MS = 60 * 1000;
+
+const recentStarts: Map<string, number> = new Map();
+
+/** Mesin dari snapshot cache semua outlet */
+export function findCachedMachine(machineId: string): Machine | null {
+  for (const { id } of config.outlets) {
+    const machine = machineCache
+      .get(id)
+      ?.machines.find((m) => m.id === machineId);
+    if (machine) return machine;
+  }
+  return null;
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateEvent(
+  raw: unknown,
+  fields: Record<string, string>
+): EventData | null {
+  if (!isObject(raw)) {
+    fields["event.type"] = "Jenis event wajib dipilih";
+    return null;
+  }
+  const type = raw.type as EventType;
+  if (!Object.hasOwn(EVENT_FIELDS, type)) {
+    const types = Object.keys(EVENT_FIELDS).join(", ");
+    fields["event.type"] = `Jenis event harus salah satu dari: ${types}`;
+    return null;
+  }
+
+  const data: Record<string, any> = isObject(raw.data) ? { ...raw.data } : {};
+  for (const key of Object.keys(data)) {
+    if (typeof data[key] === "string") data[key] = data[key].trim();
+  }
+  for (const key of EVENT_FIELDS[type]) {
+    if (typeof data[key] !== "string" || !data[key]) {
+      fields[`event.data.${key}`] = "Wajib diisi";
+    }
+  }
+  if (type === "maintenance" && data.mtype) {
+    if (!MAINTENANCE_TYPES.includes(data.mtype)) {
+      fields["event.data.mtype"] =
+        `Harus salah satu dari: ${MAINTENANCE_TYPES.join(", ")}`;
+    }
+  }
+
+  // employee_id 0 = "Lainnya", nama karyawan diisi manual
+  if (data.employee_id !== undefined && data.employee_id !== null) {
+    const employeeId = Number(data.employee_id);
+    if (!Number.isInteger(employeeId) || employeeId < 0) {
+      fields["event.data.employee_id"] = "Karyawan tidak valid";
+    } else {
+      data.employee_id = employeeId;
+      if (employeeId === 0 && !data.other_employee_name) {
+        fields["event.data.other_employee_name"] = "Wajib diisi";
+      }
+    }
+  }
+
+  return { type, data } as EventData;
+}
+
+/**
+ * Validasi body start untuk `machine` tanpa cek status: durasi sesuai
+ * batas tipe mesin dan event dengan field wajibnya. machine_id dan
+ * duration_minutes event diisi dari nilai yang sudah divalidasi.
+ */
+export function validateStartRequest(
+  machine: Machine,
+  body: unknown,
+  fields: Record<string, string> = {}
+): StartRequest {
+  const input = isObject(body) ? body : {};
+  const { min, max } = config.start.durations[machine.type];
+  const duration = Number(input.duration);
+  if (!Number.isInteger(duration) || duration < min || duration > max) {
+    fields.duration = `Durasi harus antara ${min}-${max} menit`;
+  }
+  const event = validateEvent(input.event, fields);
+
+  if (Object.keys(fields).length > 0 || !event) {
+    throw new StartError(
+      `Invalid start request: ${Object.keys(fields).join(", ")}`,
+      400,
+      fields
+    );
+  }
+
+  event.data.machine_id = machine.id;
+  event.data.duration_minutes = duration;
+  return {
+    duration,
+    program: typeof input.program === "string" ? input.program : "normal",
+    event,
+  };
+}
+
+/**
+ * Validasi body start untuk `machineId` (lihat validateStartRequest) dan
+ * mesin READY di cache.
+ */
+export function validateStart(
+  machineId: string,
+  body: unknown,
+  now = Date.now()
+): { machine: Machine; request: StartRequest } {
+  const machine = findCachedMachine(machineId);
+  if (!machine) throw new StartError("Machine not found", 404);
+
+  const request = validateStartRequest(machine, body);
+  if (machine.status === "OFFLINE") {
+    throw new StartError("Machine is offline", 409, {
+      machine: "Mesin sedang offline",
+    });
+  }
+  if (machine.status !== "READY" || isRecentlyStarted(machine.id, now)) {
+    throw new StartError("Machine is not ready", 409, {
+      machine: "Mesin sedang berjalan",
+    });
+  }
+  return { machine, request };
+}
+
+/** Kirim start yang sudah divalidasi ke gateway; return respons JSON-nya */
+export async function sendStart(
+  machineId: string,
+  request: StartRequest
+): Promise<any> {
+  const eventGatewayBase =
+    config.eventGateway?.base || "http://localhost:54990";
+  const url = `${eventGatewayBase}/api/machines/${machineId}/start`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify(request),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Gateway API ${response.status}: ${errorText}`);
+  }
+  return response.json();
+}
+
+/** Dipanggil setelah gateway menerima start */
+export function markStarted(machineId: string, now = Date.now()) {
+  recentStarts.set(machineId, now);
+}
+
+/** Baru di-start; dianggap RUNNING walau cache belum diperbarui */
+export function isRecentlyStarted(
+  machineId: string,
+  now = Date.now()
+): boolean {
+  const startedAt = recentStarts.get(machineId);
+  return startedAt !== undefined && now - startedAt < RECENT_START_MS;
+}
+
+/** Waktu start sukses terakhir (null jika belum ada atau sudah di-stop) */
+export function lastStartedAt(machineId: string): number | null {
+  return recentStarts.get(machineId) ?? null;
+}
+
+/** Dipanggil setelah gateway menerima stop */
+export function clearRecentStart(machineId: string) {
+  recentStarts.delete(machineId);
+}
+
+interface IdempotencyEntry {
+  fingerprint: string;
+  expiresAt: number;
+  response: { status: number; body: unknown } | null; // null = berjalan
+}
+
+const idempotency: Map<string, IdempotencyEntry> = new Map();
+
+function pruneIdempotency(now: number) {
+  for (const [key, entry] of idempotency) {
+    if (entry.expiresAt <= now) idempotency.delete(key);
+  }
+}
+
+function fingerprintOf(body: unknown): string {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body ?? null))
+    .digest("hex");
+}
+
+/**
+ * Pesan Idempotency-Key untuk start `machineId`. Return respons tersimpan
+ * jika key sudah pernah sukses; throw jika masih berjalan atau dipakai
+ * untuk body lain; null = request baru, lanjutkan lalu panggil
+ * completeIdempotency()/releaseIdempotency().
+ */
+export function reserveIdempotency(
+  key: string,
+  machineId: string,
+  body: unknown,
+  now = Date.now()
+): { status: number; body: unknown } | null {
+  if (key.length > 200) {
+    throw new StartError("Idempotency-Key is too long", 400, {
+      idempotency_key: "Maksimal 200 karakter",
+    });
+  }
+  pruneIdempotency(now);
+
+  const id = `${machineId}:${key}`;
+  const fingerprint = fingerprintOf(body);
+  const entry = idempotency.get(id);
+  if (entry) {
+    if (entry.fingerprint !== fingerprint) {
+      throw new StartError(
+        "Idempotency-Key was already used with a different request",
+        422
+      );
+    }
+    if (!entry.response) {
+      throw new StartError(
+        "A request with this Idempotency-Key is still in progress",
+        409
+      );
+    }
+    return entry.response;
+  }
+
+  idempotency.set(id, {
+    fingerprint,
+    expiresAt: now + config.start.idempotencyTtlMs,
+    response: null,
+  });
+  return null;
+}
+
+/** Simpan respons sukses untuk diulang pada request dengan key yang sama */
+export function completeIdempotency(
+  key: string,
+  machineId: string,
+  status: number,
+  body: unknown
+) {
+  const entry = idempotency.get(`${machineId}:${key}`);
+  if (entry) entry.response = { status, body };
+}
+
+/** Request gagal: key dilepas agar bisa dicoba lagi (mis. setelah perbaikan) */
+export function releaseIdempotency(key: string, machineId: string) {
+  idempotency.delete(`${machineId}:${key}`);
+}
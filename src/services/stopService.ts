@@ -0,0 +1,206 @@
+import crypto from "node:crypto";
+import { config } from "../config.js";
+import { fetchWithTimeout } from "../utils/fetch.js";
+import { dataPath, appendJsonLine, readJsonLines } from "../utils/storage.js";
+import {
+  findCachedMachine,
+  isRecentlyStarted,
+  clearRecentStart,
+} from "./startService.js";
+import type { Machine } from "../types.js";
+
+/**
+ * Stop mesin remote: alasan wajib, tautan transaksi opsional untuk
+ * refund, dan riwayat di data/stops.jsonl (append-only).
+ */
+export const STOP_REASONS = [
+  "customer_request",
+  "machine_fault",
+  "wrong_program",
+  "payment_error",
+] as const;
+
+export type StopReason = (typeof STOP_REASONS)[number];
+
+export interface MachineStop {
+  id: string;
+  at: string;
+  machine_id: string;
+  machine_label: string | null;
+  outlet_id: string | null;
+  reason: StopReason;
+  note: string | null;
+  transaction_id: string | null; // untuk tindak lanjut refund
+  refund_status: "pending" | null;
+  elapsed_ms: number | null; // lama mesin sudah berjalan saat dihentikan
+  user_id: number | null;
+  stopped_by: string | null; // username, atau apikey:<nama>
+}
+
+/** Hook saat stop ditautkan ke transaksi (alur refund) */
+export interface StopHook {
+  name: string;
+  onRefund(stop: MachineStop): Promise<void>;
+}
+
+/** `fields`: path field → pesan untuk ditampilkan modal per input */
+export class StopError extends Error {
+  constructor(
+    message: string,
+    public status: 400 | 404 | 409 = 400,
+    public fields: Record<string, string> = {}
+  ) {
+    super(message);
+    this.name = "StopError";
+  }
+}
+
+const STOPS_FILE = () => dataPath("stops.jsonl");
+
+let writeChain: Promise<void> = Promise.resolve();
+let hooks: StopHook[] = [];
+
+/** POST JSON ke STOP_REFUND_WEBHOOK_URL */
+function webhookHook(url: string): StopHook {
+  return {
+    name: "webhook",
+    async onRefund(stop) {
+      const res = await fetchWithTimeout(url, config.stops.timeout, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ event: "machine.refund_requested", stop }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    },
+  };
+}
+
+if (config.stops.refundWebhookUrl) {
+  hooks.push(webhookHook(config.stops.refundWebhookUrl));
+}
+
+/** Tambah hook refund kustom; return fungsi untuk melepasnya */
+export function registerStopHook(hook: StopHook): () => void {
+  hooks.push(hook);
+  return () => {
+    hooks = hooks.filter((h) => h !== hook);
+  };
+}
+
+/**
+ * Validasi body stop untuk `machineId`: { reason, note?, transaction_id? }
+ * dan mesin RUNNING di cache (atau baru di-start)
+ */
+export function validateStop(
+  machineId: string,
+  body: unknown,
+  now = Date.now()
+): {
+  machine: Machine;
+  reason: StopReason;
+  note: string | null;
+  transactionId: string | null;
+} {
+  const machine = findCachedMachine(machineId);
+  if (!machine) throw new StopError("Machine not found", 404);
+
+  const input =
+    body && typeof body === "object" ? (body as Record<string, unknown>) : {};
+  const fields: Record<string, string> = {};
+  const reason = input.reason as StopReason;
+  if (!STOP_REASONS.includes(reason)) {
+    fields.reason = "Alasan wajib dipilih";
+  }
+  const note = typeof input.note === "string" ? input.note.trim() : "";
+  if (note.length > 500) fields.note = "Maksimal 500 karakter";
+  const transactionId =
+    input.transaction_id === undefined || input.transaction_id === null
+      ? ""
+      : String(input.transaction_id).trim();
+  if (transactionId.length > 100) {
+    fields.transaction_id = "Maksimal 100 karakter";
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new StopError(
+      `Invalid stop request: ${Object.keys(fields).join(", ")}`,
+      400,
+      fields
+    );
+  }
+  if (machine.status !== "RUNNING" && !isRecentlyStarted(machine.id, now)) {
+    throw new StopError("Machine is not running", 409, {
+      machine: "Mesin tidak sedang berjalan",
+    });
+  }
+
+  return {
+    machine,
+    reason,
+    note: note || null,
+    transactionId: transactionId || null,
+  };
+}
+
+/**
+ * Catat stop yang berhasil. Jika ditautkan ke transaksi, hook refund
+ * dijalankan di background (gagal hanya di-log).
+ */
+export async function recordStop(
+  machine: Machine,
+  stop: {
+    reason: StopReason;
+    note: string | null;
+    transactionId: string | null;
+    actor: { userId: number | null; username: string } | null;
+  },
+  now = Date.now()
+): Promise<MachineStop> {
+  clearRecentStart(machine.id);
+  const record: MachineStop = {
+    id: crypto.randomUUID(),
+    at: new Date(now).toISOString(),
+    machine_id: machine.id,
+    machine_label: machine.label || null,
+    outlet_id: machine.outlet_id || null,
+    reason: stop.reason,
+    note: stop.note,
+    transaction_id: stop.transactionId,
+    refund_status: stop.transactionId ? "pending" : null,
+    elapsed_ms: machine.elapsed_ms ?? null,
+    user_id: stop.actor?.userId ?? null,
+    stopped_by: stop.actor?.username ?? null,
+  };
+
+  writeChain = writeChain
+    .then(() => appendJsonLine(STOPS_FILE(), record))
+    .catch((error) => {
+      console.error("[Stops] Write failed:", error?.message || error);
+    });
+  await writeChain;
+
+  if (record.transaction_id) {
+    for (const hook of hooks) {
+      hook.onRefund(record).catch((error) => {
+        console.error(
+          `[Stops] Refund hook ${hook.name} failed:`,
+          error?.message || error
+        );
+      });
+    }
+  }
+  return record;
+}
+
+/** Riwayat stop satu mesin; terbaru dulu */
+export async function listStops(
+  machineId: string,
+  limit = 100
+): Promise<MachineStop[]> {
+  await writeChain;
+  const stops = await readJsonLines<MachineStop>(STOPS_FILE());
+  return stops
+    .filter((stop) => stop.machine_id === machineId)
+    .reverse()
+    .slice(0, limit);
+}
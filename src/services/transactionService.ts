@@ -1,5 +1,6 @@
 import { config } from "../config.js";
-import { fetchWithTimeout, createUpstreamHeaders } from "../utils/fetch.js";
+import { createUpstreamHeaders } from "../utils/fetch.js";
+import { upstreamFetch } from "../utils/upstream.js";
 import { transactionCache } from "../utils/cache.js";
 import type { TransactionSummary } from "../types.js";
 
@@ -15,6 +16,7 @@ function buildTransactionSummaryUrl(params: {
   tanggalAwal?: string;
   tanggalAkhir?: string;
   idmesin?: string;
+  outletId?: string;
 }): string {
   const {
     limit = "20",
@@ -25,6 +27,7 @@ function buildTransactionSummaryUrl(params: {
     tanggalAwal,
     tanggalAkhir,
     idmesin,
+    outletId = config.upstream.outletId,
   } = params;
 
   const base = config.upstream.base;
@@ -43,6 +46,7 @@ function buildTransactionSummaryUrl(params: {
     url += `&idmesin=${idmesin}`;
   }
 
+  url += `&idoutlet=${encodeURIComponent(outletId)}`;
   return url;
 }
 
@@ -56,6 +60,7 @@ function buildTransactionListUrl(params: {
   bulan?: string;
   tanggalAwal?: string;
   tanggalAkhir?: string;
+  outletId?: string;
 }): string {
   const {
     limit = "100",
@@ -64,6 +69,7 @@ function buildTransactionListUrl(params: {
     bulan = "2025-10",
     tanggalAwal,
     tanggalAkhir,
+    outletId = config.upstream.outletId,
   } = params;
 
   // For "max", use a very large number to get all transactions
@@ -78,6 +84,7 @@ function buildTransactionListUrl(params: {
     url += `&filter_by=bulan&bulan=${bulan}`;
   }
 
+  url += `&idoutlet=${encodeURIComponent(outletId)}`;
   return url;
 }
 
@@ -93,6 +100,7 @@ export async function fetchTransactionSummary(params: {
   tanggalAwal?: string;
   tanggalAkhir?: string;
   idmesin?: string;
+  outletId?: string;
 }): Promise<TransactionSummary> {
   const url = buildTransactionSummaryUrl(params);
   // console.log(`📊 Fetching transaction summary from: ${url}`);
@@ -101,7 +109,12 @@ export async function fetchTransactionSummary(params: {
     config.upstream.bearer,
     "dashboard/1.0"
   );
-  const res = await fetchWithTimeout(url, 10000, { headers });
+  const res = await upstreamFetch(
+    "ringkasan_transaksi_snap_konsumen",
+    url,
+    10000,
+    { headers }
+  );
 
   if (!res.ok) {
     throw new Error(`API ${res.status}`);
@@ -118,7 +131,7 @@ export async function fetchTransactionSummary(params: {
 
   // Update cache (only if not filtered by machine)
   if (!params.idmesin) {
-    transactionCache.summary.set(json);
+    transactionCache.summary.set(json, params.outletId);
   }
   return json;
 }
@@ -133,6 +146,7 @@ export async function fetchTransactionList(params: {
   bulan?: string;
   tanggalAwal?: string;
   tanggalAkhir?: string;
+  outletId?: string;
 }): Promise<any> {
   const url = buildTransactionListUrl(params);
   console.log(`📊 Fetching transactions from: ${url}`);
@@ -141,7 +155,12 @@ export async function fetchTransactionList(params: {
     config.upstream.bearer,
     "dashboard/1.0"
   );
-  const res = await fetchWithTimeout(url, 10000, { headers });
+  const res = await upstreamFetch(
+    "list_transaksi_snap_konsumen",
+    url,
+    10000,
+    { headers }
+  );
 
   if (!res.ok) {
     throw new Error(`API ${res.status}`);
@@ -151,7 +170,7 @@ export async function fetchTransactionList(params: {
   console.log(`✅ Transactions fetched: ${json.data?.length || 0} records`);
 
   // Update cache
-  transactionCache.list.set(json);
+  transactionCache.list.set(json, params.outletId);
   return json;
 }
 
@@ -170,7 +189,12 @@ export async function fetchTransactionDetail(
     config.upstream.bearer,
     "dashboard/1.0"
   );
-  const res = await fetchWithTimeout(url, 10000, { headers });
+  const res = await upstreamFetch(
+    "data_detail_transaksi_snap",
+    url,
+    10000,
+    { headers }
+  );
 
   if (!res.ok) {
     throw new Error(`API returned ${res.status}`);
@@ -0,0 +1,238 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { config } from "../config.js";
+import { dataPath, appendJsonLine, readJsonLines } from "../utils/storage.js";
+import { setNormalizeClock, setGatewayLogging } from "../normalize.js";
+
+/**
+ * Rekam respons mentah list_snap_mesin / detail_snap_mesin ke
+ * data/upstream/recording.jsonl (dirotasi per ukuran), dan replay rekaman
+ * itu (UPSTREAM_REPLAY) sebagai pengganti Smartlink.
+ */
+export interface UpstreamRecording {
+  recorded_at: string;
+  endpoint: "list_snap_mesin" | "detail_snap_mesin";
+  outlet: string;
+  machine_id?: string; // detail_snap_mesin
+  status: number;
+  body: any;
+}
+
+type SnapEndpoint = UpstreamRecording["endpoint"];
+
+const RECORDING_FILE = () => dataPath("upstream/recording.jsonl");
+
+let recordingBytes = 0;
+let writeChain: Promise<void> = Promise.resolve();
+
+// Replay: rekaman urut waktu + jam virtual
+let replayEntries: (UpstreamRecording & { ts: number })[] = [];
+let replayStart = 0; // waktu rekaman saat replay dimulai
+let replayWallStart = 0;
+let replayTimer: NodeJS.Timeout | null = null;
+
+export function isRecording(): boolean {
+  return config.upstream.record.enabled && !isReplayMode();
+}
+
+export function isReplayMode(): boolean {
+  return !!config.upstream.replay.path;
+}
+
+/** Waktu rekaman yang sedang diputar (ms) */
+export function getReplayTime(): number {
+  return (
+    replayStart +
+    (Date.now() - replayWallStart) * config.upstream.replay.speed
+  );
+}
+
+/** recording.jsonl → recording.1.jsonl → ... ; yang terlama dibuang */
+async function rotate() {
+  const { maxFiles } = config.upstream.record;
+  const file = RECORDING_FILE();
+  const rotated = (n: number) => file.replace(/\.jsonl$/, `.${n}.jsonl`);
+
+  await fs.rm(rotated(maxFiles), { force: true });
+  for (let n = maxFiles - 1; n >= 1; n -= 1) {
+    await fs.rename(rotated(n), rotated(n + 1)).catch(() => undefined);
+  }
+  if (maxFiles >= 1) {
+    await fs.rename(file, rotated(1)).catch(() => undefined);
+  } else {
+    await fs.rm(file, { force: true });
+  }
+  recordingBytes = 0;
+}
+
+function queryOf(url: string) {
+  return new URL(url, "http://upstream.local").searchParams;
+}
+
+/**
+ * Simpan satu respons (non-blocking). `res` harus clone karena body
+ * respons asli dibaca oleh caller.
+ */
+export function recordUpstreamResponse(
+  endpoint: SnapEndpoint,
+  url: string,
+  res: Response
+): void {
+  const query = queryOf(url);
+  writeChain = writeChain
+    .then(async () => {
+      const text = await res.text();
+      let body: any;
+      try {
+        body = JSON.parse(text);
+      } catch {
+        body = text;
+      }
+
+      const record: UpstreamRecording = {
+        recorded_at: new Date().toISOString(),
+        endpoint,
+        outlet: query.get("idoutlet") || "",
+        ...(query.get("idsnap_mesin")
+          ? { machine_id: query.get("idsnap_mesin")! }
+          : {}),
+        status: res.status,
+        body,
+      };
+      const size = Buffer.byteLength(JSON.stringify(record)) + 1;
+      if (recordingBytes + size > config.upstream.record.maxBytes) {
+        await rotate();
+      }
+      await appendJsonLine(RECORDING_FILE(), record);
+      recordingBytes += size;
+    })
+    .catch((error) => {
+      console.error("[Recorder] Write failed:", error?.message || error);
+    });
+}
+
+/**
+ * Respons rekaman terakhir (≤ jam replay) untuk URL Smartlink. Tidak ada
+ * rekaman → 404, seperti upstream yang belum punya data.
+ */
+export function replayUpstream(endpoint: SnapEndpoint, url: string): Response {
+  const query = queryOf(url);
+  const outlet = query.get("idoutlet") || "";
+  const machineId = query.get("idsnap_mesin");
+  const now = getReplayTime();
+
+  let found: UpstreamRecording | null = null;
+  for (const entry of replayEntries) {
+    if (entry.ts > now) break;
+    if (
+      entry.endpoint === endpoint &&
+      entry.outlet === outlet &&
+      (!machineId || entry.machine_id === machineId)
+    ) {
+      found = entry;
+    }
+  }
+
+  if (!found) {
+    return Response.json({ message: "No recording yet" }, { status: 404 });
+  }
+  return Response.json(found.body, { status: found.status });
+}
+
+/** File .jsonl, atau direktori berisi recording*.jsonl */
+async function loadReplay(source: string) {
+  const stat = await fs.stat(source);
+  const files = stat.isDirectory()
+    ? (await fs.readdir(source))
+        .filter((f) => f.endsWith(".jsonl"))
+        .map((f) => path.join(source, f))
+    : [source];
+
+  const entries: (UpstreamRecording & { ts: number })[] = [];
+  for (const file of files) {
+    for (const entry of await readJsonLines<UpstreamRecording>(file)) {
+      const ts = Date.parse(entry.recorded_at);
+      if (Number.isFinite(ts) && entry.endpoint) entries.push({ ...entry, ts });
+    }
+  }
+  return entries.sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Siapkan recorder (ukuran file aktif) atau muat rekaman replay.
+ * Replay memakai jam rekaman untuk normalize dan tidak mengirim log
+ * status-change ke gateway.
+ */
+export async function initUpstreamRecorder(): Promise<void> {
+  if (isReplayMode()) {
+    const { path: source, speed, from } = config.upstream.replay;
+    replayEntries = await loadReplay(source);
+    if (replayEntries.length === 0) {
+      throw new Error(`No upstream recordings found in ${source}`);
+    }
+
+    const first = replayEntries[0].ts;
+    const fromTs = from ? Date.parse(from) : NaN;
+    replayStart = Number.isFinite(fromTs) ? fromTs : first;
+    replayWallStart = Date.now();
+    setNormalizeClock(getReplayTime);
+    setGatewayLogging(false);
+
+    const outlets = new Set(replayEntries.map((e) => e.outlet));
+    const missing = config.outlets.filter((o) => !outlets.has(o.id));
+    if (missing.length > 0) {
+      console.warn(
+        `⚠️ [Replay] No recordings for outlet ${missing
+          .map((o) => o.id)
+          .join(", ")}; recorded: ${[...outlets].join(", ")}`
+      );
+    }
+    console.log(
+      `▶️ [Replay] ${replayEntries.length} recordings from ${new Date(
+        replayStart
+      ).toISOString()} at ${speed}x`
+    );
+    return;
+  }
+
+  if (isRecording()) {
+    recordingBytes = await fs
+      .stat(RECORDING_FILE())
+      .then((s) => s.size)
+      .catch(() => 0);
+    console.log(`⏺️ [Recorder] Recording upstream to ${RECORDING_FILE()}`);
+  }
+}
+
+/**
+ * Panggil `onList(outlet)` tepat saat tiap rekaman list_snap_mesin
+ * tercapai oleh jam replay, agar setiap payload lewat normalize() sekali.
+ */
+export function startReplay(onList: (outlet: string) => unknown): void {
+  if (!isReplayMode() || replayTimer) return;
+  const { speed } = config.upstream.replay;
+  const lists = replayEntries.filter(
+    (e) => e.endpoint === "list_snap_mesin" && e.ts > getReplayTime()
+  );
+
+  let index = 0;
+  const scheduleNext = () => {
+    const entry = lists[index];
+    if (!entry) {
+      replayTimer = null;
+      console.log("⏹️ [Replay] Reached end of recording");
+      return;
+    }
+    const delay = Math.max(0, (entry.ts - getReplayTime()) / speed);
+    replayTimer = setTimeout(async () => {
+      index += 1;
+      try {
+        await onList(entry.outlet);
+      } catch (error: any) {
+        console.error("[Replay] Refresh failed:", error?.message || error);
+      }
+      scheduleNext();
+    }, delay);
+  };
+  scheduleNext();
+}
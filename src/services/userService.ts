@@ -0,0 +1,330 @@
+import bcrypt from "bcryptjs";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+import { isRole, normalizeRole, roleRank, type Role } from "../permissions.js";
+
+/**
+ * User store (data/users.json). Saat file belum ada, diisi dari env lama
+ * ADMIN_USERNAME/ADMIN_PASSWORD_HASH (owner) dan USER_USERNAME/
+ * USER_PASSWORD_HASH (staff).
+ */
+export interface StoredUser {
+  id: number;
+  username: string;
+  name: string;
+  role: Role;
+  password_hash: string;
+  disabled: boolean;
+  created_at: string;
+  updated_at: string;
+  password_changed_at: string | null;
+  session_version: number; // naik → semua token lama tidak berlaku
+}
+
+export type PublicUser = Omit<StoredUser, "password_hash">;
+
+/** User yang melakukan aksi (dari token) */
+export interface Actor {
+  userId: number;
+  role: string;
+}
+
+export class UserError extends Error {
+  constructor(
+    message: string,
+    public status: 400 | 403 | 404 | 409 = 400
+  ) {
+    super(message);
+    this.name = "UserError";
+  }
+}
+
+const USERS_FILE = () => dataPath("users.json");
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const BCRYPT_ROUNDS = 10;
+
+let users: StoredUser[] | null = null;
+let writeChain: Promise<void> = Promise.resolve();
+
+function persist() {
+  const snapshot = [...(users || [])];
+  writeChain = writeChain
+    .then(() => writeJsonFile(USERS_FILE(), snapshot))
+    .catch((error) => {
+      console.error("[Users] Write failed:", error?.message || error);
+    });
+  return writeChain;
+}
+
+function store(): StoredUser[] {
+  if (!users) throw new Error("User store not loaded");
+  return users;
+}
+
+export function toPublicUser(user: StoredUser): PublicUser {
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+/** Bootstrap dari env: user dengan username + hash lengkap saja */
+function usersFromEnv(): StoredUser[] {
+  const now = new Date().toISOString();
+  const seeds: [string | undefined, string | undefined, Role][] = [
+    [process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD_HASH, "owner"],
+    [process.env.USER_USERNAME, process.env.USER_PASSWORD_HASH, "staff"],
+  ];
+  return seeds
+    .filter(([username, hash]) => username && hash)
+    .map(([username, hash, role], i) => ({
+      id: i + 1,
+      username: username!.trim().toLowerCase(),
+      name: username!,
+      role,
+      password_hash: hash!,
+      disabled: false,
+      created_at: now,
+      updated_at: now,
+      password_changed_at: null,
+      session_version: 0,
+    }));
+}
+
+/**
+ * Load user store; file belum ada → bootstrap dari env dan simpan
+ */
+export async function initUserStore(): Promise<void> {
+  if (users) return;
+  let loaded: StoredUser[] | null;
+  try {
+    loaded = await readJsonFile<StoredUser[] | null>(USERS_FILE(), null);
+  } catch (error: any) {
+    // File rusak: jangan timpa, tetap izinkan login dari env
+    console.error("[Users] Failed to load users:", error?.message);
+    users = usersFromEnv();
+    return;
+  }
+
+  if (loaded) {
+    users = loaded.map((u) => ({
+      ...u,
+      role: normalizeRole(u.role),
+      session_version: u.session_version ?? 0,
+    }));
+  } else {
+    users = usersFromEnv();
+    if (users.length > 0) await persist();
+  }
+  console.log(`✅ Users loaded: ${users.length} accounts`);
+}
+
+export function isUserStoreLoaded(): boolean {
+  return users !== null;
+}
+
+export function getUserById(id: number): StoredUser | null {
+  return users?.find((u) => u.id === id) || null;
+}
+
+export function listUsers(): PublicUser[] {
+  return store().map(toPublicUser);
+}
+
+/** User aktif dengan password cocok; selain itu null */
+export async function verifyCredentials(
+  username: string,
+  password: string
+): Promise<StoredUser | null> {
+  if (!users) await initUserStore(); // serverless: login sebelum start()
+  const user = store().find(
+    (u) => u.username === String(username).trim().toLowerCase()
+  );
+  if (!user || user.disabled) return null;
+  return (await bcrypt.compare(password, user.password_hash)) ? user : null;
+}
+
+function validatePassword(password: unknown): string {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserError(
+      `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+  return password;
+}
+
+function validateRole(role: unknown): Role {
+  if (!isRole(role)) {
+    throw new UserError("role must be one of: owner, manager, staff, viewer");
+  }
+  return role;
+}
+
+/**
+ * Owner boleh mengelola semua akun; role lain hanya akun (dan role) di
+ * bawahnya
+ */
+function assertCanManage(actor: Actor, role: Role) {
+  const actorRole = normalizeRole(actor.role);
+  if (actorRole === "owner") return;
+  if (roleRank(role) >= roleRank(actorRole)) {
+    throw new UserError(`A ${actorRole} cannot manage ${role} accounts`, 403);
+  }
+}
+
+function findUser(id: number): StoredUser {
+  const user = store().find((u) => u.id === id);
+  if (!user) throw new UserError("User not found", 404);
+  return user;
+}
+
+/** Owner aktif terakhir tidak boleh hilang */
+function assertKeepsOwner(user: StoredUser, next: Partial<StoredUser>) {
+  const losesOwner =
+    user.role === "owner" &&
+    !user.disabled &&
+    ((next.role && next.role !== "owner") || next.disabled === true);
+  if (!losesOwner) return;
+  const owners = store().filter((u) => u.role === "owner" && !u.disabled);
+  if (owners.length <= 1) {
+    throw new UserError("At least one active owner is required", 409);
+  }
+}
+
+export async function createUser(
+  actor: Actor,
+  input: {
+    username?: unknown;
+    password?: unknown;
+    role?: unknown;
+    name?: unknown;
+  }
+): Promise<PublicUser> {
+  const username = String(input.username ?? "")
+    .trim()
+    .toLowerCase();
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new UserError(
+      "username must be 3-32 characters: a-z, 0-9, '.', '_' or '-'"
+    );
+  }
+  const role = validateRole(input.role ?? "staff");
+  const password = validatePassword(input.password);
+  assertCanManage(actor, role);
+
+  const list = store();
+  if (list.some((u) => u.username === username)) {
+    throw new UserError("Username already exists", 409);
+  }
+
+  const now = new Date().toISOString();
+  const user: StoredUser = {
+    id: list.reduce((max, u) => Math.max(max, u.id), 0) + 1,
+    username,
+    name: String(input.name ?? "").trim() || username,
+    role,
+    password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+    disabled: false,
+    created_at: now,
+    updated_at: now,
+    password_changed_at: null,
+    session_version: 0,
+  };
+  list.push(user);
+  await persist();
+  return toPublicUser(user);
+}
+
+/** Ubah nama, role atau status disabled */
+export async function updateUser(
+  actor: Actor,
+  id: number,
+  input: { name?: unknown; role?: unknown; disabled?: unknown }
+): Promise<PublicUser> {
+  const user = findUser(id);
+  assertCanManage(actor, user.role);
+
+  const next: Partial<StoredUser> = {};
+  if (input.name !== undefined) {
+    next.name = String(input.name).trim() || user.username;
+  }
+  if (input.role !== undefined) {
+    next.role = validateRole(input.role);
+    assertCanManage(actor, next.role);
+  }
+  if (input.disabled !== undefined) {
+    if (typeof input.disabled !== "boolean") {
+      throw new UserError("disabled must be a boolean");
+    }
+    if (input.disabled && user.id === actor.userId) {
+      throw new UserError("You cannot disable your own account", 409);
+    }
+    next.disabled = input.disabled;
+  }
+  assertKeepsOwner(user, next);
+
+  Object.assign(user, next, { updated_at: new Date().toISOString() });
+  await persist();
+  return toPublicUser(user);
+}
+
+async function setPassword(user: StoredUser, password: string) {
+  const now = new Date().toISOString();
+  user.password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  user.password_changed_at = now;
+  user.session_version += 1;
+  user.updated_at = now;
+  await persist();
+}
+
+/** Reset password user lain (admin); sesi lama user itu berakhir */
+export async function resetPassword(
+  actor: Actor,
+  id: number,
+  password: unknown
+): Promise<PublicUser> {
+  const user = findUser(id);
+  assertCanManage(actor, user.role);
+  await setPassword(user, validatePassword(password));
+  return toPublicUser(user);
+}
+
+/** Ganti password sendiri; password lama wajib benar */
+export async function changePassword(
+  id: number,
+  currentPassword: unknown,
+  newPassword: unknown
+): Promise<StoredUser> {
+  const user = findUser(id);
+  const valid =
+    typeof currentPassword === "string" &&
+    (await bcrypt.compare(currentPassword, user.password_hash));
+  if (!valid) throw new UserError("Current password is incorrect", 403);
+  await setPassword(user, validatePassword(newPassword));
+  return user;
+}
+
+/**
+ * Akhiri semua sesi user (session_version naik): access token dan refresh
+ * token lama langsung tidak berlaku. User sendiri atau yang mengelolanya.
+ */
+export async function endAllSessions(
+  actor: Actor,
+  id: number
+): Promise<PublicUser> {
+  const user = findUser(id);
+  if (user.id !== actor.userId) assertCanManage(actor, user.role);
+  user.session_version += 1;
+  user.updated_at = new Date().toISOString();
+  await persist();
+  return toPublicUser(user);
+}
+
+export async function deleteUser(actor: Actor, id: number): Promise<void> {
+  const user = findUser(id);
+  assertCanManage(actor, user.role);
+  if (user.id === actor.userId) {
+    throw new UserError("You cannot delete your own account", 409);
+  }
+  assertKeepsOwner(user, { disabled: true });
+  users = store().filter((u) => u !== user);
+  await persist();
+}
@@ -6,8 +6,17 @@ export interface MachineSnapshot {
   };
   meta: {
     ts: string;
+    // Data mesin terakhir berhasil diambil; refresh gagal hanya memperbarui ts
+    fetched_at?: string;
     stale: boolean;
     version: string;
+    outlet?: string; // id outlet, atau "all" untuk snapshot gabungan
+    outlets?: string[]; // outlet yang tergabung (snapshot gabungan)
+    upstream?: {
+      state: "closed" | "open" | "half-open"; // circuit breaker Smartlink
+      retry_at: string | null;
+    };
+    replay_at?: string; // waktu rekaman yang diputar (UPSTREAM_REPLAY)
     timezone?: string;
     utc_offset?: string;
     screen_info?: {
@@ -26,13 +35,24 @@ export interface Machine {
   type: "washer" | "dryer";
   label: string;
   slot: string;
+  outlet_id?: string;
   status: "READY" | "RUNNING" | "OFFLINE";
   updated_at: string | null;
   aid?: string;
   tl?: number;
   dur?: number;
+  elapsed_ms?: number;
+  start_time?: number;
+  eta_at?: string | null; // perkiraan selesai (ISO), hanya RUNNING
+  eta_confidence?: EtaConfidence | null;
 }
 
+/**
+ * high = dari tl/dur mesin, medium = riwayat mesin itu sendiri,
+ * low = riwayat brand/tipe
+ */
+export type EtaConfidence = "high" | "medium" | "low";
+
 export interface MachineSummary {
   total: number;
   ready: number;
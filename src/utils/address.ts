@@ -0,0 +1,100 @@
+import dns from "node:dns/promises";
+import net from "node:net";
+
+/**
+ * Cek alamat privat/lokal untuk URL yang diisi pengguna (webhook
+ * pelanggan) agar server tidak bisa disuruh mengirim request ke LAN.
+ */
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // CGNAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3], // multicast + reserved
+] as const) {
+  BLOCKED.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+] as const) {
+  BLOCKED.addSubnet(address, prefix, "ipv6");
+}
+
+/** IPv6 → 8 grup 16-bit; ekor dotted-quad (::ffff:1.2.3.4) ikut diurai */
+function ipv6Groups(address: string): number[] {
+  let text = address.toLowerCase().replace(/%.*$/, "");
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split(".").map(Number);
+    const hex = (x: number, y: number) => ((x << 8) | y).toString(16);
+    text = text.slice(0, -dotted[1].length) + `${hex(a, b)}:${hex(c, d)}`;
+  }
+  const [head, rest] = text.split("::");
+  const left = head ? head.split(":") : [];
+  const right = rest ? rest.split(":") : [];
+  const fill =
+    rest === undefined ? [] : Array(8 - left.length - right.length).fill("0");
+  return [...left, ...fill, ...right].map((g) => parseInt(g, 16));
+}
+
+/**
+ * IPv4 yang dibungkus IPv6 → alamat IPv4-nya, selain itu null. Mencakup
+ * mapped (::ffff:a.b.c.d, juga ditulis ::ffff:7f00:1), compatible lama
+ * (::a.b.c.d), translated (::ffff:0:a.b.c.d) dan NAT64 (64:ff9b::/96).
+ */
+function embeddedIpv4(address: string): string | null {
+  const g = ipv6Groups(address);
+  const zero = (from: number, to: number) =>
+    g.slice(from, to).every((x) => x === 0);
+  const wrapped =
+    (zero(0, 5) && (g[5] === 0xffff || (g[5] === 0 && g[6] !== 0))) ||
+    (zero(0, 4) && g[4] === 0xffff && g[5] === 0) ||
+    (g[0] === 0x64 && g[1] === 0xff9b && zero(2, 6));
+  if (!wrapped) return null;
+  return [g[6] >> 8, g[6] & 255, g[7] >> 8, g[7] & 255].join(".");
+}
+
+/** Alamat IP literal privat, loopback, link-local atau reserved */
+export function isPrivateAddress(address: string): boolean {
+  const host = address.replace(/^\[|\]$/g, "");
+  const version = net.isIP(host);
+  if (version === 4) return BLOCKED.check(host, "ipv4");
+  if (version !== 6) return false;
+  const ipv4 = embeddedIpv4(host);
+  if (ipv4) return BLOCKED.check(ipv4, "ipv4");
+  return BLOCKED.check(host, "ipv6");
+}
+
+/** Hostname lokal (localhost, *.localhost) atau IP literal privat */
+export function isPrivateHost(hostname: string): boolean {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  return isPrivateAddress(host);
+}
+
+/**
+ * Resolve hostname saat request akan dikirim; error jika salah satu
+ * alamatnya privat (nama DNS yang menunjuk ke LAN)
+ */
+export async function assertPublicHost(hostname: string): Promise<void> {
+  if (isPrivateHost(hostname)) {
+    throw new Error(`${hostname} is a private address`);
+  }
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return;
+  const addresses = await dns.lookup(host, { all: true, verbatim: true });
+  const blocked = addresses.find((a) => isPrivateAddress(a.address));
+  if (blocked) {
+    throw new Error(`${hostname} resolves to private ${blocked.address}`);
+  }
+}
@@ -1,84 +1,95 @@
+import { config } from "../config.js";
 import type {
   MachineSnapshot,
   TransactionSummary,
   LeaderboardResponse,
 } from "../types.js";
 
+// Semua cache di-key per outlet; tanpa argumen = outlet default
+const defaultKey = () => config.upstream.outletId;
+
 // Machine snapshot cache
-let machineSnapshot: MachineSnapshot | null = null;
-let lastMachineSuccessTime: number | null = null;
+const machineSnapshots = new Map<string, MachineSnapshot>();
+const lastMachineSuccessTimes = new Map<string, number>();
 
 // Transaction cache
-let dashboardSummaryCache: TransactionSummary | null = null;
-let dashboardTransactionsCache: any = null;
-let lastDashboardSuccessTime: number | null = null;
+const dashboardSummaryCache = new Map<string, TransactionSummary>();
+const dashboardTransactionsCache = new Map<string, any>();
+const lastDashboardSuccessTimes = new Map<string, number>();
 
 // Leaderboard cache
-let frequencyLeaderboardCache: LeaderboardResponse | null = null;
-let revenueLeaderboardCache: LeaderboardResponse | null = null;
-let lastLeaderboardSuccessTime: number | null = null;
+const frequencyLeaderboardCache = new Map<string, LeaderboardResponse>();
+const revenueLeaderboardCache = new Map<string, LeaderboardResponse>();
+const lastLeaderboardSuccessTimes = new Map<string, number>();
 
 // Events leaderboard cache
-let eventsLeaderboardCacheData: any = null;
-let lastEventsLeaderboardSuccessTime: number | null = null;
+const eventsLeaderboardCacheData = new Map<string, any>();
+const lastEventsLeaderboardSuccessTimes = new Map<string, number>();
 
 // Machine snapshot
 export const machineCache = {
-  get: () => machineSnapshot,
-  set: (snapshot: MachineSnapshot) => {
-    machineSnapshot = snapshot;
-    lastMachineSuccessTime = Date.now();
+  get: (outlet = defaultKey()) => machineSnapshots.get(outlet) || null,
+  set: (snapshot: MachineSnapshot, outlet = defaultKey()) => {
+    machineSnapshots.set(outlet, snapshot);
+    lastMachineSuccessTimes.set(outlet, Date.now());
   },
-  getLastSuccessTime: () => lastMachineSuccessTime,
-  setLastSuccessTime: (time: number) => {
-    lastMachineSuccessTime = time;
+  getLastSuccessTime: (outlet = defaultKey()) =>
+    lastMachineSuccessTimes.get(outlet) ?? null,
+  setLastSuccessTime: (time: number, outlet = defaultKey()) => {
+    lastMachineSuccessTimes.set(outlet, time);
   },
 };
 
 // Transaction cache
 export const transactionCache = {
   summary: {
-    get: () => dashboardSummaryCache,
-    set: (data: TransactionSummary) => {
-      dashboardSummaryCache = data;
-      lastDashboardSuccessTime = Date.now();
+    get: (outlet = defaultKey()) => dashboardSummaryCache.get(outlet) || null,
+    set: (data: TransactionSummary, outlet = defaultKey()) => {
+      dashboardSummaryCache.set(outlet, data);
+      lastDashboardSuccessTimes.set(outlet, Date.now());
     },
   },
   list: {
-    get: () => dashboardTransactionsCache,
-    set: (data: any) => {
-      dashboardTransactionsCache = data;
-      lastDashboardSuccessTime = Date.now();
+    get: (outlet = defaultKey()) =>
+      dashboardTransactionsCache.get(outlet) || null,
+    set: (data: any, outlet = defaultKey()) => {
+      dashboardTransactionsCache.set(outlet, data);
+      lastDashboardSuccessTimes.set(outlet, Date.now());
     },
   },
-  getLastSuccessTime: () => lastDashboardSuccessTime,
+  getLastSuccessTime: (outlet = defaultKey()) =>
+    lastDashboardSuccessTimes.get(outlet) ?? null,
 };
 
 // Leaderboard cache
 export const leaderboardCache = {
   frequency: {
-    get: () => frequencyLeaderboardCache,
-    set: (data: LeaderboardResponse) => {
-      frequencyLeaderboardCache = data;
-      lastLeaderboardSuccessTime = Date.now();
+    get: (outlet = defaultKey()) =>
+      frequencyLeaderboardCache.get(outlet) || null,
+    set: (data: LeaderboardResponse, outlet = defaultKey()) => {
+      frequencyLeaderboardCache.set(outlet, data);
+      lastLeaderboardSuccessTimes.set(outlet, Date.now());
     },
   },
   revenue: {
-    get: () => revenueLeaderboardCache,
-    set: (data: LeaderboardResponse) => {
-      revenueLeaderboardCache = data;
-      lastLeaderboardSuccessTime = Date.now();
+    get: (outlet = defaultKey()) => revenueLeaderboardCache.get(outlet) || null,
+    set: (data: LeaderboardResponse, outlet = defaultKey()) => {
+      revenueLeaderboardCache.set(outlet, data);
+      lastLeaderboardSuccessTimes.set(outlet, Date.now());
     },
   },
-  getLastSuccessTime: () => lastLeaderboardSuccessTime,
+  getLastSuccessTime: (outlet = defaultKey()) =>
+    lastLeaderboardSuccessTimes.get(outlet) ?? null,
 };
 
 // Events leaderboard cache
 export const eventsLeaderboardCache = {
-  get: () => eventsLeaderboardCacheData,
-  set: (data: any) => {
-    eventsLeaderboardCacheData = data;
-    lastEventsLeaderboardSuccessTime = Date.now();
+  get: (outlet = defaultKey()) =>
+    eventsLeaderboardCacheData.get(outlet) || null,
+  set: (data: any, outlet = defaultKey()) => {
+    eventsLeaderboardCacheData.set(outlet, data);
+    lastEventsLeaderboardSuccessTimes.set(outlet, Date.now());
   },
-  getLastSuccessTime: () => lastEventsLeaderboardSuccessTime,
+  getLastSuccessTime: (outlet = defaultKey()) =>
+    lastEventsLeaderboardSuccessTimes.get(outlet) ?? null,
 };
@@ -0,0 +1,15 @@
+/**
+ * Parse batas rentang tanggal. "YYYY-MM-DD" dianggap tanggal Asia/Jakarta;
+ * untuk batas akhir, seluruh hari ikut terhitung.
+ */
+export function parseBoundary(
+  value: string,
+  endOfDay: boolean
+): number | null {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const time = endOfDay ? "T23:59:59.999+07:00" : "T00:00:00.000+07:00";
+    return new Date(value + time).getTime();
+  }
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
@@ -0,0 +1,77 @@
+import { config } from "../config.js";
+
+/** Nilai query `outlet` untuk tampilan gabungan semua outlet */
+export const ALL_OUTLETS = "all";
+
+export function getOutlets(): { id: string; name: string }[] {
+  return config.outlets;
+}
+
+export function getDefaultOutletId(): string {
+  return config.upstream.outletId;
+}
+
+export function isKnownOutlet(id: string): boolean {
+  return config.outlets.some((outlet) => outlet.id === id);
+}
+
+/**
+ * Resolve query `outlet`: kosong = outlet default, "all" = gabungan,
+ * id tak dikenal = null (route balas 400).
+ */
+export function resolveOutletParam(value: string | undefined): string | null {
+  if (!value) return getDefaultOutletId();
+  if (value === ALL_OUTLETS) return ALL_OUTLETS;
+  return isKnownOutlet(value) ? value : null;
+}
+
+/** Id outlet untuk `outlet_id` gateway; "all" = semua outlet */
+export function gatewayOutletIds(outlet: string): string[] {
+  return outlet === ALL_OUTLETS ? config.outlets.map((o) => o.id) : [outlet];
+}
+
+/**
+ * Gateway menerima satu `outlet_id` per request, jadi tampilan gabungan
+ * di-fetch per outlet (paralel). Satu outlet gagal → semuanya gagal, agar
+ * total tidak diam-diam kurang satu outlet.
+ */
+export function fetchPerOutlet<T>(
+  outlet: string,
+  fetchOne: (outletId: string) => Promise<T>
+): Promise<T[]> {
+  return Promise.all(gatewayOutletIds(outlet).map((id) => fetchOne(id)));
+}
+
+/**
+ * Gabung JSON gateway dari beberapa outlet: angka dijumlah, array
+ * disambung, objek digabung per key; nilai lain diambil dari outlet
+ * pertama yang punya nilai.
+ */
+export function mergeOutletJson(parts: any[]): any {
+  const present = parts.filter((part) => part !== undefined && part !== null);
+  const [first] = present;
+  if (present.length < 2) return first;
+  if (present.every((part) => typeof part === "number")) {
+    return present.reduce((sum, part) => sum + part, 0);
+  }
+  if (present.every(Array.isArray)) return present.flat();
+  const isPlainObject = (part: any) =>
+    typeof part === "object" && !Array.isArray(part);
+  if (!present.every(isPlainObject)) return first;
+
+  const keys = new Set(present.flatMap((part) => Object.keys(part)));
+  return Object.fromEntries(
+    [...keys].map((key) => [
+      key,
+      mergeOutletJson(present.map((part) => part[key])),
+    ])
+  );
+}
+
+export function unknownOutletResponse(value: string | undefined) {
+  return {
+    success: false,
+    error: "Unknown outlet",
+    message: `Outlet "${value}" is not configured`,
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Normalisasi nomor telepon Indonesia ke E.164 (`+62...`) sebagai kunci
+ * pelanggan. Menerima 0812..., 62812..., +62 812-..., 812..., 0062...
+ * dan nomor kantor (021...). Bukan nomor Indonesia yang valid → null.
+ */
+export function normalizePhone(raw: unknown): string | null {
+  if (typeof raw !== "string" && typeof raw !== "number") return null;
+  let digits = String(raw).trim().replace(/[\s().\-/]/g, "");
+  if (digits.startsWith("+")) digits = digits.slice(1);
+  else if (digits.startsWith("00")) digits = digits.slice(2);
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (digits.startsWith("62")) digits = digits.slice(2);
+  // "0812", atau "+62 (0)812" yang sering tertulis di kartu nama
+  digits = digits.replace(/^0+/, "");
+  // HP 8xx: 9-12 digit; telepon kantor (kode area 2-9): 7-12 digit
+  if (!/^[2-9]\d{6,11}$/.test(digits)) return null;
+  return `+62${digits}`;
+}
+
+/**
+ * Bentuk pencarian dari potongan nomor yang diketik (mis. "0812 34"):
+ * digit saja, awalan 0/62 diganti 62 agar cocok dengan hasil
+ * normalizePhone() tanpa "+"
+ */
+export function phoneSearchDigits(raw: string): string {
+  const digits = raw.replace(/\D/g, "");
+  if (digits.startsWith("62")) return digits;
+  if (digits.startsWith("0")) return `62${digits.slice(1)}`;
+  return digits;
+}
@@ -0,0 +1,32 @@
+import { config } from "../config.js";
+
+/**
+ * IP client untuk batas login dan audit. Header proxy hanya dipercaya jika
+ * TRUST_PROXY_HOPS > 0: nilai paling kiri X-Forwarded-For diisi client
+ * (bisa dipalsukan), jadi yang dipakai adalah alamat yang ditambahkan
+ * proxy kita sendiri, dihitung dari kanan. Tanpa proxy → alamat socket.
+ */
+export function getClientIp(c: any): string | null {
+  const hops = config.trustProxyHops;
+  if (hops > 0) {
+    const chain = (c.req.header("X-Forwarded-For") || "")
+      .split(",")
+      .map((ip: string) => ip.trim())
+      .filter(Boolean);
+    if (chain.length > 0) return chain[Math.max(chain.length - hops, 0)];
+    const realIp = c.req.header("X-Real-IP")?.trim();
+    if (realIp) return realIp;
+  }
+  return c.env?.incoming?.socket?.remoteAddress || null;
+}
+
+/** Info perangkat untuk daftar sesi login */
+export function getClientMeta(c: any): {
+  userAgent: string | null;
+  ip: string | null;
+} {
+  return {
+    userAgent: c.req.header("User-Agent") || null,
+    ip: getClientIp(c),
+  };
+}
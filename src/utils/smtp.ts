@@ -0,0 +1,215 @@
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+
+export interface SmtpOptions {
+  host: string;
+  port: number;
+  secure: boolean; // TLS langsung (465); selain itu STARTTLS jika ada
+  user?: string;
+  pass?: string;
+  // AUTH tanpa TLS (password terkirim polos); hanya untuk relay lokal
+  allowInsecureAuth?: boolean;
+  timeout: number;
+}
+
+export interface MailMessage {
+  from: string;
+  to: string[];
+  subject: string;
+  text: string;
+}
+
+type Reply = { code: number; lines: string[] };
+
+/**
+ * Klien SMTP minimal untuk email alert (teks biasa, AUTH PLAIN).
+ */
+class SmtpConnection {
+  private buffer = "";
+  private pending: Reply["lines"] = [];
+  private waiter: ((reply: Reply) => void) | null = null;
+  private failure: Error | null = null;
+  private replies: Reply[] = [];
+
+  constructor(private socket: net.Socket) {
+    this.attach(socket);
+  }
+
+  private attach(socket: net.Socket) {
+    this.socket = socket;
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk: string) => this.onData(chunk));
+    socket.on("error", (error) => this.fail(error));
+    socket.on("timeout", () => this.fail(new Error("SMTP timeout")));
+  }
+
+  private onData(chunk: string) {
+    this.buffer += chunk;
+    let index: number;
+    while ((index = this.buffer.indexOf("\r\n")) >= 0) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.pending.push(line.slice(4));
+      // "250-..." = lanjut, "250 ..." = baris terakhir
+      if (line[3] !== "-") {
+        const reply = { code: Number(line.slice(0, 3)), lines: this.pending };
+        this.pending = [];
+        if (this.waiter) {
+          const waiter = this.waiter;
+          this.waiter = null;
+          waiter(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  private fail(error: Error) {
+    this.failure = error;
+    this.socket.destroy();
+    if (this.waiter) {
+      const waiter = this.waiter;
+      this.waiter = null;
+      waiter({ code: 0, lines: [error.message] });
+    }
+  }
+
+  read(): Promise<Reply> {
+    const queued = this.replies.shift();
+    if (queued) return Promise.resolve(queued);
+    if (this.failure) return Promise.reject(this.failure);
+    return new Promise((resolve, reject) => {
+      this.waiter = (reply) =>
+        reply.code === 0 ? reject(this.failure) : resolve(reply);
+    });
+  }
+
+  /** Kirim perintah; reply di luar `expect` → error */
+  async command(line: string | null, expect: number): Promise<Reply> {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (reply.code !== expect) {
+      const shown = line?.startsWith("AUTH") ? "AUTH" : line;
+      throw new Error(
+        `SMTP ${shown ?? "greeting"}: ${reply.code} ${reply.lines.join(" ")}`
+      );
+    }
+    return reply;
+  }
+
+  /** Upgrade ke TLS setelah STARTTLS */
+  startTls(host: string, timeout: number): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this.socket.removeAllListeners("data");
+      const secure = tls.connect({ socket: this.socket, servername: host });
+      secure.setTimeout(timeout);
+      secure.once("secureConnect", () => {
+        this.attach(secure);
+        resolve();
+      });
+      secure.once("error", reject);
+    });
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+function connect(options: SmtpOptions): Promise<net.Socket> {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({
+          host: options.host,
+          port: options.port,
+          servername: options.host,
+        })
+      : net.connect({ host: options.host, port: options.port });
+    socket.setTimeout(options.timeout);
+    socket.once(options.secure ? "secureConnect" : "connect", () =>
+      resolve(socket)
+    );
+    socket.once("error", reject);
+    socket.once("timeout", () => {
+      socket.destroy();
+      reject(new Error("SMTP connect timeout"));
+    });
+  });
+}
+
+/** Header RFC 2047 untuk subject non-ASCII */
+function encodeHeader(value: string): string {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+function buildMessage(message: MailMessage): string {
+  const body = message.text
+    .replace(/\r?\n/g, "\r\n")
+    // dot-stuffing (RFC 5321 4.5.2)
+    .replace(/^\./gm, "..");
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to.join(", ")}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+/**
+ * Kirim satu email. Error SMTP (reply tak terduga, timeout) di-throw.
+ */
+export async function sendMail(
+  options: SmtpOptions,
+  message: MailMessage
+): Promise<void> {
+  const smtp = new SmtpConnection(await connect(options));
+  const hostname = os.hostname() || "localhost";
+
+  try {
+    await smtp.command(null, 220);
+    let ehlo = await smtp.command(`EHLO ${hostname}`, 250);
+
+    const supports = (keyword: string) =>
+      ehlo.lines.some((line) => line.toUpperCase().startsWith(keyword));
+    let encrypted = options.secure;
+    if (!encrypted && supports("STARTTLS")) {
+      await smtp.command("STARTTLS", 220);
+      await smtp.startTls(options.host, options.timeout);
+      ehlo = await smtp.command(`EHLO ${hostname}`, 250);
+      encrypted = true;
+    }
+
+    if (options.user) {
+      // STARTTLS bisa dihapus dari balasan EHLO oleh pihak di tengah jalan
+      if (!encrypted && !options.allowInsecureAuth) {
+        throw new Error(
+          "SMTP server did not offer STARTTLS; refusing AUTH without TLS"
+        );
+      }
+      const token = Buffer.from(
+        `\0${options.user}\0${options.pass || ""}`
+      ).toString("base64");
+      await smtp.command(`AUTH PLAIN ${token}`, 235);
+    }
+
+    const address = (value: string) => value.match(/<([^>]+)>/)?.[1] || value;
+    await smtp.command(`MAIL FROM:<${address(message.from)}>`, 250);
+    for (const to of message.to) {
+      await smtp.command(`RCPT TO:<${address(to)}>`, 250);
+    }
+    await smtp.command("DATA", 354);
+    await smtp.command(`${buildMessage(message)}\r\n.`, 250);
+    await smtp.command("QUIT", 221).catch(() => undefined);
+  } finally {
+    smtp.close();
+  }
+}
@@ -0,0 +1,69 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { config } from "../config.js";
+
+/**
+ * Path file di dalam direktori data lokal (config.storage.dataDir)
+ */
+export function dataPath(file: string): string {
+  return path.join(config.storage.dataDir, file);
+}
+
+/**
+ * Baca file JSON, return fallback jika belum ada
+ */
+export async function readJsonFile<T>(file: string, fallback: T): Promise<T> {
+  try {
+    const content = await fs.readFile(file, "utf8");
+    return JSON.parse(content) as T;
+  } catch (error: any) {
+    if (error?.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Tulis file JSON secara atomic (tulis ke .tmp lalu rename)
+ */
+export async function writeJsonFile(file: string, data: unknown): Promise<void> {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Append satu record ke file JSONL (append-only log)
+ */
+export async function appendJsonLine(
+  file: string,
+  record: unknown
+): Promise<void> {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify(record) + "\n", "utf8");
+}
+
+/**
+ * Baca semua record dari file JSONL. Baris rusak (mis. tulisan terpotong
+ * saat crash) dilewati.
+ */
+export async function readJsonLines<T>(file: string): Promise<T[]> {
+  let content: string;
+  try {
+    content = await fs.readFile(file, "utf8");
+  } catch (error: any) {
+    if (error?.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const records: T[] = [];
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line) as T);
+    } catch {
+      console.warn(`[Storage] Skipping malformed line in ${file}`);
+    }
+  }
+  return records;
+}
@@ -0,0 +1,201 @@
+import { config } from "../config.js";
+import { fetchWithTimeout } from "./fetch.js";
+
+/**
+ * Client bersama untuk panggilan Smartlink (config.upstream.base) dengan
+ * circuit breaker:
+ *
+ * - closed: request jalan normal; `failureThreshold` gagal beruntun → open
+ * - open: request langsung ditolak sampai `retry_at` (backoff eksponensial
+ *   + jitter, naik tiap kali breaker terbuka lagi)
+ * - half-open: satu request percobaan; sukses → closed, gagal → open lagi
+ *
+ * Gagal = error jaringan/timeout, HTTP 5xx atau 429. 4xx lain berarti
+ * upstream hidup, jadi tidak membuka breaker.
+ */
+
+export type BreakerState = "closed" | "open" | "half-open";
+
+export class UpstreamUnavailableError extends Error {
+  constructor(public retryAt: number) {
+    super(
+      `Upstream circuit open, retry after ${new Date(retryAt).toISOString()}`
+    );
+    this.name = "UpstreamUnavailableError";
+  }
+}
+
+interface EndpointStats {
+  requests: number;
+  failures: number;
+  rejected: number; // ditolak karena breaker open
+  consecutive_failures: number;
+  last_error: string | null;
+  last_error_at: string | null;
+  last_success_at: string | null;
+}
+
+const breaker = {
+  state: "closed" as BreakerState,
+  consecutiveFailures: 0,
+  level: 0, // berapa kali berturut-turut breaker terbuka (untuk backoff)
+  openedAt: null as number | null,
+  retryAt: null as number | null,
+  probeInFlight: false,
+};
+
+const endpoints: Map<string, EndpointStats> = new Map();
+
+function statsFor(endpoint: string): EndpointStats {
+  let stats = endpoints.get(endpoint);
+  if (!stats) {
+    stats = {
+      requests: 0,
+      failures: 0,
+      rejected: 0,
+      consecutive_failures: 0,
+      last_error: null,
+      last_error_at: null,
+      last_success_at: null,
+    };
+    endpoints.set(endpoint, stats);
+  }
+  return stats;
+}
+
+/** Backoff eksponensial dengan "equal jitter" (50–100% dari nilai penuh) */
+function backoffMs(level: number): number {
+  const { baseBackoffMs, maxBackoffMs } = config.upstream.breaker;
+  const full = Math.min(maxBackoffMs, baseBackoffMs * 2 ** level);
+  return Math.round(full / 2 + (Math.random() * full) / 2);
+}
+
+function openBreaker(now: number) {
+  const delay = backoffMs(breaker.level);
+  breaker.state = "open";
+  breaker.openedAt = now;
+  breaker.retryAt = now + delay;
+  breaker.level += 1;
+  breaker.probeInFlight = false;
+  console.warn(
+    `⚠️ [Upstream] Circuit open after ${
+      breaker.consecutiveFailures
+    } failures, retry in ${Math.round(delay / 1000)}s`
+  );
+}
+
+/** true jika request boleh jalan (sekaligus menandai probe half-open) */
+function allowRequest(now: number): boolean {
+  if (breaker.state === "open") {
+    if (breaker.retryAt !== null && now < breaker.retryAt) return false;
+    breaker.state = "half-open";
+  }
+  if (breaker.state === "half-open") {
+    if (breaker.probeInFlight) return false;
+    breaker.probeInFlight = true;
+  }
+  return true;
+}
+
+function recordSuccess(stats: EndpointStats) {
+  stats.consecutive_failures = 0;
+  stats.last_success_at = new Date().toISOString();
+
+  if (breaker.state !== "closed") {
+    console.log("✅ [Upstream] Circuit closed, upstream recovered");
+  }
+  breaker.state = "closed";
+  breaker.consecutiveFailures = 0;
+  breaker.level = 0;
+  breaker.openedAt = null;
+  breaker.retryAt = null;
+  breaker.probeInFlight = false;
+}
+
+function recordFailure(stats: EndpointStats, message: string) {
+  const now = Date.now();
+  stats.failures += 1;
+  stats.consecutive_failures += 1;
+  stats.last_error = message;
+  stats.last_error_at = new Date(now).toISOString();
+
+  breaker.consecutiveFailures += 1;
+  if (
+    breaker.state === "half-open" ||
+    breaker.consecutiveFailures >= config.upstream.breaker.failureThreshold
+  ) {
+    openBreaker(now);
+  }
+}
+
+/**
+ * fetchWithTimeout lewat circuit breaker. `endpoint` = nama endpoint
+ * Smartlink untuk counter (mis. "list_snap_mesin"). Breaker open →
+ * UpstreamUnavailableError tanpa menyentuh upstream.
+ */
+export async function upstreamFetch(
+  endpoint: string,
+  url: string,
+  timeoutMs: number,
+  init: RequestInit = {}
+): Promise<Response> {
+  const stats = statsFor(endpoint);
+  if (!allowRequest(Date.now())) {
+    stats.rejected += 1;
+    throw new UpstreamUnavailableError(breaker.retryAt || Date.now());
+  }
+
+  stats.requests += 1;
+  let res: Response;
+  try {
+    res = await fetchWithTimeout(url, timeoutMs, init);
+  } catch (error: any) {
+    const message =
+      error?.name === "AbortError" ? "timeout" : error?.message || "error";
+    recordFailure(stats, message);
+    throw error;
+  }
+
+  if (res.status >= 500 || res.status === 429) {
+    recordFailure(stats, `HTTP ${res.status}`);
+  } else {
+    if (!res.ok) {
+      stats.failures += 1;
+      stats.last_error = `HTTP ${res.status}`;
+      stats.last_error_at = new Date().toISOString();
+    }
+    recordSuccess(stats);
+  }
+  return res;
+}
+
+/**
+ * Ringkasan breaker untuk meta /api/machines
+ */
+export function getBreakerSummary(): {
+  state: BreakerState;
+  retry_at: string | null;
+} {
+  return {
+    state: breaker.state,
+    retry_at:
+      breaker.state === "open" && breaker.retryAt
+        ? new Date(breaker.retryAt).toISOString()
+        : null,
+  };
+}
+
+/**
+ * Status lengkap breaker + counter per endpoint (halaman status)
+ */
+export function getUpstreamStatus() {
+  return {
+    ...getBreakerSummary(),
+    consecutive_failures: breaker.consecutiveFailures,
+    opened_at: breaker.openedAt
+      ? new Date(breaker.openedAt).toISOString()
+      : null,
+    failure_threshold: config.upstream.breaker.failureThreshold,
+    endpoints: Object.fromEntries(endpoints),
+  };
+}
@@ -0,0 +1,164 @@
+import crypto from "node:crypto";
+import { fetchWithTimeout } from "./fetch.js";
+
+/** PushSubscription.toJSON() dari browser */
+export interface PushSubscriptionJSON {
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+}
+
+export interface VapidKeys {
+  publicKey: string; // base64url, 65 byte uncompressed P-256
+  privateKey: string; // base64url, 32 byte
+  subject: string; // mailto: atau https:
+}
+
+const RECORD_SIZE = 4096;
+
+const b64url = (buf: Buffer) => buf.toString("base64url");
+
+/**
+ * JWT VAPID (ES256) untuk header Authorization push service (RFC 8292)
+ */
+function createVapidToken(audience: string, vapid: VapidKeys): string {
+  const publicKey = Buffer.from(vapid.publicKey, "base64url");
+  const key = crypto.createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      d: vapid.privateKey,
+      x: b64url(publicKey.subarray(1, 33)),
+      y: b64url(publicKey.subarray(33, 65)),
+    },
+    format: "jwk",
+  });
+
+  const header = b64url(
+    Buffer.from(JSON.stringify({ typ: "JWT", alg: "ES256" }))
+  );
+  const claims = b64url(
+    Buffer.from(
+      JSON.stringify({
+        aud: audience,
+        exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+        sub: vapid.subject,
+      })
+    )
+  );
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${claims}`), {
+    key,
+    dsaEncoding: "ieee-p1363",
+  });
+  return `${header}.${claims}.${b64url(signature)}`;
+}
+
+/**
+ * Enkripsi payload aes128gcm untuk satu subscription (RFC 8291)
+ */
+function encryptPayload(
+  subscription: PushSubscriptionJSON,
+  payload: Buffer
+): Buffer {
+  const uaPublic = Buffer.from(subscription.keys.p256dh, "base64url");
+  const authSecret = Buffer.from(subscription.keys.auth, "base64url");
+
+  const ecdh = crypto.createECDH("prime256v1");
+  const asPublic = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+
+  const keyInfo = Buffer.concat([
+    Buffer.from("WebPush: info\0"),
+    uaPublic,
+    asPublic,
+  ]);
+  const ikm = Buffer.from(
+    crypto.hkdfSync("sha256", sharedSecret, authSecret, keyInfo, 32)
+  );
+
+  const salt = crypto.randomBytes(16);
+  const cek = Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      ikm,
+      salt,
+      Buffer.from("Content-Encoding: aes128gcm\0"),
+      16
+    )
+  );
+  const nonce = Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      ikm,
+      salt,
+      Buffer.from("Content-Encoding: nonce\0"),
+      12
+    )
+  );
+
+  // Satu record: payload + delimiter 0x02 (record terakhir)
+  const cipher = crypto.createCipheriv("aes-128-gcm", cek, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([payload, Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+/**
+ * Kirim Web Push. Status 404/410 dari push service = subscription sudah
+ * tidak berlaku.
+ */
+export async function sendWebPush(
+  subscription: PushSubscriptionJSON,
+  payload: unknown,
+  vapid: VapidKeys,
+  timeoutMs: number
+): Promise<Response> {
+  const audience = new URL(subscription.endpoint).origin;
+  const body = encryptPayload(
+    subscription,
+    Buffer.from(JSON.stringify(payload))
+  );
+
+  return fetchWithTimeout(subscription.endpoint, timeoutMs, {
+    method: "POST",
+    // Redirect tidak diikuti: tujuannya bisa alamat privat
+    redirect: "manual",
+    headers: {
+      Authorization: `vapid t=${createVapidToken(audience, vapid)}, k=${
+        vapid.publicKey
+      }`,
+      "Content-Encoding": "aes128gcm",
+      "Content-Type": "application/octet-stream",
+      TTL: "3600",
+      Urgency: "high",
+    },
+    body: new Uint8Array(body),
+  });
+}
+
+/**
+ * Cek bentuk PushSubscription (endpoint https + key P-256 dan auth 16 byte)
+ */
+export function isValidPushSubscription(
+  value: any
+): value is PushSubscriptionJSON {
+  if (!value || typeof value.endpoint !== "string") return false;
+  try {
+    if (new URL(value.endpoint).protocol !== "https:") return false;
+  } catch {
+    return false;
+  }
+  const p256dh = String(value.keys?.p256dh || "");
+  const auth = String(value.keys?.auth || "");
+  return (
+    Buffer.from(p256dh, "base64url").length === 65 &&
+    Buffer.from(auth, "base64url").length === 16
+  );
+}
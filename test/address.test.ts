@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isPrivateAddress,
+  isPrivateHost,
+  assertPublicHost,
+} from "../src/utils/address.js";
+
+/**
+ * Alamat privat untuk webhook pelanggan (cegah request ke LAN toko)
+ */
+
+describe("isPrivateAddress", () => {
+  it("blocks private, loopback, link-local and wrapped IPv4", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.9",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::",
+      "::1",
+      "fe80::1",
+      "fd12:3456::1",
+      "::ffff:127.0.0.1",
+      "::ffff:7f00:1",
+      "[::ffff:7f00:1]",
+      "::ffff:0:a00:1",
+      "64:ff9b::c0a8:101",
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it("allows public addresses", () => {
+    for (const address of [
+      "8.8.8.8",
+      "172.32.0.1",
+      "::ffff:8.8.8.8",
+      "2606:4700::1111",
+    ]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+    assert.equal(isPrivateAddress("example.com"), false);
+  });
+
+  it("checks hostnames before resolving", async () => {
+    assert.equal(isPrivateHost("LOCALHOST"), true);
+    assert.equal(isPrivateHost("printer.localhost"), true);
+    assert.equal(isPrivateHost("example.com"), false);
+    await assert.rejects(assertPublicHost("localhost"), /private/);
+    await assert.rejects(assertPublicHost("[::ffff:7f00:1]"), /private/);
+    await assertPublicHost("8.8.8.8");
+  });
+});
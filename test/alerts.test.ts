@@ -0,0 +1,292 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+import net from "node:net";
+import type { AddressInfo } from "node:net";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import type { Machine } from "../src/types.js";
+
+/**
+ * Dispatcher alert terhadap receiver HTTP lokal (webhook + Telegram) dan
+ * server SMTP pengganti. Jam eksplisit; 2026-01-01T03:00Z = 10:00 WIB.
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+
+const alertService = await import("../src/services/alertService.js");
+const anomalyService = await import("../src/services/anomalyService.js");
+const channels = await import("../src/services/alertChannels.js");
+const { sendMail } = await import("../src/utils/smtp.js");
+
+const OPEN = Date.parse("2026-01-01T03:00:00.000Z");
+const MINUTE = 60 * 1000;
+
+interface Received {
+  path: string;
+  body: any;
+}
+
+let received: Received[] = [];
+let server: http.Server;
+let base = "";
+
+const machine = (id: string, status: Machine["status"]): Machine => ({
+  id,
+  type: "washer",
+  label: `W-${id}`,
+  slot: id,
+  status,
+  updated_at: null,
+});
+
+/** Snapshot ke detector + dispatcher, seperti refreshMachines() */
+async function refresh(machines: Machine[], now: number) {
+  anomalyService.detectAnomalies("O1", machines, now);
+  await alertService.evaluateAlerts("O1", machines, now);
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      received.push({ path: req.url || "", body: JSON.parse(data || "{}") });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, resolve));
+  base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  received = [];
+  anomalyService.resetAnomalyState();
+  alertService.resetAlertState();
+  alertService.registerAlertChannel(channels.webhookChannel(`${base}/hook`));
+  alertService.registerAlertChannel(
+    channels.telegramChannel({
+      apiBase: base,
+      botToken: "TOKEN",
+      chatIds: ["42"],
+    })
+  );
+});
+
+describe("evaluateAlerts", () => {
+  it("alerts once per offline machine after the threshold", async () => {
+    const offline = [machine("A", "OFFLINE")];
+    await refresh(offline, OPEN);
+    await refresh(offline, OPEN + 9 * MINUTE);
+    assert.equal(received.length, 0);
+
+    await refresh(offline, OPEN + 10 * MINUTE);
+    await refresh(offline, OPEN + 11 * MINUTE);
+    assert.deepEqual(
+      received.map((r) => r.path),
+      ["/hook", "/botTOKEN/sendMessage"]
+    );
+    assert.equal(received[0].body.event, "alert.open");
+    assert.equal(received[0].body.alert.rule, "machine_offline");
+    assert.equal(received[1].body.chat_id, "42");
+
+    const [alert] = alertService.listAlerts({ status: "open" });
+    assert.equal(alert.notify_count, 1);
+    assert.deepEqual(alert.deliveries.map((d) => d.ok), [true, true]);
+  });
+
+  it("only alerts offline machines during opening hours", async () => {
+    const night = Date.parse("2026-01-01T16:00:00.000Z"); // 23:00 WIB
+    const offline = [machine("A", "OFFLINE")];
+    await refresh(offline, night);
+    await refresh(offline, night + 30 * MINUTE);
+    assert.equal(received.length, 0);
+  });
+
+  it("raises one outlet alert for 3+ offline machines", async () => {
+    const machines = [
+      machine("A", "OFFLINE"),
+      machine("B", "OFFLINE"),
+      machine("C", "OFFLINE"),
+      machine("D", "READY"),
+    ];
+    await refresh(machines, OPEN);
+    await refresh(machines, OPEN + MINUTE);
+
+    const hooks = received.filter((r) => r.path === "/hook");
+    assert.equal(hooks.length, 1);
+    assert.equal(hooks[0].body.alert.rule, "outlet_offline");
+    assert.equal(hooks[0].body.alert.severity, "critical");
+  });
+
+  it("holds alerts during quiet hours and sends them afterwards", async () => {
+    alertService.configureAlerts({
+      openingHours: "",
+      quietHours: "09:00-10:30",
+    });
+    const offline = [machine("A", "OFFLINE")];
+    await refresh(offline, OPEN);
+    await refresh(offline, OPEN + 15 * MINUTE);
+    assert.equal(received.length, 0);
+    assert.equal(alertService.listAlerts({ status: "open" }).length, 1);
+
+    await refresh(offline, OPEN + 31 * MINUTE);
+    assert.equal(received.filter((r) => r.path === "/hook").length, 1);
+  });
+
+  it("repeats unacknowledged alerts and stops after ack", async () => {
+    alertService.configureAlerts({ repeatMinutes: 30 });
+    const offline = [machine("A", "OFFLINE")];
+    await refresh(offline, OPEN);
+    await refresh(offline, OPEN + 10 * MINUTE);
+    await refresh(offline, OPEN + 40 * MINUTE);
+
+    const hooks = () => received.filter((r) => r.path === "/hook");
+    assert.equal(hooks().length, 2);
+    assert.match(hooks()[1].body.text, /reminder 1/);
+
+    const [alert] = alertService.listAlerts({ status: "open" });
+    const acked = await alertService.ackAlert(alert.id, "staff");
+    assert.equal(acked.acked_by, "staff");
+
+    await refresh(offline, OPEN + 80 * MINUTE);
+    assert.equal(hooks().length, 2);
+
+    await assert.rejects(alertService.ackAlert("missing", "staff"), {
+      name: "AlertError",
+      status: 404,
+    });
+  });
+
+  it("resolves alerts and reopens them within the cooldown", async () => {
+    const offline = [machine("A", "OFFLINE")];
+    await refresh(offline, OPEN);
+    await refresh(offline, OPEN + 10 * MINUTE);
+    await refresh([machine("A", "READY")], OPEN + 12 * MINUTE);
+
+    const hooks = () => received.filter((r) => r.path === "/hook");
+    assert.deepEqual(
+      hooks().map((r) => r.body.event),
+      ["alert.open", "alert.resolved"]
+    );
+
+    await refresh(offline, OPEN + 13 * MINUTE);
+    await refresh(offline, OPEN + 25 * MINUTE);
+    assert.equal(alertService.listAlerts().length, 1);
+    assert.equal(alertService.listAlerts()[0].status, "open");
+    assert.equal(hooks().length, 2);
+  });
+});
+
+describe("withinHours", () => {
+  it("handles ranges across midnight in WIB", () => {
+    const at = (wib: string) => Date.parse(`2026-01-01T${wib}:00+07:00`);
+    assert.equal(alertService.withinHours("22:00-06:00", at("23:30")), true);
+    assert.equal(alertService.withinHours("22:00-06:00", at("05:59")), true);
+    assert.equal(alertService.withinHours("22:00-06:00", at("06:00")), false);
+    assert.equal(alertService.withinHours("07:00-22:00", at("12:00")), true);
+    assert.equal(alertService.withinHours("invalid", at("12:00")), false);
+  });
+});
+
+describe("sendMail", () => {
+  /** Server SMTP tanpa STARTTLS; perintah yang diterima dicatat */
+  async function plainSmtpServer(commands: string[]) {
+    const smtp = net.createServer((socket) => {
+      let inData = false;
+      let buffer = "";
+      socket.write("220 test ESMTP\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk.toString();
+        let index: number;
+        while ((index = buffer.indexOf("\r\n")) >= 0) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (inData) {
+            if (line === ".") {
+              inData = false;
+              socket.write("250 queued\r\n");
+            } else {
+              commands.push(`DATA ${line}`);
+            }
+            continue;
+          }
+          commands.push(line);
+          const verb = line.split(" ")[0].toUpperCase();
+          if (verb === "EHLO") socket.write("250-test\r\n250 AUTH PLAIN\r\n");
+          else if (verb === "AUTH") socket.write("235 ok\r\n");
+          else if (verb === "DATA") {
+            inData = true;
+            socket.write("354 go\r\n");
+          } else if (verb === "QUIT") socket.end("221 bye\r\n");
+          else socket.write("250 ok\r\n");
+        }
+      });
+    });
+    await new Promise<void>((resolve) => smtp.listen(0, resolve));
+    return smtp;
+  }
+
+  const message = {
+    from: "Monitor <alerts@example.com>",
+    to: ["ops@example.com"],
+    subject: "W03 offline",
+    text: "line 1\n.dot",
+  };
+
+  it("refuses AUTH on a connection without TLS", async () => {
+    const commands: string[] = [];
+    const smtp = await plainSmtpServer(commands);
+    const options = {
+      host: "127.0.0.1",
+      port: (smtp.address() as AddressInfo).port,
+      secure: false,
+      user: "bot",
+      pass: "secret",
+      timeout: 2000,
+    };
+    try {
+      await assert.rejects(sendMail(options, message), /without TLS/);
+    } finally {
+      smtp.close();
+    }
+    assert.equal(
+      commands.some((c) => c.startsWith("AUTH")),
+      false
+    );
+  });
+
+  it("delivers a message through an SMTP server", async () => {
+    const commands: string[] = [];
+    const smtp = await plainSmtpServer(commands);
+
+    try {
+      await sendMail(
+        {
+          host: "127.0.0.1",
+          port: (smtp.address() as AddressInfo).port,
+          secure: false,
+          user: "bot",
+          pass: "secret",
+          allowInsecureAuth: true,
+          timeout: 2000,
+        },
+        message
+      );
+    } finally {
+      smtp.close();
+    }
+
+    assert.ok(commands.includes("MAIL FROM:<alerts@example.com>"));
+    assert.ok(commands.includes("RCPT TO:<ops@example.com>"));
+    assert.ok(commands.includes("DATA Subject: W03 offline"));
+    assert.ok(commands.includes("DATA ..dot"));
+    assert.equal(commands.at(-1), "QUIT");
+  });
+});
@@ -0,0 +1,82 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectAnomalies,
+  listAnomalies,
+  onAnomaly,
+  resetAnomalyState,
+  type AnomalyEvent,
+} from "../src/services/anomalyService.js";
+import type { Machine } from "../src/types.js";
+
+/**
+ * Detector dengan jam eksplisit; asumsi batas default di config.anomaly.
+ */
+
+const START = Date.parse("2026-01-01T08:00:00.000Z");
+const MINUTE = 60 * 1000;
+
+const machine = (overrides: Partial<Machine>): Machine => ({
+  id: "C1",
+  type: "washer",
+  label: "W01",
+  slot: "w1",
+  status: "READY",
+  updated_at: null,
+  ...overrides,
+});
+
+afterEach(() => resetAnomalyState());
+
+describe("detectAnomalies", () => {
+  it("flags machines offline beyond the threshold and resolves them", () => {
+    const events: AnomalyEvent[] = [];
+    const unsubscribe = onAnomaly((e) => events.push(e));
+    const offline = [machine({ status: "OFFLINE" })];
+
+    assert.deepEqual(detectAnomalies("O1", offline, START), []);
+    assert.deepEqual(detectAnomalies("O1", offline, START + 29 * MINUTE), []);
+
+    const [anomaly] = detectAnomalies("O1", offline, START + 31 * MINUTE);
+    assert.equal(anomaly.type, "offline");
+    assert.equal(anomaly.since, new Date(START).toISOString());
+    assert.equal(listAnomalies("O1").length, 1);
+    assert.equal(listAnomalies("O2").length, 0);
+
+    detectAnomalies("O1", [machine({})], START + 32 * MINUTE);
+    unsubscribe();
+
+    assert.deepEqual(
+      events.map((e) => `${e.kind}:${e.anomaly.type}`),
+      ["raised:offline", "resolved:offline"]
+    );
+    assert.equal(listAnomalies().length, 0);
+  });
+
+  it("flags RUNNING without valid tl and stuck RUNNING separately", () => {
+    const running = [machine({ status: "RUNNING" })];
+    detectAnomalies("O1", running, START);
+
+    const at21 = detectAnomalies("O1", running, START + 21 * MINUTE);
+    assert.deepEqual(at21.map((a) => a.type), ["fallback_running"]);
+
+    const at181 = detectAnomalies("O1", running, START + 181 * MINUTE);
+    assert.deepEqual(at181.map((a) => a.type).sort(), [
+      "fallback_running",
+      "stuck_running",
+    ]);
+    const stuck = at181.find((a) => a.type === "stuck_running");
+    assert.equal(stuck?.severity, "critical");
+  });
+
+  it("does not flag RUNNING with tl-derived elapsed time", () => {
+    const running = (elapsed_ms: number) => [
+      machine({ status: "RUNNING", elapsed_ms, dur: 60 * MINUTE }),
+    ];
+    detectAnomalies("O1", running(0), START);
+    assert.deepEqual(
+      detectAnomalies("O1", running(50 * MINUTE), START + 50 * MINUTE),
+      []
+    );
+  });
+});
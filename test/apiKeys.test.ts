@@ -0,0 +1,135 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+/**
+ * API key: scope, kedaluwarsa, pencabutan, rate limit dan middleware
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "apikeys-"));
+
+const apiKeys = await import("../src/services/apiKeyService.js");
+const { apiKeyMiddleware } = await import("../src/auth.js");
+
+await apiKeys.initApiKeys();
+
+const T0 = Date.parse("2026-01-01T03:00:10.000Z");
+
+describe("apiKeyService", () => {
+  it("authorizes by scope and counts usage", async () => {
+    const { key, data } = await apiKeys.createApiKey(
+      { name: "TV Outlet 1", scopes: ["machines:read"] },
+      "owner"
+    );
+    assert.match(key, /^lmk_/);
+    assert.equal(data.prefix, key.slice(0, 10));
+    assert.equal("key_hash" in data, false);
+
+    const result = await apiKeys.authorizeApiKey(
+      key,
+      "machines:read",
+      "1.2.3.4",
+      T0
+    );
+    assert.equal(result.key.usage_count, 1);
+    assert.equal(result.key.last_used_ip, "1.2.3.4");
+    assert.deepEqual(result.key.usage_by_day, { "2026-01-01": 1 });
+
+    await assert.rejects(
+      apiKeys.authorizeApiKey(key, "machines:control", null, T0),
+      { name: "ApiKeyError", status: 403 }
+    );
+    await assert.rejects(
+      apiKeys.authorizeApiKey("lmk_salah", "machines:read"),
+      { status: 401 }
+    );
+
+    await apiKeys.revokeApiKey(data.id);
+    await assert.rejects(apiKeys.authorizeApiKey(key, "machines:read"), {
+      message: "Invalid API key",
+    });
+  });
+
+  it("rejects expired keys and invalid input", async () => {
+    const { key } = await apiKeys.createApiKey(
+      {
+        name: "Integrasi",
+        scopes: ["transactions:read"],
+        expires_at: "2026-01-01T00:00:00Z",
+      },
+      "owner"
+    );
+    await assert.rejects(
+      apiKeys.authorizeApiKey(key, "transactions:read", null, T0),
+      { message: "API key expired" }
+    );
+    await assert.rejects(
+      apiKeys.createApiKey({ name: "x", scopes: ["users:manage"] }, "owner"),
+      { status: 400 }
+    );
+    await assert.rejects(
+      apiKeys.createApiKey({ name: "", scopes: ["cycles:read"] }, "owner"),
+      { message: "name is required" }
+    );
+  });
+
+  it("limits requests per minute", async () => {
+    const { key, data } = await apiKeys.createApiKey(
+      { name: "Kiosk", scopes: ["cycles:read"], rate_limit: 2 },
+      "owner"
+    );
+    await apiKeys.authorizeApiKey(key, "cycles:read", null, T0);
+    await apiKeys.authorizeApiKey(key, "cycles:read", null, T0 + 1000);
+    await assert.rejects(
+      apiKeys.authorizeApiKey(key, "cycles:read", null, T0 + 2000),
+      { status: 429, retryAfterMs: 48 * 1000 }
+    );
+    // Menit berikutnya: jendela baru
+    await apiKeys.authorizeApiKey(key, "cycles:read", null, T0 + 50 * 1000);
+
+    await apiKeys.updateApiKey(data.id, { rate_limit: 5 });
+    await apiKeys.flushApiKeyUsage();
+    const file = path.join(process.env.DATA_DIR!, "api-keys.json");
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    const stored = saved.find((k: any) => k.id === data.id);
+    assert.equal(stored.rate_limit, 5);
+    assert.equal(stored.usage_count, 3);
+  });
+});
+
+describe("apiKeyMiddleware", async () => {
+  const { Hono } = await import("hono");
+  const app = new Hono();
+  app.use("/public", apiKeyMiddleware("machines:read", "public"));
+  app.use("/private", apiKeyMiddleware("events:write", "machines:control"));
+  app.get("/public", (c) => c.json({ key: (c as any).get("apiKey")?.name }));
+  app.post("/private", (c) => c.json({ ok: true }));
+
+  it("accepts keys alongside login and public fallbacks", async () => {
+    const { key } = await apiKeys.createApiKey(
+      { name: "Gateway", scopes: ["events:write"], rate_limit: 10 },
+      "owner"
+    );
+
+    const anonymous = await app.request("/public");
+    assert.equal(anonymous.status, 200);
+    assert.deepEqual(await anonymous.json(), {});
+
+    const noLogin = await app.request("/private", { method: "POST" });
+    assert.equal(noLogin.status, 401);
+
+    const withKey = await app.request("/private", {
+      method: "POST",
+      headers: { "X-API-Key": key },
+    });
+    assert.equal(withKey.status, 200);
+    assert.equal(withKey.headers.get("X-RateLimit-Remaining"), "9");
+
+    const wrongScope = await app.request("/public", {
+      headers: { "X-API-Key": key },
+    });
+    assert.equal(wrongScope.status, 403);
+  });
+});
@@ -0,0 +1,139 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+/**
+ * Lockout login progresif + audit log (query dan CSV)
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+process.env.TRUST_PROXY_HOPS = "1";
+
+const guard = await import("../src/services/loginGuard.js");
+const audit = await import("../src/services/auditService.js");
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse("2026-01-01T03:00:00.000Z");
+
+/** Context Hono minimal untuk recordAudit() */
+const ctx = (headers: Record<string, string> = {}) => ({
+  req: { header: (name: string) => headers[name] },
+});
+
+describe("loginGuard", () => {
+  beforeEach(() => {
+    guard.configureLoginGuard({
+      maxAttempts: 3,
+      ipMaxAttempts: 5,
+      windowMs: 15 * MINUTE,
+      lockoutMs: MINUTE,
+      maxLockoutMs: 4 * MINUTE,
+    });
+  });
+
+  it("locks a username with growing durations", () => {
+    const fail = (now: number) => guard.recordLoginFailure("Kasir", null, now);
+    assert.deepEqual(fail(T0), []);
+    assert.deepEqual(fail(T0 + 1000), []);
+    const [first] = fail(T0 + 2000);
+    assert.equal(first.scope, "username");
+    assert.equal(first.retryAfterMs, MINUTE);
+    assert.equal(guard.checkLogin("kasir", null, T0 + 30 * 1000)?.key, "kasir");
+    assert.equal(guard.checkLogin("kasir", null, T0 + 2000 + MINUTE), null);
+
+    const later = T0 + 2 * MINUTE;
+    fail(later);
+    fail(later + 1);
+    assert.equal(fail(later + 2)[0].retryAfterMs, 2 * MINUTE);
+
+    // Dibatasi maxLockoutMs
+    for (let round = 0; round < 3; round++) {
+      const at = later + (round + 1) * 5 * MINUTE;
+      fail(at);
+      fail(at + 1);
+      fail(at + 2);
+    }
+    assert.equal(
+      guard.checkLogin("kasir", null, later + 15 * MINUTE + 2)?.retryAfterMs,
+      4 * MINUTE
+    );
+  });
+
+  it("limits attempts per IP across usernames", () => {
+    const ip = "10.0.0.9";
+    let locks: ReturnType<typeof guard.recordLoginFailure> = [];
+    ["a", "b", "c", "d", "e"].forEach((name, i) => {
+      locks = guard.recordLoginFailure(name, ip, T0 + i);
+    });
+    assert.deepEqual(
+      locks.map((l) => l.scope),
+      ["ip"]
+    );
+    assert.equal(guard.checkLogin("owner", ip, T0 + 10)?.scope, "ip");
+    assert.equal(guard.checkLogin("owner", "10.0.0.10", T0 + 10), null);
+  });
+
+  it("resets the username counter after a successful login", () => {
+    guard.recordLoginFailure("kasir", null, T0);
+    guard.recordLoginFailure("kasir", null, T0 + 1);
+    guard.recordLoginSuccess("KASIR");
+    assert.deepEqual(guard.recordLoginFailure("kasir", null, T0 + 2), []);
+  });
+});
+
+describe("auditService", () => {
+  it("filters entries and exports CSV", async () => {
+    // Nilai kiri dikirim client (palsu), kanan ditambahkan proxy
+    const c = ctx({ "X-Forwarded-For": "10.1.1.1, 172.16.0.1" });
+    await audit.recordAudit(c, {
+      action: "auth.login_failed",
+      outcome: "failure",
+      username: "=cmd()",
+    });
+    await audit.recordAudit(c, {
+      action: "machine.start",
+      username: "kasir",
+      userId: 2,
+      target: "W03",
+      details: { program: "cuci, bilas" },
+    });
+    await audit.recordAudit(ctx(), { action: "auth.login", username: "owner" });
+
+    const all = await audit.queryAudit({});
+    assert.equal(all.total, 3);
+    assert.equal(all.data[0].action, "auth.login"); // terbaru dulu
+    assert.equal(all.data[1].ip, "172.16.0.1");
+
+    const machine = await audit.queryAudit({ action: "machine.*" });
+    assert.deepEqual(
+      machine.data.map((e) => e.target),
+      ["W03"]
+    );
+    const failed = await audit.queryAudit({ outcome: "failure" });
+    assert.equal(failed.total, 1);
+    const byUser = await audit.queryAudit({ username: "KASIR" });
+    assert.equal(byUser.total, 1);
+    const none = await audit.queryAudit({ to: "2000-01-01" });
+    assert.equal(none.total, 0);
+    await assert.rejects(audit.queryAudit({ from: "kemarin" }), {
+      name: "AuditError",
+    });
+
+    const csv = audit.auditToCsv(all.data).trim().split("\n");
+    const header = "at,action,outcome,username,user_id,ip,target,details";
+    assert.equal(csv[0], `${header},user_agent`);
+    assert.match(csv[2], /,kasir,2,172\.16\.0\.1,W03,"{""program"":/);
+    assert.match(csv[3], /,'=cmd\(\),/);
+
+    const [, tab, cr] = audit
+      .auditToCsv([
+        { ...all.data[0], username: "\t=cmd()" },
+        { ...all.data[0], username: "\r=cmd()" },
+      ])
+      .split("\n");
+    assert.match(tab, /,'\t=cmd\(\),/);
+    assert.match(cr, /,"'\r=cmd\(\)",/);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { T0, machine, setupTestEnv } from "./helpers.js";
+
+/**
+ * Direktori pelanggan: normalisasi nomor HP, dedup dan riwayat kunjungan
+ */
+
+await setupTestEnv("customers");
+
+const { normalizePhone } = await import("../src/utils/phone.js");
+const customers = await import("../src/services/customerService.js");
+const orders = await import("../src/services/orderService.js");
+const start = await import("../src/services/startService.js");
+
+await customers.initCustomers();
+await orders.initOrders();
+
+const kasir = { userId: 2, username: "kasir" };
+
+describe("normalizePhone", () => {
+  it("normalizes Indonesian numbers to E.164", () => {
+    for (const raw of [
+      "081234567890",
+      "0812-3456-7890",
+      "+62 812 3456 7890",
+      "62812.3456.7890",
+      "+62 (0)812 3456 7890",
+      "0062 81234567890",
+      "81234567890",
+    ]) {
+      assert.equal(normalizePhone(raw), "+6281234567890", raw);
+    }
+    assert.equal(normalizePhone("(021) 555-1234"), "+62215551234");
+    for (const raw of ["0812", "+1 415 555 0100", "0812abc", "", null]) {
+      assert.equal(normalizePhone(raw), null, String(raw));
+    }
+  });
+});
+
+describe("customerService", () => {
+  it("deduplicates by phone and remembers other spellings", async () => {
+    const first = await customers.upsertCustomer("Budi", "0812-1111-2222", T0);
+    const again = await customers.upsertCustomer(
+      "budi santoso",
+      "+62 812 1111 2222",
+      T0 + 1000
+    );
+    assert.equal(again?.id, first?.id);
+    assert.equal(first?.phone, "+6281211112222");
+    assert.deepEqual(first?.names, ["budi santoso"]);
+    assert.equal(await customers.upsertCustomer("Tanpa HP", "", T0), null);
+
+    await assert.rejects(
+      customers.createCustomer({ name: "Lain", phone: "6281211112222" }),
+      { name: "CustomerError", status: 409 }
+    );
+    const other = await customers.createCustomer({
+      name: "Sari",
+      phone: "0813 3333 4444",
+    });
+    await assert.rejects(
+      customers.updateCustomer(other.id, { phone: "081211112222" }),
+      { status: 409 }
+    );
+
+    assert.deepEqual(
+      customers.searchCustomers("0812 1111").map((c) => c.id),
+      [first!.id]
+    );
+    assert.equal(customers.searchCustomers("santoso")[0].id, first!.id);
+  });
+
+  it("links orders and records visits from drop-off starts", async () => {
+    const order = await orders.createOrder(
+      { customer_name: "Rina", customer_phone: "0857-7777-8888", price: 20000 },
+      kasir,
+      T0
+    );
+    const customer = customers.findCustomerByPhone("085777778888")!;
+    assert.equal(order.customer_id, customer.id);
+    assert.equal(order.customer_phone, "+6285777778888");
+
+    const request = start.validateStartRequest(
+      machine("W01"),
+      {
+        duration: 40,
+        event: {
+          type: "drop-off",
+          data: { customer_name: "Rina", customer_phone: "085777778888" },
+        },
+      }
+    );
+    const visit = await customers.recordCustomerVisit(
+      request,
+      { id: "W01", label: "Washer 1" },
+      "42",
+      order.id,
+      T0 + 60000
+    );
+    assert.equal(visit?.customer_id, customer.id);
+    assert.equal(customer.visit_count, 1);
+    assert.equal(customer.last_visit_at, new Date(T0 + 60000).toISOString());
+
+    const visits = await customers.listCustomerVisits(customer.id);
+    assert.equal(visits.length, 1);
+    assert.equal(visits[0].order_id, order.id);
+    assert.equal(visits[0].machine_label, "Washer 1");
+    assert.equal(
+      orders.listOrders({ customer: customer.id })[0].id,
+      order.id
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers.js";
+
+/**
+ * Export siklus: baris CSV sink file, sel formula dinetralkan
+ */
+
+await setupTestEnv("cycle-export");
+
+const exporter = await import("../src/services/cycleExportService.js");
+
+const cycle = {
+  id: "c1",
+  machine_id: "W01",
+  label: "=HYPERLINK(\"http://x\")",
+  type: "washer" as const,
+  brand: "@SUM(A1)",
+  aid: null,
+  started_at: "2026-01-01T03:00:00.000Z",
+  ended_at: "2026-01-01T03:40:05.000Z",
+  duration_ms: 40 * 60000 + 5000,
+};
+
+describe("cycleExportService", () => {
+  it("writes CSV rows with formula cells neutralized", async () => {
+    const file = path.join(process.env.DATA_DIR!, "export", "cycles.csv");
+    const sink = exporter.createFileSink(file);
+    await sink.setup!();
+
+    const row = exporter.cycleToRow(cycle);
+    await sink.appendRows([
+      row,
+      { ...row, machine_label: "W02", machine_name: "+62\r-1", trigger: "-" },
+    ]);
+
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    assert.equal(lines[0], exporter.EXPORT_HEADERS.join(","));
+    assert.equal(
+      lines[1],
+      `"'=HYPERLINK(""http://x"")",'@SUM(A1),10:00:00,10:40:05,00:40:05,` +
+        row.trigger
+    );
+    assert.match(lines[2], /^W02,"'\+62\r-1",.*,'-$/);
+    const values = exporter.rowToValues({ ...row, trigger: "\t=1" });
+    assert.equal(values.at(-1), "'\t=1");
+  });
+});
@@ -0,0 +1,268 @@
+import fs from "node:fs";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { T0, setupTestEnv } from "./helpers.js";
+
+/**
+ * Koreksi event: validasi field, PATCH/DELETE ke gateway pengganti dan
+ * riwayat revisi append-only
+ */
+
+const stored: Record<string, any> = {
+  "drop-off/7": {
+    id: 7,
+    machine_id: "W01",
+    customer_name: "Budi",
+    customer_phone: "0812",
+    employee_id: 3,
+    duration_minutes: 40,
+  },
+  "maintenance/5": { id: 5, machine_id: "W03", mtype: "cuci_kosong" },
+  "drop-off/8": {
+    id: 8,
+    machine_id: "W02",
+    customer_name: "Rina",
+    customer_phone: "0857-1111-2222",
+    duration_minutes: 40,
+  },
+  "drop-off/9": { id: 9, machine_id: "W04", customer_name: "Sari" },
+};
+// Dipanggil gateway stub sebelum PATCH diterapkan (simulasi gangguan)
+let beforePatch: ((res: http.ServerResponse) => void) | null = null;
+const gateway = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    const key = (req.url || "").replace("/api/events/", "");
+    const event = stored[key];
+    const body = raw ? JSON.parse(raw) : {};
+    res.setHeader("Content-Type", "application/json");
+    // Gateway lama: event bisa dibaca tapi tidak bisa diubah
+    if (key === "maintenance/5" && req.method !== "GET") {
+      res.statusCode = 405;
+      res.end();
+      return;
+    }
+    if (!event) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ success: false }));
+      return;
+    }
+    if (req.method === "PATCH") {
+      beforePatch?.(res);
+      if (res.writableEnded) return;
+      Object.assign(event, body);
+    }
+    if (req.method === "DELETE") {
+      event.canceled_at = "2026-01-01T04:00:00.000Z";
+      event.cancel_reason = body.reason;
+    }
+    res.end(JSON.stringify({ success: true, data: event }));
+  });
+});
+await new Promise<void>((resolve) => gateway.listen(0, resolve));
+after(() => gateway.close());
+
+await setupTestEnv("revisions", {
+  EVENT_GATEWAY_BASE: `http://127.0.0.1:${
+    (gateway.address() as AddressInfo).port
+  }`,
+});
+
+const revisions = await import("../src/services/eventRevisionService.js");
+const customers = await import("../src/services/customerService.js");
+await customers.initCustomers();
+
+const kasir = { userId: 2, username: "kasir" };
+
+describe("eventRevisionService", () => {
+  it("validates changes against the current event", () => {
+    const current = stored["drop-off/7"];
+    const invalid = (body: unknown) =>
+      assert.throws(
+        () => revisions.validateEventChanges("drop-off", current, body),
+        { name: "EventEditError", status: 400 }
+      );
+
+    assert.throws(
+      () =>
+        revisions.validateEventChanges("drop-off", current, {
+          data: { customer_name: "", machine_id: "W02" },
+        }),
+      {
+        fields: {
+          reason: "Alasan wajib diisi",
+          "data.customer_name": "Wajib diisi",
+          "data.machine_id": "Tidak bisa diubah",
+        },
+      }
+    );
+    invalid({ reason: "salah ketik", data: { customer_name: " Budi " } });
+    invalid({ reason: "karyawan lain", data: { employee_id: 0 } });
+    invalid({ reason: "salah jenis", data: { employee_id: "x" } });
+
+    const { reason, changes } = revisions.validateEventChanges(
+      "drop-off",
+      current,
+      { reason: " salah ketik ", data: { customer_name: "Budiman" } }
+    );
+    assert.equal(reason, "salah ketik");
+    assert.deepEqual(changes, {
+      customer_name: { from: "Budi", to: "Budiman" },
+    });
+  });
+
+  it("updates, cancels and keeps a revision trail", async () => {
+    const { event, revision } = await revisions.updateEvent(
+      "drop-off",
+      "7",
+      { reason: "salah ketik", data: { customer_name: "Budiman" } },
+      kasir,
+      T0
+    );
+    assert.equal(event.customer_name, "Budiman");
+    assert.equal(revision.revision, 1);
+    assert.equal(revision.by, "kasir");
+
+    await assert.rejects(
+      revisions.cancelEvent("drop-off", "7", "", kasir),
+      { status: 400, fields: { reason: "Alasan wajib diisi" } }
+    );
+    const canceled = await revisions.cancelEvent(
+      "drop-off",
+      "7",
+      "mesin salah",
+      kasir,
+      T0 + 1000
+    );
+    assert.equal(canceled.revision.revision, 2);
+    assert.equal(canceled.event.cancel_reason, "mesin salah");
+
+    await assert.rejects(
+      revisions.updateEvent(
+        "drop-off",
+        "7",
+        { reason: "lagi", data: { customer_name: "Budi" } },
+        kasir
+      ),
+      { status: 409 }
+    );
+    await assert.rejects(
+      revisions.cancelEvent("drop-off", "99", "tidak ada", kasir),
+      { status: 404 }
+    );
+    await assert.rejects(
+      revisions.cancelEvent("maintenance", "5", "salah mesin", kasir),
+      {
+        status: 501,
+        message: "Event editing is not supported by the gateway",
+      }
+    );
+
+    const trail = await revisions.listEventRevisions("drop-off", "7");
+    assert.deepEqual(
+      trail.map((r) => [r.revision, r.action, r.reason]),
+      [
+        [1, "update", "salah ketik"],
+        [2, "cancel", "mesin salah"],
+      ]
+    );
+  });
+
+  it("moves the drop-off visit when the customer phone changes", async () => {
+    await customers.recordCustomerVisit(
+      {
+        duration: 40,
+        program: "",
+        event: {
+          type: "drop-off",
+          data: {
+            machine_id: "W02",
+            customer_name: "Rina",
+            customer_phone: "0857-1111-2222",
+            duration_minutes: 40,
+          },
+        },
+      },
+      { id: "W02" },
+      "8",
+      null,
+      T0
+    );
+    const wrong = customers.findCustomerByPhone("085711112222")!;
+    assert.equal(wrong.visit_count, 1);
+
+    const { revision } = await revisions.updateEvent(
+      "drop-off",
+      "8",
+      { reason: "nomor salah", data: { customer_phone: "0857-3333-4444" } },
+      kasir,
+      T0 + 1000
+    );
+    const right = customers.findCustomerByPhone("085733334444")!;
+    assert.deepEqual(revision.customer, { from: wrong.id, to: right.id });
+    assert.equal(wrong.visit_count, 0);
+    assert.equal(wrong.last_visit_at, null);
+    assert.equal(right.visit_count, 1);
+    assert.equal(right.last_visit_at, new Date(T0).toISOString());
+    assert.deepEqual(await customers.listCustomerVisits(wrong.id), []);
+    assert.equal(
+      (await customers.listCustomerVisits(right.id))[0].event_id,
+      "8"
+    );
+
+    const renamed = await revisions.updateEvent(
+      "drop-off",
+      "8",
+      { reason: "ejaan", data: { customer_name: "Rina S" } },
+      kasir
+    );
+    assert.equal(renamed.revision.customer, undefined);
+    assert.deepEqual(right.names, ["Rina S"]);
+  });
+
+  it("records a pending revision around the gateway change", async () => {
+    const file = path.join(process.env.DATA_DIR!, "event-revisions.jsonl");
+    const edit = (name: string) =>
+      revisions.updateEvent(
+        "drop-off",
+        "9",
+        { reason: "salah ketik", data: { customer_name: name } },
+        kasir,
+        T0
+      );
+
+    beforePatch = (res) => {
+      res.statusCode = 500;
+      res.end("{}");
+    };
+    await assert.rejects(edit("Sarah"), /Gateway API 500/);
+    assert.deepEqual(await revisions.listEventRevisions("drop-off", "9"), []);
+
+    // Gateway berubah tapi revisi tidak bisa difinalkan
+    beforePatch = () => {
+      fs.renameSync(file, `${file}.bak`);
+      fs.mkdirSync(file);
+    };
+    const result = await edit("Sari W");
+    beforePatch = null;
+    fs.rmdirSync(file);
+    fs.renameSync(`${file}.bak`, file);
+    assert.equal(result.event.customer_name, "Sari W");
+    assert.equal(
+      result.warning,
+      "Event was changed but its revision could not be finalized"
+    );
+    assert.equal(result.revision.revision, 1);
+
+    const trail = await revisions.listEventRevisions("drop-off", "9");
+    assert.deepEqual(
+      trail.map((r) => [r.revision, r.status]),
+      [[1, "pending"]]
+    );
+    assert.equal((await edit("Sari")).revision.revision, 2);
+  });
+});
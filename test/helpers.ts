@@ -0,0 +1,85 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import type { Machine, MachineSnapshot, MachineSummary } from "../src/types.js";
+
+/**
+ * Setup bersama untuk test service: DATA_DIR sementara, outlet default dan
+ * snapshot mesin bertipe lengkap di machineCache
+ */
+
+export const OUTLET = "outlet-1";
+export const T0 = Date.parse("2026-01-01T03:00:00.000Z");
+
+type MachineCache = (typeof import("../src/utils/cache.js"))["machineCache"];
+let machineCache: MachineCache | null = null;
+
+/**
+ * Set env lalu load cache. Panggil sebelum import ../src lain: config
+ * membaca env saat pertama kali di-import.
+ */
+export async function setupTestEnv(
+  name: string,
+  env: Record<string, string> = {}
+): Promise<void> {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  process.env.OUTLET_ID = OUTLET;
+  Object.assign(process.env, env);
+  ({ machineCache } = await import("../src/utils/cache.js"));
+}
+
+/** Mesin minimal; tipe dari prefix id (D = dryer) */
+export function machine(
+  id: string,
+  status: Machine["status"] = "READY",
+  extra: Partial<Machine> = {}
+): Machine {
+  return {
+    id,
+    type: id.startsWith("D") ? "dryer" : "washer",
+    label: id,
+    slot: id,
+    outlet_id: OUTLET,
+    status,
+    updated_at: null,
+    ...extra,
+  };
+}
+
+function summarize(
+  machines: Machine[],
+  type: Machine["type"]
+): MachineSummary {
+  const list = machines.filter((m) => m.type === type);
+  const count = (status: Machine["status"]) =>
+    list.filter((m) => m.status === status).length;
+  return {
+    total: list.length,
+    ready: count("READY"),
+    running: count("RUNNING"),
+    offline: count("OFFLINE"),
+  };
+}
+
+/** Snapshot dengan summary dihitung dari mesin */
+export function snapshot(machines: Machine[], at = T0): MachineSnapshot {
+  return {
+    machines,
+    summary: {
+      dryer: summarize(machines, "dryer"),
+      washer: summarize(machines, "washer"),
+    },
+    meta: { ts: new Date(at).toISOString(), stale: false, version: "v1" },
+  };
+}
+
+/** Simpan snapshot ke machineCache outlet default dan return snapshot-nya */
+export function cacheSnapshot(
+  machines: Machine[],
+  at = T0
+): MachineSnapshot {
+  if (!machineCache) throw new Error("setupTestEnv() has not been called");
+  const snap = snapshot(machines, at);
+  machineCache.set(snap, OUTLET);
+  return snap;
+}
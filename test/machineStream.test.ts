@@ -0,0 +1,33 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { machine, snapshot } from "./helpers.js";
+
+/**
+ * Delta SSE: mesin hanya dikirim ulang jika view-nya berubah
+ */
+
+const stream = await import("../src/services/machineStream.js");
+
+// start_time berubah tiap refresh, elapsed_ms naik terus
+const running = (elapsedMs: number) =>
+  snapshot([
+    machine("W01", "RUNNING", {
+      dur: 40 * 60000,
+      elapsed_ms: elapsedMs,
+      start_time: Date.now() + elapsedMs,
+    }),
+  ]);
+
+describe("machineStream", () => {
+  it("ignores elapsed_ms changes within the same minute", () => {
+    const events: string[] = [];
+    const unsubscribe = stream.subscribe((evt) => events.push(evt.event));
+
+    stream.publishSnapshot(running(60000), running(60000 + 5000), "o1");
+    stream.publishSnapshot(running(65000), running(65000 + 5000), "o1");
+    stream.publishSnapshot(running(70000), running(130000), "o1");
+    unsubscribe();
+
+    assert.deepEqual(events, ["meta", "meta", "machine", "meta"]);
+  });
+});
@@ -0,0 +1,80 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  replayFixture,
+  diffFixture,
+  type NormalizeFixture,
+} from "../src/dev/normalizeHarness.js";
+import { classifyNewWithReason } from "../src/normalize.js";
+
+/**
+ * Fixture di test/fixtures/normalize/*.json: urutan payload list_snap_mesin
+ * + expectation per step. Fixture baru dari payload produksi:
+ * `npm run fixture:normalize`. Asumsi HYST_MS default (3000).
+ */
+
+const FIXTURE_DIR = path.join(import.meta.dirname, "fixtures", "normalize");
+
+const fixtures: NormalizeFixture[] = fs
+  .readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .sort()
+  .map((file) =>
+    JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), "utf8"))
+  );
+
+describe("normalize fixtures", () => {
+  for (const fixture of fixtures) {
+    it(`${fixture.name}: ${fixture.description || ""}`, () => {
+      const problems = diffFixture(fixture, replayFixture(fixture));
+      assert.deepEqual(problems, []);
+    });
+  }
+});
+
+describe("classifyNewWithReason", () => {
+  const device = (overrides: Record<string, unknown>) => ({
+    ol: true,
+    tl: 0,
+    dur: 0,
+    sw: false,
+    aid: null,
+    ...overrides,
+  });
+
+  it("ignores aid without tl/dur/sw", () => {
+    for (const aid of ["BOS", "PAYMENT", "QR-123"]) {
+      const { status } = classifyNewWithReason(device({ aid }), null);
+      assert.equal(status, "READY");
+    }
+  });
+
+  it("accepts tl equal to dur and rejects durations over 3 hours", () => {
+    const full = classifyNewWithReason(device({ tl: 60000, dur: 60000 }), null);
+    assert.equal(full.reason, "tl > 0 && tl <= dur (primary)");
+
+    const long = classifyNewWithReason(
+      device({ tl: 60000, dur: 3 * 60 * 60 * 1000 + 1 }),
+      null
+    );
+    assert.equal(long.status, "RUNNING");
+    assert.equal(long.reason, "sw|dur>0 (fallback — tl invalid)");
+  });
+
+  it("treats a missing ol as offline", () => {
+    const { status } = classifyNewWithReason({ tl: 60000, dur: 120000 }, null);
+    assert.equal(status, "OFFLINE");
+  });
+});
+
+describe("replayFixture", () => {
+  it("restores normalize state between runs", () => {
+    const fixture = fixtures.find((f) => f.name === "hysteresis");
+    assert.ok(fixture);
+    const first = replayFixture(fixture);
+    const second = replayFixture(fixture);
+    assert.deepEqual(second, first);
+  });
+});
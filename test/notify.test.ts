@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { T0, setupTestEnv } from "./helpers.js";
+
+/**
+ * Subscribe publik: endpoint Web Push privat ditolak, batas per client
+ */
+
+await setupTestEnv("notify", {
+  VAPID_PUBLIC_KEY: "test-public",
+  VAPID_PRIVATE_KEY: "test-private",
+  NOTIFY_RATE_LIMIT: "5",
+});
+
+const notify = await import("../src/services/notifyService.js");
+const { MACHINE_CONFIG } = await import("../src/constants.js");
+
+const [machineId] = Object.keys(MACHINE_CONFIG.machineLabels);
+
+const push = (endpoint: string) => ({
+  subscription: {
+    endpoint,
+    keys: {
+      p256dh: Buffer.alloc(65, 4).toString("base64url"),
+      auth: Buffer.alloc(16, 1).toString("base64url"),
+    },
+  },
+});
+
+describe("notifyService", () => {
+  it("rejects private push endpoints", async () => {
+    for (const endpoint of [
+      "https://10.0.0.5/push",
+      "https://169.254.169.254/latest",
+      "https://[::ffff:7f00:1]/push",
+      "https://push.localhost/x",
+    ]) {
+      await assert.rejects(
+        notify.addSubscription(machineId, push(endpoint), null, T0),
+        { name: "NotifyError", status: 400 },
+        endpoint
+      );
+    }
+  });
+
+  it("limits subscriptions and requests per client", async () => {
+    const subscribe = (ip: string, n: number) =>
+      notify.addSubscription(
+        machineId,
+        push(`https://push.example.com/${ip}/${n}`),
+        ip,
+        T0
+      );
+
+    for (const n of [1, 2, 3]) await subscribe("203.0.113.7", n);
+    await assert.rejects(subscribe("203.0.113.7", 4), { status: 409 });
+    const other = await subscribe("198.51.100.9", 1);
+    assert.equal(other.client_ip, "198.51.100.9");
+
+    // Request ke-6 dalam menit yang sama ditolak, yang gagal pun dihitung
+    await assert.rejects(subscribe("203.0.113.7", 5), { status: 409 });
+    await assert.rejects(subscribe("203.0.113.7", 6), { status: 429 });
+    await assert.rejects(
+      notify.addSubscription(
+        machineId,
+        push("https://push.example.com/next-minute"),
+        "203.0.113.7",
+        T0 + 60000
+      ),
+      { status: 409 }
+    );
+  });
+});
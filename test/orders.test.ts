@@ -0,0 +1,151 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import type { Machine } from "../src/types.js";
+import { cacheSnapshot, machine, setupTestEnv } from "./helpers.js";
+
+/**
+ * Order drop-off: siklus status, tautan mesin dan order_id pada start
+ */
+
+await setupTestEnv("orders");
+
+const orders = await import("../src/services/orderService.js");
+const start = await import("../src/services/startService.js");
+
+await orders.initOrders();
+
+// 2026-01-01T18:00Z = 2 Januari 01:00 WIB
+const T0 = Date.parse("2026-01-01T18:00:00.000Z");
+const kasir = { userId: 2, username: "kasir" };
+
+cacheSnapshot([machine("W01", "RUNNING"), machine("D01", "READY")], T0);
+
+describe("orderService", () => {
+  it("creates orders with a daily code", async () => {
+    const first = await orders.createOrder(
+      { customer_name: " Budi ", weight_kg: "4.5", price: 35000 },
+      kasir,
+      T0
+    );
+    const second = await orders.createOrder(
+      { customer_name: "Sari", customer_phone: "0812" },
+      kasir,
+      T0
+    );
+    assert.equal(first.code, "DO-260102-001");
+    assert.equal(second.code, "DO-260102-002");
+    assert.equal(first.customer_name, "Budi");
+    assert.equal(first.weight_kg, 4.5);
+    assert.equal(first.outlet_id, "outlet-1");
+    assert.deepEqual(first.history, [
+      { status: "received", at: new Date(T0).toISOString(), by: "kasir" },
+    ]);
+
+    await assert.rejects(orders.createOrder({ price: 1 }, kasir), {
+      name: "OrderError",
+      message: "customer_name is required",
+    });
+    await assert.rejects(
+      orders.createOrder({ customer_name: "X", weight_kg: -1 }, kasir),
+      { status: 400 }
+    );
+  });
+
+  it("advances through machines and manual steps", async () => {
+    const order = await orders.createOrder({ customer_name: "Andi" }, kasir);
+    const link = (m: Machine, eventId: string | null = null) =>
+      orders.linkOrderMachine(order.id, m, eventId, kasir);
+    const current = () => orders.getOrder(order.code).current_machine;
+
+    await link(machine("W01", "RUNNING"), "EV-1");
+    assert.equal(order.status, "washing");
+    assert.equal(current()?.machine_id, "W01");
+
+    await link(machine("D01", "READY"));
+    assert.equal(order.status, "drying");
+    // D01 belum RUNNING di cache: mesin berjalan terakhir = W01
+    assert.equal(current()?.machine_id, "W01");
+
+    // Cuci ulang tidak memundurkan status
+    await link(machine("W01", "READY"));
+    assert.equal(order.status, "drying");
+    assert.equal(order.machines.length, 3);
+
+    await assert.rejects(
+      orders.updateOrder(order.id, { status: "received" }, kasir),
+      { status: 409 }
+    );
+    await orders.updateOrder(order.id, { status: "ready", price: 0 }, kasir);
+    await orders.updateOrder(order.id, { status: "picked_up" }, kasir);
+    assert.deepEqual(
+      order.history.map((h) => h.status),
+      ["received", "washing", "drying", "ready", "picked_up"]
+    );
+    await assert.rejects(
+      orders.updateOrder(order.id, { note: "x" }, kasir),
+      { message: "Order was already picked up" }
+    );
+
+    const open = orders.listOrders({ open: true }).map((o) => o.code);
+    assert.equal(open.includes(order.code), false);
+    assert.equal(orders.listOrders({ q: "andi" })[0].id, order.id);
+    assert.throws(() => orders.listOrders({ status: "lost" }), {
+      status: 400,
+    });
+  });
+
+  it("resolves the customer before changing the order", async () => {
+    const order = await orders.createOrder({ customer_name: "Dewi" }, kasir);
+    await orders.updateOrder(
+      order.id,
+      { customer_phone: "0813-1111-2222" },
+      kasir
+    );
+    assert.equal(order.customer_phone, "+6281311112222");
+    assert.ok(order.customer_id);
+
+    // Order diambil selama upsert pelanggan berjalan
+    const renaming = orders.updateOrder(
+      order.id,
+      { customer_name: "Dewi S", customer_phone: "0813-3333-4444" },
+      kasir
+    );
+    await orders.updateOrder(order.id, { status: "picked_up" }, kasir);
+    await assert.rejects(renaming, { status: 409 });
+    assert.equal(order.customer_name, "Dewi");
+    assert.equal(order.customer_phone, "+6281311112222");
+  });
+
+  it("validates order_id on machine starts", async () => {
+    const order = await orders.createOrder({ customer_name: "Rina" }, kasir);
+    const { request } = start.validateStart("D01", {
+      duration: 40,
+      event: { type: "drop-off", data: { customer_name: "Rina" } },
+    });
+    assert.equal(
+      orders.resolveStartOrder({ order_id: order.code }, request),
+      order.id
+    );
+    assert.equal(orders.resolveStartOrder({}, request), null);
+    assert.throws(
+      () => orders.resolveStartOrder({ order_id: "DO-000000-999" }, request),
+      { status: 400, fields: { order_id: "Order tidak ditemukan" } }
+    );
+
+    const maintenance = start.validateStart("D01", {
+      duration: 10,
+      event: { type: "maintenance", data: { mtype: "cuci_kosong" } },
+    });
+    assert.throws(
+      () =>
+        orders.resolveStartOrder({ order_id: order.id }, maintenance.request),
+      { fields: { order_id: "Order hanya untuk event drop-off" } }
+    );
+
+    const file = path.join(process.env.DATA_DIR!, "orders.json");
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    assert.equal(saved.length, 5);
+  });
+});
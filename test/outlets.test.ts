@@ -0,0 +1,123 @@
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers.js";
+
+/**
+ * Tampilan gabungan outlet: gateway di-fetch per outlet lalu digabung
+ */
+
+// Gateway stub: satu outlet_id per request, daftar dipisah koma ditolak
+const requested: string[] = [];
+const byOutlet: Record<string, Record<string, unknown>> = {
+  o1: {
+    "/api/leaderboard/revenue": {
+      data: [
+        { rank: 1, machineId: "W01", frequency: 5, totalRevenue: 50000 },
+        { rank: 2, machineId: "D01", frequency: 1, totalRevenue: 10000 },
+      ],
+      total_machines: 2,
+      total_revenue: 60000,
+      period: { filterBy: "bulan" },
+    },
+    "/api/transactions/summary": { total_nota: 3, jumlah: 45000 },
+    "/api/employees": { data: [{ id: 1, name: "Ani" }], total: 1 },
+  },
+  o2: {
+    "/api/leaderboard/revenue": {
+      data: [
+        { rank: 1, machineId: "W11", frequency: 2, totalRevenue: 30000 },
+      ],
+      total_machines: 1,
+      total_revenue: 30000,
+      period: { filterBy: "bulan" },
+    },
+    "/api/transactions/summary": { total_nota: 2, jumlah: 20000 },
+    "/api/employees": { data: [{ id: 7, name: "Budi" }], total: 1 },
+  },
+};
+const gateway = http.createServer((req, res) => {
+  const url = new URL(req.url || "/", "http://gateway");
+  const outletId = url.searchParams.get("outlet_id") || "";
+  requested.push(`${url.pathname} ${outletId}`);
+  const data = byOutlet[outletId]?.[url.pathname];
+  res.setHeader("Content-Type", "application/json");
+  res.statusCode = data ? 200 : 400;
+  res.end(JSON.stringify({ success: !!data, data }));
+});
+await new Promise<void>((resolve) => gateway.listen(0, resolve));
+after(() => gateway.close());
+
+await setupTestEnv("outlets", {
+  OUTLETS: "o1:Outlet Satu,o2:Outlet Dua",
+  EVENT_GATEWAY_BASE: `http://127.0.0.1:${
+    (gateway.address() as AddressInfo).port
+  }`,
+});
+
+const outlet = await import("../src/utils/outlet.js");
+const leaderboard = await import("../src/services/leaderboardService.js");
+const transactions = (await import("../src/routes/transactions.js")).default;
+const employees = (await import("../src/routes/employees.js")).default;
+
+describe("multi-outlet gateway requests", () => {
+  it("merges gateway JSON from several outlets", () => {
+    assert.deepEqual(outlet.gatewayOutletIds("all"), ["o1", "o2"]);
+    assert.deepEqual(outlet.gatewayOutletIds("o2"), ["o2"]);
+    assert.deepEqual(
+      outlet.mergeOutletJson([
+        { success: true, data: { jumlah: 2, rows: [1] }, note: "a" },
+        { success: true, data: { jumlah: 3, rows: [2] }, note: "b" },
+      ]),
+      { success: true, data: { jumlah: 5, rows: [1, 2] }, note: "a" }
+    );
+  });
+
+  it("fetches each outlet separately for the combined view", async () => {
+    requested.length = 0;
+    const revenue = await leaderboard.generateRevenueLeaderboard({
+      filterBy: "bulan",
+      outlet: "all",
+    });
+    assert.deepEqual(requested.sort(), [
+      "/api/leaderboard/revenue o1",
+      "/api/leaderboard/revenue o2",
+    ]);
+    assert.deepEqual(
+      revenue.data.map((entry) => [entry.rank, entry.machineId]),
+      [
+        [1, "W01"],
+        [2, "W11"],
+        [3, "D01"],
+      ]
+    );
+    assert.equal(revenue.total_machines, 3);
+    assert.equal(revenue.total_revenue, 90000);
+
+    const single = await leaderboard.generateRevenueLeaderboard({
+      outlet: "o2",
+    });
+    assert.deepEqual(
+      single.data.map((entry) => entry.machineId),
+      ["W11"]
+    );
+
+    const res = await transactions.request("/summary?outlet=all");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("ETag"), null);
+    assert.deepEqual(await res.json(), {
+      success: true,
+      data: { total_nota: 5, jumlah: 65000 },
+    });
+
+    const staff = await employees.request("/?outlet=all");
+    assert.deepEqual((await staff.json()).data, {
+      data: [
+        { id: 1, name: "Ani" },
+        { id: 7, name: "Budi" },
+      ],
+      total: 2,
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import fs from "node:fs";
+import path from "node:path";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OUTLET,
+  T0,
+  cacheSnapshot,
+  machine,
+  setupTestEnv,
+} from "./helpers.js";
+
+/**
+ * Antrean start: dikirim ke gateway pengganti saat snapshot READY atau
+ * jadwal `start_at` tiba
+ */
+
+const started: string[] = [];
+const gateway = http.createServer((req, res) => {
+  req.resume();
+  req.on("end", () => {
+    const id = (req.url || "").split("/")[3];
+    started.push(id);
+    res.statusCode = id === "W03" ? 500 : 200;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ success: id !== "W03" }));
+  });
+});
+await new Promise<void>((resolve) => gateway.listen(0, resolve));
+
+await setupTestEnv("queue", {
+  EVENT_GATEWAY_BASE: `http://127.0.0.1:${
+    (gateway.address() as AddressInfo).port
+  }`,
+});
+
+const queue = await import("../src/services/queueService.js");
+const { machineCache } = await import("../src/utils/cache.js");
+
+const HOUR = 60 * 60 * 1000;
+const actor = { userId: 2, username: "kasir" };
+
+const body = (extra: Record<string, unknown> = {}) => ({
+  duration: 30,
+  event: { type: "drop-off", data: { customer_name: "Budi" } },
+  ...extra,
+});
+
+after(() => {
+  gateway.close();
+});
+
+cacheSnapshot([machine("W01", "RUNNING"), machine("W03", "RUNNING")]);
+
+describe("queueService", () => {
+  it("validates the start body and start_at", async () => {
+    await assert.rejects(queue.enqueueStart("X99", body(), actor, T0), {
+      name: "QueueError",
+      status: 404,
+    });
+    await assert.rejects(
+      queue.enqueueStart(
+        "W01",
+        body({ start_at: "2025-12-31T00:00:00Z", duration: 0 }),
+        actor,
+        T0
+      ),
+      {
+        status: 400,
+        fields: {
+          start_at: "Waktu mulai harus di masa depan",
+          duration: "Durasi harus antara 1-180 menit",
+        },
+      }
+    );
+    await assert.rejects(
+      queue.enqueueStart("W01", body({ start_at: "besok" }), actor, T0),
+      { fields: { start_at: "Waktu mulai tidak valid" } }
+    );
+  });
+
+  it("starts queued entries once the machine is READY", async () => {
+    const first = await queue.enqueueStart("W01", body(), actor, T0);
+    const later = new Date(T0 + 2 * HOUR).toISOString();
+    const scheduled = await queue.enqueueStart(
+      "W01",
+      body({ start_at: later }),
+      actor,
+      T0
+    );
+    assert.equal(first.status, "queued");
+    assert.equal(first.request.event.data.machine_id, "W01");
+    assert.equal(scheduled.start_at, "2026-01-01T05:00:00.000Z");
+
+    // Masih berjalan: belum dikirim
+    await queue.processQueue(machineCache.get(OUTLET), T0);
+    assert.deepEqual(started, []);
+
+    const ready = cacheSnapshot([machine("W01", "READY")], T0 + 60000);
+    await queue.processQueue(ready, T0 + 60000);
+    assert.deepEqual(started, ["W01"]);
+    assert.equal(first.status, "started");
+    assert.equal(first.started_at, "2026-01-01T03:01:00.000Z");
+
+    // Snapshot yang sama sudah basi setelah start: tidak dikirim lagi
+    await queue.processQueue(ready, T0 + 3 * HOUR);
+    assert.deepEqual(started, ["W01"]);
+
+    // Snapshot baru READY setelah jadwal tiba → entry terjadwal dikirim
+    const next = cacheSnapshot([machine("W01", "READY")], T0 + 3 * HOUR);
+    await queue.processQueue(next, T0 + 3 * HOUR);
+    assert.deepEqual(started, ["W01", "W01"]);
+    assert.equal(scheduled.status, "started");
+  });
+
+  it("waits for fresh status after a start", async () => {
+    cacheSnapshot([machine("W02", "RUNNING")]);
+    await queue.enqueueStart("W02", body(), actor, T0);
+    const second = await queue.enqueueStart("W02", body(), actor, T0);
+    const at = T0 + 5 * HOUR;
+
+    await queue.processQueue(cacheSnapshot([machine("W02", "READY")], at), at);
+    assert.equal(started.filter((id) => id === "W02").length, 1);
+
+    // Mesin sudah di-start, snapshot berikutnya masih READY
+    const lagging = cacheSnapshot([machine("W02", "READY")], at + 20000);
+    await queue.processQueue(lagging, at + 20000);
+    assert.equal(second.status, "queued");
+
+    // Refresh gagal: daftar lama dengan ts baru, atau sudah stale
+    const later = at + 2 * 60000;
+    const failed = cacheSnapshot([machine("W02", "READY")], later);
+    failed.meta.fetched_at = new Date(at).toISOString();
+    await queue.processQueue(failed, later);
+    const stale = cacheSnapshot([machine("W02", "READY")], later);
+    stale.meta.stale = true;
+    await queue.processQueue(stale, later);
+    assert.equal(second.status, "queued");
+
+    const fresh = cacheSnapshot([machine("W02", "READY")], later);
+    await queue.processQueue(fresh, later);
+    assert.equal(second.status, "started");
+    assert.equal(started.filter((id) => id === "W02").length, 2);
+  });
+
+  it("cancels pending entries and records gateway failures", async () => {
+    cacheSnapshot([machine("W03", "RUNNING")]);
+    const canceled = await queue.enqueueStart("W03", body(), actor, T0);
+    const failing = await queue.enqueueStart("W03", body(), actor, T0);
+
+    const result = await queue.cancelQueueEntry(
+      "W03",
+      canceled.id,
+      actor,
+      T0
+    );
+    assert.equal(result.canceled_by, "kasir");
+    await assert.rejects(
+      queue.cancelQueueEntry("W03", canceled.id, actor, T0),
+      { status: 409 }
+    );
+    await assert.rejects(queue.cancelQueueEntry("W01", failing.id, actor), {
+      status: 404,
+    });
+
+    await queue.processQueue(
+      cacheSnapshot([machine("W03", "READY")], T0 + 60000),
+      T0 + 60000
+    );
+    assert.equal(failing.status, "failed");
+    assert.match(failing.error!, /Gateway API 500/);
+
+    assert.deepEqual(
+      queue.listQueue("W03").map((e) => e.status),
+      ["failed", "canceled"]
+    );
+    const file = path.join(process.env.DATA_DIR!, "queue.json");
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    assert.equal(saved.length, 6);
+  });
+});
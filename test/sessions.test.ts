@@ -0,0 +1,162 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+
+/**
+ * Refresh token: rotasi, deteksi reuse, logout dan logout semua sesi
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+process.env.ADMIN_USERNAME = "owner";
+process.env.ADMIN_PASSWORD_HASH = bcrypt.hashSync("owner-pass", 4);
+
+const users = await import("../src/services/userService.js");
+const sessions = await import("../src/services/sessionService.js");
+const { issueTokens, verifyToken } = await import("../src/auth.js");
+
+await users.initUserStore();
+await sessions.initSessionStore();
+
+const OWNER = { userId: 1, role: "owner" };
+
+async function login() {
+  const user = await users.verifyCredentials("owner", "owner-pass");
+  return issueTokens(user!, { userAgent: "test", ip: "127.0.0.1" });
+}
+
+describe("sessions", () => {
+  it("rotates refresh tokens and rejects reuse", async () => {
+    const tokens = await login();
+    const payload = verifyToken(tokens.token);
+    assert.equal(payload?.username, "owner");
+    assert.ok(payload?.sid && payload.jti);
+
+    const rotated = await sessions.rotateSession(tokens.refresh_token);
+    assert.notEqual(rotated.refreshToken, tokens.refresh_token);
+    assert.equal(rotated.session.id, payload.sid);
+
+    // Reuse dalam masa tenggang: ditolak, sesi tetap hidup
+    await assert.rejects(sessions.rotateSession(tokens.refresh_token), {
+      name: "SessionError",
+      status: 401,
+    });
+    assert.ok(verifyToken(tokens.token));
+
+    // Setelah masa tenggang: sesi dicabut, access token ikut mati
+    rotated.session.last_used_at = new Date(0).toISOString();
+    await assert.rejects(sessions.rotateSession(tokens.refresh_token));
+    assert.equal(rotated.session.revoke_reason, "token_reuse");
+    assert.equal(verifyToken(tokens.token), null);
+    await assert.rejects(sessions.rotateSession(rotated.refreshToken));
+  });
+
+  it("revokes the access token and session on logout", async () => {
+    const tokens = await login();
+    const payload = verifyToken(tokens.token)!;
+    await sessions.endSession({
+      refreshToken: tokens.refresh_token,
+      jti: payload.jti,
+      exp: payload.exp,
+    });
+    assert.equal(verifyToken(tokens.token), null);
+    assert.equal(sessions.isAccessTokenRevoked(payload.jti!), true);
+    await assert.rejects(sessions.rotateSession(tokens.refresh_token));
+  });
+
+  it("ends every session when the session version changes", async () => {
+    const first = await login();
+    const second = await login();
+    assert.equal(sessions.listUserSessions(1).length, 2);
+
+    await users.endAllSessions(OWNER, 1);
+    assert.equal(verifyToken(first.token), null);
+    assert.equal(verifyToken(second.token), null);
+    await assert.rejects(sessions.rotateSession(second.refresh_token), {
+      message: "Session expired",
+    });
+
+    assert.equal(await sessions.revokeUserSessions(1), 1);
+    assert.equal(sessions.listUserSessions(1).length, 0);
+  });
+});
+
+describe("cookie session", async () => {
+  const { Hono } = await import("hono");
+  const { default: authRoutes } = await import("../src/routes/auth.js");
+  const app = new Hono();
+  app.route("/api/auth", authRoutes);
+
+  /** Ambil cookie dari Set-Cookie menjadi header Cookie */
+  const cookiesOf = (response: Response) =>
+    Object.fromEntries(
+      response.headers
+        .getSetCookie()
+        .map((line) => line.split(";")[0].split("="))
+        .map(([name, ...value]) => [name, value.join("=")])
+    );
+  const cookieHeader = (jar: Record<string, string>) =>
+    Object.entries(jar)
+      .map(([name, value]) => `${name}=${value}`)
+      .join("; ");
+
+  it("authenticates with HttpOnly cookies and requires CSRF", async () => {
+    const login = await app.request("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: "owner", password: "owner-pass" }),
+    });
+    assert.equal(login.status, 200);
+    const setCookie = login.headers.getSetCookie();
+    assert.ok(setCookie.some((c) => /^session=.*HttpOnly/.test(c)));
+    assert.ok(setCookie.some((c) => /^csrf_token=/.test(c)));
+    assert.ok(!setCookie.some((c) => /^csrf_token=.*HttpOnly/.test(c)));
+
+    let jar = cookiesOf(login);
+    const me = await app.request("/api/auth/me", {
+      headers: { Cookie: cookieHeader(jar) },
+    });
+    assert.equal(me.status, 200);
+
+    const noCsrf = await app.request("/api/auth/refresh", {
+      method: "POST",
+      headers: { Cookie: cookieHeader(jar) },
+    });
+    assert.equal(noCsrf.status, 403);
+
+    const refreshed = await app.request("/api/auth/refresh", {
+      method: "POST",
+      headers: {
+        Cookie: cookieHeader(jar),
+        "X-CSRF-Token": jar.csrf_token,
+      },
+    });
+    assert.equal(refreshed.status, 200);
+    const body = await refreshed.json();
+    assert.ok(body.token);
+    assert.equal(body.refresh_token, undefined);
+    jar = { ...jar, ...cookiesOf(refreshed) };
+
+    const passwordNoCsrf = await app.request("/api/auth/password", {
+      method: "POST",
+      headers: { Cookie: cookieHeader(jar) },
+      body: JSON.stringify({}),
+    });
+    assert.equal(passwordNoCsrf.status, 403);
+
+    const logout = await app.request("/api/auth/logout", {
+      method: "POST",
+      headers: {
+        Cookie: cookieHeader(jar),
+        "X-CSRF-Token": jar.csrf_token,
+      },
+    });
+    assert.equal(logout.status, 200);
+    const after = await app.request("/api/auth/me", {
+      headers: { Cookie: cookieHeader(jar) },
+    });
+    assert.equal(after.status, 401);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { T0, cacheSnapshot, machine, setupTestEnv } from "./helpers.js";
+
+/**
+ * Validasi start remote + Idempotency-Key
+ */
+
+await setupTestEnv("start");
+
+const start = await import("../src/services/startService.js");
+
+cacheSnapshot([
+  machine("W01", "READY"),
+  machine("W02", "RUNNING"),
+  machine("D01", "OFFLINE"),
+]);
+
+const dropOff = (data: Record<string, unknown> = {}) => ({
+  duration: 30,
+  event: {
+    type: "drop-off",
+    data: { customer_name: " Budi ", employee_id: "3", ...data },
+  },
+});
+
+describe("startService", () => {
+  it("returns per-field errors", () => {
+    assert.throws(
+      () =>
+        start.validateStart("W01", {
+          duration: 500,
+          event: { type: "drop-off", data: { employee_id: 0 } },
+        }),
+      (error: any) => {
+        assert.equal(error.status, 400);
+        assert.deepEqual(Object.keys(error.fields).sort(), [
+          "duration",
+          "event.data.customer_name",
+          "event.data.other_employee_name",
+        ]);
+        return true;
+      }
+    );
+    assert.throws(() => start.validateStart("W01", { duration: 10 }), {
+      fields: { "event.type": "Jenis event wajib dipilih" },
+    });
+    assert.throws(
+      () =>
+        start.validateStart("W01", {
+          duration: 10,
+          event: { type: "maintenance", data: { mtype: "oli" } },
+        }),
+      {
+        fields: {
+          "event.data.mtype":
+            "Harus salah satu dari: cuci_kosong, tube_clean, other",
+        },
+      }
+    );
+  });
+
+  it("requires a READY machine and normalises the event", () => {
+    assert.throws(() => start.validateStart("X99", dropOff()), {
+      status: 404,
+    });
+    assert.throws(() => start.validateStart("W02", dropOff()), {
+      status: 409,
+      message: "Machine is not ready",
+    });
+    assert.throws(() => start.validateStart("D01", dropOff()), {
+      message: "Machine is offline",
+    });
+
+    const { request } = start.validateStart("W01", dropOff(), T0);
+    assert.equal(request.program, "normal");
+    assert.deepEqual(request.event.data, {
+      customer_name: "Budi",
+      employee_id: 3,
+      machine_id: "W01",
+      duration_minutes: 30,
+    });
+
+    start.markStarted("W01", T0);
+    assert.throws(() => start.validateStart("W01", dropOff(), T0 + 1000), {
+      status: 409,
+    });
+    assert.ok(start.validateStart("W01", dropOff(), T0 + 2 * 60 * 1000));
+  });
+
+  it("replays completed requests by Idempotency-Key", () => {
+    const body = dropOff();
+    assert.equal(start.reserveIdempotency("k1", "W01", body, T0), null);
+    assert.throws(() => start.reserveIdempotency("k1", "W01", body, T0), {
+      status: 409,
+    });
+    start.completeIdempotency("k1", "W01", 200, { success: true });
+    assert.deepEqual(start.reserveIdempotency("k1", "W01", body, T0), {
+      status: 200,
+      body: { success: true },
+    });
+    assert.throws(
+      () => start.reserveIdempotency("k1", "W01", dropOff({ x: 1 }), T0),
+      { status: 422 }
+    );
+    // Key yang sama untuk mesin lain = request lain
+    assert.equal(start.reserveIdempotency("k1", "W02", body, T0), null);
+
+    // Gagal → dilepas, boleh dicoba lagi dengan body yang diperbaiki
+    start.releaseIdempotency("k1", "W02");
+    assert.equal(
+      start.reserveIdempotency("k1", "W02", dropOff({ x: 2 }), T0),
+      null
+    );
+
+    // Kedaluwarsa setelah TTL
+    const later = T0 + 25 * 60 * 60 * 1000;
+    assert.equal(start.reserveIdempotency("k1", "W01", body, later), null);
+  });
+});
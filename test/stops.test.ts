@@ -0,0 +1,100 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { T0, cacheSnapshot, machine, setupTestEnv } from "./helpers.js";
+
+/**
+ * Stop remote: alasan wajib, riwayat per mesin dan hook refund
+ */
+
+await setupTestEnv("stops");
+
+const stops = await import("../src/services/stopService.js");
+const start = await import("../src/services/startService.js");
+
+cacheSnapshot([
+  machine("W01", "RUNNING", { elapsed_ms: 600000 }),
+  machine("W02", "READY"),
+]);
+
+describe("stopService", () => {
+  it("requires a reason and a running machine", () => {
+    assert.throws(() => stops.validateStop("W01", {}), {
+      status: 400,
+      fields: { reason: "Alasan wajib dipilih" },
+    });
+    const note = "x".repeat(501);
+    assert.throws(
+      () => stops.validateStop("W01", { reason: "bosan", note }),
+      (error: any) => {
+        assert.deepEqual(Object.keys(error.fields), ["reason", "note"]);
+        return true;
+      }
+    );
+    assert.throws(
+      () => stops.validateStop("W02", { reason: "machine_fault" }),
+      { status: 409 }
+    );
+    assert.throws(
+      () => stops.validateStop("X99", { reason: "machine_fault" }),
+      { status: 404 }
+    );
+    // Baru di-start: cache belum RUNNING tapi boleh dihentikan
+    start.markStarted("W02", T0);
+    const recent = stops.validateStop("W02", { reason: "wrong_program" }, T0);
+    assert.equal(recent.machine.id, "W02");
+
+    const valid = stops.validateStop("W01", {
+      reason: "payment_error",
+      transaction_id: " TRX-1 ",
+      note: "",
+    });
+    assert.equal(valid.transactionId, "TRX-1");
+    assert.equal(valid.note, null);
+  });
+
+  it("records stops and runs refund hooks", async () => {
+    const refunds: string[] = [];
+    const unregister = stops.registerStopHook({
+      name: "test",
+      onRefund: async (stop) => {
+        refunds.push(stop.transaction_id!);
+      },
+    });
+
+    const { machine } = stops.validateStop("W01", {
+      reason: "customer_request",
+    });
+    const actor = { userId: 2, username: "kasir" };
+    await stops.recordStop(
+      machine,
+      { reason: "customer_request", note: null, transactionId: null, actor },
+      T0
+    );
+    const refund = await stops.recordStop(
+      machine,
+      {
+        reason: "payment_error",
+        note: "QRIS gagal",
+        transactionId: "TRX-9",
+        actor,
+      },
+      T0 + 1000
+    );
+    unregister();
+
+    assert.equal(refund.refund_status, "pending");
+    assert.equal(refund.elapsed_ms, 600000);
+    assert.deepEqual(refunds, ["TRX-9"]);
+
+    const history = await stops.listStops("W01");
+    assert.deepEqual(
+      history.map((s) => [s.reason, s.stopped_by, s.refund_status]),
+      [
+        ["payment_error", "kasir", "pending"],
+        ["customer_request", "kasir", null],
+      ]
+    );
+    assert.equal((await stops.listStops("W01", 1)).length, 1);
+    assert.deepEqual(await stops.listStops("W02"), []);
+  });
+});
@@ -0,0 +1,111 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+
+/**
+ * User store + role guard. Store di-bootstrap dari env lama (owner).
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "users-"));
+process.env.ADMIN_USERNAME = "Owner";
+process.env.ADMIN_PASSWORD_HASH = bcrypt.hashSync("owner-pass", 4);
+delete process.env.USER_USERNAME;
+
+const users = await import("../src/services/userService.js");
+const { hasPermission, normalizeRole } = await import("../src/permissions.js");
+const { generateToken, verifyToken } = await import("../src/auth.js");
+
+await users.initUserStore();
+
+const OWNER = { userId: 1, role: "owner" };
+
+describe("permissions", () => {
+  it("maps legacy roles and grants by rank", () => {
+    assert.equal(normalizeRole("admin"), "owner");
+    assert.equal(normalizeRole("user"), "staff");
+    assert.equal(normalizeRole("nope"), "viewer");
+    assert.equal(hasPermission("staff", "machines:control"), true);
+    assert.equal(hasPermission("staff", "dashboard:view"), false);
+    assert.equal(hasPermission("viewer", "machines:control"), false);
+    assert.equal(hasPermission("manager", "users:manage"), true);
+  });
+});
+
+describe("userService", () => {
+  it("bootstraps the owner from env and verifies credentials", async () => {
+    const [owner] = users.listUsers();
+    assert.equal(owner.username, "owner");
+    assert.equal(owner.role, "owner");
+    assert.equal("password_hash" in owner, false);
+    assert.ok(await users.verifyCredentials("OWNER", "owner-pass"));
+    assert.equal(await users.verifyCredentials("owner", "wrong"), null);
+  });
+
+  it("only lets managers manage lower roles", async () => {
+    const manager = await users.createUser(OWNER, {
+      username: "mgr",
+      password: "manager-pass",
+      role: "manager",
+    });
+    const actor = { userId: manager.id, role: "manager" };
+
+    const staff = await users.createUser(actor, {
+      username: "kasir",
+      password: "staff-pass",
+      role: "staff",
+    });
+    assert.equal(staff.role, "staff");
+
+    await assert.rejects(
+      users.createUser(actor, {
+        username: "mgr2",
+        password: "manager-pass",
+        role: "manager",
+      }),
+      { name: "UserError", status: 403 }
+    );
+    await assert.rejects(users.updateUser(actor, staff.id, { role: "owner" }), {
+      status: 403,
+    });
+    await assert.rejects(
+      users.createUser(OWNER, { username: "kasir", password: "12345678" }),
+      { status: 409 }
+    );
+  });
+
+  it("keeps at least one active owner", async () => {
+    await assert.rejects(users.updateUser(OWNER, 1, { role: "manager" }), {
+      status: 409,
+    });
+    await assert.rejects(users.deleteUser(OWNER, 1), { status: 409 });
+  });
+
+  it("ends sessions on password change and disable", async () => {
+    const created = await users.createUser(OWNER, {
+      username: "viewer1",
+      password: "viewer-pass",
+      role: "viewer",
+    });
+    const token = generateToken(users.getUserById(created.id)!);
+    assert.equal(verifyToken(token)?.role, "viewer");
+
+    const user = await users.changePassword(
+      created.id,
+      "viewer-pass",
+      "viewer-pass-2"
+    );
+    assert.equal(verifyToken(token), null);
+
+    const fresh = generateToken(user);
+    assert.ok(verifyToken(fresh));
+    await users.updateUser(OWNER, created.id, { disabled: true });
+    assert.equal(verifyToken(fresh), null);
+    assert.equal(
+      await users.verifyCredentials("viewer1", "viewer-pass-2"),
+      null
+    );
+  });
+});